@@ -9,6 +9,9 @@ const pageSize = 20;
 let totalUsers = 0;
 let currentUserId = null;
 let userModal = null;
+let scheduleModal = null;
+let currentSourceId = null;
+let dataSources = [];
 
 document.addEventListener('DOMContentLoaded', () => {
   // Initialize Bootstrap modal
@@ -16,9 +19,16 @@ document.addEventListener('DOMContentLoaded', () => {
   if (modalElement) {
     userModal = new bootstrap.Modal(modalElement);
   }
+  const scheduleModalElement = document.getElementById('scheduleModal');
+  if (scheduleModalElement) {
+    scheduleModal = new bootstrap.Modal(scheduleModalElement);
+  }
 
-  // Load data sources and users
+  // Load data sources, scrape jobs, pending syncs, schema drift history and users
   loadDataSources();
+  loadScrapeJobs();
+  loadPendingSyncs();
+  loadSchemaDrift();
   loadUsers();
 
   // Event listeners
@@ -44,6 +54,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
   document.getElementById('saveUserBtn').addEventListener('click', handleSaveUser);
   document.getElementById('deleteUserBtn').addEventListener('click', handleDeleteUser);
+  document.getElementById('saveScheduleBtn').addEventListener('click', handleSaveSchedule);
 });
 
 // ─── Data Sources ───────────────────────────────────────────────────
@@ -87,6 +98,7 @@ async function loadDataSources() {
  */
 function renderDataSources(sources) {
   const container = document.getElementById('dataSourcesList');
+  dataSources = sources;
 
   if (sources.length === 0) {
     container.innerHTML = '<p class="text-muted">No data sources configured.</p>';
@@ -109,14 +121,10 @@ function renderDataSources(sources) {
         ? `${(source.last_scrape_duration_ms / 1000).toFixed(1)}s`
         : '-';
 
-      const window =
-        source.scrape_window_start_hour === 0 && source.scrape_window_end_hour === 24
-          ? 'No restriction'
-          : `${String(source.scrape_window_start_hour).padStart(2, '0')}:00 – ${String(source.scrape_window_end_hour).padStart(2, '0')}:00`;
+      const schedule = describeSchedule(source);
+      const calendar = describeCalendarPolicy(source);
 
-      const intervalHours = source.scrape_interval_minutes / 60;
-      const intervalText =
-        intervalHours >= 1 ? `${intervalHours}h` : `${source.scrape_interval_minutes}m`;
+      const syncGuard = describeSyncGuard(source);
 
       const lastScrapeStats = source.last_scrape_status
         ? `+${source.last_scrape_added || 0} / ~${source.last_scrape_updated || 0} / -${source.last_scrape_deleted || 0}`
@@ -134,8 +142,11 @@ function renderDataSources(sources) {
             <small class="text-muted">${escapeHtml(source.slug)}</small>
           </div>
           <div class="d-flex align-items-center gap-2">
+            <button class="btn btn-sm btn-outline-secondary source-schedule-btn"
+              data-source-id="${source.id}">Edit Schedule</button>
             <button class="btn btn-sm btn-outline-primary source-scrape-btn"
-              data-source-id="${source.id}">Scrape Now</button>
+              data-source-id="${source.id}"
+              ${source.has_scraper ? '' : 'disabled title="No scraper for this source yet"'}>Scrape Now</button>
             ${statusBadge}
             <div class="form-check form-switch mb-0">
               <input class="form-check-input source-enable-switch" type="checkbox" role="switch"
@@ -158,12 +169,20 @@ function renderDataSources(sources) {
             <dd>${lastScrapeDuration}</dd>
           </dl>
           <dl>
-            <dt>Interval</dt>
-            <dd>Every ${intervalText}</dd>
+            <dt>Court</dt>
+            <dd>${escapeHtml(source.court_name || '-')}${source.location_id ? ` <small class="text-muted">(location ${source.location_id})</small>` : ''}</dd>
+          </dl>
+          <dl>
+            <dt>Schedule</dt>
+            <dd>${schedule}</dd>
           </dl>
           <dl>
-            <dt>Scrape Window</dt>
-            <dd>${window}</dd>
+            <dt>Court Calendar</dt>
+            <dd>${calendar}</dd>
+          </dl>
+          <dl>
+            <dt>Sync Guard</dt>
+            <dd>${syncGuard}</dd>
           </dl>
           <dl>
             <dt>Visible by default</dt>
@@ -183,6 +202,12 @@ function renderDataSources(sources) {
     .join('');
 
   // Attach event listeners
+  container.querySelectorAll('.source-schedule-btn').forEach((btn) => {
+    btn.addEventListener('click', () => {
+      showScheduleModal(parseInt(btn.getAttribute('data-source-id')));
+    });
+  });
+
   container.querySelectorAll('.source-scrape-btn').forEach((btn) => {
     btn.addEventListener('click', () => {
       triggerScrape(parseInt(btn.getAttribute('data-source-id')));
@@ -202,6 +227,130 @@ function renderDataSources(sources) {
   });
 }
 
+/**
+ * Format a number of minutes as e.g. "2h" or "90m"
+ */
+function formatMinutes(minutes) {
+  return minutes % 60 === 0 ? `${minutes / 60}h` : `${minutes}m`;
+}
+
+/**
+ * Describe when a data source is scraped: its cron expression, or its
+ * interval and window, in its timezone
+ */
+function describeSchedule(source) {
+  const timezone = `<small class="text-muted">(${escapeHtml(source.scrape_timezone)})</small>`;
+  if (source.scrape_cron) {
+    return `<code>${escapeHtml(source.scrape_cron)}</code> ${timezone}`;
+  }
+
+  const hours =
+    source.scrape_window_start_hour === 0 && source.scrape_window_end_hour === 24
+      ? ''
+      : `, ${String(source.scrape_window_start_hour).padStart(2, '0')}:00 – ${String(source.scrape_window_end_hour).padStart(2, '0')}:00`;
+
+  return `Every ${formatMinutes(source.scrape_interval_minutes)}${hours} ${timezone}`;
+}
+
+/**
+ * Describe how a data source's scrapes follow the court calendar, and what
+ * kind of day it is today
+ */
+function describeCalendarPolicy(source) {
+  const describe = (policy) => {
+    if (policy === 'skip') return 'not scraped';
+    if (policy === 'thin') return `every ${formatMinutes(source.thinned_interval_minutes)}`;
+    return 'as usual';
+  };
+
+  const today =
+    source.court_day.type === 'sitting'
+      ? '<span class="badge bg-success">Sitting today</span>'
+      : `<span class="badge bg-secondary">${escapeHtml(source.court_day.reason)}</span>`;
+
+  return `Closed days ${describe(source.closed_day_policy)}, vacations ${describe(source.vacation_policy)} ${today}`;
+}
+
+/**
+ * Show the schedule edit modal for a data source
+ */
+function showScheduleModal(sourceId) {
+  const source = dataSources.find((s) => s.id === sourceId);
+  if (!source) return;
+  currentSourceId = sourceId;
+
+  document.getElementById('scheduleSourceName').textContent = source.display_name;
+  document.getElementById('scheduleCron').value = source.scrape_cron || '';
+  document.getElementById('scheduleTimezone').value = source.scrape_timezone;
+  document.getElementById('scheduleInterval').value = source.scrape_interval_minutes;
+  document.getElementById('scheduleWindowStart').value = source.scrape_window_start_hour;
+  document.getElementById('scheduleWindowEnd').value = source.scrape_window_end_hour;
+  document.getElementById('scheduleClosedDayPolicy').value = source.closed_day_policy;
+  document.getElementById('scheduleVacationPolicy').value = source.vacation_policy;
+  document.getElementById('scheduleThinnedInterval').value = source.thinned_interval_minutes;
+
+  document.getElementById('scheduleModalAlert').classList.add('d-none');
+  scheduleModal.show();
+}
+
+/**
+ * Handle save schedule
+ */
+async function handleSaveSchedule() {
+  const alertEl = document.getElementById('scheduleModalAlert');
+  const cron = document.getElementById('scheduleCron').value.trim();
+
+  try {
+    const response = await fetch(`/api/v1/admin/data-sources/${currentSourceId}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify({
+        scrape_cron: cron || null,
+        scrape_timezone: document.getElementById('scheduleTimezone').value.trim(),
+        scrape_interval_minutes: parseInt(document.getElementById('scheduleInterval').value),
+        scrape_window_start_hour: parseInt(document.getElementById('scheduleWindowStart').value),
+        scrape_window_end_hour: parseInt(document.getElementById('scheduleWindowEnd').value),
+        closed_day_policy: document.getElementById('scheduleClosedDayPolicy').value,
+        vacation_policy: document.getElementById('scheduleVacationPolicy').value,
+        thinned_interval_minutes: parseInt(document.getElementById('scheduleThinnedInterval').value)
+      })
+    });
+
+    if (!response.ok) {
+      const data = await response.json();
+      alertEl.className = 'alert alert-danger';
+      alertEl.textContent = data.message || data.error || 'Failed to update schedule';
+      return;
+    }
+
+    scheduleModal.hide();
+    loadDataSources();
+  } catch (error) {
+    console.error('Error saving schedule:', error);
+    alertEl.className = 'alert alert-danger';
+    alertEl.textContent = 'Error saving schedule. Please try again.';
+  }
+}
+
+/**
+ * Describe a data source's sync guard thresholds
+ */
+function describeSyncGuard(source) {
+  if (source.sync_guard_min_rows == null) return 'Off';
+
+  const checks = [];
+  if (source.sync_max_delete_percent != null) {
+    checks.push(`max ${source.sync_max_delete_percent}% removed`);
+  }
+  if (source.sync_min_new_rows != null) {
+    checks.push(`min ${source.sync_min_new_rows} listed`);
+  }
+  if (checks.length === 0) return 'Off';
+
+  return `${checks.join(', ')} <small class="text-muted">(from ${source.sync_guard_min_rows} hearings)</small>`;
+}
+
 /**
  * Get Bootstrap badge for scrape status
  */
@@ -286,7 +435,7 @@ async function triggerScrape(sourceId) {
   const btn = document.querySelector(`.source-scrape-btn[data-source-id="${sourceId}"]`);
   const originalText = btn.textContent;
   btn.disabled = true;
-  btn.textContent = 'Scraping...';
+  btn.textContent = 'Queueing...';
 
   try {
     const response = await fetch(`/api/v1/admin/data-sources/${sourceId}/scrape`, {
@@ -301,8 +450,16 @@ async function triggerScrape(sourceId) {
       return;
     }
 
-    // Wait a moment for the scrape to complete, then reload
-    setTimeout(() => loadDataSources(), 3000);
+    if (!data.created) {
+      alert(data.message);
+    }
+
+    // Show the queued job, then reload once the worker has had a chance to run it
+    loadScrapeJobs();
+    setTimeout(() => {
+      loadDataSources();
+      loadScrapeJobs();
+    }, 5000);
   } catch (error) {
     console.error('Error triggering scrape:', error);
     alert('Error triggering scrape. Please try again.');
@@ -326,6 +483,323 @@ function formatDateTime(dateString) {
   });
 }
 
+// ─── Scrape Jobs ────────────────────────────────────────────────────
+
+/**
+ * Load recent scrape jobs from API
+ */
+async function loadScrapeJobs() {
+  const errorEl = document.getElementById('scrapeJobsError');
+  try {
+    const response = await fetch('/api/v1/admin/scrape-jobs?limit=20', {
+      credentials: 'include'
+    });
+
+    if (!response.ok) {
+      if (response.status === 403) {
+        document.getElementById('scrapeJobsLoading').classList.add('d-none');
+        errorEl.textContent = 'Access denied. Missing scraper:logs capability.';
+        errorEl.classList.remove('d-none');
+        return;
+      }
+      throw new Error('Failed to load scrape jobs');
+    }
+
+    const data = await response.json();
+    renderScrapeJobs(data.jobs || []);
+
+    document.getElementById('scrapeJobsLoading').classList.add('d-none');
+    document.getElementById('scrapeJobsContent').classList.remove('d-none');
+  } catch (error) {
+    console.error('Error loading scrape jobs:', error);
+    document.getElementById('scrapeJobsLoading').classList.add('d-none');
+    errorEl.textContent = 'Error loading scrape jobs. Please try again.';
+    errorEl.classList.remove('d-none');
+  }
+}
+
+/**
+ * Render scrape jobs, newest first
+ */
+function renderScrapeJobs(jobs) {
+  const tbody = document.getElementById('scrapeJobsTableBody');
+
+  if (jobs.length === 0) {
+    tbody.innerHTML =
+      '<tr><td colspan="7" class="text-center text-muted">No scrape jobs yet</td></tr>';
+    return;
+  }
+
+  tbody.innerHTML = jobs
+    .map(
+      (job) => `
+      <tr>
+        <td>#${job.id}</td>
+        <td>${escapeHtml(job.dataSource.name)}</td>
+        <td>${escapeHtml(job.scrapeType)}${job.requestedBy ? ` <small class="text-muted">(${escapeHtml(job.requestedBy)})</small>` : ''}</td>
+        <td>${getJobBadge(job.status)}</td>
+        <td>${job.attempts} / ${job.maxAttempts}</td>
+        <td>${formatDateTime(job.createdAt)}</td>
+        <td>${describeJobOutcome(job)}</td>
+      </tr>
+    `
+    )
+    .join('');
+}
+
+/**
+ * Describe how a scrape job ended, or when it will next run
+ */
+function describeJobOutcome(job) {
+  switch (job.status) {
+    case 'succeeded':
+      if (!job.result) return '-';
+      if (job.result.skippedReason === 'upstream_unchanged') return 'Upstream unchanged';
+      return `+${job.result.recordsAdded || 0} / ~${job.result.recordsUpdated || 0} / -${job.result.recordsDeleted || 0}`;
+    case 'failed':
+      return `<span class="text-danger">${escapeHtml(job.lastError || 'Failed')}</span> <small class="text-muted">(retry ${formatDateTime(job.runAfter)})</small>`;
+    case 'dead':
+      return `<span class="text-danger">${escapeHtml(job.lastError || 'Failed')}</span>`;
+    case 'running':
+      return `Since ${formatDateTime(job.startedAt)}`;
+    default:
+      return '-';
+  }
+}
+
+/**
+ * Get Bootstrap badge for scrape job status
+ */
+function getJobBadge(status) {
+  switch (status) {
+    case 'queued':
+      return '<span class="badge bg-secondary">Queued</span>';
+    case 'running':
+      return '<span class="badge bg-primary">Running</span>';
+    case 'succeeded':
+      return '<span class="badge bg-success">Succeeded</span>';
+    case 'failed':
+      return '<span class="badge bg-warning">Retrying</span>';
+    case 'dead':
+      return '<span class="badge bg-danger">Dead</span>';
+    default:
+      return `<span class="badge bg-secondary">${escapeHtml(status)}</span>`;
+  }
+}
+
+// ─── Pending Syncs ──────────────────────────────────────────────────
+
+/**
+ * Load syncs awaiting review from API
+ */
+async function loadPendingSyncs() {
+  const errorEl = document.getElementById('pendingSyncsError');
+  try {
+    const response = await fetch('/api/v1/admin/pending-syncs', {
+      credentials: 'include'
+    });
+
+    if (!response.ok) {
+      if (response.status === 403) {
+        document.getElementById('pendingSyncsLoading').classList.add('d-none');
+        errorEl.textContent = 'Access denied. Missing scraper:logs capability.';
+        errorEl.classList.remove('d-none');
+        return;
+      }
+      throw new Error('Failed to load pending syncs');
+    }
+
+    const data = await response.json();
+    renderPendingSyncs(data.pendingSyncs || []);
+
+    document.getElementById('pendingSyncsLoading').classList.add('d-none');
+    document.getElementById('pendingSyncsContent').classList.remove('d-none');
+  } catch (error) {
+    console.error('Error loading pending syncs:', error);
+    document.getElementById('pendingSyncsLoading').classList.add('d-none');
+    errorEl.textContent = 'Error loading pending syncs. Please try again.';
+    errorEl.classList.remove('d-none');
+  }
+}
+
+/**
+ * Render syncs awaiting review, newest first
+ */
+function renderPendingSyncs(pendingSyncs) {
+  const container = document.getElementById('pendingSyncsList');
+
+  if (pendingSyncs.length === 0) {
+    container.innerHTML = '<p class="text-muted">No syncs awaiting review.</p>';
+    return;
+  }
+
+  container.innerHTML = pendingSyncs
+    .map(
+      (pending) => `
+      <div class="source-card">
+        <div class="source-header">
+          <div>
+            <h5>${escapeHtml(pending.dataSource.name)}</h5>
+            <small class="text-muted">${escapeHtml(pending.dataSource.slug)} · ${pending.listDate ? escapeHtml(pending.listDate) : 'all upcoming hearings'} · scrape #${pending.scrapeId ?? '-'}</small>
+          </div>
+          <div class="d-flex align-items-center gap-2">
+            <span>${formatDateTime(pending.createdAt)}</span>
+            <button class="btn btn-sm btn-danger pending-sync-btn"
+              data-pending-sync-id="${pending.id}" data-action="approve">Approve</button>
+            <button class="btn btn-sm btn-outline-secondary pending-sync-btn"
+              data-pending-sync-id="${pending.id}" data-action="reject">Reject</button>
+          </div>
+        </div>
+        <p class="mb-2 text-danger">${escapeHtml(pending.reason)}</p>
+        <div class="source-meta">
+          <dl>
+            <dt>Currently Listed</dt>
+            <dd>${pending.existing}</dd>
+          </dl>
+          <dl>
+            <dt>Scraped</dt>
+            <dd>${pending.incoming}</dd>
+          </dl>
+          <dl>
+            <dt>Would Remove</dt>
+            <dd>${pending.deleting}</dd>
+          </dl>
+        </div>
+      </div>
+    `
+    )
+    .join('');
+
+  container.querySelectorAll('.pending-sync-btn').forEach((btn) => {
+    btn.addEventListener('click', () => {
+      reviewPendingSync(
+        parseInt(btn.getAttribute('data-pending-sync-id')),
+        btn.getAttribute('data-action')
+      );
+    });
+  });
+}
+
+/**
+ * Approve or reject a pending sync
+ */
+async function reviewPendingSync(pendingSyncId, action) {
+  const question =
+    action === 'approve'
+      ? 'Apply this sync? The hearings missing from the scraped list will be removed.'
+      : 'Reject this sync? The archive will be left as it is.';
+  if (!confirm(question)) return;
+
+  try {
+    const response = await fetch(`/api/v1/admin/pending-syncs/${pendingSyncId}/${action}`, {
+      method: 'POST',
+      credentials: 'include'
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      alert(data.message || data.error || `Failed to ${action} sync`);
+    }
+
+    loadPendingSyncs();
+    loadDataSources();
+  } catch (error) {
+    console.error(`Error trying to ${action} sync:`, error);
+    alert('Error reviewing sync. Please try again.');
+  }
+}
+
+// ─── Schema Drift ───────────────────────────────────────────────────
+
+/**
+ * Load schema drift history from API
+ */
+async function loadSchemaDrift() {
+  const errorEl = document.getElementById('schemaDriftError');
+  try {
+    const response = await fetch('/api/v1/admin/reports/schema-drift', {
+      credentials: 'include'
+    });
+
+    if (!response.ok) {
+      if (response.status === 403) {
+        document.getElementById('schemaDriftLoading').classList.add('d-none');
+        errorEl.textContent = 'Access denied. Missing scraper:logs capability.';
+        errorEl.classList.remove('d-none');
+        return;
+      }
+      throw new Error('Failed to load schema drift history');
+    }
+
+    const data = await response.json();
+    renderSchemaDrift(data.events || []);
+
+    document.getElementById('schemaDriftLoading').classList.add('d-none');
+    document.getElementById('schemaDriftContent').classList.remove('d-none');
+  } catch (error) {
+    console.error('Error loading schema drift history:', error);
+    document.getElementById('schemaDriftLoading').classList.add('d-none');
+    errorEl.textContent = 'Error loading schema drift history. Please try again.';
+    errorEl.classList.remove('d-none');
+  }
+}
+
+/**
+ * Render schema drift events, newest first
+ */
+function renderSchemaDrift(events) {
+  const container = document.getElementById('schemaDriftList');
+
+  if (events.length === 0) {
+    container.innerHTML = '<p class="text-muted">No schema drift detected.</p>';
+    return;
+  }
+
+  const headerList = (rows) =>
+    `<ul class="drift-headers">${rows.map((headers) => `<li>${escapeHtml(headers.join(' | '))}</li>`).join('')}</ul>`;
+
+  container.innerHTML = events
+    .map((event) => {
+      const { added, removed, reordered } = event.changes;
+      const changes = [
+        added.length
+          ? `<span class="text-success">Added: ${escapeHtml(added.join(', '))}</span>`
+          : '',
+        removed.length
+          ? `<span class="text-danger">Removed: ${escapeHtml(removed.join(', '))}</span>`
+          : '',
+        reordered ? '<span>Columns reordered</span>' : ''
+      ]
+        .filter(Boolean)
+        .join(' · ');
+
+      return `
+      <div class="source-card">
+        <div class="source-header">
+          <div>
+            <h5>${escapeHtml(event.dataSource.name)}</h5>
+            <small class="text-muted">${escapeHtml(event.dataSource.slug)} · scrape #${event.scrapeId}</small>
+          </div>
+          <span>${formatDateTime(event.detectedAt)}</span>
+        </div>
+        <p class="mb-2">${changes || 'Table layout changed'}</p>
+        <div class="source-meta">
+          <dl>
+            <dt>Before${event.previous ? ` (scrape #${event.previous.scrapeId})` : ''}</dt>
+            <dd>${event.previous ? headerList(event.previous.headers) : '-'}</dd>
+          </dl>
+          <dl>
+            <dt>After</dt>
+            <dd>${headerList(event.headers)}</dd>
+          </dl>
+        </div>
+      </div>
+    `;
+    })
+    .join('');
+}
+
 // ─── User Management ────────────────────────────────────────────────
 
 /**
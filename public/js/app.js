@@ -12,6 +12,7 @@
     await loadDataSources();
     loadHearings();
     attachEventHandlers();
+    showExportMenu();
   });
 
   async function loadConfig() {
@@ -75,8 +76,58 @@
     document.getElementById('dateFilter').addEventListener('change', handleDateFilter);
     document.getElementById('sortBy').addEventListener('change', loadHearings);
     document.getElementById('sortOrder').addEventListener('change', loadHearings);
+    document.getElementById('showRemoved').addEventListener('change', handleShowRemoved);
     document.getElementById('prevPage').addEventListener('click', () => changePage(-1));
     document.getElementById('nextPage').addEventListener('click', () => changePage(1));
+    document.querySelectorAll('[data-export-format]').forEach((btn) => {
+      btn.addEventListener('click', () => handleExport(btn.dataset.exportFormat));
+    });
+  }
+
+  // Exports need a signed-in user with the hearings:export capability;
+  // the API reports a missing capability when the download is attempted
+  function showExportMenu() {
+    if (document.cookie.split('; ').some((c) => c.startsWith('loggedIn='))) {
+      document.getElementById('exportMenu').style.display = 'block';
+    }
+  }
+
+  async function handleExport(format) {
+    // Same filters and order as the results on screen, without pagination
+    const params = new URLSearchParams({
+      format,
+      sortBy: document.getElementById('sortBy').value,
+      sortOrder: document.getElementById('sortOrder').value,
+      includeRemoved: document.getElementById('showRemoved').checked,
+      ...currentFilters
+    });
+
+    document.getElementById('errorMessage').style.display = 'none';
+
+    try {
+      const response = await fetch(`${API_BASE}/hearings/export?${params}`, {
+        credentials: 'include'
+      });
+
+      if (!response.ok) {
+        const result = await response.json().catch(() => ({}));
+        showError('Download failed: ' + (result.message || result.error || response.statusText));
+        return;
+      }
+
+      const disposition = response.headers.get('Content-Disposition') || '';
+      const match = disposition.match(/filename="([^"]+)"/);
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = match ? match[1] : `hearings.${format}`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      showError('Network error: ' + error.message);
+    }
   }
 
   function handleSearch() {
@@ -133,6 +184,11 @@
     }
   }
 
+  function handleShowRemoved() {
+    currentPage = 0;
+    loadHearings();
+  }
+
   function handleClearDate() {
     document.getElementById('dateFilter').value = '';
     document.querySelectorAll('.quick-date').forEach((btn) => {
@@ -188,6 +244,10 @@
       offset,
       sortBy: document.getElementById('sortBy').value,
       sortOrder: document.getElementById('sortOrder').value,
+      // Removed hearings are hidden unless asked for, then shown struck through.
+      // A hearing superseded by another source's listing would otherwise
+      // appear twice.
+      includeRemoved: document.getElementById('showRemoved').checked,
       ...currentFilters
     });
 
@@ -236,10 +296,11 @@
     hearings.forEach((hearing) => {
       // Desktop table row
       const row = document.createElement('tr');
+      if (hearing.removedAt) row.className = 'hearing-removed';
       row.innerHTML = `
         <td class="hearing-datetime">${formatDateTime(hearing.hearingDateTime)}</td>
         <td class="venue">${escapeHtml(hearing.venue)}</td>
-        <td class="case-number">${escapeHtml(hearing.caseNumber)} ${sourceBadge(hearing)}</td>
+        <td class="case-number">${escapeHtml(hearing.caseNumber)} ${sourceBadge(hearing)} ${removedBadge(hearing)} ${restrictedBadge(hearing)}</td>
         <td class="case-details">${escapeHtml(hearing.caseDetails)}</td>
         <td class="hearing-type">${escapeHtml(hearing.hearingType)}</td>
         <td class="crown-court">${escapeHtml(hearing.crownCourt)}</td>
@@ -249,11 +310,11 @@
 
       // Mobile card
       const card = document.createElement('div');
-      card.className = 'card mb-3';
+      card.className = hearing.removedAt ? 'card mb-3 hearing-removed' : 'card mb-3';
       card.innerHTML = `
         <div class="card-body">
           <div class="d-flex justify-content-between align-items-start mb-2">
-            <h5 class="card-title h6 mb-0">${escapeHtml(hearing.caseNumber)} ${sourceBadge(hearing)}</h5>
+            <h5 class="card-title h6 mb-0">${escapeHtml(hearing.caseNumber)} ${sourceBadge(hearing)} ${removedBadge(hearing)} ${restrictedBadge(hearing)}</h5>
             <span class="badge bg-primary">${formatTime(hearing.hearingDateTime)}</span>
           </div>
           <p class="card-text text-muted small mb-2">${formatDate(hearing.hearingDateTime)}</p>
@@ -261,6 +322,7 @@
           <div class="row g-2 small text-muted">
             ${hearing.venue ? `<div class="col-6"><strong>Venue:</strong> ${escapeHtml(hearing.venue)}</div>` : ''}
             ${hearing.hearingType ? `<div class="col-6"><strong>Type:</strong> ${escapeHtml(hearing.hearingType)}</div>` : ''}
+            ${hearing.court ? `<div class="col-6"><strong>Court:</strong> ${escapeHtml(hearing.court)}</div>` : ''}
             ${hearing.crownCourt ? `<div class="col-6"><strong>Crown Court:</strong> ${escapeHtml(hearing.crownCourt)}</div>` : ''}
             ${hearing.judge ? `<div class="col-12"><strong>Judge:</strong> ${escapeHtml(hearing.judge)}</div>` : ''}
           </div>
@@ -319,6 +381,20 @@
     return `<span class="badge bg-secondary source-badge" title="${escapeHtml(hearing.dataSourceName)}">${abbr}</span>`;
   }
 
+  function removedBadge(hearing) {
+    if (!hearing.removedAt) return '';
+    const reason = hearing.removalReason || 'removed from list';
+    return `<span class="badge bg-warning text-dark removed-badge" title="${escapeHtml(reason)} (${formatDateTime(hearing.removedAt)})">Removed</span>`;
+  }
+
+  function restrictedBadge(hearing) {
+    if (!hearing.reportingRestricted) return '';
+    const title = hearing.reportingRestriction
+      ? `Reporting restriction: ${hearing.reportingRestriction}`
+      : 'Reporting restrictions apply';
+    return `<span class="badge bg-danger restricted-badge" title="${escapeHtml(title)}">&#9888; Restricted</span>`;
+  }
+
   function formatDateTime(isoString) {
     const date = new Date(isoString);
     return date.toLocaleString('en-GB', {
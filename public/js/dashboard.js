@@ -245,6 +245,9 @@ function displaySavedSearches(searches) {
           </div>
         </div>
         <div class="btn-group btn-group-sm" role="group">
+          <button class="btn btn-outline-secondary" data-search-action="calendar" data-search-id="${search.id}" title="Copy calendar feed URL">
+            <i class="bi bi-calendar-event"></i>
+          </button>
           <button class="btn btn-outline-secondary" data-search-action="toggle" data-search-id="${search.id}" data-enabled="${search.enabled}">
             <i class="bi bi-${search.enabled ? 'pause' : 'play'}-fill"></i>
           </button>
@@ -281,6 +284,8 @@ async function handleSearchAction(event) {
     await toggleSearch(searchId, !enabled);
   } else if (action === 'edit') {
     await editSearch(searchId);
+  } else if (action === 'calendar') {
+    await copyFeedUrl(searchId);
   }
 }
 
@@ -400,6 +405,46 @@ async function toggleSearch(id, enabled) {
   }
 }
 
+/**
+ * Copy a saved search's calendar feed URL to the clipboard
+ */
+async function copyFeedUrl(id) {
+  try {
+    const response = await fetch('/api/v1/feeds', {
+      credentials: 'include'
+    });
+
+    if (!response.ok) {
+      showAlert('searchesAlert', 'danger', 'Failed to get calendar feed URL');
+      return;
+    }
+
+    const data = await response.json();
+    const feed = (data.searches || []).find((search) => search.id === id);
+    if (!feed) {
+      showAlert('searchesAlert', 'danger', 'Failed to get calendar feed URL');
+      return;
+    }
+
+    try {
+      await navigator.clipboard.writeText(feed.url);
+    } catch {
+      // Clipboard unavailable (e.g. not served over HTTPS): let the user copy it
+      window.prompt('Calendar feed URL', feed.url);
+      return;
+    }
+
+    showAlert(
+      'searchesAlert',
+      'success',
+      'Calendar feed URL copied. Add it to your calendar app as a subscription. Keep it private: anyone with the URL can see the feed.'
+    );
+  } catch (error) {
+    console.error('Error getting calendar feed URL:', error);
+    showAlert('searchesAlert', 'danger', 'Error getting calendar feed URL. Please try again.');
+  }
+}
+
 /**
  * Delete a saved search
  */
@@ -3,12 +3,105 @@
  * User management endpoints for administrators
  */
 
+const { formatInTimeZone } = require('date-fns-tz');
 const User = require('../../models/User');
 const Role = require('../../models/Role');
 const { query } = require('../../config/database');
 const { clearCache } = require('../../services/data-source-service');
+const { reconcile } = require('../../services/reconciliation-service');
+const { getSchemaDriftHistory } = require('../../services/schema-drift-service');
+const {
+  listPendingSyncs,
+  approvePendingSync,
+  rejectPendingSync
+} = require('../../services/sync-guard-service');
+const { enqueueScrape, listJobs } = require('../../services/scrape-job-service');
+const { hasScraper } = require('../../scrapers/registry');
+const { summaryPageUrl } = require('../../scrapers/link-discovery');
+const { courtDay } = require('../../utils/court-calendar');
+const { parseCron, isValidTimezone } = require('../../utils/cron-schedule');
 const { requireAuth, requireCapability } = require('../middleware/auth');
 
+// Where a data source's lists are found (see migration 023)
+const DATA_SOURCE_LOCATION_FIELDS = {
+  court_id: { type: ['integer', 'null'], minimum: 1 },
+  location_id: { type: ['integer', 'null'], minimum: 1 },
+  list_title_pattern: { type: ['string', 'null'], minLength: 1, maxLength: 255 },
+  division: { type: 'string', enum: ['Criminal', 'Civil'] }
+};
+
+// When a data source is scraped (see migration 029)
+const DATA_SOURCE_SCHEDULE_FIELDS = {
+  scrape_cron: { type: ['string', 'null'], minLength: 1, maxLength: 100 },
+  scrape_timezone: { type: 'string', minLength: 1, maxLength: 64 },
+  closed_day_policy: { type: 'string', enum: ['scrape', 'thin', 'skip'] },
+  vacation_policy: { type: 'string', enum: ['scrape', 'thin', 'skip'] },
+  thinned_interval_minutes: { type: 'integer', minimum: 1 }
+};
+
+/**
+ * Check data source schedule settings that the schema can't
+ * @param {Object} fields - Request body
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateDataSourceSchedule(fields) {
+  if (fields.scrape_cron) {
+    try {
+      parseCron(fields.scrape_cron);
+    } catch (error) {
+      return `Invalid scrape_cron: ${error.message}`;
+    }
+  }
+  if (fields.scrape_timezone && !isValidTimezone(fields.scrape_timezone)) {
+    return `Invalid scrape_timezone: ${fields.scrape_timezone}`;
+  }
+  return null;
+}
+
+/**
+ * Check data source location settings that the schema can't
+ * @param {Object} fields - Request body
+ * @returns {Promise<string|null>} Error message, or null if valid
+ */
+async function validateDataSourceLocation(fields) {
+  if (fields.list_title_pattern) {
+    try {
+      new RegExp(fields.list_title_pattern, 'i');
+    } catch (error) {
+      return `Invalid list_title_pattern: ${error.message}`;
+    }
+  }
+  if (fields.court_id) {
+    const courts = await query('SELECT id FROM courts WHERE id = ?', [fields.court_id]);
+    if (courts.length === 0) {
+      return 'Court not found';
+    }
+  }
+  return null;
+}
+
+/**
+ * Reply to a failed pending sync review
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} reply - Fastify reply
+ * @param {Error} error - Error from the sync guard service
+ * @param {string} message - Message for unexpected errors
+ */
+function sendPendingSyncError(fastify, reply, error, message) {
+  if (error.statusCode === 404) {
+    return reply.code(404).send({ error: 'Not Found', message: error.message });
+  }
+  if (error.statusCode === 409) {
+    return reply.code(409).send({ error: 'Conflict', message: error.message });
+  }
+
+  fastify.log.error({ error }, message);
+  return reply.code(500).send({
+    error: 'Internal Server Error',
+    message
+  });
+}
+
 async function adminRoutes(fastify, _options) {
   /**
    * GET /api/v1/admin/users
@@ -433,6 +526,59 @@ async function adminRoutes(fastify, _options) {
 
   // ─── Data Source Management ─────────────────────────────────────────
 
+  /**
+   * POST /api/v1/admin/courts
+   * Add a court, for data sources to record their hearings against
+   */
+  fastify.post(
+    '/courts',
+    {
+      preHandler: [requireAuth, requireCapability('scraper:configure')],
+      schema: {
+        tags: ['Admin'],
+        description: 'Add a court',
+        body: {
+          type: 'object',
+          required: ['slug', 'name'],
+          properties: {
+            slug: { type: 'string', pattern: '^[a-z0-9-]+$', maxLength: 100 },
+            name: { type: 'string', minLength: 1, maxLength: 255 },
+            location_id: { type: ['integer', 'null'], minimum: 1 }
+          }
+        }
+      }
+    },
+    async (request, reply) => {
+      try {
+        const { slug, name, location_id: locationId = null } = request.body;
+
+        const existing = await query('SELECT id FROM courts WHERE slug = ?', [slug]);
+        if (existing.length > 0) {
+          return reply.code(409).send({
+            error: 'Conflict',
+            message: `Court "${slug}" already exists`
+          });
+        }
+
+        const result = await query(
+          'INSERT INTO courts (slug, name, location_id) VALUES (?, ?, ?)',
+          [slug, name, locationId]
+        );
+
+        return reply.code(201).send({
+          success: true,
+          court: { id: result.insertId, slug, name, location_id: locationId }
+        });
+      } catch (error) {
+        fastify.log.error({ error }, 'Create court error');
+        return reply.code(500).send({
+          error: 'Internal Server Error',
+          message: 'Failed to create court'
+        });
+      }
+    }
+  );
+
   /**
    * GET /api/v1/admin/data-sources
    * List all data sources with last scrape info
@@ -457,8 +603,10 @@ async function adminRoutes(fastify, _options) {
             sh.records_added AS last_scrape_added,
             sh.records_updated AS last_scrape_updated,
             sh.records_deleted AS last_scrape_deleted,
-            sh.error_message AS last_scrape_error
+            sh.error_message AS last_scrape_error,
+            ct.name AS court_name
           FROM data_sources ds
+          LEFT JOIN courts ct ON ct.id = ds.court_id
           LEFT JOIN scrape_history sh ON sh.id = (
             SELECT id FROM scrape_history
             WHERE data_source_id = ds.id
@@ -468,7 +616,15 @@ async function adminRoutes(fastify, _options) {
           ORDER BY ds.id`
         );
 
-        return reply.send({ sources });
+        // Today in the court calendar, as each source's schedule sees it
+        const now = new Date();
+        return reply.send({
+          sources: sources.map((s) => ({
+            ...s,
+            has_scraper: hasScraper(s),
+            court_day: courtDay(formatInTimeZone(now, s.scrape_timezone, 'yyyy-MM-dd'))
+          }))
+        });
       } catch (error) {
         fastify.log.error({ error }, 'List data sources error');
         return reply.code(500).send({
@@ -479,6 +635,91 @@ async function adminRoutes(fastify, _options) {
     }
   );
 
+  /**
+   * POST /api/v1/admin/data-sources
+   * Add a data source for a court list on the Court and Tribunal Hearings service
+   */
+  fastify.post(
+    '/data-sources',
+    {
+      preHandler: [requireAuth, requireCapability('scraper:configure')],
+      schema: {
+        tags: ['Admin'],
+        description:
+          'Add a data source scraped from a Court and Tribunal Hearings service summary page. New sources start disabled.',
+        body: {
+          type: 'object',
+          required: ['slug', 'display_name', 'court_id', 'location_id', 'list_title_pattern'],
+          properties: {
+            slug: { type: 'string', pattern: '^[a-z0-9_]+$', maxLength: 50 },
+            display_name: { type: 'string', minLength: 1, maxLength: 100 },
+            scrape_interval_minutes: { type: 'integer', minimum: 1, default: 120 },
+            scrape_window_start_hour: { type: 'integer', minimum: 0, maximum: 24, default: 8 },
+            scrape_window_end_hour: { type: 'integer', minimum: 0, maximum: 24, default: 18 },
+            ...DATA_SOURCE_LOCATION_FIELDS
+          }
+        }
+      }
+    },
+    async (request, reply) => {
+      try {
+        const fields = request.body;
+
+        const invalid = await validateDataSourceLocation(fields);
+        if (invalid) {
+          return reply.code(400).send({ error: 'Bad Request', message: invalid });
+        }
+
+        const existing = await query('SELECT id FROM data_sources WHERE slug = ?', [fields.slug]);
+        if (existing.length > 0) {
+          return reply.code(409).send({
+            error: 'Conflict',
+            message: `Data source "${fields.slug}" already exists`
+          });
+        }
+
+        const result = await query(
+          `INSERT INTO data_sources
+            (slug, display_name, base_url, court_id, location_id, list_title_pattern, division,
+             scrape_interval_minutes, scrape_window_start_hour, scrape_window_end_hour,
+             enabled, show_by_default)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 0, 0)`,
+          [
+            fields.slug,
+            fields.display_name,
+            summaryPageUrl(fields.location_id),
+            fields.court_id,
+            fields.location_id,
+            fields.list_title_pattern,
+            fields.division || 'Criminal',
+            fields.scrape_interval_minutes,
+            fields.scrape_window_start_hour,
+            fields.scrape_window_end_hour
+          ]
+        );
+
+        clearCache();
+
+        fastify.log.info(
+          { dataSourceId: result.insertId, source: fields.slug, createdBy: request.user.id },
+          'Data source created'
+        );
+
+        const rows = await query('SELECT * FROM data_sources WHERE id = ?', [result.insertId]);
+        return reply.code(201).send({
+          success: true,
+          source: rows[0]
+        });
+      } catch (error) {
+        fastify.log.error({ error }, 'Create data source error');
+        return reply.code(500).send({
+          error: 'Internal Server Error',
+          message: 'Failed to create data source'
+        });
+      }
+    }
+  );
+
   /**
    * PATCH /api/v1/admin/data-sources/:id
    * Update data source settings
@@ -504,7 +745,13 @@ async function adminRoutes(fastify, _options) {
             show_by_default: { type: 'boolean' },
             scrape_interval_minutes: { type: 'integer', minimum: 1 },
             scrape_window_start_hour: { type: 'integer', minimum: 0, maximum: 24 },
-            scrape_window_end_hour: { type: 'integer', minimum: 0, maximum: 24 }
+            scrape_window_end_hour: { type: 'integer', minimum: 0, maximum: 24 },
+            // Sync guard thresholds (see migration 026); null disables a check
+            sync_guard_min_rows: { type: ['integer', 'null'], minimum: 0 },
+            sync_max_delete_percent: { type: ['integer', 'null'], minimum: 0, maximum: 100 },
+            sync_min_new_rows: { type: ['integer', 'null'], minimum: 0 },
+            ...DATA_SOURCE_SCHEDULE_FIELDS,
+            ...DATA_SOURCE_LOCATION_FIELDS
           }
         }
       }
@@ -514,13 +761,31 @@ async function adminRoutes(fastify, _options) {
         const { id } = request.params;
         const updates = request.body;
 
+        const invalid =
+          validateDataSourceSchedule(updates) || (await validateDataSourceLocation(updates));
+        if (invalid) {
+          return reply.code(400).send({ error: 'Bad Request', message: invalid });
+        }
+
         // Build SET clause from provided fields
         const allowedFields = [
           'enabled',
           'show_by_default',
           'scrape_interval_minutes',
           'scrape_window_start_hour',
-          'scrape_window_end_hour'
+          'scrape_window_end_hour',
+          'scrape_cron',
+          'scrape_timezone',
+          'closed_day_policy',
+          'vacation_policy',
+          'thinned_interval_minutes',
+          'sync_guard_min_rows',
+          'sync_max_delete_percent',
+          'sync_min_new_rows',
+          'court_id',
+          'location_id',
+          'list_title_pattern',
+          'division'
         ];
         const setClauses = [];
         const params = [];
@@ -589,13 +854,20 @@ async function adminRoutes(fastify, _options) {
       preHandler: [requireAuth, requireCapability('scraper:trigger')],
       schema: {
         tags: ['Admin'],
-        description: 'Trigger a manual scrape for a data source',
+        description:
+          'Queue a manual scrape for a data source, returning its scrape job (or the job already queued for the source). With dryRun=true, runs the scrape immediately and returns the changes its syncs would make, without writing anything',
         params: {
           type: 'object',
           required: ['id'],
           properties: {
             id: { type: 'integer' }
           }
+        },
+        querystring: {
+          type: 'object',
+          properties: {
+            dryRun: { type: 'boolean', default: false }
+          }
         }
       }
     },
@@ -613,35 +885,312 @@ async function adminRoutes(fastify, _options) {
 
         const source = rows[0];
 
-        // Only sources with implemented scrapers can be triggered
-        const implementedSources = ['daily_cause_list', 'future_hearing_list'];
-        if (!implementedSources.includes(source.slug)) {
+        // Only sources with a registered scraper can be triggered
+        if (!hasScraper(source)) {
           return reply.code(400).send({
             error: 'Bad Request',
             message: `Scraper not yet implemented for "${source.display_name}". This source will become available once its scraper is built.`
           });
         }
 
+        const { dryRun } = request.query;
+
         fastify.log.info(
-          { dataSourceId: id, source: source.slug, triggeredBy: request.user.id },
+          { dataSourceId: id, source: source.slug, dryRun, triggeredBy: request.user.id },
           'Manual scrape triggered'
         );
 
-        // Run scrape in the background so the request returns immediately
-        const { scrapeAll } = require('../../services/scraper-service');
-        scrapeAll('manual', source).catch((error) => {
-          fastify.log.error({ dataSourceId: id, error: error.message }, 'Manual scrape failed');
+        // A dry run writes nothing, so its result is the point: wait for it
+        if (dryRun) {
+          const { scrapeAll } = require('../../services/scraper-service');
+          const result = await scrapeAll('manual', source, { dryRun: true });
+          return reply.send({
+            success: true,
+            dryRun: true,
+            result
+          });
+        }
+
+        // The scrape worker runs the job, so the request returns immediately
+        const { job, created } = await enqueueScrape(source, 'manual', {
+          requestedBy: request.user.id
         });
 
         return reply.send({
           success: true,
-          message: `Scrape triggered for "${source.display_name}". Refresh to see results.`
+          created,
+          job,
+          message: created
+            ? `Scrape queued for "${source.display_name}" (job #${job.id}). Refresh to see results.`
+            : `A scrape of "${source.display_name}" is already queued (job #${job.id}).`
         });
       } catch (error) {
         fastify.log.error({ error }, 'Trigger scrape error');
         return reply.code(500).send({
           error: 'Internal Server Error',
-          message: 'Failed to trigger scrape'
+          message: request.query.dryRun
+            ? `Dry run failed: ${error.message}`
+            : 'Failed to trigger scrape'
+        });
+      }
+    }
+  );
+
+  // ─── Scrape Jobs ─────────────────────────────────────────────────
+
+  /**
+   * GET /api/v1/admin/scrape-jobs
+   * Queued, running and finished scrape jobs
+   */
+  fastify.get(
+    '/scrape-jobs',
+    {
+      preHandler: [requireAuth, requireCapability('scraper:logs')],
+      schema: {
+        tags: ['Admin'],
+        description: 'Scrape jobs in the queue and recently finished, newest first',
+        querystring: {
+          type: 'object',
+          properties: {
+            status: {
+              type: 'string',
+              enum: ['queued', 'running', 'succeeded', 'failed', 'dead']
+            },
+            dataSourceId: { type: 'integer', minimum: 1 },
+            limit: { type: 'integer', minimum: 1, maximum: 500, default: 50 }
+          }
+        }
+      }
+    },
+    async (request, reply) => {
+      try {
+        const { status, dataSourceId, limit } = request.query;
+        const jobs = await listJobs({ status, dataSourceId, limit });
+
+        return reply.send({
+          success: true,
+          jobs
+        });
+      } catch (error) {
+        fastify.log.error({ error }, 'List scrape jobs error');
+        return reply.code(500).send({
+          error: 'Internal Server Error',
+          message: 'Failed to list scrape jobs'
+        });
+      }
+    }
+  );
+
+  // ─── Pending Syncs ───────────────────────────────────────────────
+
+  /**
+   * GET /api/v1/admin/pending-syncs
+   * Syncs quarantined by the sync guard
+   */
+  fastify.get(
+    '/pending-syncs',
+    {
+      preHandler: [requireAuth, requireCapability('scraper:logs')],
+      schema: {
+        tags: ['Admin'],
+        description:
+          'Syncs held back by their data source sync guard thresholds, newest first (default: awaiting review)',
+        querystring: {
+          type: 'object',
+          properties: {
+            status: {
+              type: 'string',
+              enum: ['pending', 'approved', 'rejected', 'superseded'],
+              default: 'pending'
+            },
+            dataSourceId: { type: 'integer', minimum: 1 },
+            limit: { type: 'integer', minimum: 1, maximum: 500, default: 50 }
+          }
+        }
+      }
+    },
+    async (request, reply) => {
+      try {
+        const { status, dataSourceId, limit } = request.query;
+        const pendingSyncs = await listPendingSyncs({ status, dataSourceId, limit });
+
+        return reply.send({
+          success: true,
+          pendingSyncs
+        });
+      } catch (error) {
+        fastify.log.error({ error }, 'List pending syncs error');
+        return reply.code(500).send({
+          error: 'Internal Server Error',
+          message: 'Failed to list pending syncs'
+        });
+      }
+    }
+  );
+
+  /**
+   * POST /api/v1/admin/pending-syncs/:id/approve
+   * Apply a quarantined sync as it was scraped
+   */
+  fastify.post(
+    '/pending-syncs/:id/approve',
+    {
+      preHandler: [requireAuth, requireCapability('scraper:configure')],
+      schema: {
+        tags: ['Admin'],
+        description: 'Approve a quarantined sync, applying it to the archive',
+        params: {
+          type: 'object',
+          required: ['id'],
+          properties: {
+            id: { type: 'integer' }
+          }
+        }
+      }
+    },
+    async (request, reply) => {
+      try {
+        const { id } = request.params;
+        const result = await approvePendingSync(id, request.user.id);
+
+        fastify.log.info(
+          { pendingSyncId: id, approvedBy: request.user.id },
+          'Pending sync approved'
+        );
+
+        return reply.send({
+          success: true,
+          result
+        });
+      } catch (error) {
+        return sendPendingSyncError(fastify, reply, error, 'Failed to approve pending sync');
+      }
+    }
+  );
+
+  /**
+   * POST /api/v1/admin/pending-syncs/:id/reject
+   * Discard a quarantined sync
+   */
+  fastify.post(
+    '/pending-syncs/:id/reject',
+    {
+      preHandler: [requireAuth, requireCapability('scraper:configure')],
+      schema: {
+        tags: ['Admin'],
+        description: 'Reject a quarantined sync, leaving the archive unchanged',
+        params: {
+          type: 'object',
+          required: ['id'],
+          properties: {
+            id: { type: 'integer' }
+          }
+        }
+      }
+    },
+    async (request, reply) => {
+      try {
+        const { id } = request.params;
+        await rejectPendingSync(id, request.user.id);
+
+        fastify.log.info(
+          { pendingSyncId: id, rejectedBy: request.user.id },
+          'Pending sync rejected'
+        );
+
+        return reply.send({
+          success: true
+        });
+      } catch (error) {
+        return sendPendingSyncError(fastify, reply, error, 'Failed to reject pending sync');
+      }
+    }
+  );
+
+  // ─── Reports ─────────────────────────────────────────────────────
+
+  /**
+   * GET /api/v1/admin/reports/reconcile
+   * Reconcile FHL fixtures against DCL listings
+   */
+  fastify.get(
+    '/reports/reconcile',
+    {
+      preHandler: [requireAuth, requireCapability('scraper:logs')],
+      schema: {
+        tags: ['Admin'],
+        description:
+          'Reconcile Future Hearing List fixtures against Daily Cause List appearances (default: last 30 days)',
+        querystring: {
+          type: 'object',
+          properties: {
+            dateFrom: { type: 'string', format: 'date' },
+            dateTo: { type: 'string', format: 'date' }
+          }
+        }
+      }
+    },
+    async (request, reply) => {
+      try {
+        const { dateFrom, dateTo } = request.query;
+        const report = await reconcile({ from: dateFrom, to: dateTo });
+
+        return reply.send({
+          success: true,
+          report
+        });
+      } catch (error) {
+        if (error.statusCode === 400) {
+          return reply.code(400).send({
+            error: 'Bad Request',
+            message: error.message
+          });
+        }
+
+        fastify.log.error({ error }, 'Reconciliation report error');
+        return reply.code(500).send({
+          error: 'Internal Server Error',
+          message: 'Failed to build reconciliation report'
+        });
+      }
+    }
+  );
+
+  /**
+   * GET /api/v1/admin/reports/schema-drift
+   * Scrapes whose upstream table headers changed from the previous scrape
+   */
+  fastify.get(
+    '/reports/schema-drift',
+    {
+      preHandler: [requireAuth, requireCapability('scraper:logs')],
+      schema: {
+        tags: ['Admin'],
+        description:
+          'Schema drift history: scrapes whose table headers differed from the previous scrape of their source, newest first',
+        querystring: {
+          type: 'object',
+          properties: {
+            dataSourceId: { type: 'integer', minimum: 1 },
+            limit: { type: 'integer', minimum: 1, maximum: 500, default: 50 }
+          }
+        }
+      }
+    },
+    async (request, reply) => {
+      try {
+        const { dataSourceId, limit } = request.query;
+        const events = await getSchemaDriftHistory({ dataSourceId, limit });
+
+        return reply.send({
+          success: true,
+          events
+        });
+      } catch (error) {
+        fastify.log.error({ error }, 'Schema drift history error');
+        return reply.code(500).send({
+          error: 'Internal Server Error',
+          message: 'Failed to load schema drift history'
         });
       }
     }
@@ -0,0 +1,116 @@
+const Case = require('../../models/Case');
+const {
+  canViewRestricted,
+  applyReportingRestrictions
+} = require('../../services/reporting-restriction-service');
+const { optionalAuth } = require('../middleware/auth');
+
+// Sources whose hearings are actual listings rather than fixtures
+const DAILY_LIST_SOURCES = ['daily_cause_list', 'civil_daily_cause_list'];
+
+/**
+ * Format a hearing row for the case timeline
+ * @param {Object} h - Hearing row with data_source_slug/data_source_name
+ * @returns {Object}
+ */
+function formatTimelineHearing(h) {
+  return {
+    id: h.id,
+    listDate: h.list_date,
+    caseNumber: h.case_number,
+    time: h.time,
+    hearingDateTime: h.hearing_datetime,
+    venue: h.venue,
+    judge: h.judge,
+    caseDetails: h.case_details,
+    hearingType: h.hearing_type,
+    additionalInformation: h.additional_information,
+    crownCourt: h.crown_court,
+    reportingRestriction: h.reporting_restriction,
+    reportingRestricted: Boolean(h.reporting_restricted),
+    division: h.division,
+    dataSource: h.data_source_slug,
+    dataSourceName: h.data_source_name,
+    sourceUrl: h.source_url,
+    scrapedAt: h.scraped_at,
+    removedAt: h.removed_at,
+    removalReason: h.removal_reason
+  };
+}
+
+/**
+ * Most recent non-empty value of a column across a case's hearings,
+ * preferring hearings that are still listed
+ * @param {Array<Object>} hearings - Hearing rows, oldest first
+ * @param {string} column - Column name
+ * @returns {string|null}
+ */
+function latestValue(hearings, column) {
+  const live = hearings.filter((h) => !h.removed_at);
+  for (const set of [live, hearings]) {
+    for (let i = set.length - 1; i >= 0; i--) {
+      if (set[i][column]) return set[i][column];
+    }
+  }
+  return null;
+}
+
+async function casesRoutes(fastify, _options) {
+  // GET /api/v1/cases/:caseNumber
+  fastify.get(
+    '/cases/:caseNumber',
+    {
+      preHandler: optionalAuth,
+      schema: {
+        tags: ['Cases'],
+        description:
+          'Get a case and its full timeline across all data sources (spacing and letter case of the CAO reference are ignored)',
+        params: {
+          type: 'object',
+          properties: {
+            caseNumber: { type: 'string', minLength: 1, maxLength: 50 }
+          },
+          required: ['caseNumber']
+        }
+      }
+    },
+    async (request, reply) => {
+      const caseRow = await Case.findByReference(request.params.caseNumber);
+
+      if (!caseRow) {
+        reply.code(404);
+        return {
+          success: false,
+          error: 'Case not found'
+        };
+      }
+
+      const hearings = applyReportingRestrictions(
+        await Case.getHearings(caseRow.id),
+        await canViewRestricted(request.user)
+      );
+      const timeline = hearings.map(formatTimelineHearing);
+
+      return {
+        success: true,
+        data: {
+          caseNumber: caseRow.display_reference,
+          caseReference: caseRow.case_reference,
+          year: caseRow.year,
+          sequence: caseRow.sequence,
+          suffix: caseRow.suffix,
+          crownCourt: latestValue(hearings, 'crown_court'),
+          reportingRestriction: latestValue(hearings, 'reporting_restriction'),
+          reportingRestricted: hearings.some((h) => h.reporting_restricted),
+          firstListed: hearings.length > 0 ? hearings[0].list_date : null,
+          lastListed: hearings.length > 0 ? hearings[hearings.length - 1].list_date : null,
+          fixtures: timeline.filter((h) => h.dataSource === 'future_hearing_list'),
+          appearances: timeline.filter((h) => DAILY_LIST_SOURCES.includes(h.dataSource)),
+          timeline
+        }
+      };
+    }
+  );
+}
+
+module.exports = casesRoutes;
@@ -42,4 +42,21 @@ module.exports = async function (fastify) {
       return { sources };
     }
   );
+
+  // Get courts with hearings (public — for the court filter)
+  fastify.get(
+    '/courts',
+    {
+      schema: {
+        description: 'Get list of courts covered by a data source',
+        tags: ['System']
+      }
+    },
+    async () => {
+      const courts = await query(
+        'SELECT id, slug, name FROM courts WHERE id IN (SELECT court_id FROM data_sources) ORDER BY name'
+      );
+      return { courts };
+    }
+  );
 };
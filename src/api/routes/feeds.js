@@ -0,0 +1,257 @@
+/**
+ * Feed API Routes
+ * Signed iCalendar feeds of saved searches and cases, the endpoints that
+ * hand out their URLs, and the public Atom feed of new hearings
+ */
+
+const FeedService = require('../../services/feed-service');
+const { HEARING_FILTERS } = require('../../utils/hearing-query');
+const { requireAuth } = require('../middleware/auth');
+
+const CASE_NUMBER_PARAMS = {
+  type: 'object',
+  required: ['caseNumber'],
+  properties: {
+    caseNumber: { type: 'string', minLength: 1, maxLength: 50 }
+  }
+};
+
+const TOKEN_QUERYSTRING = {
+  type: 'object',
+  required: ['token'],
+  properties: {
+    token: { type: 'string', maxLength: 100 }
+  }
+};
+
+/**
+ * Send a calendar
+ * @param {FastifyReply} reply
+ * @param {string} filename - Download filename
+ * @param {string} calendar - iCalendar text
+ */
+function sendCalendar(reply, filename, calendar) {
+  return reply
+    .header('Content-Type', 'text/calendar; charset=utf-8')
+    .header('Content-Disposition', `inline; filename="${filename}"`)
+    .header('Cache-Control', 'private, max-age=300')
+    .send(calendar);
+}
+
+/**
+ * Reply 401 for a missing, revoked or mismatched feed token
+ * @param {FastifyReply} reply
+ */
+function invalidToken(reply) {
+  return reply.code(401).send({
+    error: 'Unauthorized',
+    message: 'Invalid feed token'
+  });
+}
+
+/**
+ * Whether an If-None-Match header matches an ETag (weak comparison)
+ * @param {string} header - If-None-Match header value
+ * @param {string} etag - Current ETag
+ * @returns {boolean}
+ */
+function etagMatches(header, etag) {
+  if (!header) return false;
+  if (header.trim() === '*') return true;
+  return header.split(',').some((tag) => tag.trim().replace(/^W\//, '') === etag);
+}
+
+/**
+ * Register feed routes
+ * @param {FastifyInstance} fastify
+ * @param {Object} options
+ */
+async function feedRoutes(fastify, _options) {
+  /**
+   * GET /api/v1/feeds
+   * Feed URLs for the authenticated user's saved searches
+   */
+  fastify.get(
+    '/feeds',
+    {
+      preHandler: requireAuth,
+      schema: {
+        tags: ['Feeds'],
+        summary: 'List saved search feed URLs',
+        description: 'Get a signed iCalendar feed URL for each of your saved searches'
+      }
+    },
+    async (request, reply) => {
+      try {
+        const searches = await FeedService.getSearchFeedUrls(request.user.id);
+        return reply.send({ searches });
+      } catch (error) {
+        request.log.error(error);
+        return reply.status(500).send({
+          error: 'Failed to fetch feed URLs'
+        });
+      }
+    }
+  );
+
+  /**
+   * GET /api/v1/feeds/cases/:caseNumber
+   * Feed URL for a case
+   */
+  fastify.get(
+    '/feeds/cases/:caseNumber',
+    {
+      preHandler: requireAuth,
+      schema: {
+        tags: ['Feeds'],
+        summary: 'Get case feed URL',
+        description: "Get a signed iCalendar feed URL for a case's hearings",
+        params: CASE_NUMBER_PARAMS
+      }
+    },
+    async (request, reply) => {
+      try {
+        const { caseNumber } = request.params;
+        const url = await FeedService.getCaseFeedUrl(request.user.id, caseNumber);
+        return reply.send({ caseNumber, url });
+      } catch (error) {
+        request.log.error(error);
+        return reply.status(500).send({
+          error: 'Failed to fetch feed URL'
+        });
+      }
+    }
+  );
+
+  /**
+   * POST /api/v1/feeds/reset
+   * Revoke every feed URL issued to the authenticated user
+   */
+  fastify.post(
+    '/feeds/reset',
+    {
+      preHandler: requireAuth,
+      schema: {
+        tags: ['Feeds'],
+        summary: 'Reset feed URLs',
+        description:
+          'Revoke all of your feed URLs and return new saved search feed URLs. Case feed URLs must be fetched again.'
+      }
+    },
+    async (request, reply) => {
+      try {
+        await FeedService.resetFeedKey(request.user.id);
+        const searches = await FeedService.getSearchFeedUrls(request.user.id);
+        return reply.send({ searches });
+      } catch (error) {
+        request.log.error(error);
+        return reply.status(500).send({
+          error: 'Failed to reset feed URLs'
+        });
+      }
+    }
+  );
+
+  /**
+   * GET /api/v1/feeds/hearings.atom
+   * Atom feed of newly listed hearings (public)
+   */
+  fastify.get(
+    '/feeds/hearings.atom',
+    {
+      schema: {
+        tags: ['Feeds'],
+        summary: 'New hearings feed',
+        description:
+          'Atom feed of the 100 most recently listed hearings, newest first. Supports If-None-Match.',
+        querystring: {
+          type: 'object',
+          properties: {
+            search: HEARING_FILTERS.search,
+            dataSource: HEARING_FILTERS.dataSource,
+            division: HEARING_FILTERS.division
+          }
+        }
+      }
+    },
+    async (request, reply) => {
+      const { xml, etag } = await FeedService.buildHearingsAtom(request.query);
+
+      reply.header('ETag', etag).header('Cache-Control', 'public, max-age=300');
+
+      if (etagMatches(request.headers['if-none-match'], etag)) {
+        return reply.code(304).send();
+      }
+
+      return reply.header('Content-Type', 'application/atom+xml; charset=utf-8').send(xml);
+    }
+  );
+
+  /**
+   * GET /api/v1/feeds/searches/:id.ics
+   * Hearings matching a saved search, as iCalendar (token auth)
+   */
+  fastify.get(
+    '/feeds/searches/:id.ics',
+    {
+      schema: {
+        tags: ['Feeds'],
+        summary: 'Saved search calendar',
+        description:
+          'iCalendar feed of hearings matching a saved search, from 90 days ago onwards. Authenticated by the signed token in the feed URL.',
+        params: {
+          type: 'object',
+          required: ['id'],
+          properties: {
+            id: { type: 'integer' }
+          }
+        },
+        querystring: TOKEN_QUERYSTRING
+      }
+    },
+    async (request, reply) => {
+      const { id } = request.params;
+      const user = await FeedService.verifyFeedToken(
+        request.query.token,
+        FeedService.searchFeedPath(id)
+      );
+      if (!user) return invalidToken(reply);
+
+      const calendar = await FeedService.buildSearchCalendar(user, id);
+      if (!calendar) {
+        return reply.status(404).send({ error: 'Saved search not found' });
+      }
+
+      return sendCalendar(reply, `search-${id}.ics`, calendar);
+    }
+  );
+
+  /**
+   * GET /api/v1/feeds/cases/:caseNumber.ics
+   * A case's hearings, as iCalendar (token auth)
+   */
+  fastify.get(
+    '/feeds/cases/:caseNumber.ics',
+    {
+      schema: {
+        tags: ['Feeds'],
+        summary: 'Case calendar',
+        description:
+          "iCalendar feed of a case's hearings, from 90 days ago onwards. Authenticated by the signed token in the feed URL.",
+        params: CASE_NUMBER_PARAMS,
+        querystring: TOKEN_QUERYSTRING
+      }
+    },
+    async (request, reply) => {
+      const { caseNumber } = request.params;
+      const feedPath = FeedService.caseFeedPath(caseNumber);
+      const user = await FeedService.verifyFeedToken(request.query.token, feedPath);
+      if (!user) return invalidToken(reply);
+
+      const calendar = await FeedService.buildCaseCalendar(user, caseNumber);
+      return sendCalendar(reply, `case-${feedPath.slice('cases/'.length)}.ics`, calendar);
+    }
+  );
+}
+
+module.exports = feedRoutes;
@@ -1,10 +1,29 @@
+const { formatInTimeZone } = require('date-fns-tz');
 const { query } = require('../../config/database');
+const { getHearingHistory } = require('../../services/revision-service');
+const {
+  canViewRestricted,
+  applyReportingRestrictions,
+  redactHearing,
+  redactSnapshot
+} = require('../../services/reporting-restriction-service');
+const {
+  HEARING_FILTERS,
+  HEARING_SELECT,
+  buildHearingFilter,
+  buildHearingOrder,
+  formatEnrichedFields,
+  formatHearing
+} = require('../../utils/hearing-query');
+const { EXPORT_FORMATS, exportHearings } = require('../../services/export-service');
+const { optionalAuth, requireAuth, requireCapability } = require('../middleware/auth');
 
 async function hearingsRoutes(fastify, _options) {
   // GET /api/v1/hearings
   fastify.get(
     '/hearings',
     {
+      preHandler: optionalAuth,
       schema: {
         tags: ['Hearings'],
         description: 'Get list of hearings with filtering and pagination',
@@ -13,19 +32,7 @@ async function hearingsRoutes(fastify, _options) {
           properties: {
             limit: { type: 'integer', minimum: 1, maximum: 100, default: 50 },
             offset: { type: 'integer', minimum: 0, default: 0 },
-            date: { type: 'string', format: 'date' },
-            dateFrom: { type: 'string', format: 'date' },
-            dateTo: { type: 'string', format: 'date' },
-            caseNumber: { type: 'string' },
-            search: { type: 'string' },
-            division: { type: 'string' },
-            dataSource: { type: 'string' },
-            sortBy: {
-              type: 'string',
-              enum: ['hearing_datetime', 'case_number', 'created_at'],
-              default: 'hearing_datetime'
-            },
-            sortOrder: { type: 'string', enum: ['asc', 'desc'], default: 'desc' }
+            ...HEARING_FILTERS
           }
         },
         response: {
@@ -48,11 +55,21 @@ async function hearingsRoutes(fastify, _options) {
                     caseDetails: { type: 'string' },
                     hearingType: { type: 'string' },
                     additionalInformation: { type: 'string' },
+                    partyNames: { type: 'array', items: { type: 'string' } },
+                    agReference: { type: ['string', 'null'] },
+                    appealType: { type: ['string', 'null'] },
+                    applicationTypes: { type: 'array', items: { type: 'string' } },
+                    handDown: { type: 'boolean' },
                     crownCourt: { type: 'string' },
+                    reportingRestriction: { type: ['string', 'null'] },
+                    reportingRestricted: { type: 'boolean' },
                     division: { type: 'string' },
+                    court: { type: ['string', 'null'] },
                     dataSourceName: { type: 'string' },
                     sourceUrl: { type: 'string' },
-                    scrapedAt: { type: 'string' }
+                    scrapedAt: { type: 'string' },
+                    removedAt: { type: ['string', 'null'] },
+                    removalReason: { type: ['string', 'null'] }
                   }
                 }
               },
@@ -70,118 +87,31 @@ async function hearingsRoutes(fastify, _options) {
       }
     },
     async (request, _reply) => {
-      const {
-        limit = 50,
-        offset = 0,
-        date,
-        dateFrom,
-        dateTo,
-        caseNumber,
-        search,
-        division,
-        dataSource,
-        sortBy = 'hearing_datetime',
-        sortOrder = 'desc'
-      } = request.query;
-
-      // Build query
-      let sql = `SELECT h.*, ds.display_name AS data_source_name
-        FROM hearings h
-        JOIN data_sources ds ON ds.id = h.data_source_id
-        WHERE 1=1`;
-      const params = [];
-
-      if (date) {
-        sql += ' AND h.list_date = ?';
-        params.push(date);
-      }
-
-      if (dateFrom) {
-        sql += ' AND h.list_date >= ?';
-        params.push(dateFrom);
-      }
-
-      if (dateTo) {
-        sql += ' AND h.list_date <= ?';
-        params.push(dateTo);
-      }
-
-      if (caseNumber) {
-        sql += ' AND h.case_number = ?';
-        params.push(caseNumber);
-      }
-
-      if (division) {
-        sql += ' AND h.division = ?';
-        params.push(division);
-      }
-
-      if (dataSource) {
-        if (dataSource === 'none') {
-          sql += ' AND 1=0';
-        } else {
-          const sourceIds = dataSource
-            .split(',')
-            .map(Number)
-            .filter((n) => n > 0);
-          if (sourceIds.length === 1) {
-            sql += ' AND h.data_source_id = ?';
-            params.push(sourceIds[0]);
-          } else if (sourceIds.length > 1) {
-            sql += ` AND h.data_source_id IN (${sourceIds.map(() => '?').join(',')})`;
-            params.push(...sourceIds);
-          }
-        }
-      }
-
-      if (search) {
-        sql +=
-          ' AND (MATCH(h.case_details, h.hearing_type, h.additional_information, h.judge, h.venue) AGAINST(? IN NATURAL LANGUAGE MODE) OR h.case_number LIKE ?)';
-        params.push(search, `%${search}%`);
-      }
+      const { limit = 50, offset = 0 } = request.query;
+      const canView = await canViewRestricted(request.user);
+      const { where, params } = buildHearingFilter(request.query, canView);
 
       // Get total count
-      const countSql = sql.replace(/SELECT h\.\*.*?FROM/s, 'SELECT COUNT(*) as total FROM');
-      const countResult = await query(countSql, params);
+      const countResult = await query(
+        `SELECT COUNT(*) as total
+         FROM hearings h
+         JOIN data_sources ds ON ds.id = h.data_source_id
+         ${where}`,
+        params
+      );
       const total = countResult[0].total;
 
-      // Add sorting and pagination (whitelist to prevent SQL injection)
-      const allowedSortColumns = {
-        hearing_datetime: 'h.hearing_datetime',
-        case_number: 'h.case_number',
-        created_at: 'h.created_at'
-      };
-      const allowedSortOrders = { asc: 'ASC', desc: 'DESC' };
-      const safeSort = allowedSortColumns[sortBy] || 'h.hearing_datetime';
-      const safeOrder = allowedSortOrders[sortOrder] || 'DESC';
-      sql += ` ORDER BY ${safeSort} ${safeOrder}`;
-      sql += ' LIMIT ? OFFSET ?';
-      params.push(limit, offset);
-
-      const hearings = await query(sql, params);
-
-      // Format response
-      const formattedHearings = hearings.map((h) => ({
-        id: h.id,
-        listDate: h.list_date,
-        caseNumber: h.case_number,
-        time: h.time,
-        hearingDateTime: h.hearing_datetime,
-        venue: h.venue,
-        judge: h.judge,
-        caseDetails: h.case_details,
-        hearingType: h.hearing_type,
-        additionalInformation: h.additional_information,
-        crownCourt: h.crown_court,
-        division: h.division,
-        dataSourceName: h.data_source_name,
-        sourceUrl: h.source_url,
-        scrapedAt: h.scraped_at
-      }));
+      const hearings = applyReportingRestrictions(
+        await query(
+          `${HEARING_SELECT} ${where} ${buildHearingOrder(request.query)} LIMIT ? OFFSET ?`,
+          [...params, limit, offset]
+        ),
+        canView
+      );
 
       return {
         success: true,
-        data: formattedHearings,
+        data: hearings.map(formatHearing),
         pagination: {
           limit,
           offset,
@@ -191,10 +121,42 @@ async function hearingsRoutes(fastify, _options) {
     }
   );
 
+  // GET /api/v1/hearings/export
+  fastify.get(
+    '/hearings/export',
+    {
+      preHandler: [requireAuth, requireCapability('hearings:export')],
+      schema: {
+        tags: ['Hearings'],
+        description:
+          'Download every hearing matching the /hearings filters as CSV, NDJSON or XLSX (no page size limit)',
+        querystring: {
+          type: 'object',
+          properties: {
+            format: { type: 'string', enum: Object.keys(EXPORT_FORMATS), default: 'csv' },
+            ...HEARING_FILTERS
+          }
+        }
+      }
+    },
+    async (request, reply) => {
+      const { format = 'csv' } = request.query;
+      const { contentType, extension } = EXPORT_FORMATS[format];
+      const canView = await canViewRestricted(request.user);
+      const today = formatInTimeZone(new Date(), 'Europe/London', 'yyyy-MM-dd');
+
+      reply
+        .type(contentType)
+        .header('Content-Disposition', `attachment; filename="hearings-${today}.${extension}"`);
+      return reply.send(exportHearings(format, request.query, canView));
+    }
+  );
+
   // GET /api/v1/hearings/:id
   fastify.get(
     '/hearings/:id',
     {
+      preHandler: optionalAuth,
       schema: {
         tags: ['Hearings'],
         description: 'Get single hearing by ID',
@@ -218,7 +180,8 @@ async function hearingsRoutes(fastify, _options) {
         };
       }
 
-      const h = hearings[0];
+      const canView = await canViewRestricted(request.user);
+      const h = canView ? hearings[0] : redactHearing(hearings[0]);
       return {
         success: true,
         data: {
@@ -232,9 +195,80 @@ async function hearingsRoutes(fastify, _options) {
           caseDetails: h.case_details,
           hearingType: h.hearing_type,
           additionalInformation: h.additional_information,
+          ...formatEnrichedFields(h),
+          reportingRestriction: h.reporting_restriction,
+          reportingRestricted: Boolean(h.reporting_restricted),
           division: h.division,
           sourceUrl: h.source_url,
-          scrapedAt: h.scraped_at
+          scrapedAt: h.scraped_at,
+          removedAt: h.removed_at,
+          removalReason: h.removal_reason
+        }
+      };
+    }
+  );
+
+  // GET /api/v1/hearings/:id/history
+  fastify.get(
+    '/hearings/:id/history',
+    {
+      preHandler: optionalAuth,
+      schema: {
+        tags: ['Hearings'],
+        description:
+          'Get the revision timeline for a hearing (all changes to the same case on its list date)',
+        params: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer' }
+          },
+          required: ['id']
+        }
+      }
+    },
+    async (request, reply) => {
+      const history = await getHearingHistory(request.params.id);
+
+      if (!history) {
+        reply.code(404);
+        return {
+          success: false,
+          error: 'Hearing not found'
+        };
+      }
+
+      const { hearing } = history;
+      let { revisions } = history;
+
+      if (hearing.reporting_restricted && !(await canViewRestricted(request.user))) {
+        const partyNames = hearing.party_names ? hearing.party_names.split('; ') : [];
+        revisions = revisions.map((r) => ({
+          ...r,
+          old_values: redactSnapshot(r.old_values, partyNames),
+          new_values: redactSnapshot(r.new_values, partyNames)
+        }));
+      }
+
+      return {
+        success: true,
+        data: {
+          hearing: {
+            id: hearing.id,
+            listDate: hearing.list_date,
+            caseNumber: hearing.case_number,
+            time: hearing.time
+          },
+          revisions: revisions.map((r) => ({
+            id: r.id,
+            hearingId: r.hearing_id,
+            changeType: r.change_type,
+            time: r.time,
+            dataSourceName: r.data_source_name,
+            scrapeId: r.scrape_history_id,
+            oldValues: r.old_values,
+            newValues: r.new_values,
+            recordedAt: r.created_at
+          }))
         }
       };
     }
@@ -256,6 +290,7 @@ async function hearingsRoutes(fastify, _options) {
         division,
         COUNT(*) as count
       FROM hearings
+      WHERE removed_at IS NULL
       GROUP BY list_date, division
       ORDER BY list_date DESC
       LIMIT 100
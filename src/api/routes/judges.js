@@ -0,0 +1,153 @@
+const Judge = require('../../models/Judge');
+const {
+  canViewRestricted,
+  applyReportingRestrictions
+} = require('../../services/reporting-restriction-service');
+const { optionalAuth } = require('../middleware/auth');
+
+/**
+ * Format a judge row
+ * @param {Object} j - Judge row
+ * @returns {Object}
+ */
+function formatJudge(j) {
+  return {
+    slug: j.slug,
+    title: j.title,
+    name: j.name,
+    displayName: j.display_name
+  };
+}
+
+/**
+ * Expand constitution summary rows into judge lists
+ * @param {Array<Object>} rows - Rows from Judge.getConstitutionSummary()
+ * @returns {Promise<Array<Object>>} [{ judges, hearingCount, firstSat, lastSat }]
+ */
+async function formatConstitutions(rows) {
+  const slugs = [...new Set(rows.flatMap((r) => r.slugs.split(',')))];
+  const judges = new Map((await Judge.findBySlugs(slugs)).map((j) => [j.slug, j]));
+
+  return rows.map((r) => ({
+    judges: r.slugs
+      .split(',')
+      .filter((slug) => judges.has(slug))
+      .map((slug) => formatJudge(judges.get(slug))),
+    hearingCount: Number(r.hearing_count),
+    firstSat: r.first_sat,
+    lastSat: r.last_sat
+  }));
+}
+
+async function judgesRoutes(fastify, _options) {
+  // GET /api/v1/judges
+  fastify.get(
+    '/judges',
+    {
+      schema: {
+        tags: ['Judges'],
+        description: 'List judges parsed from the daily cause list, with hearing counts',
+        querystring: {
+          type: 'object',
+          properties: {
+            search: { type: 'string', maxLength: 100 }
+          }
+        }
+      }
+    },
+    async (request, _reply) => {
+      const judges = await Judge.findAll({ search: request.query.search });
+
+      return {
+        success: true,
+        data: judges.map((j) => ({
+          ...formatJudge(j),
+          hearingCount: Number(j.hearing_count),
+          firstSat: j.first_sat,
+          lastSat: j.last_sat
+        }))
+      };
+    }
+  );
+
+  // GET /api/v1/judges/:slug/hearings
+  fastify.get(
+    '/judges/:slug/hearings',
+    {
+      preHandler: optionalAuth,
+      schema: {
+        tags: ['Judges'],
+        description:
+          'Get hearings a judge sat on, each with its full constitution, plus every constitution the judge sat in over the date range',
+        params: {
+          type: 'object',
+          properties: {
+            slug: { type: 'string', minLength: 1, maxLength: 150 }
+          },
+          required: ['slug']
+        },
+        querystring: {
+          type: 'object',
+          properties: {
+            limit: { type: 'integer', minimum: 1, maximum: 100, default: 50 },
+            offset: { type: 'integer', minimum: 0, default: 0 },
+            dateFrom: { type: 'string', format: 'date' },
+            dateTo: { type: 'string', format: 'date' }
+          }
+        }
+      }
+    },
+    async (request, reply) => {
+      const judge = await Judge.findBySlug(request.params.slug);
+
+      if (!judge) {
+        reply.code(404);
+        return {
+          success: false,
+          error: 'Judge not found'
+        };
+      }
+
+      const { limit = 50, offset = 0, dateFrom, dateTo } = request.query;
+      const { hearings: rows, total } = await Judge.getHearings(judge.id, {
+        dateFrom,
+        dateTo,
+        limit,
+        offset
+      });
+      const hearings = applyReportingRestrictions(rows, await canViewRestricted(request.user));
+      const constitutions = await Judge.getConstitutions(hearings.map((h) => h.id));
+      const summary = await Judge.getConstitutionSummary(judge.id, { dateFrom, dateTo });
+
+      return {
+        success: true,
+        data: {
+          judge: formatJudge(judge),
+          hearings: hearings.map((h) => ({
+            id: h.id,
+            listDate: h.list_date,
+            caseNumber: h.case_number,
+            time: h.time,
+            hearingDateTime: h.hearing_datetime,
+            venue: h.venue,
+            judge: h.judge,
+            judges: (constitutions.get(h.id) || []).map(formatJudge),
+            caseDetails: h.case_details,
+            hearingType: h.hearing_type,
+            reportingRestricted: Boolean(h.reporting_restricted),
+            division: h.division,
+            dataSourceName: h.data_source_name
+          })),
+          constitutions: await formatConstitutions(summary)
+        },
+        pagination: {
+          limit,
+          offset,
+          total
+        }
+      };
+    }
+  );
+}
+
+module.exports = judgesRoutes;
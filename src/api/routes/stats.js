@@ -0,0 +1,48 @@
+const { getStats, PERIODS, DIMENSIONS } = require('../../services/stats-service');
+
+async function statsRoutes(fastify, _options) {
+  // GET /api/v1/stats
+  fastify.get(
+    '/stats',
+    {
+      schema: {
+        tags: ['Stats'],
+        description:
+          'Hearing volumes per day, week, month or legal term, with breakdowns by data source, hearing type, venue and crown court',
+        querystring: {
+          type: 'object',
+          properties: {
+            dateFrom: { type: 'string', format: 'date' },
+            dateTo: { type: 'string', format: 'date' },
+            period: { type: 'string', enum: PERIODS, default: 'month' },
+            breakdown: { type: 'string', enum: Object.keys(DIMENSIONS) },
+            dataSource: { type: 'string' },
+            division: { type: 'string' },
+            limit: { type: 'integer', minimum: 1, maximum: 500, default: 50 }
+          }
+        }
+      }
+    },
+    async (request, reply) => {
+      try {
+        const stats = await getStats(request.query);
+
+        return {
+          success: true,
+          data: stats
+        };
+      } catch (error) {
+        if (error.statusCode === 400) {
+          reply.code(400);
+          return {
+            success: false,
+            error: error.message
+          };
+        }
+        throw error;
+      }
+    }
+  );
+}
+
+module.exports = statsRoutes;
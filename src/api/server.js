@@ -71,7 +71,11 @@ async function createServer() {
       produces: ['application/json'],
       tags: [
         { name: 'Hearings', description: 'Hearing data and dates' },
+        { name: 'Cases', description: 'Hearings grouped by CAO case reference' },
+        { name: 'Judges', description: 'Judges and the constitutions they sat in' },
+        { name: 'Stats', description: 'Aggregate hearing volumes' },
         { name: 'Saved Searches', description: 'User saved search management' },
+        { name: 'Feeds', description: 'Calendar feeds of saved searches and cases' },
         { name: 'Authentication', description: 'User authentication and registration' },
         { name: 'Users', description: 'User profile management' },
         { name: 'Admin', description: 'Administrative user management' },
@@ -132,11 +136,15 @@ async function createServer() {
       // Register API routes
       await apiServer.register(require('./routes/health'), { prefix: '/api/v1' });
       await apiServer.register(require('./routes/hearings'), { prefix: '/api/v1' });
+      await apiServer.register(require('./routes/cases'), { prefix: '/api/v1' });
+      await apiServer.register(require('./routes/judges'), { prefix: '/api/v1' });
+      await apiServer.register(require('./routes/stats'), { prefix: '/api/v1' });
       await apiServer.register(require('./routes/config'), { prefix: '/api/v1' });
       await apiServer.register(require('./routes/auth'), { prefix: '/api/v1/auth' });
       await apiServer.register(require('./routes/users'), { prefix: '/api/v1/users' });
       await apiServer.register(require('./routes/admin'), { prefix: '/api/v1/admin' });
       await apiServer.register(require('./routes/searches'), { prefix: '/api/v1' });
+      await apiServer.register(require('./routes/feeds'), { prefix: '/api/v1' });
     },
     { prefix: '' }
   );
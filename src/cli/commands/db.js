@@ -4,7 +4,11 @@
  */
 
 const chalk = require('chalk');
-const { query } = require('../../config/database');
+const { query, getConnection } = require('../../config/database');
+const Case = require('../../models/Case');
+const Judge = require('../../models/Judge');
+const { caseReferencesForCell } = require('../../utils/case-reference');
+const { extractFields, toColumnValues } = require('../../scrapers/record-enricher');
 const {
   formatInfo,
   formatWarning,
@@ -119,7 +123,12 @@ async function reset(options) {
     console.log();
     console.log('  Data tables to be cleared:');
     console.log(chalk.red('    - hearings'));
+    console.log(chalk.red('    - hearing_revisions'));
+    console.log(chalk.red('    - cases'));
+    console.log(chalk.red('    - judges'));
+    console.log(chalk.red('    - upstream_snapshots'));
     console.log(chalk.red('    - scrape_history'));
+    console.log(chalk.red('    - scrape_jobs'));
     console.log(chalk.red('    - search_notifications'));
     console.log(chalk.red('    - saved_searches'));
     console.log(chalk.red('    - password_reset_tokens'));
@@ -137,7 +146,12 @@ async function reset(options) {
     console.log();
     console.log('  Data tables to be cleared:');
     console.log(chalk.red('    - hearings'));
+    console.log(chalk.red('    - hearing_revisions'));
+    console.log(chalk.red('    - cases'));
+    console.log(chalk.red('    - judges'));
+    console.log(chalk.red('    - upstream_snapshots'));
     console.log(chalk.red('    - scrape_history'));
+    console.log(chalk.red('    - scrape_jobs'));
     console.log();
     console.log('  User data will be preserved.');
   }
@@ -161,7 +175,15 @@ async function reset(options) {
     try {
       // Always reset hearings and scrape history
       await query('TRUNCATE TABLE hearings');
+      await query('TRUNCATE TABLE hearing_revisions');
+      await query('TRUNCATE TABLE cases');
+      await query('TRUNCATE TABLE hearing_cases');
+      await query('TRUNCATE TABLE hearing_judges');
+      await query('TRUNCATE TABLE judges');
+      await query('TRUNCATE TABLE upstream_snapshot_fetches');
+      await query('TRUNCATE TABLE upstream_snapshots');
       await query('TRUNCATE TABLE scrape_history');
+      await query('TRUNCATE TABLE scrape_jobs');
 
       if (resetAll) {
         await query('TRUNCATE TABLE search_notifications');
@@ -195,7 +217,207 @@ async function reset(options) {
   }
 }
 
+/**
+ * Link existing hearings to judges by re-parsing their judge column.
+ * Sync links new and changed hearings, so this is only needed once after
+ * upgrading, or after a change to the judge name parser.
+ */
+async function backfillJudges() {
+  const spinner = createSpinner('Linking hearings to judges...').start();
+  const batchSize = 1000;
+  const connection = await getConnection();
+
+  try {
+    let lastId = 0;
+    let hearingCount = 0;
+    let linkCount = 0;
+
+    for (;;) {
+      const [hearings] = await connection.query(
+        'SELECT id, judge FROM hearings WHERE id > ? AND judge IS NOT NULL ORDER BY id LIMIT ?',
+        [lastId, batchSize]
+      );
+      if (hearings.length === 0) break;
+
+      await connection.beginTransaction();
+      try {
+        linkCount += await Judge.linkHearings(connection, hearings);
+        await connection.commit();
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      }
+
+      hearingCount += hearings.length;
+      lastId = hearings[hearings.length - 1].id;
+      spinner.text = `Linking hearings to judges... ${hearingCount} hearings`;
+    }
+
+    const [judgeRows] = await connection.query('SELECT COUNT(*) AS count FROM judges');
+
+    spinner.succeed('Judge backfill complete');
+    console.log();
+    formatInfo(
+      `${hearingCount} hearings linked to ${judgeRows[0].count} judges (${linkCount} links)`
+    );
+
+    process.exit(0);
+  } catch (error) {
+    spinner.fail('Judge backfill failed');
+    formatError(error.message);
+    process.exit(1);
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Fill in the structured fields (party names, AG's Reference, appeal and
+ * application type, hand-down, reporting restriction) on existing hearings
+ * from their free text.
+ * Sync fills them in for new and changed hearings, so this is only needed
+ * once after upgrading, or after a change to the record enricher.
+ */
+async function backfillEnrichment() {
+  const spinner = createSpinner('Extracting structured fields...').start();
+  const batchSize = 1000;
+  const connection = await getConnection();
+
+  try {
+    let lastId = 0;
+    let hearingCount = 0;
+
+    for (;;) {
+      const [hearings] = await connection.query(
+        `SELECT id, case_details, hearing_type, additional_information, reporting_restriction
+         FROM hearings WHERE id > ? ORDER BY id LIMIT ?`,
+        [lastId, batchSize]
+      );
+      if (hearings.length === 0) break;
+
+      await connection.beginTransaction();
+      try {
+        for (const h of hearings) {
+          const fields = extractFields({
+            'case details': h.case_details,
+            'hearing type': h.hearing_type,
+            'additional information': h.additional_information,
+            'reporting restriction': h.reporting_restriction
+          });
+          await connection.query(
+            `UPDATE hearings SET party_names = ?, ag_reference = ?, appeal_type = ?,
+               application_types = ?, hand_down = ?, reporting_restricted = ?,
+               updated_at = updated_at
+             WHERE id = ?`,
+            [...toColumnValues(fields), h.id]
+          );
+        }
+        await Case.propagateReportingRestrictions(
+          connection,
+          hearings.map((h) => h.id)
+        );
+        await connection.commit();
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      }
+
+      hearingCount += hearings.length;
+      lastId = hearings[hearings.length - 1].id;
+      spinner.text = `Extracting structured fields... ${hearingCount} hearings`;
+    }
+
+    spinner.succeed('Enrichment backfill complete');
+    console.log();
+    formatInfo(`${hearingCount} hearings updated`);
+
+    process.exit(0);
+  } catch (error) {
+    spinner.fail('Enrichment backfill failed');
+    formatError(error.message);
+    process.exit(1);
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Relink every hearing to its cases using the CAO reference parser, splitting
+ * cells that list several references, then remove cases no hearing belongs to.
+ * Sync links new hearings, so this is only needed once after upgrading, or
+ * after a change to the reference parser.
+ */
+async function backfillCases() {
+  const spinner = createSpinner('Linking hearings to cases...').start();
+  const batchSize = 1000;
+  const connection = await getConnection();
+
+  try {
+    let lastId = 0;
+    let hearingCount = 0;
+
+    for (;;) {
+      const [hearings] = await connection.query(
+        'SELECT id, case_number FROM hearings WHERE id > ? ORDER BY id LIMIT ?',
+        [lastId, batchSize]
+      );
+      if (hearings.length === 0) break;
+
+      await connection.beginTransaction();
+      try {
+        const referencesByHearing = hearings.map((h) => caseReferencesForCell(h.case_number));
+        const caseIds = await Case.resolveIds(connection, referencesByHearing.flat());
+
+        const links = hearings.map((h, i) => ({
+          id: h.id,
+          caseIds: referencesByHearing[i].map((ref) => caseIds.get(ref.reference)).filter(Boolean)
+        }));
+
+        for (const link of links) {
+          await connection.query(
+            'UPDATE hearings SET case_id = ?, updated_at = updated_at WHERE id = ?',
+            [link.caseIds[0] || null, link.id]
+          );
+        }
+        await Case.linkHearings(connection, links);
+        await connection.commit();
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      }
+
+      hearingCount += hearings.length;
+      lastId = hearings[hearings.length - 1].id;
+      spinner.text = `Linking hearings to cases... ${hearingCount} hearings`;
+    }
+
+    const [removed] = await connection.query(
+      `DELETE c FROM cases c
+       LEFT JOIN hearing_cases hc ON hc.case_id = c.id
+       WHERE hc.case_id IS NULL`
+    );
+    const [caseRows] = await connection.query('SELECT COUNT(*) AS count FROM cases');
+
+    spinner.succeed('Case backfill complete');
+    console.log();
+    formatInfo(
+      `${hearingCount} hearings linked to ${caseRows[0].count} cases (${removed.affectedRows} unused cases removed)`
+    );
+
+    process.exit(0);
+  } catch (error) {
+    spinner.fail('Case backfill failed');
+    formatError(error.message);
+    process.exit(1);
+  } finally {
+    connection.release();
+  }
+}
+
 module.exports = {
   summary,
-  reset
+  reset,
+  backfillCases,
+  backfillJudges,
+  backfillEnrichment
 };
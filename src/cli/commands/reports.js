@@ -0,0 +1,104 @@
+/**
+ * Reports CLI Commands
+ * Data quality reports for the CACD Archive.
+ */
+
+const chalk = require('chalk');
+const { reconcile } = require('../../services/reconciliation-service');
+const {
+  formatInfo,
+  formatSuccess,
+  formatWarning,
+  formatError,
+  createTable,
+  createSpinner
+} = require('../utils/format');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Print a table of hearings from the reconciliation report
+ * @param {string} title - Section title
+ * @param {Array<Object>} rows - Formatted hearing rows
+ */
+function printHearings(title, rows) {
+  console.log();
+  formatInfo(`${title} (${rows.length})`);
+  if (rows.length === 0) return;
+
+  const table = createTable(['Date', 'Case', 'Time', 'Venue', 'Details']);
+  for (const row of rows) {
+    table.push([
+      row.listDate,
+      row.caseNumber,
+      row.time,
+      row.venue || '-',
+      (row.caseDetails || '-').slice(0, 40)
+    ]);
+  }
+  console.log(table.toString());
+}
+
+/**
+ * Reconcile FHL fixtures against DCL appearances
+ */
+async function reconcileReport(options) {
+  for (const value of [options.from, options.to]) {
+    if (value && !DATE_PATTERN.test(value)) {
+      formatError('--from and --to must be dates in YYYY-MM-DD format');
+      process.exit(1);
+    }
+  }
+
+  const spinner = createSpinner('Reconciling FHL fixtures against the DCL...').start();
+
+  try {
+    const report = await reconcile({ from: options.from, to: options.to });
+    spinner.stop();
+
+    if (options.json) {
+      console.log(JSON.stringify(report, null, 2));
+      process.exit(0);
+    }
+
+    console.log();
+    formatInfo(`FHL/DCL reconciliation: ${report.from} to ${report.to}`);
+    console.log();
+
+    const { summary } = report;
+    const summaryTable = createTable(['Measure', 'Count']);
+    summaryTable.push(
+      ['FHL fixtures', summary.fixtures],
+      ['Matched on the DCL', chalk.green(summary.matched)],
+      ['Fixtures not listed on the day', chalk.yellow(summary.fixturesNotListed)],
+      ['Fixtures vacated before the day', summary.fixturesVacated],
+      ['DCL hearings never fixed in the FHL', chalk.yellow(summary.unfixedHearings)],
+      ['Dates compared', summary.datesCompared],
+      ['Dates without DCL data', summary.uncheckedDates]
+    );
+    console.log(summaryTable.toString());
+
+    printHearings(
+      'Fixtures not listed on the day (likely adjourned or vacated)',
+      report.fixturesNotListed
+    );
+    printHearings('DCL hearings never fixed in the FHL', report.unfixedHearings);
+
+    console.log();
+    if (summary.fixturesNotListed > 0 || summary.unfixedHearings > 0) {
+      formatWarning('Discrepancies found');
+    } else {
+      formatSuccess('No discrepancies found');
+    }
+
+    process.exit(0);
+  } catch (error) {
+    spinner.fail('Reconciliation failed');
+    formatError(error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  reconcileReport
+};
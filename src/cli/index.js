@@ -8,9 +8,17 @@ const chalk = require('chalk');
 const { formatHeader } = require('./utils/format');
 const userCommands = require('./commands/users');
 const dbCommands = require('./commands/db');
+const reportCommands = require('./commands/reports');
 
 const program = new Command();
 
+// Shorthand aliases for data source slugs
+const SOURCE_ALIASES = {
+  dcl: 'daily_cause_list',
+  civil: 'civil_daily_cause_list',
+  fhl: 'future_hearing_list'
+};
+
 // CLI Header
 formatHeader('CACD Archive CLI', 'Administrative command-line interface');
 
@@ -98,50 +106,165 @@ dbCommand
   .option('-y, --yes', 'Skip confirmation prompt')
   .action(dbCommands.reset);
 
+dbCommand
+  .command('backfill-cases')
+  .description('Relink existing hearings to cases, splitting multi-reference case numbers')
+  .action(dbCommands.backfillCases);
+
+dbCommand
+  .command('backfill-judges')
+  .description('Link existing hearings to judges parsed from their judge column')
+  .action(dbCommands.backfillJudges);
+
+dbCommand
+  .command('backfill-enrichment')
+  .description('Extract party names, appeal and application types on existing hearings')
+  .action(dbCommands.backfillEnrichment);
+
 // Scraper Commands
 const scraperCommand = program.command('scraper').description('Scraper management commands');
 
 scraperCommand
   .command('run')
-  .description('Run scraper immediately (all enabled sources, or a specific source)')
-  .option('-s, --source <slug>', 'Source to scrape: dcl, fhl, or full slug (e.g. daily_cause_list)')
+  .description('Queue a scrape of all enabled sources, or a specific source')
+  .option(
+    '-s, --source <slug>',
+    'Source to scrape: dcl, civil, fhl, or full slug (e.g. daily_cause_list)'
+  )
+  .option('-w, --wait', 'Wait for the queued jobs to finish and show their results')
+  .option(
+    '--dry-run',
+    'Scrape now, showing the changes each sync would make, field by field, without writing'
+  )
+  .option('--json', 'With --dry-run, print the results as JSON')
   .action(async (options) => {
-    const { scrapeAll } = require('../services/scraper-service');
+    const { hasScraper } = require('../scrapers/registry');
     const { getEnabledSources, getSourceBySlug } = require('../services/data-source-service');
     const {
       formatError,
       formatInfo,
       formatSuccess,
       formatWarning,
+      formatSyncChanges,
       createSpinner
     } = require('./utils/format');
-
-    // Shorthand aliases
-    const slugAliases = {
-      dcl: 'daily_cause_list',
-      fhl: 'future_hearing_list'
-    };
+    const dryRun = options.dryRun || false;
 
     try {
       let sources;
 
       if (options.source) {
-        const slug = slugAliases[options.source.toLowerCase()] || options.source;
+        const slug = SOURCE_ALIASES[options.source.toLowerCase()] || options.source;
         const source = await getSourceBySlug(slug);
         if (!source) {
           formatError(`Data source '${options.source}' not found or disabled`);
           process.exit(1);
         }
+        if (!hasScraper(source)) {
+          formatError(`No scraper implemented for '${source.slug}'`);
+          process.exit(1);
+        }
         sources = [source];
       } else {
-        sources = await getEnabledSources();
+        const enabled = await getEnabledSources();
+        sources = enabled.filter((s) => hasScraper(s));
+        for (const source of enabled.filter((s) => !hasScraper(s))) {
+          formatWarning(`Skipping ${source.display_name}: no scraper implemented`);
+        }
         if (sources.length === 0) {
           formatWarning('No enabled data sources found');
           process.exit(0);
         }
       }
 
-      formatInfo(`Scraping ${sources.length} source(s)...`);
+      // Scrapes are run by the scrape worker in the application; a dry run
+      // writes nothing, so it runs here instead
+      if (!dryRun) {
+        const { enqueueScrape, getJob } = require('../services/scrape-job-service');
+        const jobs = [];
+
+        for (const source of sources) {
+          const { job, created } = await enqueueScrape(source, 'manual');
+          if (created) {
+            formatSuccess(`Queued ${source.display_name} (job #${job.id})`);
+          } else {
+            formatInfo(`${source.display_name} is already queued (job #${job.id}, ${job.status})`);
+          }
+          jobs.push(job);
+        }
+
+        console.log();
+        if (!options.wait) {
+          formatInfo("Run 'cacd scraper jobs' to follow the queue, or pass --wait");
+          process.exit(0);
+        }
+
+        let hasFailure = false;
+
+        for (const queued of jobs) {
+          const name = queued.dataSource.name;
+          const spinner = createSpinner(`Waiting for ${name} (job #${queued.id})...`).start();
+
+          let job = queued;
+          while (!['succeeded', 'dead'].includes(job.status)) {
+            await new Promise((resolve) => setTimeout(resolve, 2000));
+            job = await getJob(queued.id);
+            if (job.status === 'failed') {
+              spinner.text = `${name}: attempt ${job.attempts} of ${job.maxAttempts} failed (${job.lastError}), retrying...`;
+            } else if (job.status === 'running') {
+              spinner.text = `Scraping ${name} (job #${job.id}, attempt ${job.attempts})...`;
+            }
+          }
+
+          if (job.status === 'dead') {
+            spinner.fail(`${name}: failed after ${job.attempts} attempt(s)`);
+            formatError(`  ${job.lastError}`);
+            hasFailure = true;
+            continue;
+          }
+
+          const result = job.result || {};
+          if (result.skippedReason === 'upstream_unchanged') {
+            spinner.succeed(`${name}: skipped (upstream unchanged)`);
+            continue;
+          }
+          if (result.failedLists > 0) {
+            spinner.fail(`${name}: completed with errors`);
+            hasFailure = true;
+          } else {
+            spinner.succeed(`${name}: done`);
+          }
+          console.log(
+            `    Added: ${result.recordsAdded}  Updated: ${result.recordsUpdated}  Deleted: ${result.recordsDeleted}  Duration: ${result.duration}ms`
+          );
+          if (result.quarantined) {
+            formatWarning(
+              `    ${result.quarantined} sync(s) held back by the sync guard, awaiting review on the admin page`
+            );
+          }
+        }
+
+        console.log();
+        if (hasFailure) {
+          formatWarning('Some sources failed — check logs for details');
+          process.exit(1);
+        }
+        formatSuccess('All sources scraped successfully');
+        process.exit(0);
+      }
+
+      const { scrapeAll } = require('../services/scraper-service');
+
+      if (options.json) {
+        const results = {};
+        for (const source of sources) {
+          results[source.slug] = await scrapeAll('manual', source, { dryRun });
+        }
+        console.log(JSON.stringify(results, null, 2));
+        process.exit(0);
+      }
+
+      formatInfo(`Dry run: scraping ${sources.length} source(s)...`);
       console.log();
 
       let hasFailure = false;
@@ -150,21 +273,24 @@ scraperCommand
         const spinner = createSpinner(`Scraping ${source.display_name}...`).start();
 
         try {
-          const result = await scrapeAll('manual', source);
-
-          if (result.success) {
-            const skipped = result.skippedReason === 'upstream_unchanged';
-            if (skipped) {
-              spinner.succeed(`${source.display_name}: skipped (upstream unchanged)`);
-            } else {
-              spinner.succeed(`${source.display_name}: done`);
-              console.log(
-                `    Added: ${result.recordsAdded}  Updated: ${result.recordsUpdated}  Deleted: ${result.recordsDeleted}  Duration: ${result.duration}ms`
-              );
+          const result = await scrapeAll('manual', source, { dryRun });
+
+          spinner.succeed(`${source.display_name}: dry run`);
+          console.log(
+            `    Would add: ${result.recordsAdded}  Update: ${result.recordsUpdated}  Delete: ${result.recordsDeleted}`
+          );
+          for (const list of result.syncResults) {
+            if (list.success === false) {
+              hasFailure = true;
+              formatError(`  ${list.date || list.url}: ${list.error}`);
+              continue;
             }
-          } else {
-            spinner.fail(`${source.display_name}: completed with errors`);
-            hasFailure = true;
+            console.log(
+              chalk.bold(
+                `  ${list.date || 'Whole list'}: +${list.added} ~${list.updated} -${list.deleted}`
+              )
+            );
+            formatSyncChanges(list.changes || []);
           }
         } catch (error) {
           spinner.fail(`${source.display_name}: failed`);
@@ -174,6 +300,7 @@ scraperCommand
       }
 
       console.log();
+      formatInfo('Dry run — no changes were written');
       if (hasFailure) {
         formatWarning('Some sources failed — check logs for details');
         process.exit(1);
@@ -187,6 +314,188 @@ scraperCommand
     }
   });
 
+scraperCommand
+  .command('jobs')
+  .description('List recent scrape jobs')
+  .option('-s, --source <slug>', 'Only jobs for this source: dcl, civil, fhl, or full slug')
+  .option('--status <status>', 'Only jobs with this status (queued|running|succeeded|failed|dead)')
+  .option('-l, --limit <limit>', 'Number of jobs', '20')
+  .action(async (options) => {
+    const { listJobs } = require('../services/scrape-job-service');
+    const { getSourceBySlug } = require('../services/data-source-service');
+    const { formatError, formatInfo, createTable } = require('./utils/format');
+
+    try {
+      let dataSourceId = null;
+      if (options.source) {
+        const slug = SOURCE_ALIASES[options.source.toLowerCase()] || options.source;
+        const source = await getSourceBySlug(slug);
+        if (!source) {
+          formatError(`Data source '${options.source}' not found or disabled`);
+          process.exit(1);
+        }
+        dataSourceId = source.id;
+      }
+
+      const jobs = await listJobs({
+        status: options.status || null,
+        dataSourceId,
+        limit: parseInt(options.limit, 10) || 20
+      });
+
+      if (jobs.length === 0) {
+        formatInfo('No scrape jobs found');
+        process.exit(0);
+      }
+
+      const statusColours = {
+        queued: chalk.gray,
+        running: chalk.blue,
+        succeeded: chalk.green,
+        failed: chalk.yellow,
+        dead: chalk.red
+      };
+
+      const table = createTable([
+        'Job',
+        'Source',
+        'Type',
+        'Status',
+        'Attempts',
+        'Queued',
+        'Outcome'
+      ]);
+      for (const job of jobs) {
+        let outcome = '';
+        if (job.status === 'succeeded' && job.result) {
+          outcome =
+            job.result.skippedReason === 'upstream_unchanged'
+              ? 'upstream unchanged'
+              : `+${job.result.recordsAdded} ~${job.result.recordsUpdated} -${job.result.recordsDeleted}`;
+        } else if (job.status === 'failed') {
+          outcome = `${job.lastError} (retry ${new Date(job.runAfter).toLocaleString('en-GB')})`;
+        } else if (job.status === 'dead') {
+          outcome = job.lastError;
+        }
+
+        table.push([
+          `#${job.id}`,
+          job.dataSource.slug,
+          job.scrapeType,
+          statusColours[job.status](job.status),
+          `${job.attempts}/${job.maxAttempts}`,
+          new Date(job.createdAt).toLocaleString('en-GB'),
+          outcome
+        ]);
+      }
+
+      console.log(table.toString());
+      process.exit(0);
+    } catch (error) {
+      formatError(`Failed to list scrape jobs: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+scraperCommand
+  .command('reparse')
+  .description('Re-parse archived upstream snapshots and sync the results')
+  .requiredOption('-s, --source <slug>', 'Source to reparse: dcl, civil, fhl, or full slug')
+  .requiredOption('--from <date>', 'First list date (YYYY-MM-DD)')
+  .requiredOption('--to <date>', 'Last list date (YYYY-MM-DD)')
+  .option('--dry-run', 'Show what would change without writing anything')
+  .action(async (options) => {
+    const { reparse } = require('../services/reparse-service');
+    const { getSourceBySlug } = require('../services/data-source-service');
+    const {
+      formatError,
+      formatInfo,
+      formatSuccess,
+      formatWarning,
+      createSpinner,
+      createTable
+    } = require('./utils/format');
+
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    if (!datePattern.test(options.from) || !datePattern.test(options.to)) {
+      formatError('--from and --to must be dates in YYYY-MM-DD format');
+      process.exit(1);
+    }
+
+    try {
+      const slug = SOURCE_ALIASES[options.source.toLowerCase()] || options.source;
+      const source = await getSourceBySlug(slug);
+      if (!source) {
+        formatError(`Data source '${options.source}' not found or disabled`);
+        process.exit(1);
+      }
+
+      const dryRun = options.dryRun || false;
+      const spinner = createSpinner(
+        `Re-parsing ${source.display_name} snapshots (${options.from} to ${options.to})...`
+      ).start();
+
+      const result = await reparse(source, { from: options.from, to: options.to, dryRun });
+      spinner.succeed(`${source.display_name}: ${result.dates.length} date(s) processed`);
+      console.log();
+
+      if (result.dates.length === 0) {
+        formatWarning('No archived snapshots found for that range');
+        process.exit(0);
+      }
+
+      const table = createTable(['Date', 'Snapshot', 'Parsed', 'Added', 'Updated', 'Deleted']);
+      let hasFailure = false;
+
+      for (const d of result.dates) {
+        if (!d.success) {
+          hasFailure = true;
+          table.push([d.date, d.sha256.slice(0, 12), chalk.red(d.error), '-', '-', '-']);
+        } else {
+          table.push([
+            d.date,
+            d.sha256.slice(0, 12),
+            d.recordsParsed,
+            d.added,
+            d.updated,
+            d.deleted
+          ]);
+        }
+      }
+
+      console.log(table.toString());
+      console.log();
+
+      if (dryRun) {
+        formatInfo('Dry run — no changes were written');
+      } else {
+        formatInfo(`Changes recorded against scrape #${result.scrapeId}`);
+      }
+
+      if (hasFailure) {
+        formatWarning('Some dates failed to reparse — check logs for details');
+        process.exit(1);
+      }
+
+      formatSuccess('Reparse complete');
+      process.exit(0);
+    } catch (error) {
+      formatError(`Reparse failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+// Report Commands
+const reportsCommand = program.command('reports').description('Data quality reports');
+
+reportsCommand
+  .command('reconcile')
+  .description('Reconcile FHL fixtures against DCL appearances (default: last 30 days)')
+  .option('--from <date>', 'First list date (YYYY-MM-DD)')
+  .option('--to <date>', 'Last list date (YYYY-MM-DD)')
+  .option('--json', 'Output the full report as JSON')
+  .action(reportCommands.reconcileReport);
+
 // Secret Commands
 const secretCommand = program.command('secret').description('Secret and token management');
 
@@ -219,6 +528,7 @@ systemCommand
   .description('Show system information')
   .action(async () => {
     const db = require('../config/database');
+    const { getLease } = require('../services/leader-service');
     const { formatInfo, formatError, createTable } = require('./utils/format');
 
     try {
@@ -235,6 +545,18 @@ systemCommand
       table.push(['Platform', `${process.platform} ${process.arch}`]);
       table.push(['Environment', process.env.NODE_ENV || 'development']);
 
+      const lease = await getLease();
+      if (lease?.active) {
+        const since = new Date(lease.acquiredAt).toLocaleString('en-GB');
+        const renewed = new Date(lease.renewedAt).toLocaleString('en-GB');
+        table.push([
+          'Scheduler Leader',
+          `${chalk.green(lease.holder)} (since ${since}, renewed ${renewed})`
+        ]);
+      } else {
+        table.push(['Scheduler Leader', chalk.yellow('None — no instance holds the lease')]);
+      }
+
       console.log(table.toString());
 
       process.exit(0);
@@ -82,6 +82,32 @@ function formatKeyValue(obj) {
   });
 }
 
+/**
+ * Format the field-level changes of a dry-run sync
+ * @param {Array<Object>} changes - Sync result changes (one per hearing)
+ */
+function formatSyncChanges(changes) {
+  const markers = {
+    added: chalk.green('+'),
+    restored: chalk.green('↺'),
+    updated: chalk.yellow('~'),
+    deleted: chalk.red('-')
+  };
+
+  changes.forEach((change) => {
+    const hearing = [change.listDate, change.time, change.caseNumber].filter(Boolean).join(' ');
+    console.log(`    ${markers[change.changeType] || ' '} ${hearing}`);
+
+    Object.entries(change.fields).forEach(([field, { old: before, new: after }]) => {
+      const value =
+        change.changeType === 'updated'
+          ? `${chalk.red(JSON.stringify(before))} → ${chalk.green(JSON.stringify(after))}`
+          : JSON.stringify(change.changeType === 'deleted' ? (before ?? after) : after);
+      console.log(chalk.dim(`        ${field}:`), value);
+    });
+  });
+}
+
 /**
  * Create a spinner (using ora)
  */
@@ -102,5 +128,6 @@ module.exports = {
   createTable,
   formatList,
   formatKeyValue,
+  formatSyncChanges,
   createSpinner
 };
@@ -1,4 +1,5 @@
 const dotenv = require('dotenv');
+const os = require('os');
 const path = require('path');
 
 // Load .env file
@@ -9,6 +10,8 @@ const config = {
   port: parseInt(process.env.PORT, 10) || 3000,
   baseUrl: process.env.BASE_URL || null,
   appInstance: parseInt(process.env.NODE_APP_INSTANCE, 10) || 0,
+  // Identifies this process to the other instances, e.g. as scheduler leader
+  instanceId: `${os.hostname()}:${process.pid}`,
 
   logging: {
     level: process.env.LOG_LEVEL || 'info'
@@ -24,6 +27,13 @@ const config = {
     timezone: '+00:00' // Store in UTC
   },
 
+  // Leader election: one instance at a time holds the scheduler lease
+  // (see src/services/leader-service.js)
+  scheduler: {
+    leaseSeconds: parseInt(process.env.SCHEDULER_LEASE_SECONDS, 10) || 60,
+    renewIntervalSeconds: parseInt(process.env.SCHEDULER_RENEW_SECONDS, 10) || 15
+  },
+
   scraping: {
     intervalMinutes: parseInt(process.env.SCRAPE_INTERVAL_MINUTES, 10) || 120,
     scrapeOnStartup: process.env.SCRAPE_ON_STARTUP === 'true',
@@ -37,7 +47,23 @@ const config = {
       'https://www.court-tribunal-hearings.service.gov.uk/summary-of-publications?locationId=109',
     userAgent: process.env.USER_AGENT || 'CACD-Archive-Bot/1.0 (Educational Project)',
     requestTimeout: parseInt(process.env.REQUEST_TIMEOUT, 10) || 10000,
-    maxRetries: parseInt(process.env.MAX_RETRIES, 10) || 3
+    maxRetries: parseInt(process.env.MAX_RETRIES, 10) || 3,
+    retryBaseDelayMs: parseInt(process.env.SCRAPE_RETRY_BASE_DELAY_MS, 10) || 5000,
+    crawlDelayMs: parseInt(process.env.SCRAPE_CRAWL_DELAY_MS, 10) || 1000,
+    maxResponseBytes: parseInt(process.env.SCRAPE_MAX_RESPONSE_BYTES, 10) || 10 * 1024 * 1024,
+    // Scrape job queue (see src/scrapers/scrape-worker.js)
+    jobs: {
+      maxAttempts: parseInt(process.env.SCRAPE_JOB_MAX_ATTEMPTS, 10) || 5,
+      backoffBaseSeconds: parseInt(process.env.SCRAPE_JOB_BACKOFF_SECONDS, 10) || 60,
+      pollIntervalMs: parseInt(process.env.SCRAPE_JOB_POLL_INTERVAL_MS, 10) || 5000,
+      staleAfterMinutes: parseInt(process.env.SCRAPE_JOB_STALE_MINUTES, 10) || 5
+    },
+    // Offline record/replay of upstream requests (see src/scrapers/replay.js)
+    replay: {
+      dir: process.env.SCRAPE_REPLAY_DIR || null,
+      mode: process.env.SCRAPE_REPLAY_MODE === 'record' ? 'record' : 'replay',
+      date: process.env.SCRAPE_REPLAY_DATE || null
+    }
   },
 
   email: {
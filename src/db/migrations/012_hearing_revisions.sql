@@ -0,0 +1,35 @@
+-- Migration 012: Add hearing_revisions table
+-- Records every add/update/delete applied by the sync service so the archive
+-- keeps a timeline of what each list said, rather than only its latest state.
+--
+-- hearing_id is deliberately not a foreign key: deleted hearings keep their
+-- revision trail. Timelines are looked up by (list_date, case_number) so that
+-- a time change (which alters the unique key) still reads as one sequence.
+
+CREATE TABLE IF NOT EXISTS hearing_revisions (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+
+    -- Hearing identity at the time of the change
+    hearing_id BIGINT NULL,
+    list_date DATE NOT NULL,
+    case_number VARCHAR(50) NOT NULL,
+    time VARCHAR(20) NOT NULL,
+    data_source_id INT NOT NULL,
+
+    -- Scrape that applied the change
+    scrape_history_id BIGINT NULL,
+
+    -- Change details
+    change_type ENUM('added', 'updated', 'deleted') NOT NULL,
+    old_values JSON NULL,
+    new_values JSON NULL,
+
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_revision_hearing (hearing_id),
+    INDEX idx_revision_case (list_date, case_number),
+    INDEX idx_revision_scrape (scrape_history_id),
+
+    CONSTRAINT fk_revision_data_source FOREIGN KEY (data_source_id) REFERENCES data_sources(id),
+    CONSTRAINT fk_revision_scrape FOREIGN KEY (scrape_history_id) REFERENCES scrape_history(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
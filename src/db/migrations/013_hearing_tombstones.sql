@@ -0,0 +1,21 @@
+-- Migration 013: Tombstone vacated hearings instead of deleting them
+-- Hearings that drop out of a republished list (or are superseded by a
+-- higher-precedence source) are now marked with removed_at/removal_reason
+-- and kept in the archive.
+--
+-- The unique key gains data_source_id so that a superseded FHL fixture can
+-- be kept alongside the DCL listing that replaced it.
+
+ALTER TABLE hearings
+    ADD COLUMN removed_at TIMESTAMP NULL DEFAULT NULL AFTER scrape_version,
+    ADD COLUMN removal_reason VARCHAR(255) NULL DEFAULT NULL AFTER removed_at;
+
+CREATE INDEX idx_removed_at ON hearings(removed_at);
+
+ALTER TABLE hearings
+    DROP INDEX unique_hearing,
+    ADD UNIQUE KEY unique_hearing (list_date, case_number, time, data_source_id);
+
+-- Hearings can now come back after being tombstoned
+ALTER TABLE hearing_revisions
+    MODIFY COLUMN change_type ENUM('added', 'updated', 'deleted', 'restored') NOT NULL;
@@ -0,0 +1,41 @@
+-- Migration 014: Archive raw upstream documents
+-- Every document fetched from upstream (DCL list pages, FHL Content API JSON)
+-- is kept so parser bugs can be audited and data re-derived after a fix.
+--
+-- upstream_snapshots is content-addressed: each distinct body is stored once,
+-- keyed by its SHA-256. upstream_snapshot_fetches records every fetch of a
+-- snapshot, linked to the scrape and data source that fetched it.
+
+CREATE TABLE IF NOT EXISTS upstream_snapshots (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    sha256 CHAR(64) NOT NULL,
+    content LONGBLOB NOT NULL,
+    content_type VARCHAR(100) NULL,
+    byte_size INT UNSIGNED NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    UNIQUE KEY unique_snapshot_sha256 (sha256)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS upstream_snapshot_fetches (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    snapshot_id BIGINT NOT NULL,
+    scrape_history_id BIGINT NULL,
+    data_source_id INT NOT NULL,
+
+    -- What was fetched
+    url VARCHAR(1000) NOT NULL,
+    document_type VARCHAR(50) NOT NULL,
+    list_date DATE NULL,
+    division VARCHAR(50) NULL,
+
+    fetched_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_fetch_snapshot (snapshot_id),
+    INDEX idx_fetch_scrape (scrape_history_id),
+    INDEX idx_fetch_source_date (data_source_id, list_date),
+
+    CONSTRAINT fk_fetch_snapshot FOREIGN KEY (snapshot_id) REFERENCES upstream_snapshots(id),
+    CONSTRAINT fk_fetch_scrape FOREIGN KEY (scrape_history_id) REFERENCES scrape_history(id) ON DELETE SET NULL,
+    CONSTRAINT fk_fetch_data_source FOREIGN KEY (data_source_id) REFERENCES data_sources(id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,6 @@
+-- Migration 015: Allow 'reparse' scrape runs
+-- Re-parsing archived upstream snapshots records a scrape_history row so the
+-- revisions it produces can be traced back to the run.
+
+ALTER TABLE scrape_history
+    MODIFY COLUMN scrape_type ENUM('scheduled', 'startup', 'manual', 'reparse') NOT NULL;
@@ -0,0 +1,32 @@
+-- Migration 016: Add cases table
+-- Groups hearings from every data source under one case, keyed by the
+-- normalised CAO reference (whitespace removed, uppercased).
+
+CREATE TABLE IF NOT EXISTS cases (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+
+    -- Normalised reference, e.g. '202301234A1'
+    case_reference VARCHAR(50) NOT NULL,
+    -- Reference as first listed, e.g. '202301234 A1'
+    display_reference VARCHAR(50) NOT NULL,
+
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    UNIQUE KEY unique_case_reference (case_reference)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+ALTER TABLE hearings
+    ADD COLUMN case_id BIGINT NULL AFTER case_number,
+    ADD INDEX idx_case_id (case_id),
+    ADD CONSTRAINT fk_hearing_case FOREIGN KEY (case_id) REFERENCES cases(id) ON DELETE SET NULL;
+
+-- Backfill cases from existing hearings (matches normaliseCaseNumber for space-separated references)
+INSERT IGNORE INTO cases (case_reference, display_reference)
+SELECT UPPER(REPLACE(case_number, ' ', '')), MIN(case_number)
+FROM hearings
+GROUP BY UPPER(REPLACE(case_number, ' ', ''));
+
+UPDATE hearings h
+JOIN cases c ON c.case_reference = UPPER(REPLACE(h.case_number, ' ', ''))
+SET h.case_id = c.id;
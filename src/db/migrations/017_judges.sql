@@ -0,0 +1,37 @@
+-- Migration 017: Add judges and hearing_judges tables
+-- The free-text judge column is parsed during sync into individual judicial
+-- office holders, so hearings can be looked up by judge and constitution.
+-- Existing hearings are linked with ./bin/cacd db backfill-judges
+
+CREATE TABLE IF NOT EXISTS judges (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+
+    -- Citation-style key, e.g. 'males-lj', 'pepperall-j', 'munro-hhj'
+    slug VARCHAR(150) NOT NULL,
+    -- Title as listed, e.g. 'Lord Justice', 'Her Honour Judge'
+    title VARCHAR(100) NULL,
+    -- Name without title or post-nominals, e.g. 'Males'
+    name VARCHAR(150) NULL,
+    -- Title and name as first listed, e.g. 'Lord Justice Males'
+    display_name VARCHAR(255) NOT NULL,
+
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    UNIQUE KEY unique_judge_slug (slug),
+    INDEX idx_name (name)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS hearing_judges (
+    hearing_id BIGINT NOT NULL,
+    judge_id INT NOT NULL,
+
+    -- Order in the listed constitution (0 = first named, usually presiding)
+    position TINYINT UNSIGNED NOT NULL DEFAULT 0,
+
+    PRIMARY KEY (hearing_id, judge_id),
+    INDEX idx_judge_id (judge_id),
+
+    CONSTRAINT fk_hearing_judges_hearing FOREIGN KEY (hearing_id) REFERENCES hearings(id) ON DELETE CASCADE,
+    CONSTRAINT fk_hearing_judges_judge FOREIGN KEY (judge_id) REFERENCES judges(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,17 @@
+-- Migration 018: Structured fields extracted from hearing free text
+-- Populated by src/scrapers/record-enricher.js from case_details, hearing_type
+-- and additional_information. Existing hearings are filled in with
+-- ./bin/cacd db backfill-enrichment
+
+ALTER TABLE hearings
+    -- Parties other than the Crown, '; '-separated, e.g. 'Smith; Jones'
+    ADD COLUMN party_names VARCHAR(500) NULL AFTER case_details,
+    -- e.g. 'Attorney General''s Reference No 12 of 2024'
+    ADD COLUMN ag_reference VARCHAR(100) NULL AFTER party_names,
+    ADD COLUMN appeal_type ENUM('conviction', 'sentence', 'both') NULL AFTER hearing_type,
+    ADD COLUMN application_types SET('renewal', 'leave', 'extension_of_time') NULL AFTER appeal_type,
+    ADD COLUMN hand_down BOOLEAN NOT NULL DEFAULT FALSE AFTER additional_information;
+
+CREATE INDEX idx_appeal_type ON hearings(appeal_type);
+CREATE INDEX idx_ag_reference ON hearings(ag_reference);
+CREATE INDEX idx_hand_down ON hearings(hand_down);
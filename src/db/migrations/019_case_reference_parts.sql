@@ -0,0 +1,35 @@
+-- Migration 019: Structured CAO references and multi-reference hearings
+-- Cases store the parts of their CAO reference (year, sequence, suffix).
+-- A hearing whose case number cell lists several references belongs to all
+-- of those cases through hearing_cases. hearings.case_id remains the first
+-- listed reference.
+-- Multi-reference cells from before this migration are split with
+-- ./bin/cacd db backfill-cases
+
+ALTER TABLE cases
+    ADD COLUMN year SMALLINT UNSIGNED NULL AFTER display_reference,
+    ADD COLUMN sequence CHAR(5) NULL AFTER year,
+    ADD COLUMN suffix VARCHAR(5) NULL AFTER sequence,
+    ADD INDEX idx_year (year),
+    ADD INDEX idx_suffix (suffix);
+
+-- Fill in the parts for existing well-formed references, e.g. '202301234A1'
+UPDATE cases
+SET year = CAST(LEFT(case_reference, 4) AS UNSIGNED),
+    sequence = SUBSTRING(case_reference, 5, 5),
+    suffix = SUBSTRING(case_reference, 10)
+WHERE case_reference REGEXP '^[0-9]{9}[A-Z][0-9]{1,2}$';
+
+CREATE TABLE IF NOT EXISTS hearing_cases (
+    hearing_id BIGINT NOT NULL,
+    case_id BIGINT NOT NULL,
+
+    PRIMARY KEY (hearing_id, case_id),
+    INDEX idx_case_id (case_id),
+
+    CONSTRAINT fk_hearing_cases_hearing FOREIGN KEY (hearing_id) REFERENCES hearings(id) ON DELETE CASCADE,
+    CONSTRAINT fk_hearing_cases_case FOREIGN KEY (case_id) REFERENCES cases(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+INSERT IGNORE INTO hearing_cases (hearing_id, case_id)
+SELECT id, case_id FROM hearings WHERE case_id IS NOT NULL;
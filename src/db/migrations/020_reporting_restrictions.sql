@@ -0,0 +1,39 @@
+-- Migration 020: Reporting restrictions
+-- Hearings in a case under a reporting restriction are flagged so the API,
+-- UI and saved-search emails can withhold party names from callers without
+-- the hearings:view-restricted capability. The flag is set by
+-- src/scrapers/record-enricher.js and spread to every hearing of the same
+-- case at sync time, since only the FHL lists the restriction.
+
+ALTER TABLE hearings
+    ADD COLUMN reporting_restricted BOOLEAN NOT NULL DEFAULT FALSE AFTER reporting_restriction,
+    ADD INDEX idx_reporting_restricted (reporting_restricted);
+
+-- Flag existing hearings. Mirrors isReportingRestricted() in record-enricher.js
+UPDATE hearings
+SET reporting_restricted = TRUE, updated_at = updated_at
+WHERE (reporting_restriction IS NOT NULL
+       AND TRIM(reporting_restriction) NOT IN ('', 'no', 'none', 'n/a', 'nil', '-'))
+   OR additional_information REGEXP 'sexual offences|reporting restriction|anonymity|section ?(39|45a?|46|49)([^0-9]|$)';
+
+-- Spread to every hearing of a restricted case
+CREATE TEMPORARY TABLE restricted_cases AS
+SELECT DISTINCT hc.case_id
+FROM hearing_cases hc
+JOIN hearings h ON h.id = hc.hearing_id
+WHERE h.reporting_restricted = TRUE;
+
+UPDATE hearings h
+JOIN hearing_cases hc ON hc.hearing_id = h.id
+JOIN restricted_cases rc ON rc.case_id = hc.case_id
+SET h.reporting_restricted = TRUE, h.updated_at = h.updated_at
+WHERE h.reporting_restricted = FALSE;
+
+DROP TEMPORARY TABLE restricted_cases;
+
+-- Seeing party names in restricted cases is limited to administrators by default
+INSERT INTO capabilities (name, slug, description, category) VALUES
+('View Restricted Hearings', 'hearings:view-restricted', 'View party names in hearings subject to a reporting restriction', 'hearings');
+
+INSERT INTO role_capabilities (role_id, capability_id)
+SELECT 1, id FROM capabilities WHERE slug = 'hearings:view-restricted';
@@ -0,0 +1,8 @@
+-- Migration 021: Calendar feeds
+-- Saved searches and cases can be subscribed to as iCalendar feeds. Calendar
+-- clients can't send the session cookie, so each feed URL carries a token
+-- signed with a per-user key (see src/services/feed-service.js). Replacing
+-- the key revokes every feed URL the user has been given.
+
+ALTER TABLE users
+    ADD COLUMN feed_key VARCHAR(64) NULL DEFAULT NULL COMMENT 'Secret signing the user calendar feed URLs' AFTER email_notifications_enabled;
@@ -0,0 +1,9 @@
+-- Migration 022: Civil Division daily cause list
+-- The Court of Appeal (Civil Division) publishes its daily cause list on the
+-- same summary page as the Criminal Division list. It is hidden from the
+-- default hearings view until users opt in, as the archive has been
+-- Criminal-only so far.
+
+INSERT INTO data_sources (slug, display_name, base_url, scrape_interval_minutes, scrape_window_start_hour, scrape_window_end_hour, enabled, show_by_default)
+VALUES ('civil_daily_cause_list', 'Civil Daily Cause List', 'https://www.court-tribunal-hearings.service.gov.uk/summary-of-publications?locationId=109', 120, 8, 18, 1, 0)
+ON DUPLICATE KEY UPDATE slug = slug;
@@ -0,0 +1,66 @@
+-- Migration 023: Courts
+-- The Court and Tribunal Hearings service publishes lists for many courts,
+-- each on a summary page identified by its locationId. A data source can now
+-- be pointed at any location with a pattern matching its list titles, and
+-- hearings record which court they were listed in.
+
+CREATE TABLE IF NOT EXISTS courts (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+
+    -- Stable key for API filters, e.g. 'court-of-appeal-criminal'
+    slug VARCHAR(100) NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    -- Court and Tribunal Hearings service summary page locationId, if listed there
+    location_id INT NULL,
+
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    UNIQUE KEY uq_court_slug (slug),
+    INDEX idx_location_id (location_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Both Court of Appeal divisions publish on location 109
+INSERT INTO courts (slug, name, location_id)
+VALUES
+    ('court-of-appeal-criminal', 'Court of Appeal (Criminal Division)', 109),
+    ('court-of-appeal-civil', 'Court of Appeal (Civil Division)', 109)
+ON DUPLICATE KEY UPDATE slug = slug;
+
+-- Where a data source's lists are found, and which court they belong to.
+-- list_title_pattern is a case-insensitive regular expression matched against
+-- the link titles on the summary page, alongside the list date.
+ALTER TABLE data_sources
+    ADD COLUMN court_id INT NULL AFTER base_url,
+    ADD COLUMN location_id INT NULL AFTER court_id,
+    ADD COLUMN list_title_pattern VARCHAR(255) NULL AFTER location_id,
+    ADD COLUMN division ENUM('Criminal', 'Civil') NOT NULL DEFAULT 'Criminal' AFTER list_title_pattern,
+    ADD CONSTRAINT fk_data_sources_court FOREIGN KEY (court_id) REFERENCES courts(id);
+
+UPDATE data_sources
+SET court_id = (SELECT id FROM courts WHERE slug = 'court-of-appeal-criminal'),
+    location_id = 109,
+    list_title_pattern = 'court of appeal[^a-z]+criminal division',
+    division = 'Criminal'
+WHERE slug = 'daily_cause_list';
+
+UPDATE data_sources
+SET court_id = (SELECT id FROM courts WHERE slug = 'court-of-appeal-civil'),
+    location_id = 109,
+    list_title_pattern = 'court of appeal[^a-z]+civil division',
+    division = 'Civil'
+WHERE slug = 'civil_daily_cause_list';
+
+UPDATE data_sources
+SET court_id = (SELECT id FROM courts WHERE slug = 'court-of-appeal-criminal')
+WHERE slug = 'future_hearing_list';
+
+-- Court each hearing was listed in, backfilled from its data source
+ALTER TABLE hearings
+    ADD COLUMN court_id INT NULL AFTER data_source_id,
+    ADD INDEX idx_court_list_date (court_id, list_date),
+    ADD CONSTRAINT fk_hearings_court FOREIGN KEY (court_id) REFERENCES courts(id);
+
+UPDATE hearings h
+JOIN data_sources ds ON ds.id = h.data_source_id
+SET h.court_id = ds.court_id;
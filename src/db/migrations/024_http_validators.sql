@@ -0,0 +1,17 @@
+-- Migration 024: HTTP validators
+-- ETag and Last-Modified values from the last successfully processed fetch
+-- of each upstream URL. The scraper sends them back as If-None-Match and
+-- If-Modified-Since, so an unchanged list costs a 304 instead of a download,
+-- parse and sync.
+
+CREATE TABLE IF NOT EXISTS http_validators (
+    -- SHA-256 of the URL (list URLs can exceed an indexable length)
+    url_hash CHAR(64) NOT NULL PRIMARY KEY,
+    url TEXT NOT NULL,
+
+    etag VARCHAR(255) NULL,
+    last_modified VARCHAR(64) NULL,
+
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,11 @@
+-- Migration 025: Schema drift
+-- Each scrape records the column headers of the upstream tables it fetched,
+-- and a SHA-256 fingerprint of them. A scrape whose fingerprint differs from
+-- its source's previous one is flagged as schema drift and alerted on.
+
+ALTER TABLE scrape_history
+    ADD COLUMN header_fingerprint CHAR(64) NULL AFTER source_updated_at,
+    -- Distinct header rows, each in column order: [["venue", "judge", ...], ...]
+    ADD COLUMN table_headers JSON NULL AFTER header_fingerprint,
+    ADD COLUMN schema_drift BOOLEAN NOT NULL DEFAULT FALSE AFTER table_headers,
+    ADD INDEX idx_schema_drift (schema_drift, data_source_id);
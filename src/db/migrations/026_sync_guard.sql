@@ -0,0 +1,47 @@
+-- Migration 026: Sync guard
+-- A sync that would remove most of a list is more likely an empty or
+-- truncated upstream publication than real churn. Each data source has
+-- thresholds; a sync that trips one is quarantined in pending_syncs instead
+-- of being applied, until an administrator approves or rejects it.
+
+-- The guard only applies where the list (or, for full-replace sources, the
+-- upcoming hearings) holds at least sync_guard_min_rows live hearings, and
+-- then trips if the sync would tombstone more than sync_max_delete_percent
+-- of them, or leave fewer than sync_min_new_rows. NULL disables a check.
+ALTER TABLE data_sources
+    ADD COLUMN sync_guard_min_rows INT UNSIGNED NULL DEFAULT 10 AFTER scrape_window_end_hour,
+    ADD COLUMN sync_max_delete_percent TINYINT UNSIGNED NULL DEFAULT 50 AFTER sync_guard_min_rows,
+    ADD COLUMN sync_min_new_rows INT UNSIGNED NULL DEFAULT 1 AFTER sync_max_delete_percent;
+
+CREATE TABLE IF NOT EXISTS pending_syncs (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    data_source_id INT NOT NULL,
+    scrape_history_id BIGINT NULL,
+
+    -- What would have been synced: the list date (NULL for a full replace)
+    -- and the parsed records, so the sync can be applied on approval
+    list_date DATE NULL,
+    url VARCHAR(1000) NULL,
+    records JSON NOT NULL,
+
+    -- Why it was held back
+    existing_count INT UNSIGNED NOT NULL,
+    incoming_count INT UNSIGNED NOT NULL,
+    delete_count INT UNSIGNED NOT NULL,
+    reason VARCHAR(255) NOT NULL,
+
+    -- superseded: a later scrape of the same list was synced or quarantined
+    status ENUM('pending', 'approved', 'rejected', 'superseded') NOT NULL DEFAULT 'pending',
+    reviewed_by BIGINT NULL,
+    reviewed_at TIMESTAMP NULL,
+    -- Sync statistics once approved
+    result JSON NULL,
+
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_pending_status (status, data_source_id, list_date),
+
+    CONSTRAINT fk_pending_sync_data_source FOREIGN KEY (data_source_id) REFERENCES data_sources(id),
+    CONSTRAINT fk_pending_sync_scrape FOREIGN KEY (scrape_history_id) REFERENCES scrape_history(id) ON DELETE SET NULL,
+    CONSTRAINT fk_pending_sync_reviewer FOREIGN KEY (reviewed_by) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,50 @@
+-- Migration 027: Scrape jobs
+-- Scrapes used to run inline, guarded only by an in-memory flag, so a crash
+-- mid-scrape lost the scrape and a failure waited for the next interval.
+-- Scrapes are now queued here and run by a worker, which retries failures
+-- with exponential backoff and recovers jobs left running by a dead process.
+
+-- queued:    waiting for run_after
+-- running:   claimed by locked_by, which refreshes locked_at while it works
+-- succeeded: the scrape completed (result holds its statistics)
+-- failed:    the last attempt failed; retried once run_after has passed
+-- dead:      every attempt failed, or the job could never succeed
+--
+-- active_data_source_id holds the data source while a job is queued, running
+-- or failed, and NULL once it has succeeded or is dead. Its unique index
+-- admits one active job per source, even when two instances enqueue at once.
+CREATE TABLE IF NOT EXISTS scrape_jobs (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    data_source_id INT NOT NULL,
+    scrape_type ENUM('scheduled', 'startup', 'manual') NOT NULL,
+    status ENUM('queued', 'running', 'succeeded', 'failed', 'dead') NOT NULL DEFAULT 'queued',
+    active_data_source_id INT
+        AS (IF(status IN ('queued', 'running', 'failed'), data_source_id, NULL)) STORED,
+
+    attempts INT UNSIGNED NOT NULL DEFAULT 0,
+    max_attempts INT UNSIGNED NOT NULL,
+    run_after TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    locked_by VARCHAR(255) NULL,
+    locked_at TIMESTAMP NULL,
+
+    last_error TEXT NULL,
+    result JSON NULL,
+    requested_by BIGINT NULL,
+
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    started_at TIMESTAMP NULL,
+    completed_at TIMESTAMP NULL,
+
+    INDEX idx_scrape_jobs_due (status, run_after),
+    INDEX idx_scrape_jobs_source (data_source_id, status),
+    UNIQUE INDEX uq_scrape_jobs_active_source (active_data_source_id),
+
+    CONSTRAINT fk_scrape_job_data_source FOREIGN KEY (data_source_id) REFERENCES data_sources(id),
+    CONSTRAINT fk_scrape_job_requester FOREIGN KEY (requested_by) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Each attempt at a job gets its own scrape_history row
+ALTER TABLE scrape_history
+    ADD COLUMN scrape_job_id BIGINT NULL AFTER data_source_id,
+    ADD CONSTRAINT fk_scrape_history_job FOREIGN KEY (scrape_job_id) REFERENCES scrape_jobs(id) ON DELETE SET NULL;
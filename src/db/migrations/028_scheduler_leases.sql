@@ -0,0 +1,16 @@
+-- Migration 028: Scheduler leases
+-- Only one instance runs the scheduler and scrape worker. That used to be
+-- PM2 instance 0, so scraping stopped whenever instance 0 was down. Instead
+-- every instance now competes for a lease here: the holder renews it while
+-- it runs, and any instance can take it over once it expires.
+
+CREATE TABLE IF NOT EXISTS scheduler_leases (
+    name VARCHAR(50) PRIMARY KEY,
+    -- hostname:pid of the instance holding the lease, NULL once released
+    holder VARCHAR(255) NULL,
+    acquired_at TIMESTAMP NULL,
+    renewed_at TIMESTAMP NULL,
+    expires_at TIMESTAMP NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+INSERT INTO scheduler_leases (name) VALUES ('scheduler');
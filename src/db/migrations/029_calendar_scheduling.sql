@@ -0,0 +1,22 @@
+-- Migration 029: Calendar-aware scheduling
+-- A data source can be scheduled with a cron expression instead of its
+-- interval and window. Both are evaluated in the source's timezone; the
+-- window hours used to be read in the server's local time.
+-- The court calendar (src/utils/court-calendar.js) can suppress or thin out
+-- scrapes on days the court does not sit: for weekends and bank holidays,
+-- and separately for vacations, a source scrapes as usual, thins out to one
+-- scrape per thinned_interval_minutes, or skips the day.
+
+ALTER TABLE data_sources
+    ADD COLUMN scrape_cron VARCHAR(100) NULL AFTER scrape_window_end_hour,
+    ADD COLUMN scrape_timezone VARCHAR(64) NOT NULL DEFAULT 'Europe/London' AFTER scrape_cron,
+    ADD COLUMN closed_day_policy ENUM('scrape', 'thin', 'skip') NOT NULL DEFAULT 'scrape' AFTER scrape_timezone,
+    ADD COLUMN vacation_policy ENUM('scrape', 'thin', 'skip') NOT NULL DEFAULT 'scrape' AFTER closed_day_policy,
+    ADD COLUMN thinned_interval_minutes INT UNSIGNED NOT NULL DEFAULT 360 AFTER vacation_policy;
+
+-- The daily cause lists were polled every two hours whether or not the
+-- court was sitting. A list can still be published for the next sitting
+-- day, or for vacation business, so they are thinned out rather than skipped.
+UPDATE data_sources
+SET closed_day_policy = 'thin', vacation_policy = 'thin'
+WHERE slug IN ('daily_cause_list', 'civil_daily_cause_list');
@@ -28,15 +28,15 @@ async function start() {
       logger.info('Running database migrations...');
       await runMigrations();
       logger.info('Migrations completed successfully');
-
-      // Initialize email service
-      logger.info('Initializing email service...');
-      await emailService.initialize();
-      logger.info('Email service initialized');
     } else {
-      logger.info('Skipping migrations and email service initialization (not instance 0)');
+      logger.info('Skipping migrations (not instance 0)');
     }
 
+    // Initialize email service (any instance may become scheduler leader and send alerts)
+    logger.info('Initializing email service...');
+    await emailService.initialize();
+    logger.info('Email service initialized');
+
     // Start API server
     logger.info('Starting API server...');
     const server = await createServer();
@@ -45,16 +45,12 @@ async function start() {
     logger.info(`API server listening on ${displayUrl}`);
     logger.info(`API documentation available at ${displayUrl}/api/docs`);
 
-    // Start scraper scheduler (only on instance 0)
-    if (config.appInstance === 0) {
-      logger.info('Starting scraper scheduler...');
-      startScheduler();
+    // Start scraper scheduler (runs on whichever instance is elected leader)
+    logger.info('Starting scraper scheduler...');
+    await startScheduler();
 
-      // Perform startup scrape if enabled
-      await performStartupScrape();
-    } else {
-      logger.info('Skipping scraper scheduler (not instance 0)');
-    }
+    // Perform startup scrape if enabled
+    await performStartupScrape();
 
     logger.info('Application started successfully');
   } catch (error) {
@@ -0,0 +1,150 @@
+/**
+ * Case Model
+ * Handles database operations for cases (hearings grouped by CAO reference)
+ */
+
+const db = require('../config/database');
+const { normaliseCaseNumber } = require('../utils/case-reference');
+
+class Case {
+  /**
+   * Find case by reference (any spacing/case of the CAO reference)
+   * @param {string} caseNumber - CAO reference
+   * @returns {Promise<Object|null>} Case object or null
+   */
+  static async findByReference(caseNumber) {
+    const reference = normaliseCaseNumber(caseNumber);
+    if (!reference) return null;
+
+    const rows = await db.query('SELECT * FROM cases WHERE case_reference = ?', [reference]);
+    return rows.length > 0 ? rows[0] : null;
+  }
+
+  /**
+   * Get every hearing for a case across all data sources, including
+   * hearings that have since been removed from their list and hearings
+   * listed jointly with other cases
+   * @param {number} caseId - Case ID
+   * @returns {Promise<Array>} Hearing rows with data source slug and name, oldest first
+   */
+  static async getHearings(caseId) {
+    const sql = `
+      SELECT h.*, ds.slug AS data_source_slug, ds.display_name AS data_source_name
+      FROM hearing_cases hc
+      JOIN hearings h ON h.id = hc.hearing_id
+      JOIN data_sources ds ON ds.id = h.data_source_id
+      WHERE hc.case_id = ?
+      ORDER BY h.list_date ASC, h.hearing_datetime ASC, h.id ASC
+    `;
+    return await db.query(sql, [caseId]);
+  }
+
+  /**
+   * Resolve case IDs for a set of references, creating any missing cases.
+   * Runs on the caller's connection so it joins the sync transaction.
+   * @param {Object} connection - Database connection
+   * @param {Array<Object>} references - Parsed references from caseReferencesForCell()
+   * @returns {Promise<Map<string, number>>} Map of normalised reference -> case ID
+   */
+  static async resolveIds(connection, references) {
+    const byReference = new Map();
+    for (const ref of references) {
+      if (!byReference.has(ref.reference)) byReference.set(ref.reference, ref);
+    }
+
+    const ids = new Map();
+    if (byReference.size === 0) return ids;
+
+    const unique = Array.from(byReference.values());
+    await connection.query(
+      `INSERT IGNORE INTO cases (case_reference, display_reference, year, sequence, suffix) VALUES ${unique
+        .map(() => '(?, ?, ?, ?, ?)')
+        .join(', ')}`,
+      unique.flatMap((ref) => [ref.reference, ref.display, ref.year, ref.sequence, ref.suffix])
+    );
+
+    const [rows] = await connection.query(
+      `SELECT id, case_reference FROM cases WHERE case_reference IN (${unique
+        .map(() => '?')
+        .join(',')})`,
+      unique.map((ref) => ref.reference)
+    );
+    for (const row of rows) {
+      ids.set(row.case_reference, row.id);
+    }
+
+    return ids;
+  }
+
+  /**
+   * Replace the case links for a set of hearings.
+   * Runs on the caller's connection so it joins the sync transaction.
+   * @param {Object} connection - Database connection
+   * @param {Array<Object>} hearings - [{ id, caseIds }]
+   * @param {number} batchSize - Max hearings per statement
+   */
+  static async linkHearings(connection, hearings, batchSize = 500) {
+    for (let i = 0; i < hearings.length; i += batchSize) {
+      const batch = hearings.slice(i, i + batchSize).filter((h) => h.id);
+      if (batch.length === 0) continue;
+
+      await connection.query(
+        `DELETE FROM hearing_cases WHERE hearing_id IN (${batch.map(() => '?').join(',')})`,
+        batch.map((h) => h.id)
+      );
+
+      const pairs = batch.flatMap((h) => (h.caseIds || []).map((caseId) => [h.id, caseId]));
+      if (pairs.length > 0) {
+        await connection.query(
+          `INSERT IGNORE INTO hearing_cases (hearing_id, case_id) VALUES ${pairs
+            .map(() => '(?, ?)')
+            .join(', ')}`,
+          pairs.flat()
+        );
+      }
+    }
+  }
+
+  /**
+   * Flag every hearing of a restricted case as restricted. Only the FHL lists
+   * reporting restrictions, so DCL hearings of the same case pick them up here.
+   * Runs on the caller's connection so it joins the sync transaction.
+   * @param {Object} connection - Database connection
+   * @param {Array<number>} hearingIds - Hearings whose cases should be checked
+   * @param {number} batchSize - Max hearings per statement
+   * @returns {Promise<number>} Number of hearings newly flagged
+   */
+  static async propagateReportingRestrictions(connection, hearingIds, batchSize = 500) {
+    let flagged = 0;
+
+    for (let i = 0; i < hearingIds.length; i += batchSize) {
+      const batch = hearingIds.slice(i, i + batchSize).filter(Boolean);
+      if (batch.length === 0) continue;
+
+      const [rows] = await connection.query(
+        `SELECT DISTINCT hc.case_id
+         FROM hearing_cases touched
+         JOIN hearing_cases hc ON hc.case_id = touched.case_id
+         JOIN hearings h ON h.id = hc.hearing_id
+         WHERE touched.hearing_id IN (${batch.map(() => '?').join(',')})
+           AND h.reporting_restricted = TRUE`,
+        batch
+      );
+      if (rows.length === 0) continue;
+
+      const [result] = await connection.query(
+        `UPDATE hearings h
+         JOIN hearing_cases hc ON hc.hearing_id = h.id
+         SET h.reporting_restricted = TRUE, h.updated_at = h.updated_at
+         WHERE hc.case_id IN (${rows.map(() => '?').join(',')})
+           AND h.reporting_restricted = FALSE`,
+        rows.map((r) => r.case_id)
+      );
+      flagged += result.affectedRows;
+    }
+
+    return flagged;
+  }
+}
+
+module.exports = Case;
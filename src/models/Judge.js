@@ -0,0 +1,261 @@
+/**
+ * Judge Model
+ * Handles database operations for judges and the hearings they sat on
+ */
+
+const db = require('../config/database');
+const { parseJudges } = require('../utils/judge-names');
+
+class Judge {
+  /**
+   * Find judge by slug
+   * @param {string} slug - Judge slug, e.g. 'males-lj'
+   * @returns {Promise<Object|null>} Judge object or null
+   */
+  static async findBySlug(slug) {
+    const rows = await db.query('SELECT * FROM judges WHERE slug = ?', [slug]);
+    return rows.length > 0 ? rows[0] : null;
+  }
+
+  /**
+   * List judges with the number of live hearings they sat on
+   * @param {Object} [filters]
+   * @param {string} [filters.search] - Match against name or display name
+   * @returns {Promise<Array>} Judge rows with hearing_count, first_sat, last_sat
+   */
+  static async findAll(filters = {}) {
+    let sql = `
+      SELECT j.*, COUNT(h.id) AS hearing_count,
+             MIN(h.list_date) AS first_sat, MAX(h.list_date) AS last_sat
+      FROM judges j
+      LEFT JOIN hearing_judges hj ON hj.judge_id = j.id
+      LEFT JOIN hearings h ON h.id = hj.hearing_id AND h.removed_at IS NULL
+      WHERE 1=1
+    `;
+    const params = [];
+
+    if (filters.search) {
+      sql += ' AND (j.name LIKE ? OR j.display_name LIKE ?)';
+      params.push(`%${filters.search}%`, `%${filters.search}%`);
+    }
+
+    sql += ' GROUP BY j.id ORDER BY j.name ASC, j.display_name ASC';
+
+    return await db.query(sql, params);
+  }
+
+  /**
+   * Get live hearings a judge sat on, newest first
+   * @param {number} judgeId - Judge ID
+   * @param {Object} [options]
+   * @param {string} [options.dateFrom] - First list date (YYYY-MM-DD)
+   * @param {string} [options.dateTo] - Last list date (YYYY-MM-DD)
+   * @param {number} [options.limit] - Page size
+   * @param {number} [options.offset] - Page offset
+   * @returns {Promise<Object>} { hearings, total }
+   */
+  static async getHearings(judgeId, options = {}) {
+    const { limit = 50, offset = 0 } = options;
+    const { where, params } = Judge.buildHearingFilter(judgeId, options);
+
+    const hearings = await db.query(
+      `SELECT h.*, ds.display_name AS data_source_name
+       FROM hearing_judges hj
+       JOIN hearings h ON h.id = hj.hearing_id
+       JOIN data_sources ds ON ds.id = h.data_source_id
+       ${where}
+       ORDER BY h.hearing_datetime DESC, h.id DESC
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+
+    const countRows = await db.query(
+      `SELECT COUNT(*) AS total
+       FROM hearing_judges hj
+       JOIN hearings h ON h.id = hj.hearing_id
+       ${where}`,
+      params
+    );
+
+    return { hearings, total: countRows[0].total };
+  }
+
+  /**
+   * Count the distinct constitutions a judge sat in, most frequent first
+   * @param {number} judgeId - Judge ID
+   * @param {Object} [options]
+   * @param {string} [options.dateFrom] - First list date (YYYY-MM-DD)
+   * @param {string} [options.dateTo] - Last list date (YYYY-MM-DD)
+   * @returns {Promise<Array>} Rows of { slugs, hearing_count, first_sat, last_sat },
+   *   where slugs is a comma-separated list in listed order
+   */
+  static async getConstitutionSummary(judgeId, options = {}) {
+    const { where, params } = Judge.buildHearingFilter(judgeId, options);
+
+    return await db.query(
+      `SELECT c.slugs, COUNT(*) AS hearing_count,
+              MIN(c.list_date) AS first_sat, MAX(c.list_date) AS last_sat
+       FROM (
+         SELECT h.id, h.list_date,
+                GROUP_CONCAT(j.slug ORDER BY bench.position SEPARATOR ',') AS slugs
+         FROM hearing_judges hj
+         JOIN hearings h ON h.id = hj.hearing_id
+         JOIN hearing_judges bench ON bench.hearing_id = h.id
+         JOIN judges j ON j.id = bench.judge_id
+         ${where}
+         GROUP BY h.id, h.list_date
+       ) c
+       GROUP BY c.slugs
+       ORDER BY hearing_count DESC, last_sat DESC`,
+      params
+    );
+  }
+
+  /**
+   * Find judges by slug
+   * @param {Array<string>} slugs - Judge slugs
+   * @returns {Promise<Array>} Judge rows
+   */
+  static async findBySlugs(slugs) {
+    if (slugs.length === 0) return [];
+    return await db.query(
+      `SELECT * FROM judges WHERE slug IN (${slugs.map(() => '?').join(',')})`,
+      slugs
+    );
+  }
+
+  /**
+   * Build the WHERE clause for a judge's live hearings (aliases hj and h)
+   * @param {number} judgeId - Judge ID
+   * @param {Object} options - { dateFrom, dateTo }
+   * @returns {Object} { where, params }
+   */
+  static buildHearingFilter(judgeId, { dateFrom, dateTo } = {}) {
+    let where = 'WHERE hj.judge_id = ? AND h.removed_at IS NULL';
+    const params = [judgeId];
+
+    if (dateFrom) {
+      where += ' AND h.list_date >= ?';
+      params.push(dateFrom);
+    }
+
+    if (dateTo) {
+      where += ' AND h.list_date <= ?';
+      params.push(dateTo);
+    }
+
+    return { where, params };
+  }
+
+  /**
+   * Get the judges sitting on each of a set of hearings, in listed order
+   * @param {Array<number>} hearingIds - Hearing IDs
+   * @returns {Promise<Map<number, Array>>} Map of hearing ID -> judge rows
+   */
+  static async getConstitutions(hearingIds) {
+    const constitutions = new Map();
+    if (hearingIds.length === 0) return constitutions;
+
+    const rows = await db.query(
+      `SELECT hj.hearing_id, hj.position, j.slug, j.title, j.name, j.display_name
+       FROM hearing_judges hj
+       JOIN judges j ON j.id = hj.judge_id
+       WHERE hj.hearing_id IN (${hearingIds.map(() => '?').join(',')})
+       ORDER BY hj.hearing_id, hj.position`,
+      hearingIds
+    );
+
+    for (const row of rows) {
+      if (!constitutions.has(row.hearing_id)) constitutions.set(row.hearing_id, []);
+      constitutions.get(row.hearing_id).push(row);
+    }
+
+    return constitutions;
+  }
+
+  /**
+   * Resolve judge IDs for parsed judges, creating any missing judges.
+   * Runs on the caller's connection so it joins the sync transaction.
+   * @param {Object} connection - Database connection
+   * @param {Array<Object>} judges - Parsed judges from parseJudges()
+   * @returns {Promise<Map<string, number>>} Map of slug -> judge ID
+   */
+  static async resolveIds(connection, judges) {
+    const bySlug = new Map();
+    for (const judge of judges) {
+      if (!bySlug.has(judge.slug)) bySlug.set(judge.slug, judge);
+    }
+
+    const ids = new Map();
+    if (bySlug.size === 0) return ids;
+
+    const unique = Array.from(bySlug.values());
+    await connection.query(
+      `INSERT IGNORE INTO judges (slug, title, name, display_name) VALUES ${unique
+        .map(() => '(?, ?, ?, ?)')
+        .join(', ')}`,
+      unique.flatMap((j) => [j.slug, j.title, j.name, j.displayName])
+    );
+
+    const [rows] = await connection.query(
+      `SELECT id, slug FROM judges WHERE slug IN (${unique.map(() => '?').join(',')})`,
+      unique.map((j) => j.slug)
+    );
+    for (const row of rows) {
+      ids.set(row.slug, row.id);
+    }
+
+    return ids;
+  }
+
+  /**
+   * Replace the judge links for a set of hearings from their judge column.
+   * Runs on the caller's connection so it joins the sync transaction.
+   * @param {Object} connection - Database connection
+   * @param {Array<Object>} hearings - [{ id, judge }] with the free-text judge column
+   * @param {number} batchSize - Max hearings per statement
+   * @returns {Promise<number>} Number of hearing_judges rows written
+   */
+  static async linkHearings(connection, hearings, batchSize = 500) {
+    let linked = 0;
+
+    for (let i = 0; i < hearings.length; i += batchSize) {
+      const batch = hearings.slice(i, i + batchSize).filter((h) => h.id);
+      if (batch.length === 0) continue;
+
+      await connection.query(
+        `DELETE FROM hearing_judges WHERE hearing_id IN (${batch.map(() => '?').join(',')})`,
+        batch.map((h) => h.id)
+      );
+
+      const parsed = batch.map((h) => ({ id: h.id, judges: parseJudges(h.judge) }));
+      const judgeIds = await Judge.resolveIds(
+        connection,
+        parsed.flatMap((p) => p.judges)
+      );
+
+      const params = [];
+      for (const { id, judges } of parsed) {
+        judges.forEach((judge, position) => {
+          params.push(id, judgeIds.get(judge.slug), position);
+        });
+      }
+
+      if (params.length > 0) {
+        await connection.query(
+          `INSERT INTO hearing_judges (hearing_id, judge_id, position) VALUES ${Array(
+            params.length / 3
+          )
+            .fill('(?, ?, ?)')
+            .join(', ')}`,
+          params
+        );
+        linked += params.length / 3;
+      }
+    }
+
+    return linked;
+  }
+}
+
+module.exports = Judge;
@@ -348,6 +348,30 @@ class User {
     await db.query(sql, [enabled ? 1 : 0, id]);
     return true;
   }
+
+  /**
+   * Get the secret that signs the user's calendar feed URLs
+   * @param {number} id - User ID
+   * @returns {Promise<string|null>} Feed key, or null if none has been issued
+   */
+  static async getFeedKey(id) {
+    const sql = 'SELECT feed_key FROM users WHERE id = ? AND deleted_at IS NULL';
+    const rows = await db.query(sql, [id]);
+    return rows.length > 0 ? rows[0].feed_key : null;
+  }
+
+  /**
+   * Set the secret that signs the user's calendar feed URLs. Replacing it
+   * invalidates every feed URL issued before.
+   * @param {number} id - User ID
+   * @param {string} feedKey - New feed key
+   * @returns {Promise<boolean>} Success status
+   */
+  static async setFeedKey(id, feedKey) {
+    const sql = 'UPDATE users SET feed_key = ? WHERE id = ?';
+    await db.query(sql, [feedKey, id]);
+    return true;
+  }
 }
 
 module.exports = User;
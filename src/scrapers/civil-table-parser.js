@@ -0,0 +1,291 @@
+const cheerio = require('cheerio');
+const logger = require('../utils/logger');
+const { combineDateTime, validateTime } = require('./table-parser');
+const emailService = require('../services/email-service');
+
+/**
+ * Civil Table Parser Module
+ * Parses Court of Appeal (Civil Division) daily cause list HTML tables.
+ *
+ * Civil lists don't share the Criminal list's fixed headers, and may split
+ * the day into one table per court. Headers are matched by pattern:
+ *   Time                                       → time
+ *   Case number / Case no. / Appeal number     → case number
+ *   Case name / Title / Parties / Defendant    → case details
+ *   Hearing type / Type of hearing             → hearing type
+ *   Judge(s) / Before / Constitution           → judge
+ *   Court / Courtroom / Venue                  → venue
+ *   Lower court / Appeal from                  → additional information
+ *   Notes / Additional information             → additional information
+ *
+ * Times are written "10.30am", "10:30", "14:00" or "Not before 11am", and
+ * are normalised to the Criminal list's "10:30am" form so records share
+ * one key format. Venue and judge are inherited from the row above when
+ * blank.
+ *
+ * As it matches headers rather than expecting fixed ones, this parser is
+ * also used for other courts' lists configured by location and title
+ * pattern (see src/scrapers/plugins/court-list.js).
+ */
+
+const INHERITABLE_COLUMNS = ['venue', 'judge'];
+
+// Header patterns, checked in order (so "lower court" is taken before "court")
+const COLUMN_PATTERNS = [
+  ['time', /^(?:start )?time/],
+  ['case number', /case\s*(?:number|no\b|ref)|appeal\s*(?:number|no\b)/],
+  ['lower court', /lower court|appeal from|court below/],
+  ['venue', /venue|court\s*room|^court\b/],
+  ['judge', /judge|^before|constitution|panel/],
+  ['case details', /case\s*(?:details|name|title)|^title|part(?:y|ies)|defendants?/],
+  ['hearing type', /hearing\s*type|type of hearing/],
+  ['additional information', /additional|information|notes/]
+];
+
+// Civil Appeals Office references: "CA-2024-001234", or the older "A2/2023/1234"
+const CIVIL_CASE_NUMBER = /^(?:CA-\d{4}-\d{6}|[A-C]\d\/\d{4}\/\d{3,4}(?:\/[A-Z])?(?:\([A-Z]\))?)$/i;
+
+/**
+ * Parse a Civil daily cause list from HTML
+ * @param {string} html - HTML document
+ * @param {string} listDate - Date of the list (YYYY-MM-DD)
+ * @param {string} sourceUrl - Source URL
+ * @param {string} division - Division (default: 'Civil')
+ * @returns {Promise<Array<Object>>} Array of parsed records
+ */
+async function parseCivilTable(html, listDate, sourceUrl, division = 'Civil') {
+  logger.info('Starting Civil table parsing', { listDate, division });
+
+  try {
+    const $ = cheerio.load(html);
+
+    let tables = $('table.govuk-table');
+    if (tables.length === 0) {
+      tables = $('table');
+    }
+    if (tables.length === 0) {
+      throw new Error('No table found in Civil list document');
+    }
+
+    const records = [];
+    let listedTables = 0;
+    let rowNumber = 0;
+
+    tables.each((t, table) => {
+      const headers = [];
+      $(table)
+        .find('thead tr')
+        .first()
+        .find('th')
+        .each((i, cell) => {
+          headers.push($(cell).text().trim().toLowerCase());
+        });
+
+      const columnIndices = mapCivilHeaders(headers);
+      if (columnIndices.time === undefined || columnIndices['case number'] === undefined) {
+        logger.warn('Skipping Civil table without time and case number columns', { headers });
+        return;
+      }
+      listedTables++;
+
+      // Inheritance doesn't carry across tables: each court has its own
+      const lastValues = {};
+
+      $(table)
+        .find('tbody tr')
+        .each((i, row) => {
+          rowNumber++;
+          const cells = $(row).find('td');
+
+          // A single cell spanning the table is a heading, not a hearing
+          if (cells.length < 2) return;
+
+          try {
+            const record = parseCivilRow($, cells, columnIndices, lastValues);
+            if (!record) {
+              logger.warn('Skipping Civil row without a time or case number', { rowNumber });
+              return;
+            }
+
+            record.listDate = listDate;
+            record.sourceUrl = sourceUrl;
+            record.division = division;
+            record.scrapedAt = new Date().toISOString();
+            record.hearingDateTime = combineDateTime(listDate, record.time);
+
+            if (division === 'Civil') {
+              validateCivilCaseNumber(record['case number'], rowNumber);
+            }
+            records.push(record);
+
+            for (const col of INHERITABLE_COLUMNS) {
+              if (record[col]) lastValues[col] = record[col];
+            }
+          } catch (error) {
+            logger.error(`Error parsing Civil row ${rowNumber}`, {
+              error: error.message,
+              rowNumber
+            });
+          }
+        });
+    });
+
+    if (listedTables === 0) {
+      throw new Error('Critical columns missing from Civil list: time, case number');
+    }
+
+    logger.info('Civil table parsing completed', {
+      listDate,
+      tables: listedTables,
+      totalRows: rowNumber,
+      validRecords: records.length
+    });
+
+    return records;
+  } catch (error) {
+    logger.error('Civil table parsing failed', {
+      error: error.message,
+      listDate
+    });
+
+    try {
+      let htmlSample = null;
+      if (html && html.length > 0) {
+        htmlSample = html.substring(0, 2000);
+        if (html.length > 2000) {
+          htmlSample += '\n... (truncated)';
+        }
+      }
+
+      await emailService.sendDataError({
+        type: 'table-parsing',
+        error: error.message,
+        stack: error.stack,
+        date: listDate,
+        url: sourceUrl,
+        htmlSample,
+        context: {
+          division,
+          htmlLength: html ? html.length : 0
+        }
+      });
+    } catch (emailError) {
+      logger.error('Failed to send table parsing error email', {
+        error: emailError.message
+      });
+    }
+
+    throw error;
+  }
+}
+
+/**
+ * Map Civil list headers to field names
+ * @param {Array<string>} headers - Lowercased header text
+ * @returns {Object} Map of field name to column index
+ */
+function mapCivilHeaders(headers) {
+  const map = {};
+
+  headers.forEach((header, index) => {
+    for (const [field, pattern] of COLUMN_PATTERNS) {
+      if (map[field] === undefined && pattern.test(header)) {
+        map[field] = index;
+        break;
+      }
+    }
+  });
+
+  return map;
+}
+
+/**
+ * Parse a Civil list row
+ * @param {Function} $ - Cheerio instance
+ * @param {Object} cells - Cheerio cells collection
+ * @param {Object} columnIndices - Field name to column index
+ * @param {Object} lastValues - Last seen venue and judge
+ * @returns {Object|null} Record, or null if the row has no usable time or case number
+ */
+function parseCivilRow($, cells, columnIndices, lastValues) {
+  const cell = (field) => {
+    const index = columnIndices[field];
+    if (index === undefined || index >= cells.length) return '';
+    return $(cells[index]).text().replace(/\s+/g, ' ').trim();
+  };
+
+  const time = normaliseCivilTime(cell('time'));
+  const caseNumber = cell('case number');
+  if (!time || !caseNumber) return null;
+
+  const additional = [
+    cell('additional information'),
+    cell('lower court') && `Appeal from: ${cell('lower court')}`,
+    time.notBefore && `Not before ${time.time}`
+  ].filter(Boolean);
+
+  const record = {
+    time: time.time,
+    'case number': caseNumber,
+    'case details': cell('case details'),
+    'hearing type': cell('hearing type'),
+    'additional information': additional.join('; ')
+  };
+
+  for (const col of INHERITABLE_COLUMNS) {
+    record[col] = cell(col) || lastValues[col] || null;
+  }
+
+  return record;
+}
+
+/**
+ * Normalise a Civil list time to the "10:30am" form
+ * @param {string} text - Time cell, e.g. "10.30am", "14:00", "Not before 11am"
+ * @returns {Object|null} { time, notBefore }, or null if there is no time
+ */
+function normaliseCivilTime(text) {
+  const value = String(text || '')
+    .trim()
+    .toLowerCase();
+  const notBefore = /^not before\b/.test(value);
+  const match = value
+    .replace(/^not before\s*/, '')
+    .match(/^(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)?/);
+  if (!match) return null;
+
+  let hours = parseInt(match[1], 10);
+  const minutes = match[2];
+  let period = match[3] ? match[3].replace(/\./g, '') : null;
+
+  if (!period) {
+    // 24-hour clock, or a bare hour: the court doesn't sit before 8am
+    if (hours > 23) return null;
+    period = hours >= 12 || hours < 8 ? 'pm' : 'am';
+    if (hours > 12) hours -= 12;
+    if (hours === 0) return null;
+  }
+
+  const time = minutes ? `${hours}:${minutes}${period}` : `${hours}${period}`;
+  return validateTime(time) ? { time, notBefore } : null;
+}
+
+/**
+ * Validate a Civil case number (logs warning only)
+ * @param {string} caseNumber - Case number
+ * @param {number} rowNumber - Row number
+ */
+function validateCivilCaseNumber(caseNumber, rowNumber) {
+  if (!CIVIL_CASE_NUMBER.test(caseNumber)) {
+    logger.warn('Unexpected Civil case number format', {
+      caseNumber,
+      rowNumber
+    });
+  }
+}
+
+module.exports = {
+  parseCivilTable,
+  mapCivilHeaders,
+  normaliseCivilTime
+};
@@ -1,6 +1,6 @@
-const config = require('../config/config');
 const logger = require('../utils/logger');
 const emailService = require('../services/email-service');
+const { fetchUrl } = require('./http-fetcher');
 
 /**
  * FHL Link Discovery Module
@@ -26,7 +26,8 @@ async function discoverFHLLink(baseUrl) {
   try {
     // Step 1: Fetch publication metadata
     const publicationApiUrl = toContentApiUrl(baseUrl);
-    const publication = await fetchJson(publicationApiUrl);
+    const publicationDocument = await fetchJson(publicationApiUrl);
+    const publication = publicationDocument.json;
 
     const publicUpdatedAt = publication.public_updated_at || null;
 
@@ -54,7 +55,8 @@ async function discoverFHLLink(baseUrl) {
 
     // Step 2: Fetch the attachment content (contains the table HTML in details.body)
     const attachmentApiUrl = toContentApiUrl(attachmentUrl);
-    const attachmentContent = await fetchJson(attachmentApiUrl);
+    const attachmentDocument = await fetchJson(attachmentApiUrl);
+    const attachmentContent = attachmentDocument.json;
 
     const body = attachmentContent.details?.body;
     if (!body) {
@@ -76,7 +78,22 @@ async function discoverFHLLink(baseUrl) {
         url: attachmentUrl,
         linkText: attachment.title || 'FHL Document'
       },
-      body
+      body,
+      // Raw API responses, for the upstream snapshot archive
+      documents: [
+        {
+          url: publicationApiUrl,
+          documentType: 'fhl_publication',
+          content: publicationDocument.raw,
+          contentType: publicationDocument.contentType
+        },
+        {
+          url: attachmentApiUrl,
+          documentType: 'fhl_attachment',
+          content: attachmentDocument.raw,
+          contentType: attachmentDocument.contentType
+        }
+      ]
     };
   } catch (error) {
     logger.error('FHL link discovery failed', {
@@ -116,90 +133,29 @@ function toContentApiUrl(pageUrl) {
 }
 
 /**
- * Fetch JSON from a URL with retry logic
- * @param {string} url - URL to fetch
- * @returns {Promise<Object>} Parsed JSON
+ * Convert a GOV.UK Content API URL back to its page URL
+ * e.g. https://www.gov.uk/api/content/government/publications/foo → https://www.gov.uk/government/publications/foo
+ * @param {string} apiUrl - Content API URL
+ * @returns {string} Page URL
  */
-async function fetchJson(url) {
-  const retryDelays = [5000, 10000, 20000];
-  let lastError;
-
-  for (let attempt = 0; attempt <= retryDelays.length; attempt++) {
-    try {
-      logger.info(`Fetching FHL JSON (attempt ${attempt + 1})`, { url });
-
-      const controller = new AbortController();
-      const timeout = setTimeout(() => controller.abort(), config.scraping.requestTimeout || 10000);
-
-      try {
-        const response = await fetch(url, {
-          signal: controller.signal,
-          headers: {
-            'User-Agent': config.scraping.userAgent || 'CACD-Archive-Bot/1.0',
-            Accept: 'application/json'
-          }
-        });
-
-        clearTimeout(timeout);
-
-        if (response.ok) {
-          const json = await response.json();
-          logger.info('Successfully fetched FHL JSON', { url });
-          return json;
-        }
-
-        if (response.status === 404) {
-          throw new Error(`FHL API resource not found (404): ${url}`);
-        }
-
-        if (response.status >= 500 && attempt < retryDelays.length) {
-          const delay = retryDelays[attempt];
-          logger.warn(`Server error (${response.status}), retrying in ${delay}ms`, {
-            attempt: attempt + 1,
-            url
-          });
-          await sleep(delay);
-          continue;
-        }
-
-        throw new Error(`HTTP error ${response.status}: ${response.statusText}`);
-      } catch (fetchError) {
-        clearTimeout(timeout);
-        throw fetchError;
-      }
-    } catch (error) {
-      lastError = error;
-
-      if (error.name === 'AbortError') {
-        if (attempt < retryDelays.length) {
-          const delay = retryDelays[attempt];
-          logger.warn(`Request timeout, retrying in ${delay}ms`, {
-            attempt: attempt + 1,
-            url
-          });
-          await sleep(delay);
-          continue;
-        }
-        throw new Error('Request timeout after all retry attempts');
-      }
-
-      throw error;
-    }
-  }
-
-  throw lastError;
+function fromContentApiUrl(apiUrl) {
+  const url = new URL(apiUrl);
+  return `${url.origin}${url.pathname.replace(/^\/api\/content/, '')}`;
 }
 
 /**
- * Sleep for specified milliseconds
- * @param {number} ms - Milliseconds
- * @returns {Promise<void>}
+ * Fetch JSON from a Content API URL
+ * @param {string} url - URL to fetch
+ * @returns {Promise<Object>} { json, raw, contentType } - parsed JSON plus the raw body
  */
-function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
+async function fetchJson(url) {
+  const response = await fetchUrl(url, { label: 'FHL API resource', accept: 'application/json' });
+  const raw = response.body.toString('utf8');
+  return { json: JSON.parse(raw), raw, contentType: response.contentType };
 }
 
 module.exports = {
   discoverFHLLink,
-  toContentApiUrl
+  toContentApiUrl,
+  fromContentApiUrl
 };
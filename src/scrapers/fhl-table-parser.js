@@ -1,5 +1,6 @@
 const cheerio = require('cheerio');
 const logger = require('../utils/logger');
+const { isValidCaseNumber } = require('../utils/case-reference');
 const emailService = require('../services/email-service');
 
 /**
@@ -302,8 +303,7 @@ function validateTime(timeString) {
  * @param {number} rowNumber - Row number
  */
 function validateCaseNumber(caseNumber, rowNumber) {
-  const pattern = /^\d{9}\s+[A-Z]\d+$/;
-  if (!pattern.test(caseNumber)) {
+  if (!isValidCaseNumber(caseNumber)) {
     logger.warn('Unexpected FHL case number format', { caseNumber, rowNumber });
   }
 }
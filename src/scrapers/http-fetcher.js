@@ -0,0 +1,311 @@
+const crypto = require('crypto');
+const config = require('../config/config');
+const { query } = require('../config/database');
+const logger = require('../utils/logger');
+const { replayMode, readRecording, writeRecording } = require('./replay');
+
+/**
+ * HTTP Fetcher Module
+ * The one place the scrapers make requests upstream. It handles:
+ *   - the User-Agent header
+ *   - politeness: one request at a time per host, at least
+ *     SCRAPE_CRAWL_DELAY_MS apart
+ *   - retries with exponential backoff on timeouts, network errors, 429 and
+ *     5xx responses (MAX_RETRIES, SCRAPE_RETRY_BASE_DELAY_MS), honouring
+ *     Retry-After
+ *   - a response size limit (SCRAPE_MAX_RESPONSE_BYTES)
+ *   - conditional requests: ETag / Last-Modified validators are stored per
+ *     URL (http_validators), so an unchanged document costs a 304
+ *   - offline record/replay (SCRAPE_REPLAY_DIR, see replay.js)
+ */
+
+// Longest Retry-After we'll wait for before giving up on the server's advice
+const MAX_RETRY_AFTER_MS = 5 * 60 * 1000;
+const RETRYABLE_STATUSES = [408, 429];
+
+// Per host: the tail of the request queue, and when the last request started
+const hostQueues = new Map();
+const lastRequestAt = new Map();
+
+/**
+ * Fetch a URL
+ * @param {string} url - URL to fetch
+ * @param {Object} [options]
+ * @param {string} [options.label] - What is being fetched, for logs and errors (e.g. 'List')
+ * @param {string} [options.accept] - Accept header
+ * @param {boolean} [options.conditional] - Send the URL's stored validators
+ * @param {number} [options.maxBytes] - Response size limit (default: SCRAPE_MAX_RESPONSE_BYTES)
+ * @returns {Promise<Object>} { status, notModified, body (Buffer|null), contentType, validators }
+ */
+async function fetchUrl(url, { label = 'Resource', accept, conditional = false, maxBytes } = {}) {
+  const mode = replayMode();
+  if (mode === 'replay') return replayUrl(url, label);
+
+  const maxRetries = config.scraping.maxRetries ?? 3;
+  const limit = maxBytes || config.scraping.maxResponseBytes || 10 * 1024 * 1024;
+
+  const headers = { 'User-Agent': config.scraping.userAgent || 'CACD-Archive-Bot/1.0' };
+  if (accept) headers.Accept = accept;
+  // Recordings need the full body, so record mode never asks for a 304
+  if (conditional && !mode) {
+    const stored = await getValidators(url);
+    if (stored?.etag) headers['If-None-Match'] = stored.etag;
+    if (stored?.lastModified) headers['If-Modified-Since'] = stored.lastModified;
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    let retryAfterMs = null;
+    let failure;
+
+    try {
+      logger.info(`Fetching ${label.toLowerCase()} (attempt ${attempt + 1})`, { url });
+      const response = await politeFetch(url, headers, limit);
+
+      if (response.status === 304) {
+        logger.info(`${label} not modified`, { url });
+        return { ...response, notModified: true, body: null };
+      }
+      if (response.ok) {
+        logger.info(`Successfully fetched ${label.toLowerCase()}`, {
+          url,
+          bytes: response.body.length
+        });
+        if (mode === 'record') await writeRecording(url, response);
+        return { ...response, notModified: false };
+      }
+
+      failure = statusError(response, label, url);
+      if (response.status === 404 && mode === 'record') await writeRecording(url, response);
+      if (!isRetryableStatus(response.status)) throw failure;
+      retryAfterMs = parseRetryAfter(response.retryAfter);
+    } catch (error) {
+      if (error.status || error.code === 'RESPONSE_TOO_LARGE') throw error;
+      failure = error;
+    }
+
+    const timedOut = failure.name === 'AbortError';
+    if (attempt >= maxRetries) {
+      throw timedOut ? new Error('Request timeout after all retry attempts') : failure;
+    }
+
+    const delay = Math.max(backoffDelay(attempt), retryAfterMs || 0);
+    logger.warn(`${timedOut ? 'Request timeout' : failure.message}, retrying in ${delay}ms`, {
+      attempt: attempt + 1,
+      url
+    });
+    await sleep(delay);
+  }
+}
+
+/**
+ * Serve a URL from its recording
+ * @param {string} url - URL
+ * @param {string} label - What is being fetched
+ * @returns {Promise<Object>} As fetchUrl()
+ */
+async function replayUrl(url, label) {
+  const response = await readRecording(url);
+  logger.info(`Replaying recorded ${label.toLowerCase()}`, { url, status: response.status });
+
+  if (!response.ok) throw statusError(response, label, url);
+  return { ...response, notModified: false };
+}
+
+/**
+ * Make one request, waiting for the host's turn and reading the body
+ * within the size limit
+ * @param {string} url - URL
+ * @param {Object} headers - Request headers
+ * @param {number} limit - Maximum body size in bytes
+ * @returns {Promise<Object>} { ok, status, statusText, body, contentType, validators, retryAfter }
+ */
+async function politeFetch(url, headers, limit) {
+  const release = await acquireHost(new URL(url).host);
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), config.scraping.requestTimeout || 10000);
+
+  try {
+    const response = await fetch(url, { signal: controller.signal, headers });
+    let body = null;
+    if (response.ok) {
+      body = await readBody(response, limit, url);
+    } else if (response.body) {
+      await response.body.cancel().catch(() => {});
+    }
+
+    return {
+      ok: response.ok,
+      status: response.status,
+      statusText: response.statusText,
+      body,
+      contentType: response.headers.get('content-type'),
+      validators: {
+        etag: response.headers.get('etag'),
+        lastModified: response.headers.get('last-modified')
+      },
+      retryAfter: response.headers.get('retry-after')
+    };
+  } finally {
+    clearTimeout(timeout);
+    release();
+  }
+}
+
+/**
+ * Read a response body, refusing anything over the size limit
+ * @param {Response} response - Fetch response
+ * @param {number} limit - Maximum size in bytes
+ * @param {string} url - URL, for the error message
+ * @returns {Promise<Buffer>}
+ */
+async function readBody(response, limit, url) {
+  const declared = parseInt(response.headers.get('content-length'), 10);
+  if (declared > limit) throw tooLarge(url, limit);
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response.body || []) {
+    size += chunk.length;
+    if (size > limit) throw tooLarge(url, limit);
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Wait until a request to the host may start: one at a time, at least the
+ * crawl delay after the previous one started
+ * @param {string} host - Host name
+ * @returns {Promise<Function>} Call to let the next request go
+ */
+async function acquireHost(host) {
+  const previous = hostQueues.get(host) || Promise.resolve();
+  let release;
+  const turn = new Promise((resolve) => {
+    release = resolve;
+  });
+  const tail = previous.then(() => turn);
+  hostQueues.set(host, tail);
+
+  await previous;
+
+  const crawlDelay = config.scraping.crawlDelayMs ?? 1000;
+  const wait = (lastRequestAt.get(host) || 0) + crawlDelay - Date.now();
+  if (wait > 0) await sleep(wait);
+  lastRequestAt.set(host, Date.now());
+
+  return () => {
+    if (hostQueues.get(host) === tail) hostQueues.delete(host);
+    release();
+  };
+}
+
+/**
+ * Delay before a retry: the base delay, doubling each attempt (5s, 10s, 20s…)
+ * @param {number} attempt - Zero-based attempt that failed
+ * @returns {number} Milliseconds
+ */
+function backoffDelay(attempt) {
+  return (config.scraping.retryBaseDelayMs ?? 5000) * 2 ** attempt;
+}
+
+/**
+ * @param {number} status - HTTP status
+ * @returns {boolean} Whether a request that got this status is worth retrying
+ */
+function isRetryableStatus(status) {
+  return status >= 500 || RETRYABLE_STATUSES.includes(status);
+}
+
+/**
+ * Parse a Retry-After header (seconds or an HTTP date)
+ * @param {string|null} value - Header value
+ * @returns {number|null} Milliseconds to wait, capped, or null if absent or invalid
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const ms = /^\d+$/.test(value.trim())
+    ? parseInt(value, 10) * 1000
+    : new Date(value).getTime() - Date.now();
+  if (Number.isNaN(ms)) return null;
+  return Math.min(Math.max(ms, 0), MAX_RETRY_AFTER_MS);
+}
+
+/**
+ * Stored validators for a URL
+ * @param {string} url - URL
+ * @returns {Promise<Object|null>} { etag, lastModified } or null
+ */
+async function getValidators(url) {
+  const rows = await query('SELECT etag, last_modified FROM http_validators WHERE url_hash = ?', [
+    hashUrl(url)
+  ]);
+  if (rows.length === 0) return null;
+  return { etag: rows[0].etag, lastModified: rows[0].last_modified };
+}
+
+/**
+ * Store a URL's validators, for the next conditional request. Call this once
+ * the document has been processed, so a failure is retried in full.
+ * @param {string} url - URL
+ * @param {Object} validators - { etag, lastModified } from fetchUrl()
+ * @returns {Promise<void>}
+ */
+async function saveValidators(url, validators) {
+  if (!validators?.etag && !validators?.lastModified) return;
+
+  await query(
+    `INSERT INTO http_validators (url_hash, url, etag, last_modified)
+     VALUES (?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE etag = VALUES(etag), last_modified = VALUES(last_modified)`,
+    [hashUrl(url), url, validators.etag || null, validators.lastModified || null]
+  );
+}
+
+/**
+ * @param {string} url - URL
+ * @returns {string} SHA-256 hex digest, the http_validators key
+ */
+function hashUrl(url) {
+  return crypto.createHash('sha256').update(url).digest('hex');
+}
+
+/**
+ * Error for an unsuccessful response
+ * @param {Object} response - { status, statusText }
+ * @param {string} label - What was being fetched
+ * @param {string} url - URL
+ * @returns {Error} With the HTTP status as error.status
+ */
+function statusError(response, label, url) {
+  const error = new Error(
+    response.status === 404
+      ? `${label} not found (404): ${url}`
+      : `HTTP error ${response.status}: ${response.statusText}`
+  );
+  error.status = response.status;
+  return error;
+}
+
+function tooLarge(url, limit) {
+  const error = new Error(`Response from ${url} exceeds ${limit} bytes`);
+  error.code = 'RESPONSE_TOO_LARGE';
+  return error;
+}
+
+/**
+ * Sleep for specified milliseconds
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  fetchUrl,
+  getValidators,
+  saveValidators,
+  parseRetryAfter
+};
@@ -4,32 +4,50 @@ const { toZonedTime } = require('date-fns-tz');
 const config = require('../config/config');
 const logger = require('../utils/logger');
 const emailService = require('../services/email-service');
+const { fetchUrl } = require('./http-fetcher');
+const { replayMode, scrapeDate } = require('./replay');
 
 /**
  * Link Discovery Module
- * Finds daily cause list links for Court of Appeal (Criminal Division)
- * from the summary publications page for today and tomorrow.
+ * Finds list links for today and tomorrow on a Court and Tribunal Hearings
+ * service summary publications page. Each court's page is identified by its
+ * locationId; lists are picked out by a title pattern plus the list date.
+ * Without a title pattern, the Court of Appeal division's title is used.
  */
 
 const SUMMARY_URL = config.scraping.summaryPageUrl;
 const BASE_URL = new URL(SUMMARY_URL).origin;
 const TIMEZONE = 'Europe/London';
 
+// Default list titles per division, e.g. "Court of Appeal (Civil Division) Daily Cause List"
+const DIVISION_TITLES = {
+  Criminal: /court of appeal\W+criminal division/i,
+  Civil: /court of appeal\W+civil division/i
+};
+
 /**
- * Discover links for today and tomorrow's daily cause lists
- * @param {string} division - Division name (default: 'Criminal')
+ * Discover links for today and tomorrow's lists
+ * @param {Object} [options]
+ * @param {number} [options.locationId] - Summary page locationId (default: SUMMARY_PAGE_URL's)
+ * @param {string|RegExp} [options.titlePattern] - List title pattern (case-insensitive)
+ * @param {string} [options.division] - Division the lists belong to (default: 'Criminal')
  * @returns {Promise<Object>} Result object with discovered links
  */
-async function discoverLinks(division = 'Criminal') {
+async function discoverLinks({
+  locationId = null,
+  titlePattern = null,
+  division = 'Criminal'
+} = {}) {
   const startTime = Date.now();
-  logger.info('Starting link discovery', { division });
+  const summaryUrl = summaryPageUrl(locationId);
+  logger.info('Starting link discovery', { division, summaryUrl });
 
   try {
     // Fetch summary page
-    const html = await fetchSummaryPage();
+    const html = await fetchSummaryPage(summaryUrl);
 
     // Parse HTML and find links
-    const links = findCACDLinks(html, division);
+    const links = findCACDLinks(html, division, toTitlePattern(titlePattern));
 
     const duration = Date.now() - startTime;
     logger.info('Link discovery completed', {
@@ -58,10 +76,11 @@ async function discoverLinks(division = 'Criminal') {
         error: error.message,
         stack: error.stack,
         date: format(new Date(), 'yyyy-MM-dd'),
-        url: SUMMARY_URL,
+        url: summaryUrl,
         context: {
           division,
-          summaryUrl: SUMMARY_URL
+          summaryUrl,
+          titlePattern: titlePattern ? String(titlePattern) : null
         }
       });
     } catch (emailError) {
@@ -75,82 +94,46 @@ async function discoverLinks(division = 'Criminal') {
 }
 
 /**
- * Fetch the summary publications page with retry logic
- * @returns {Promise<string>} HTML content
+ * Summary publications page URL for a location
+ * @param {number} [locationId] - locationId (default: SUMMARY_PAGE_URL's)
+ * @returns {string}
  */
-async function fetchSummaryPage() {
-  const retryDelays = [5000, 10000, 20000];
-  let lastError;
-
-  for (let attempt = 0; attempt <= retryDelays.length; attempt++) {
-    try {
-      logger.info(`Fetching summary page (attempt ${attempt + 1})`);
-
-      const controller = new AbortController();
-      const timeout = setTimeout(() => controller.abort(), config.scraping.requestTimeout || 10000);
-
-      try {
-        const response = await fetch(SUMMARY_URL, {
-          signal: controller.signal,
-          headers: {
-            'User-Agent': config.scraping.userAgent || 'CACD-Archive-Bot/1.0'
-          }
-        });
-
-        clearTimeout(timeout);
-
-        if (response.ok) {
-          const html = await response.text();
-          logger.info('Successfully fetched summary page');
-          return html;
-        }
-
-        if (response.status === 404) {
-          throw new Error('Summary page not found (404)');
-        }
-
-        if (response.status >= 500 && attempt < retryDelays.length) {
-          const delay = retryDelays[attempt];
-          logger.warn(`Server error (${response.status}), retrying in ${delay}ms`, {
-            attempt: attempt + 1
-          });
-          await sleep(delay);
-          continue;
-        }
-
-        throw new Error(`HTTP error ${response.status}: ${response.statusText}`);
-      } catch (fetchError) {
-        clearTimeout(timeout);
-        throw fetchError;
-      }
-    } catch (error) {
-      lastError = error;
-
-      if (error.name === 'AbortError') {
-        if (attempt < retryDelays.length) {
-          const delay = retryDelays[attempt];
-          logger.warn(`Request timeout, retrying in ${delay}ms`, { attempt: attempt + 1 });
-          await sleep(delay);
-          continue;
-        }
-        throw new Error('Request timeout after all retry attempts');
-      }
-
-      // For other errors, throw immediately
-      throw error;
-    }
+function summaryPageUrl(locationId) {
+  const url = new URL(SUMMARY_URL);
+  if (locationId) {
+    url.searchParams.set('locationId', String(locationId));
   }
+  return url.toString();
+}
 
-  throw lastError;
+/**
+ * Compile a configured list title pattern
+ * @param {string|RegExp|null} pattern - Pattern, e.g. from data_sources.list_title_pattern
+ * @returns {RegExp|null}
+ */
+function toTitlePattern(pattern) {
+  if (!pattern || pattern instanceof RegExp) return pattern || null;
+  return new RegExp(pattern, 'i');
 }
 
 /**
- * Find CACD links for today and tomorrow from HTML
+ * Fetch the summary publications page
+ * @param {string} summaryUrl - Summary page URL
+ * @returns {Promise<string>} HTML content
+ */
+async function fetchSummaryPage(summaryUrl) {
+  const response = await fetchUrl(summaryUrl, { label: 'Summary page' });
+  return response.body.toString('utf8');
+}
+
+/**
+ * Find list links for today and tomorrow from HTML
  * @param {string} html - HTML document
  * @param {string} division - Division name
+ * @param {RegExp} [titlePattern] - List title pattern (default: the division's)
  * @returns {Array<Object>} Array of matched links
  */
-function findCACDLinks(html, division) {
+function findCACDLinks(html, division, titlePattern = null) {
   const $ = cheerio.load(html);
   const allLinks = [];
 
@@ -174,7 +157,7 @@ function findCACDLinks(html, division) {
   const matchedLinks = [];
 
   for (const targetDate of targetDates) {
-    const result = findLinkForDate(allLinks, targetDate, division);
+    const result = findLinkForDate(allLinks, targetDate, division, titlePattern);
     if (result) {
       matchedLinks.push(result);
     }
@@ -197,9 +180,10 @@ function findCACDLinks(html, division) {
  * @param {Array<Object>} links - Array of link objects
  * @param {Date} targetDate - Target date
  * @param {string} division - Division name
+ * @param {RegExp} [titlePattern] - List title pattern (default: the division's)
  * @returns {Object|null} Matched link or null
  */
-function findLinkForDate(links, targetDate, division) {
+function findLinkForDate(links, targetDate, division, titlePattern = null) {
   const day = format(targetDate, 'd'); // e.g., "3"
   const dayPadded = format(targetDate, 'dd'); // e.g., "03"
   const monthFull = format(targetDate, 'MMMM'); // e.g., "December"
@@ -222,8 +206,7 @@ function findLinkForDate(links, targetDate, division) {
     // Check all required components (case-insensitive)
     // Day can be with or without leading zero (e.g., "3" or "03")
     if (
-      containsCaseInsensitive(text, 'Court of Appeal') &&
-      containsCaseInsensitive(text, division) &&
+      (titlePattern ? titlePattern.test(text) : matchesDivisionTitle(text, division)) &&
       (containsWord(text, day) || containsWord(text, dayPadded)) &&
       (containsWord(text, monthFull) || containsWord(text, monthShort)) &&
       containsWord(text, year)
@@ -259,6 +242,21 @@ function findLinkForDate(links, targetDate, division) {
   return null;
 }
 
+/**
+ * Check whether a link title names the division's list
+ * @param {string} text - Link text
+ * @param {string} division - Division name
+ * @returns {boolean}
+ */
+function matchesDivisionTitle(text, division) {
+  const pattern = DIVISION_TITLES[division];
+  if (pattern) return pattern.test(text);
+
+  return (
+    containsCaseInsensitive(text, 'Court of Appeal') && containsCaseInsensitive(text, division)
+  );
+}
+
 /**
  * Check if text contains phrase (case-insensitive)
  * @param {string} text - Text to search
@@ -339,29 +337,26 @@ function isValidUrl(url) {
 }
 
 /**
- * Get current date in UK timezone
+ * Get current date in UK timezone (the recorded date when replaying)
  * @returns {Date}
  */
 function getCurrentDateUK() {
+  // A replay runs as of the day it was recorded
+  if (replayMode() === 'replay') return scrapeDate();
+
   const now = new Date();
   // Convert to UK timezone
   const ukDate = toZonedTime(now, TIMEZONE);
   return ukDate;
 }
 
-/**
- * Sleep for specified milliseconds
- * @param {number} ms - Milliseconds to sleep
- * @returns {Promise<void>}
- */
-function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
-}
-
 module.exports = {
   discoverLinks,
+  summaryPageUrl,
+  toTitlePattern,
   findCACDLinks,
   findLinkForDate,
+  matchesDivisionTitle,
   containsCaseInsensitive,
   containsWord
 };
@@ -0,0 +1,144 @@
+const { formatInTimeZone } = require('date-fns-tz');
+const { discoverLinks } = require('../link-discovery');
+const { parseTable } = require('../table-parser');
+const { parseCivilTable } = require('../civil-table-parser');
+const { fetchUrl } = require('../http-fetcher');
+
+/**
+ * Court list scraper plugins
+ * Lists published on the Court and Tribunal Hearings service. The data source
+ * row says where to look: location_id picks the summary page, and
+ * list_title_pattern picks out the source's lists on it. Discovers today's
+ * and tomorrow's lists, fetches each page and syncs it per list date.
+ *
+ * Both Court of Appeal daily cause lists are registered with their own table
+ * parsers. Any other data source with a location_id and list_title_pattern is
+ * scraped by the generic plugin, which matches columns by header name.
+ *
+ * Each fetched list page is archived as a 'dcl_list' snapshot, which the
+ * reparse service hands back to parse() through fromSnapshot().
+ */
+
+/**
+ * Create a court list plugin
+ * @param {Object} options
+ * @param {string} options.slug - data_sources.slug
+ * @param {Function} options.parseList - Table parser for the list's column layout
+ * @param {string} [options.division] - Division when the data source row doesn't set one
+ * @returns {Object} Scraper plugin
+ */
+function createCourtListScraper({ slug, parseList, division = 'Criminal' }) {
+  return {
+    slug,
+    syncStrategy: 'incremental',
+    notifySavedSearches: true,
+
+    async discover(dataSource) {
+      const linkResult = await discoverLinks({
+        locationId: dataSource.location_id,
+        titlePattern: dataSource.list_title_pattern,
+        division: dataSource.division || division
+      });
+      return {
+        targets: linkResult.linksFound.map((link) => ({
+          url: link.url,
+          listDate: link.targetDate,
+          division: link.division
+        }))
+      };
+    },
+
+    // Conditional: a list unchanged since its last sync comes back as a 304
+    async fetch(target, discovery, { conditional = true } = {}) {
+      const document = await fetchListDocument(target.url, { conditional });
+      if (document.notModified) return { notModified: true };
+
+      return {
+        content: document.body,
+        contentType: document.contentType,
+        documentType: 'dcl_list',
+        validators: document.validators
+      };
+    },
+
+    parse(document, target) {
+      return parseList(
+        document.content.toString('utf8'),
+        target.listDate,
+        target.url,
+        target.division
+      );
+    },
+
+    snapshotType: 'dcl_list',
+
+    // The archived page is the list document itself
+    fromSnapshot(content, fetch, dataSource) {
+      return {
+        document: { content },
+        target: {
+          url: fetch.url,
+          listDate: formatInTimeZone(fetch.list_date, 'UTC', 'yyyy-MM-dd'),
+          division: fetch.division || dataSource.division || division
+        }
+      };
+    }
+  };
+}
+
+const dailyCauseList = createCourtListScraper({
+  slug: 'daily_cause_list',
+  parseList: parseTable,
+  division: 'Criminal'
+});
+
+// Civil lists have their own column layout
+const civilDailyCauseList = createCourtListScraper({
+  slug: 'civil_daily_cause_list',
+  parseList: parseCivilTable,
+  division: 'Civil'
+});
+
+/**
+ * Whether a data source is configured for the generic court list plugin
+ * @param {Object} dataSource - Data source row
+ * @returns {boolean}
+ */
+function isCourtListSource(dataSource) {
+  return Boolean(dataSource && dataSource.location_id && dataSource.list_title_pattern);
+}
+
+/**
+ * Create the generic plugin for a configured data source
+ * @param {Object} dataSource - Data source row (see isCourtListSource)
+ * @returns {Object} Scraper plugin
+ */
+function createGenericCourtListScraper(dataSource) {
+  return createCourtListScraper({ slug: dataSource.slug, parseList: parseCivilTable });
+}
+
+/**
+ * Fetch the raw list document (bytes and content type) from list URL
+ * @param {string} url - List URL
+ * @param {Object} [options]
+ * @param {boolean} [options.conditional] - Send the validators stored for the URL
+ * @returns {Promise<{body: Buffer|null, contentType: string|null, notModified: boolean, validators: Object}>}
+ */
+async function fetchListDocument(url, { conditional = false } = {}) {
+  const response = await fetchUrl(url, { label: 'List', conditional });
+  return {
+    body: response.body,
+    contentType: response.contentType,
+    notModified: response.notModified,
+    validators: response.validators
+  };
+}
+
+module.exports = {
+  createCourtListScraper,
+  createGenericCourtListScraper,
+  isCourtListSource,
+  dailyCauseList,
+  civilDailyCauseList,
+  fetchListDocument
+};
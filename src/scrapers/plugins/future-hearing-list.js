@@ -0,0 +1,73 @@
+const { discoverFHLLink, fromContentApiUrl } = require('../fhl-link-discovery');
+const { parseFHLTable } = require('../fhl-table-parser');
+const { getLastSourceUpdatedAt } = require('../../services/scrape-history-service');
+const logger = require('../../utils/logger');
+
+/**
+ * Future Hearing List scraper plugin
+ * Uses the GOV.UK Content API to discover and fetch the FHL in one step, then
+ * full-replace syncs it. Skips the sync when the publication's
+ * public_updated_at is no newer than the last successful scrape's.
+ * Reparses start from the archived 'fhl_attachment' Content API responses.
+ */
+
+module.exports = {
+  slug: 'future_hearing_list',
+  syncStrategy: 'full-replace',
+  notifySavedSearches: false,
+
+  async discover(dataSource) {
+    const discoveryResult = await discoverFHLLink(dataSource.base_url);
+
+    logger.info('FHL document discovered via Content API', {
+      url: discoveryResult.link.url,
+      publicUpdatedAt: discoveryResult.publicUpdatedAt
+    });
+
+    return {
+      targets: [{ url: discoveryResult.link.url }],
+      // Raw Content API responses; the attachment response carries the table
+      documents: discoveryResult.documents || [],
+      sourceUpdatedAt: discoveryResult.publicUpdatedAt,
+      body: discoveryResult.body
+    };
+  },
+
+  async isUnchanged(dataSource, discovery) {
+    if (!discovery.sourceUpdatedAt) return false;
+
+    const lastSourceUpdatedAt = await getLastSourceUpdatedAt(dataSource.id);
+    if (!lastSourceUpdatedAt) return false;
+
+    const unchanged =
+      new Date(discovery.sourceUpdatedAt).getTime() <= new Date(lastSourceUpdatedAt).getTime();
+    if (unchanged) {
+      logger.info('FHL data unchanged', {
+        publicUpdatedAt: discovery.sourceUpdatedAt,
+        lastSourceUpdatedAt: new Date(lastSourceUpdatedAt).toISOString()
+      });
+    }
+    return unchanged;
+  },
+
+  // The Content API returned the body during discovery, and its raw
+  // response is already archived
+  async fetch(target, discovery) {
+    return { content: discovery.body, contentType: 'text/html' };
+  },
+
+  parse(document, target) {
+    return parseFHLTable(document.content, target.url, 'Criminal');
+  },
+
+  snapshotType: 'fhl_attachment',
+
+  // The archived Content API response carries the table in details.body
+  fromSnapshot(content, fetch) {
+    const body = JSON.parse(content.toString('utf8')).details?.body;
+    if (!body) {
+      throw new Error('Archived FHL attachment has no body content');
+    }
+    return { document: { content: body }, target: { url: fromContentApiUrl(fetch.url) } };
+  }
+};
@@ -0,0 +1,189 @@
+/**
+ * Record Enricher
+ * Extracts structured fields from the free-text case details, hearing type and
+ * additional information columns of parsed records. Run after parseTable /
+ * parseFHLTable, before sync.
+ *
+ * Adds to each record:
+ * - partyNames: parties other than the Crown, e.g. ['Smith'] for "R v Smith"
+ * - agReference: "Attorney General's Reference No 12 of 2024" (or without a
+ *   number if none is listed), null otherwise
+ * - appealType: 'conviction', 'sentence', 'both' or null
+ * - applicationTypes: any of 'renewal', 'leave', 'extension_of_time'
+ * - handDown: true if a judgment is to be handed down
+ * - reportingRestricted: true if the FHL lists a reporting restriction or the
+ *   additional information mentions one
+ */
+
+const APPEAL_TYPES = ['conviction', 'sentence', 'both'];
+const APPLICATION_TYPES = ['renewal', 'leave', 'extension_of_time'];
+
+// "Attorney General's Reference No 12 of 2024", "AG's Ref (No. 3 of 2025)", "A-G's Reference"
+const AG_REFERENCE =
+  /\b(?:attorney[\s-]+general'?s?|a[\s-]?g'?s?)\s+ref(?:erence)?s?\.?(?:\s*\(?\s*(?:no\.?|number)\s*(\d+)\s+of\s+(\d{4})\s*\)?)?/i;
+
+// "R v Smith", "R -v- Smith", "Regina v. Smith", "The King v Smith"
+const CROWN_PARTY = /^(?:r|regina|rex|the\s+(?:king|queen))$/i;
+const VERSUS = /\s+-?v(?:s|\.)?-?\s+/i;
+
+const CONVICTION = /\bconv(?:iction)?s?\b/i;
+const SENTENCE = /\bsent(?:ence)?s?\b/i;
+const RENEWAL = /\brenew(?:al|ed|s)?\b/i;
+const LEAVE = /\bleave\b|\bapplications?\b|\bappn\b/i;
+const EXTENSION_OF_TIME = /\bextension\s+of\s+time\b|\bEOT\b|\bout\s+of\s+time\b/i;
+const HAND_DOWN = /\bhand(?:ed|ing|s)?[\s-]*down\b|\bhanddown\b/i;
+
+// Keep in step with the backfill in migration 020
+const NO_RESTRICTION = /^(?:no|none|n\/a|nil|-)?$/i;
+const RESTRICTION_NOTE =
+  /sexual offences|reporting restriction|anonymity|section ?(?:39|45a?|46|49)(?![0-9])/i;
+
+/**
+ * Extract an Attorney General's Reference from case details
+ * @param {string} text - Case details
+ * @returns {Object} { agReference, remainder } where remainder is the text without it
+ */
+function extractAgReference(text) {
+  const match = text.match(AG_REFERENCE);
+  if (!match) return { agReference: null, remainder: text };
+
+  const [, number, year] = match;
+  const agReference = number
+    ? `Attorney General's Reference No ${number} of ${year}`
+    : "Attorney General's Reference";
+
+  return { agReference, remainder: text.replace(match[0], ' ') };
+}
+
+/**
+ * Extract party names from case details, dropping the Crown
+ * "R v Smith, Jones and Brown" -> ['Smith', 'Jones', 'Brown']
+ * "Smith, John" (FHL surname, forenames) -> ['Smith, John']
+ * @param {string} text - Case details with any AG's Reference removed
+ * @returns {Array<string>} Party names
+ */
+function extractPartyNames(text) {
+  // Parties in an AG's Reference are usually given in brackets
+  const cleaned = text
+    .replace(/[()[\]]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  if (!cleaned) return [];
+
+  const sides = cleaned.split(VERSUS);
+  if (sides.length < 2) return [cleaned];
+
+  const parties = [];
+  for (const side of sides) {
+    if (CROWN_PARTY.test(side.trim())) continue;
+    // Several defendants on one side: "Smith, Jones and Brown", "Smith & Ors"
+    for (const name of side.split(/\s*[,;&]\s*|\s+and\s+/i)) {
+      const party = name.trim();
+      if (party && !/^(?:others|ors\.?|anor\.?|another)$/i.test(party)) {
+        parties.push(party);
+      }
+    }
+  }
+  return parties;
+}
+
+/**
+ * Work out the appeal type from the hearing type
+ * @param {string} text - Hearing type
+ * @returns {string|null} 'conviction', 'sentence', 'both' or null
+ */
+function extractAppealType(text) {
+  const conviction = CONVICTION.test(text);
+  const sentence = SENTENCE.test(text);
+  if (conviction && sentence) return 'both';
+  if (conviction) return 'conviction';
+  if (sentence) return 'sentence';
+  return null;
+}
+
+/**
+ * Work out application types from the hearing type and additional information
+ * @param {string} text - Hearing type and additional information
+ * @returns {Array<string>} Any of 'renewal', 'leave', 'extension_of_time'
+ */
+function extractApplicationTypes(text) {
+  const types = [];
+  if (RENEWAL.test(text)) types.push('renewal');
+  if (LEAVE.test(text)) types.push('leave');
+  if (EXTENSION_OF_TIME.test(text)) types.push('extension_of_time');
+  return types;
+}
+
+/**
+ * Whether a record is subject to a reporting restriction
+ * @param {Object} record - Parsed record
+ * @returns {boolean}
+ */
+function isReportingRestricted(record) {
+  const restriction = String(record['reporting restriction'] || '').trim();
+  if (!NO_RESTRICTION.test(restriction)) return true;
+  return RESTRICTION_NOTE.test(record['additional information'] || '');
+}
+
+/**
+ * Extract structured fields from a parsed record
+ * @param {Object} record - Parsed record
+ * @returns {Object} { partyNames, agReference, appealType, applicationTypes, handDown,
+ *   reportingRestricted }
+ */
+function extractFields(record) {
+  const caseDetails = record['case details'] || '';
+  const hearingType = record['hearing type'] || '';
+  const additionalInformation = record['additional information'] || '';
+
+  const { agReference, remainder } = extractAgReference(caseDetails);
+
+  return {
+    partyNames: extractPartyNames(remainder),
+    agReference,
+    appealType: extractAppealType(hearingType),
+    applicationTypes: extractApplicationTypes(`${hearingType} ${additionalInformation}`),
+    handDown: HAND_DOWN.test(`${hearingType} ${additionalInformation}`),
+    reportingRestricted: isReportingRestricted(record)
+  };
+}
+
+/**
+ * Add extracted fields to parsed records in place
+ * @param {Array<Object>} records - Records from parseTable / parseFHLTable
+ * @returns {Array<Object>} The same records
+ */
+function enrichRecords(records) {
+  for (const record of records) {
+    Object.assign(record, extractFields(record));
+  }
+  return records;
+}
+
+/**
+ * Database column values for extracted fields
+ * @param {Object} fields - Enriched record or extractFields() result
+ * @returns {Array} [party_names, ag_reference, appeal_type, application_types, hand_down,
+ *   reporting_restricted]
+ */
+function toColumnValues(fields) {
+  return [
+    fields.partyNames && fields.partyNames.length > 0 ? fields.partyNames.join('; ') : null,
+    fields.agReference || null,
+    fields.appealType || null,
+    fields.applicationTypes && fields.applicationTypes.length > 0
+      ? fields.applicationTypes.join(',')
+      : null,
+    fields.handDown ? 1 : 0,
+    fields.reportingRestricted ? 1 : 0
+  ];
+}
+
+module.exports = {
+  enrichRecords,
+  extractFields,
+  toColumnValues,
+  isReportingRestricted,
+  APPEAL_TYPES,
+  APPLICATION_TYPES
+};
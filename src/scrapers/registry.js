@@ -0,0 +1,128 @@
+/**
+ * Scraper Registry
+ * Maps each data_sources.slug to the plugin that scrapes it. The scheduler,
+ * the startup scrape, the admin scrape route and `cacd scraper run` all look
+ * sources up here, so adding a source means writing a plugin and registering
+ * it below. A source on the Court and Tribunal Hearings service needs no
+ * plugin of its own: with location_id and list_title_pattern set on its row,
+ * it is scraped by the generic court list plugin.
+ *
+ * A plugin describes one source's pipeline; src/services/scraper-service.js
+ * runs it:
+ *
+ *   discover(dataSource)          → { targets, documents?, sourceUpdatedAt? }
+ *                                   targets are the lists to fetch; documents
+ *                                   are raw responses to archive as snapshots
+ *   isUnchanged(dataSource, found) → optional freshness check; true skips the
+ *                                   fetch, parse and sync steps
+ *   fetch(target, found, opts)    → { content, contentType, documentType?,
+ *                                   validators? } archived when documentType
+ *                                   is set; validators (from http-fetcher) are
+ *                                   saved once the list has synced. Return
+ *                                   { notModified: true } to skip the list;
+ *                                   opts.conditional is false on dry runs,
+ *                                   which must always get the list.
+ *   parse(document, target)       → records for the sync service
+ *   syncStrategy                  → 'incremental': one list date per target,
+ *                                   synced with synchronizeRecords()
+ *                                   'full-replace': one target covering the
+ *                                   whole source, synced with
+ *                                   fullReplaceSynchronize()
+ *   notifySavedSearches           → run saved search notifications when a
+ *                                   scrape adds hearings
+ *   snapshotType                  → optional; the documentType of the archived
+ *                                   snapshots `cacd scraper reparse` reads
+ *   fromSnapshot(content, fetch, dataSource)
+ *                                 → { document, target } to hand an archived
+ *                                   snapshot to parse(); required with
+ *                                   snapshotType
+ */
+
+const SYNC_STRATEGIES = ['incremental', 'full-replace'];
+const REQUIRED_METHODS = ['discover', 'fetch', 'parse'];
+
+const plugins = new Map();
+
+/**
+ * Register a scraper plugin
+ * @param {Object} plugin - Scraper plugin (see above)
+ * @returns {Object} The plugin
+ */
+function registerScraper(plugin) {
+  if (!plugin || !plugin.slug) {
+    throw new Error('Scraper plugin must have a slug');
+  }
+  for (const method of REQUIRED_METHODS) {
+    if (typeof plugin[method] !== 'function') {
+      throw new Error(`Scraper plugin "${plugin.slug}" must implement ${method}()`);
+    }
+  }
+  if (!SYNC_STRATEGIES.includes(plugin.syncStrategy)) {
+    throw new Error(
+      `Scraper plugin "${plugin.slug}" has unknown sync strategy: ${plugin.syncStrategy}`
+    );
+  }
+  if (plugins.has(plugin.slug)) {
+    throw new Error(`A scraper is already registered for source: ${plugin.slug}`);
+  }
+
+  plugins.set(plugin.slug, plugin);
+  return plugin;
+}
+
+/**
+ * Get the plugin for a data source slug
+ * @param {string} slug - Source slug (e.g. 'daily_cause_list')
+ * @returns {Object|null} Plugin or null
+ */
+function getScraper(slug) {
+  return plugins.get(slug) || null;
+}
+
+/**
+ * Get the plugin for a data source row: its registered plugin, or the
+ * generic court list plugin if the row is configured for one
+ * @param {Object} dataSource - Data source row
+ * @returns {Object|null} Plugin or null
+ */
+function resolveScraper(dataSource) {
+  const plugin = getScraper(dataSource?.slug);
+  if (plugin) return plugin;
+
+  return courtList.isCourtListSource(dataSource)
+    ? courtList.createGenericCourtListScraper(dataSource)
+    : null;
+}
+
+/**
+ * Whether a data source can be scraped
+ * @param {Object} dataSource - Data source row
+ * @returns {boolean}
+ */
+function hasScraper(dataSource) {
+  return resolveScraper(dataSource) !== null;
+}
+
+/**
+ * Slugs of all registered scrapers
+ * @returns {Array<string>}
+ */
+function listScrapers() {
+  return [...plugins.keys()];
+}
+
+// Built-in scrapers
+const courtList = require('./plugins/court-list');
+const futureHearingList = require('./plugins/future-hearing-list');
+
+registerScraper(courtList.dailyCauseList);
+registerScraper(courtList.civilDailyCauseList);
+registerScraper(futureHearingList);
+
+module.exports = {
+  registerScraper,
+  getScraper,
+  resolveScraper,
+  hasScraper,
+  listScrapers
+};
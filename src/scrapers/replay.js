@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { parseISO } = require('date-fns');
+const { formatInTimeZone } = require('date-fns-tz');
+const config = require('../config/config');
+
+/**
+ * Scrape Replay Module
+ * Offline record/replay of upstream requests, for running full scrapes in CI
+ * and on laptops without reaching gov.uk. With SCRAPE_REPLAY_DIR set, the
+ * HTTP fetcher either:
+ *   replay (default)                 serves every request from recordings in
+ *                                    the directory; nothing goes upstream
+ *   record (SCRAPE_REPLAY_MODE=record) fetches live as usual and writes each
+ *                                    response into the directory
+ *
+ * Recordings are keyed by scrape date and URL:
+ *   <dir>/<YYYY-MM-DD>/<host-and-path>-<hash>.json
+ * holding the status, the headers the scrapers read and the body. A replay
+ * runs as of SCRAPE_REPLAY_DATE (default: the latest date recorded), which
+ * link discovery takes as today.
+ */
+
+const TIMEZONE = 'Europe/London';
+const DATE_DIR = /^\d{4}-\d{2}-\d{2}$/;
+const RECORDED_HEADERS = ['content-type', 'etag', 'last-modified'];
+
+/**
+ * Current replay mode
+ * @returns {string|null} 'replay', 'record', or null when off
+ */
+function replayMode() {
+  const { dir, mode } = config.scraping.replay || {};
+  if (!dir) return null;
+  return mode === 'record' ? 'record' : 'replay';
+}
+
+/**
+ * The date a replay runs as
+ * @returns {string|null} YYYY-MM-DD, or null when not replaying
+ */
+function replayDate() {
+  if (replayMode() !== 'replay') return null;
+
+  const { dir, date } = config.scraping.replay;
+  if (date) return date;
+
+  const dates = fs.existsSync(dir) ? fs.readdirSync(dir).filter((name) => DATE_DIR.test(name)) : [];
+  if (dates.length === 0) {
+    throw new Error(`No recordings found in SCRAPE_REPLAY_DIR: ${dir}`);
+  }
+  return dates.sort().at(-1);
+}
+
+/**
+ * Today's date in the UK, or the replay date when replaying
+ * @returns {Date} Midnight (local) on the scrape date
+ */
+function scrapeDate() {
+  return parseISO(replayDate() || formatInTimeZone(new Date(), TIMEZONE, 'yyyy-MM-dd'));
+}
+
+/**
+ * Where a URL's recording for a date is kept
+ * @param {string} url - Request URL
+ * @param {string} date - Scrape date (YYYY-MM-DD)
+ * @returns {string} File path
+ */
+function recordingPath(url, date) {
+  const { host, pathname } = new URL(url);
+  const name = `${host}${pathname}`
+    .replace(/[^a-z0-9]+/gi, '-')
+    .slice(0, 80)
+    .replace(/^-|-$/g, '');
+  const hash = crypto.createHash('sha256').update(url).digest('hex').slice(0, 12);
+  return path.join(config.scraping.replay.dir, date, `${name}-${hash}.json`);
+}
+
+/**
+ * Read the recorded response for a URL
+ * @param {string} url - Request URL
+ * @returns {Promise<Object>} { status, statusText, body (Buffer), contentType, validators }
+ */
+async function readRecording(url) {
+  const date = replayDate();
+  const file = recordingPath(url, date);
+
+  let recording;
+  try {
+    recording = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`No recording for ${url} on ${date} (expected ${file})`);
+    }
+    throw error;
+  }
+
+  const headers = recording.headers || {};
+  return {
+    ok: recording.status >= 200 && recording.status < 300,
+    status: recording.status,
+    statusText: recording.statusText || '',
+    body: Buffer.from(recording.body || '', 'utf8'),
+    contentType: headers['content-type'] || null,
+    validators: {
+      etag: headers.etag || null,
+      lastModified: headers['last-modified'] || null
+    }
+  };
+}
+
+/**
+ * Record a live response under today's date
+ * @param {string} url - Request URL
+ * @param {Object} response - Response from the HTTP fetcher
+ * @returns {Promise<string>} File written
+ */
+async function writeRecording(url, response) {
+  const file = recordingPath(url, formatInTimeZone(new Date(), TIMEZONE, 'yyyy-MM-dd'));
+  const headers = {
+    'content-type': response.contentType,
+    etag: response.validators?.etag,
+    'last-modified': response.validators?.lastModified
+  };
+
+  const recording = {
+    url,
+    recordedAt: new Date().toISOString(),
+    status: response.status,
+    statusText: response.statusText,
+    headers: Object.fromEntries(
+      RECORDED_HEADERS.filter((h) => headers[h]).map((h) => [h, headers[h]])
+    ),
+    body: response.body ? response.body.toString('utf8') : ''
+  };
+
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  await fs.promises.writeFile(file, JSON.stringify(recording, null, 2) + '\n');
+  return file;
+}
+
+module.exports = {
+  replayMode,
+  replayDate,
+  scrapeDate,
+  recordingPath,
+  readRecording,
+  writeRecording
+};
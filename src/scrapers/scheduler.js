@@ -3,37 +3,48 @@
  *
  * Manages automatic periodic scraping for all enabled data sources.
  * - Uses node-cron for scheduling (checks every minute)
- * - Each data source has its own interval and time window (from data_sources table)
- * - Only runs on PM2 instance 0 (when NODE_APP_INSTANCE=0)
+ * - Each data source has its own interval and time window, or a cron
+ *   expression, evaluated in its own timezone (from data_sources table)
+ * - The court calendar can suppress or thin out a source's scrapes at
+ *   weekends, on bank holidays and in vacations
+ * - Due scrapes are queued in scrape_jobs and run by the scrape worker
+ * - Only runs on the elected leader: every instance competes for a lease in
+ *   scheduler_leases, and another takes over if the leader goes away
  * - Supports scrape on startup configuration
  * - Graceful shutdown handling
  */
 
 const cron = require('node-cron');
+const { formatInTimeZone } = require('date-fns-tz');
 const logger = require('../utils/logger');
 const config = require('../config/config');
-const { scrapeAll } = require('../services/scraper-service');
-const { shouldScrape } = require('../services/scrape-history-service');
+const { courtDay } = require('../utils/court-calendar');
+const { lastCronMatch } = require('../utils/cron-schedule');
+const { shouldScrape, getLastSuccessfulScrape } = require('../services/scrape-history-service');
+const { enqueueScrape, getLatestJob } = require('../services/scrape-job-service');
 const { getEnabledSources } = require('../services/data-source-service');
+const { acquireLease, releaseLease } = require('../services/leader-service');
+const { hasScraper } = require('./registry');
+const { startWorker, stopWorker, getWorkerStatus } = require('./scrape-worker');
+
+// A cron run missed while there was no leader is still queued if the
+// scheduler is back within this many minutes
+const CRON_CATCH_UP_MINUTES = 60;
 
 let scheduledTask = null;
+let electionTimer = null;
+let electionInProgress = false;
+let isLeader = false;
+let lease = null;
 let isShuttingDown = false;
-let scrapingInProgress = false;
-
-/**
- * Check if this instance should run scheduled tasks
- * Only instance 0 should run cron jobs in PM2 cluster mode
- */
-function shouldRunScheduler() {
-  return config.appInstance === 0;
-}
 
 /**
- * Check if current time is within a source's scraping window
+ * Check if a time is within a source's scraping window, in its timezone
  * @param {Object} dataSource - Data source row from data_sources table
+ * @param {Date} now - Current time
  * @returns {boolean}
  */
-function isWithinScrapingWindow(dataSource) {
+function isWithinScrapingWindow(dataSource, now) {
   const startHour = dataSource.scrape_window_start_hour;
   const endHour = dataSource.scrape_window_end_hour;
 
@@ -42,12 +53,133 @@ function isWithinScrapingWindow(dataSource) {
     return true;
   }
 
-  const currentHour = new Date().getHours();
+  const currentHour = parseInt(formatInTimeZone(now, dataSource.scrape_timezone, 'H'), 10);
   return currentHour >= startHour && currentHour < endHour;
 }
 
 /**
- * Perform a scheduled scrape for all enabled data sources that are due
+ * Look up today in the court calendar, in a source's timezone, and how the
+ * source's calendar policy treats it
+ * @param {Object} dataSource - Data source row from data_sources table
+ * @param {Date} now - Current time
+ * @returns {Object} { day, policy }, where policy is 'scrape', 'thin' or 'skip'
+ */
+function calendarPolicy(dataSource, now) {
+  const day = courtDay(formatInTimeZone(now, dataSource.scrape_timezone, 'yyyy-MM-dd'));
+
+  let policy = 'scrape';
+  if (day.type === 'closed') policy = dataSource.closed_day_policy;
+  if (day.type === 'vacation') policy = dataSource.vacation_policy;
+
+  return { day, policy };
+}
+
+/**
+ * Check whether a source's last job ran out of attempts since a given time.
+ * Such a source waits for its next interval or cron run rather than being
+ * queued again straight away.
+ * @param {Object} dataSource - Data source row from data_sources table
+ * @param {Date} since - Start of the current interval or cron run
+ * @returns {Promise<boolean>}
+ */
+async function hasDeadJobSince(dataSource, since) {
+  const job = await getLatestJob(dataSource.id);
+  if (!job || job.status !== 'dead') return false;
+
+  return new Date(job.completedAt) >= since;
+}
+
+/**
+ * Check whether a source's cron expression has matched since its last
+ * successful scrape
+ * @param {Object} dataSource - Data source row from data_sources table
+ * @param {Date} now - Current time
+ * @returns {Promise<boolean>}
+ */
+async function isCronDue(dataSource, now) {
+  const match = lastCronMatch(
+    dataSource.scrape_cron,
+    dataSource.scrape_timezone,
+    now,
+    CRON_CATCH_UP_MINUTES
+  );
+  if (!match) return false;
+
+  const lastScrape = await getLastSuccessfulScrape(dataSource.id);
+  if (lastScrape && new Date(lastScrape) >= match) return false;
+
+  return !(await hasDeadJobSince(dataSource, match));
+}
+
+/**
+ * Check whether a scheduled scrape of a source is due, logging why not
+ * @param {Object} source - Data source row from data_sources table
+ * @param {Date} now - Current time
+ * @returns {Promise<boolean>}
+ */
+async function isSourceDue(source, now) {
+  const { day, policy } = calendarPolicy(source, now);
+  if (policy === 'skip') {
+    logger.debug('Skipping source - court not sitting', {
+      source: source.slug,
+      date: day.date,
+      reason: day.reason
+    });
+    return false;
+  }
+
+  // Thinning out never scrapes more often than the usual interval
+  const intervalMinutes =
+    policy === 'thin'
+      ? Math.max(source.scrape_interval_minutes, source.thinned_interval_minutes)
+      : source.scrape_interval_minutes;
+  const intervalHours = intervalMinutes / 60;
+
+  if (source.scrape_cron) {
+    if (!(await isCronDue(source, now))) {
+      logger.debug('Skipping source - cron not due', {
+        source: source.slug,
+        cron: source.scrape_cron,
+        timezone: source.scrape_timezone
+      });
+      return false;
+    }
+    if (policy !== 'thin') return true;
+  } else if (!isWithinScrapingWindow(source, now)) {
+    logger.debug('Skipping source - outside time window', {
+      source: source.slug,
+      currentHour: formatInTimeZone(now, source.scrape_timezone, 'H'),
+      timezone: source.scrape_timezone,
+      windowStart: source.scrape_window_start_hour,
+      windowEnd: source.scrape_window_end_hour
+    });
+    return false;
+  }
+
+  if (!(await shouldScrape(intervalHours, source.id))) {
+    logger.debug('Skipping source - interval not elapsed', {
+      source: source.slug,
+      intervalMinutes,
+      court: day.reason || 'sitting',
+      policy
+    });
+    return false;
+  }
+
+  const intervalStart = new Date(now.getTime() - intervalMinutes * 60 * 1000);
+  if (await hasDeadJobSince(source, intervalStart)) {
+    logger.debug('Skipping source - last job ran out of attempts', {
+      source: source.slug,
+      intervalMinutes
+    });
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Queue a scheduled scrape for each enabled data source that is due
  */
 async function performScheduledScrape() {
   if (isShuttingDown) {
@@ -55,11 +187,6 @@ async function performScheduledScrape() {
     return;
   }
 
-  if (scrapingInProgress) {
-    logger.warn('Skipping scheduled scrape - previous scrape still in progress');
-    return;
-  }
-
   let sources;
   try {
     sources = await getEnabledSources();
@@ -68,35 +195,12 @@ async function performScheduledScrape() {
     return;
   }
 
+  const now = new Date();
   for (const source of sources) {
     if (isShuttingDown) break;
 
-    // Check time window for this source
-    if (!isWithinScrapingWindow(source)) {
-      logger.debug('Skipping source - outside time window', {
-        source: source.slug,
-        currentHour: new Date().getHours(),
-        windowStart: source.scrape_window_start_hour,
-        windowEnd: source.scrape_window_end_hour
-      });
-      continue;
-    }
-
-    // Check interval for this source
-    const intervalHours = source.scrape_interval_minutes / 60;
-    const should = await shouldScrape(intervalHours, source.id);
-
-    if (!should) {
-      logger.debug('Skipping source - interval not elapsed', {
-        source: source.slug,
-        intervalMinutes: source.scrape_interval_minutes
-      });
-      continue;
-    }
-
-    // Only scrape sources that have an implemented scraper
-    const implementedSources = ['daily_cause_list', 'future_hearing_list'];
-    if (!implementedSources.includes(source.slug)) {
+    // Only scrape sources that have a registered scraper
+    if (!hasScraper(source)) {
       logger.debug('Skipping source - no scraper implemented yet', {
         source: source.slug
       });
@@ -104,37 +208,30 @@ async function performScheduledScrape() {
     }
 
     try {
-      scrapingInProgress = true;
-
-      logger.info('Starting scheduled scrape', {
-        source: source.slug,
-        intervalMinutes: source.scrape_interval_minutes
-      });
-
-      const result = await scrapeAll('scheduled', source);
-
-      logger.info('Scheduled scrape completed successfully', {
-        source: source.slug,
-        linksProcessed: result.linksProcessed,
-        recordsAdded: result.recordsAdded,
-        recordsUpdated: result.recordsUpdated,
-        recordsDeleted: result.recordsDeleted,
-        duration: `${result.duration}ms`
-      });
+      if (!(await isSourceDue(source, now))) continue;
+
+      // Already queued, running or awaiting a retry is not an error
+      const { job, created } = await enqueueScrape(source, 'scheduled');
+      if (created) {
+        logger.info('Scheduled scrape queued', {
+          source: source.slug,
+          jobId: job.id,
+          cron: source.scrape_cron,
+          intervalMinutes: source.scrape_interval_minutes
+        });
+      }
     } catch (error) {
-      logger.error('Scheduled scrape failed', {
+      logger.error('Failed to queue scheduled scrape', {
         source: source.slug,
         error: error.message,
         stack: error.stack
       });
-    } finally {
-      scrapingInProgress = false;
     }
   }
 }
 
 /**
- * Perform startup scrape if enabled in configuration
+ * Queue a startup scrape of every enabled source, if enabled in configuration
  */
 async function performStartupScrape() {
   if (!config.scraping.scrapeOnStartup) {
@@ -142,9 +239,10 @@ async function performStartupScrape() {
     return;
   }
 
-  if (!shouldRunScheduler()) {
-    logger.info('Skipping startup scrape - not running on instance 0', {
-      appInstance: config.appInstance
+  if (!isLeader) {
+    logger.info('Skipping startup scrape - not the scheduler leader', {
+      instanceId: config.instanceId,
+      leader: lease?.holder || null
     });
     return;
   }
@@ -159,71 +257,54 @@ async function performStartupScrape() {
     return;
   }
 
-  // Only scrape sources with implemented scrapers on startup
-  const dclSource = sources.find((s) => s.slug === 'daily_cause_list');
-  if (!dclSource) {
-    logger.warn('Daily cause list source not found or disabled');
+  const scrapeable = sources.filter((s) => hasScraper(s));
+  if (scrapeable.length === 0) {
+    logger.warn('No enabled data sources with a registered scraper');
     return;
   }
 
-  try {
-    logger.info('Starting startup scrape');
-    scrapingInProgress = true;
-
-    const result = await scrapeAll('startup', dclSource);
-
-    logger.info('Startup scrape completed successfully', {
-      linksProcessed: result.linksProcessed,
-      recordsAdded: result.recordsAdded,
-      recordsUpdated: result.recordsUpdated,
-      recordsDeleted: result.recordsDeleted,
-      duration: `${result.duration}ms`
-    });
-  } catch (error) {
-    logger.error('Startup scrape failed', {
-      error: error.message,
-      stack: error.stack
-    });
-  } finally {
-    scrapingInProgress = false;
+  for (const source of scrapeable) {
+    try {
+      const { job, created } = await enqueueScrape(source, 'startup');
+      logger.info(created ? 'Startup scrape queued' : 'Startup scrape already queued', {
+        source: source.slug,
+        jobId: job.id
+      });
+    } catch (error) {
+      logger.error('Failed to queue startup scrape', {
+        source: source.slug,
+        error: error.message,
+        stack: error.stack
+      });
+    }
   }
 }
 
 /**
- * Start the scheduler
- * Runs every minute and checks if scraping is needed for each source
+ * Start the cron task and the scrape worker on becoming leader
  */
-function startScheduler() {
-  if (!shouldRunScheduler()) {
-    logger.info('Scheduler not started - not running on instance 0', {
-      appInstance: config.appInstance
-    });
-    return;
-  }
-
-  if (scheduledTask) {
-    logger.warn('Scheduler already started');
-    return;
-  }
+function lead() {
+  isLeader = true;
 
   // Run every minute and check if we should scrape
-  // Each data source has its own interval checked via shouldScrape()
+  // Each data source has its own interval or cron checked via isSourceDue()
   scheduledTask = cron.schedule('* * * * *', async () => {
     await performScheduledScrape();
   });
 
   logger.info('Scheduler started', {
     checkInterval: 'Every 1 minute',
-    appInstance: config.appInstance
+    instanceId: config.instanceId
   });
+
+  startWorker();
 }
 
 /**
- * Stop the scheduler gracefully
- * Waits for any in-progress scrape to complete
+ * Stop the cron task and the scrape worker on losing or giving up leadership
  */
-async function stopScheduler() {
-  isShuttingDown = true;
+async function stepDown() {
+  isLeader = false;
 
   if (scheduledTask) {
     logger.info('Stopping scheduler...');
@@ -231,21 +312,84 @@ async function stopScheduler() {
     scheduledTask = null;
   }
 
-  // Wait for any in-progress scrape to complete
-  if (scrapingInProgress) {
-    logger.info('Waiting for in-progress scrape to complete...');
+  await stopWorker();
+}
 
-    const maxWait = 60000; // 60 seconds max wait
-    const startTime = Date.now();
+/**
+ * Take or renew the scheduler lease, and start or stop scheduling to match
+ */
+async function runElection() {
+  if (electionInProgress || isShuttingDown) return;
+  electionInProgress = true;
 
-    while (scrapingInProgress && Date.now() - startTime < maxWait) {
-      await new Promise((resolve) => setTimeout(resolve, 1000));
+  try {
+    try {
+      lease = await acquireLease();
+    } catch (error) {
+      // Without the database this instance cannot know it still holds the lease
+      logger.error('Scheduler leader election failed', { error: error.message });
+      lease = null;
+    }
+
+    const leading = Boolean(lease?.isMine);
+    if (leading && !isLeader && !isShuttingDown) {
+      logger.info('Elected scheduler leader', { instanceId: config.instanceId });
+      lead();
+    } else if (!leading && isLeader) {
+      logger.warn('Lost scheduler leadership', {
+        instanceId: config.instanceId,
+        leader: lease?.holder || null
+      });
+      await stepDown();
     }
+  } finally {
+    electionInProgress = false;
+  }
+}
+
+/**
+ * Start taking part in leader election. The instance holding the lease
+ * runs the scheduler and the scrape worker, checking every minute if
+ * scraping is needed for each source; the others stand by to take over.
+ */
+async function startScheduler() {
+  if (electionTimer) {
+    logger.warn('Scheduler already started');
+    return;
+  }
+
+  isShuttingDown = false;
+  await runElection();
+  electionTimer = setInterval(runElection, config.scheduler.renewIntervalSeconds * 1000);
 
-    if (scrapingInProgress) {
-      logger.warn('Scrape did not complete within timeout, forcing shutdown');
-    } else {
-      logger.info('In-progress scrape completed');
+  if (!isLeader) {
+    logger.info('Scheduler on standby - not elected leader', {
+      instanceId: config.instanceId,
+      leader: lease?.holder || null
+    });
+  }
+}
+
+/**
+ * Stop the scheduler gracefully
+ * Waits for the scrape worker's running job (if any) to complete, then
+ * releases the lease so another instance can take over straight away
+ */
+async function stopScheduler() {
+  isShuttingDown = true;
+
+  if (electionTimer) {
+    clearInterval(electionTimer);
+    electionTimer = null;
+  }
+
+  if (isLeader) {
+    await stepDown();
+
+    try {
+      await releaseLease();
+    } catch (error) {
+      logger.error('Failed to release scheduler lease', { error: error.message });
     }
   }
 
@@ -258,9 +402,18 @@ async function stopScheduler() {
 function getSchedulerStatus() {
   return {
     running: scheduledTask !== null,
-    shouldRun: shouldRunScheduler(),
+    isLeader,
+    instanceId: config.instanceId,
     appInstance: config.appInstance,
-    scrapingInProgress,
+    leader: lease
+      ? {
+          holder: lease.active ? lease.holder : null,
+          acquiredAt: lease.acquiredAt,
+          renewedAt: lease.renewedAt,
+          expiresAt: lease.expiresAt
+        }
+      : null,
+    worker: getWorkerStatus(),
     isShuttingDown
   };
 }
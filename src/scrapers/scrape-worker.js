@@ -0,0 +1,224 @@
+/**
+ * Scrape Worker
+ *
+ * Runs the jobs in the scrape_jobs queue, one at a time.
+ * - Polls for due jobs (queued, or failed and past their backoff)
+ * - Refreshes the running job's lock while it works, so a job left running
+ *   by a crashed process can be told apart and recovered
+ * - Records each attempt's outcome; failures are retried with backoff
+ */
+
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const { scrapeAll } = require('../services/scraper-service');
+const {
+  claimNextJob,
+  touchJob,
+  completeJob,
+  failJob,
+  recoverStaleJobs
+} = require('../services/scrape-job-service');
+const { hasScraper } = require('./registry');
+
+const workerId = config.instanceId;
+
+let pollTimer = null;
+let isRunning = false;
+// Each start gets its own stop token. A loop that outlives stopWorker()'s
+// wait keeps checking the token it was started with, so restarting the
+// worker does not set it going again.
+let runToken = null;
+// The runDueJobs() call in progress, if any
+let activeLoop = null;
+let currentJob = null;
+
+/**
+ * Recover stale jobs, then run due jobs until none are left
+ * @param {Object} [token] - Stop token; the loop ends once token.stopped is set
+ * @returns {Promise<number>} Number of jobs run
+ */
+async function runDueJobs(token = { stopped: false }) {
+  await recoverStaleJobs();
+
+  let count = 0;
+  while (!token.stopped) {
+    const claimed = await claimNextJob(workerId);
+    if (!claimed) break;
+    await runJob(claimed.job, claimed.dataSource);
+    count++;
+  }
+  return count;
+}
+
+/**
+ * Run due jobs, then poll again after the configured interval
+ * @param {Object} token - Stop token of the start this loop belongs to
+ */
+async function poll(token) {
+  pollTimer = null;
+
+  activeLoop = runDueJobs(token);
+  try {
+    await activeLoop;
+  } catch (error) {
+    logger.error('Scrape worker poll failed', { error: error.message });
+  } finally {
+    activeLoop = null;
+  }
+
+  if (!token.stopped) {
+    pollTimer = setTimeout(() => poll(token), config.scraping.jobs.pollIntervalMs);
+  }
+}
+
+/**
+ * Run one attempt at a claimed job
+ * @param {Object} job - scrape_jobs row
+ * @param {Object|null} dataSource - The job's data source row
+ */
+async function runJob(job, dataSource) {
+  currentJob = job;
+
+  // Refresh the lock at a fraction of the stale timeout
+  const heartbeat = setInterval(
+    () => {
+      touchJob(job.id, workerId).catch((error) => {
+        logger.error('Failed to refresh scrape job lock', { jobId: job.id, error: error.message });
+      });
+    },
+    (config.scraping.jobs.staleAfterMinutes * 60000) / 3
+  );
+
+  try {
+    // A source without a scraper will never succeed, however often it is retried
+    if (!dataSource || !hasScraper(dataSource)) {
+      await failJob(job, new Error(`No scraper implemented for source: ${dataSource?.slug}`), {
+        retry: false
+      });
+      return;
+    }
+
+    logger.info('Starting scrape job', {
+      jobId: job.id,
+      source: dataSource.slug,
+      scrapeType: job.scrape_type,
+      attempt: job.attempts
+    });
+
+    const result = await scrapeAll(job.scrape_type, dataSource, { jobId: job.id });
+    await completeJob(job.id, result);
+
+    logger.info('Scrape job completed successfully', {
+      jobId: job.id,
+      source: dataSource.slug,
+      linksProcessed: result.linksProcessed,
+      recordsAdded: result.recordsAdded,
+      recordsUpdated: result.recordsUpdated,
+      recordsDeleted: result.recordsDeleted,
+      duration: `${result.duration}ms`
+    });
+  } catch (error) {
+    logger.error('Scrape job attempt failed', {
+      jobId: job.id,
+      source: dataSource?.slug,
+      error: error.message,
+      stack: error.stack
+    });
+    await failJob(job, error);
+  } finally {
+    clearInterval(heartbeat);
+    currentJob = null;
+  }
+}
+
+/**
+ * Start polling the queue
+ */
+function startWorker() {
+  if (isRunning) {
+    logger.warn('Scrape worker already started');
+    return;
+  }
+
+  isRunning = true;
+  const token = { stopped: false };
+  runToken = token;
+
+  // A job left running when the worker last stopped must finish first, so
+  // that only one loop ever claims jobs as this worker
+  if (activeLoop) {
+    logger.info('Waiting for the previous scrape job to finish', { jobId: currentJob?.id });
+  }
+  Promise.resolve(activeLoop)
+    .catch(() => {})
+    .then(() => {
+      if (!token.stopped) poll(token);
+    });
+
+  logger.info('Scrape worker started', {
+    workerId,
+    pollInterval: `${config.scraping.jobs.pollIntervalMs}ms`
+  });
+}
+
+/**
+ * Stop polling, waiting for the running job (if any) to finish. A job still
+ * running when the wait times out is left to finish, and then its loop ends;
+ * starting the worker again waits for it before claiming another job.
+ */
+async function stopWorker() {
+  if (!isRunning) return;
+  runToken.stopped = true;
+
+  if (pollTimer) {
+    clearTimeout(pollTimer);
+    pollTimer = null;
+  }
+
+  if (currentJob) {
+    logger.info('Waiting for running scrape job to complete...', { jobId: currentJob.id });
+
+    const maxWait = 60000; // 60 seconds max wait
+    const startTime = Date.now();
+
+    while (currentJob && Date.now() - startTime < maxWait) {
+      await new Promise((resolve) => setTimeout(resolve, 1000));
+    }
+
+    if (currentJob) {
+      logger.warn('Scrape job did not complete within timeout, forcing shutdown', {
+        jobId: currentJob.id
+      });
+    } else {
+      logger.info('Running scrape job completed');
+    }
+  }
+
+  isRunning = false;
+  logger.info('Scrape worker stopped');
+}
+
+/**
+ * Get worker status
+ */
+function getWorkerStatus() {
+  return {
+    running: isRunning && !runToken.stopped,
+    workerId,
+    currentJob: currentJob
+      ? {
+          id: currentJob.id,
+          dataSourceId: currentJob.data_source_id,
+          scrapeType: currentJob.scrape_type,
+          attempt: currentJob.attempts
+        }
+      : null
+  };
+}
+
+module.exports = {
+  startWorker,
+  stopWorker,
+  getWorkerStatus,
+  runDueJobs
+};
@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+const cheerio = require('cheerio');
+
+/**
+ * Table Headers Module
+ * Reads the column headers of the tables in an upstream document and
+ * fingerprints them, so a change to a source's template (a column added,
+ * removed, renamed or moved) can be spotted even when the parsers still cope.
+ */
+
+/**
+ * Extract each distinct header row from a document's tables
+ * @param {Buffer|string} html - HTML document
+ * @returns {Array<Array<string>>} Header rows in column order, sorted and deduplicated
+ */
+function extractTableHeaders(html) {
+  const $ = cheerio.load(Buffer.isBuffer(html) ? html.toString('utf8') : String(html || ''));
+  const headerRows = new Map();
+
+  $('table').each((i, table) => {
+    const row = $(table).find('thead tr').first();
+    const cells = (row.length ? row : $(table).find('tr').first()).find('th');
+
+    const headers = cells.map((j, cell) => normaliseHeader($(cell).text())).get();
+    if (headers.length > 0) {
+      headerRows.set(JSON.stringify(headers), headers);
+    }
+  });
+
+  return [...headerRows.keys()].sort().map((key) => headerRows.get(key));
+}
+
+/**
+ * Merge header rows from several documents of one scrape
+ * @param {Array<Array<Array<string>>>} documents - extractTableHeaders() result per document
+ * @returns {Array<Array<string>>} Distinct header rows, sorted
+ */
+function mergeTableHeaders(documents) {
+  const rows = new Map();
+  for (const headerRows of documents) {
+    for (const headers of headerRows) {
+      rows.set(JSON.stringify(headers), headers);
+    }
+  }
+  return [...rows.keys()].sort().map((key) => rows.get(key));
+}
+
+/**
+ * Fingerprint a set of header rows
+ * @param {Array<Array<string>>} headerRows - From extractTableHeaders()
+ * @returns {string|null} SHA-256 hex digest, or null if there were no headers
+ */
+function fingerprintHeaders(headerRows) {
+  if (!headerRows || headerRows.length === 0) return null;
+  return crypto.createHash('sha256').update(JSON.stringify(headerRows)).digest('hex');
+}
+
+/**
+ * Describe how header rows changed
+ * @param {Array<Array<string>>} previous - Earlier header rows
+ * @param {Array<Array<string>>} current - Latest header rows
+ * @returns {Object} { added, removed, reordered } - columns added and removed, and
+ *   whether the columns kept have moved
+ */
+function compareHeaders(previous, current) {
+  const before = new Set(previous.flat());
+  const after = new Set(current.flat());
+
+  const added = [...after].filter((header) => !before.has(header));
+  const removed = [...before].filter((header) => !after.has(header));
+
+  const kept = (rows) =>
+    JSON.stringify(rows.map((headers) => headers.filter((h) => before.has(h) && after.has(h))));
+  const reordered = kept(previous) !== kept(current);
+
+  return { added, removed, reordered };
+}
+
+/**
+ * @param {string} text - Header cell text
+ * @returns {string} Lowercased, with whitespace collapsed
+ */
+function normaliseHeader(text) {
+  return text.replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+module.exports = {
+  extractTableHeaders,
+  mergeTableHeaders,
+  fingerprintHeaders,
+  compareHeaders
+};
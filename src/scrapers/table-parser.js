@@ -1,5 +1,6 @@
 const cheerio = require('cheerio');
 const logger = require('../utils/logger');
+const { isValidCaseNumber } = require('../utils/case-reference');
 const emailService = require('../services/email-service');
 
 /**
@@ -329,10 +330,8 @@ function validateTime(timeString) {
  * @param {number} rowNumber - Row number
  */
 function validateCaseNumber(caseNumber, rowNumber) {
-  // Expected format: "202403891 A1"
-  const pattern = /^\d{9}\s+[A-Z]\d+$/;
-
-  if (!pattern.test(caseNumber)) {
+  // Expected format: "202403891 A1", or several references in one cell
+  if (!isValidCaseNumber(caseNumber)) {
     logger.warn('Unexpected case number format', {
       caseNumber,
       rowNumber
@@ -101,6 +101,20 @@ class EmailService {
       );
       this.templates.savedSearchMatches = handlebars.compile(savedSearchMatchesHtml);
 
+      // Load schema drift template
+      const schemaDriftHtml = await fs.readFile(
+        path.join(templatesDir, 'schema-drift.html'),
+        'utf8'
+      );
+      this.templates.schemaDrift = handlebars.compile(schemaDriftHtml);
+
+      // Load sync quarantine template
+      const syncQuarantinedHtml = await fs.readFile(
+        path.join(templatesDir, 'sync-quarantined.html'),
+        'utf8'
+      );
+      this.templates.syncQuarantined = handlebars.compile(syncQuarantinedHtml);
+
       logger.debug('Email templates loaded successfully');
     } catch (error) {
       logger.error('Failed to load email templates', {
@@ -262,6 +276,209 @@ class EmailService {
     return text;
   }
 
+  /**
+   * Send schema drift alert: a source's table headers changed between scrapes
+   * @param {Object} drift - Drift details
+   * @param {string} drift.source - Data source slug
+   * @param {string} drift.sourceName - Data source display name
+   * @param {number} drift.scrapeId - Scrape that saw the new headers
+   * @param {number} drift.previousScrapeId - Scrape that saw the old headers
+   * @param {Array<Array<string>>} drift.previousHeaders - Old header rows
+   * @param {Array<Array<string>>} drift.headers - New header rows
+   * @param {Object} drift.changes - { added, removed, reordered }
+   * @param {string} [drift.url] - Document the new headers came from
+   * @param {string} [drift.date] - List date
+   */
+  async sendSchemaDrift(drift) {
+    if (!this.initialized || !config.email.enabled || !this.transporter) {
+      logger.debug('Email not sent - service not initialized or disabled', {
+        initialized: this.initialized,
+        enabled: config.email.enabled,
+        hasTransporter: !!this.transporter
+      });
+      return;
+    }
+
+    if (!config.email.dataErrorRecipient) {
+      logger.warn('Schema drift email not sent - no recipient configured');
+      return;
+    }
+
+    const throttleKey = `schema-drift:${drift.source}`;
+    if (!this.shouldSendEmail(throttleKey)) {
+      logger.info('Schema drift email throttled', { source: drift.source });
+      return;
+    }
+
+    try {
+      const templateData = {
+        ...drift,
+        previousHeaders: drift.previousHeaders.map((headers) => headers.join(' | ')),
+        headers: drift.headers.map((headers) => headers.join(' | ')),
+        added: drift.changes.added.join(', '),
+        removed: drift.changes.removed.join(', '),
+        reordered: drift.changes.reordered,
+        timestamp: new Date().toISOString(),
+        environment: config.env
+      };
+
+      const html = this.templates.schemaDrift(templateData);
+      const text = this.generatePlainTextSchemaDrift(templateData);
+
+      const info = await this.transporter.sendMail({
+        from: config.email.from,
+        to: config.email.dataErrorRecipient,
+        subject: `[CACD Archive] Schema Drift - ${drift.sourceName}`,
+        text,
+        html
+      });
+
+      logger.info('Schema drift email sent successfully', {
+        messageId: info.messageId,
+        recipient: config.email.dataErrorRecipient,
+        source: drift.source
+      });
+
+      this.lastEmailSent[throttleKey] = Date.now();
+
+      return info;
+    } catch (error) {
+      logger.error('Failed to send schema drift email', {
+        error: error.message,
+        stack: error.stack,
+        source: drift.source
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Generate plain text version of schema drift email
+   */
+  generatePlainTextSchemaDrift(data) {
+    let text = `CACD Archive - Schema Drift: ${data.sourceName}\n`;
+    text += '==============================================\n\n';
+    text += `Environment: ${data.environment}\n`;
+    text += `Timestamp: ${data.timestamp}\n`;
+    text += `Source: ${data.source}\n`;
+    text += `Scrape: #${data.scrapeId} (previous: #${data.previousScrapeId})\n`;
+    if (data.date) text += `Date: ${data.date}\n`;
+    if (data.url) text += `URL: ${data.url}\n`;
+    text += '\n';
+
+    if (data.added) text += `Columns added: ${data.added}\n`;
+    if (data.removed) text += `Columns removed: ${data.removed}\n`;
+    if (data.reordered) text += 'Columns reordered\n';
+
+    text += `\nOld headers:\n${data.previousHeaders.map((h) => `  ${h}`).join('\n')}\n`;
+    text += `\nNew headers:\n${data.headers.map((h) => `  ${h}`).join('\n')}\n\n`;
+
+    text += '---\n';
+    text += 'This is an automated alert from CACD Archive.\n';
+    text +=
+      'The upstream table template has changed. Check the parser still maps every column correctly.\n';
+
+    return text;
+  }
+
+  /**
+   * Send alert that a sync was quarantined by the sync guard
+   * @param {Object} pending - Quarantined sync details
+   * @param {string} pending.source - Data source slug
+   * @param {string} pending.sourceName - Data source display name
+   * @param {number} pending.pendingSyncId - pending_syncs ID
+   * @param {string} pending.reason - Which threshold tripped
+   * @param {number} pending.existing - Live hearings in scope
+   * @param {number} pending.incoming - Records scraped
+   * @param {number} pending.deleting - Hearings the sync would remove
+   */
+  async sendSyncQuarantined(pending) {
+    if (!this.initialized || !config.email.enabled || !this.transporter) {
+      logger.debug('Email not sent - service not initialized or disabled', {
+        initialized: this.initialized,
+        enabled: config.email.enabled,
+        hasTransporter: !!this.transporter
+      });
+      return;
+    }
+
+    if (!config.email.dataErrorRecipient) {
+      logger.warn('Sync quarantine email not sent - no recipient configured');
+      return;
+    }
+
+    const throttleKey = `sync-quarantined:${pending.source}`;
+    if (!this.shouldSendEmail(throttleKey)) {
+      logger.info('Sync quarantine email throttled', { source: pending.source });
+      return;
+    }
+
+    try {
+      const templateData = {
+        ...pending,
+        adminUrl: config.baseUrl ? `${config.baseUrl}/admin` : null,
+        timestamp: new Date().toISOString(),
+        environment: config.env
+      };
+
+      const html = this.templates.syncQuarantined(templateData);
+      const text = this.generatePlainTextSyncQuarantined(templateData);
+
+      const info = await this.transporter.sendMail({
+        from: config.email.from,
+        to: config.email.dataErrorRecipient,
+        subject: `[CACD Archive] Sync Awaiting Review - ${pending.sourceName}`,
+        text,
+        html
+      });
+
+      logger.info('Sync quarantine email sent successfully', {
+        messageId: info.messageId,
+        recipient: config.email.dataErrorRecipient,
+        source: pending.source,
+        pendingSyncId: pending.pendingSyncId
+      });
+
+      this.lastEmailSent[throttleKey] = Date.now();
+
+      return info;
+    } catch (error) {
+      logger.error('Failed to send sync quarantine email', {
+        error: error.message,
+        stack: error.stack,
+        source: pending.source
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Generate plain text version of sync quarantine email
+   */
+  generatePlainTextSyncQuarantined(data) {
+    let text = `CACD Archive - Sync Awaiting Review: ${data.sourceName}\n`;
+    text += '==============================================\n\n';
+    text += `Environment: ${data.environment}\n`;
+    text += `Timestamp: ${data.timestamp}\n`;
+    text += `Source: ${data.source}\n`;
+    text += `Pending sync: #${data.pendingSyncId} (scrape #${data.scrapeId})\n`;
+    if (data.date) text += `Date: ${data.date}\n`;
+    if (data.url) text += `URL: ${data.url}\n`;
+    text += '\n';
+
+    text += `Reason: ${data.reason}\n`;
+    text += `Hearings currently listed: ${data.existing}\n`;
+    text += `Records scraped: ${data.incoming}\n`;
+    text += `Hearings the sync would remove: ${data.deleting}\n\n`;
+
+    text += '---\n';
+    text += 'This is an automated alert from CACD Archive.\n';
+    text += 'The sync has not been applied. Approve or reject it on the admin page';
+    text += data.adminUrl ? `: ${data.adminUrl}\n` : '.\n';
+
+    return text;
+  }
+
   /**
    * Send saved search matches notification
    * @param {Object} params - Notification parameters
@@ -353,6 +570,9 @@ class EmailService {
         if (match.judge_names) {
           text += `  Judge: ${match.judge_names}\n`;
         }
+        if (match.reporting_restricted) {
+          text += '  Reporting restrictions apply\n';
+        }
         text += '\n';
       });
     });
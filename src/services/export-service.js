@@ -0,0 +1,223 @@
+const { PassThrough, Readable } = require('stream');
+const ExcelJS = require('exceljs');
+const { format } = require('date-fns');
+const { getConnection } = require('../config/database');
+const { redactHearing } = require('./reporting-restriction-service');
+const {
+  HEARING_SELECT,
+  buildHearingFilter,
+  buildHearingOrder,
+  formatHearing
+} = require('../utils/hearing-query');
+
+/**
+ * Export Service
+ * Streams hearings matching the GET /hearings filters as CSV, NDJSON or XLSX,
+ * without the page size limit. Rows are read from a MySQL query stream so the
+ * result set is never held in memory.
+ */
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+  xlsx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extension: 'xlsx'
+  }
+};
+
+// Columns in CSV/XLSX exports: formatHearing() key, header, XLSX column width
+const EXPORT_COLUMNS = [
+  ['id', 'ID', 10],
+  ['listDate', 'List Date', 12],
+  ['caseNumber', 'Case Number', 16],
+  ['time', 'Time', 10],
+  ['hearingDateTime', 'Hearing Date/Time', 20],
+  ['venue', 'Venue', 20],
+  ['judge', 'Judge', 40],
+  ['caseDetails', 'Case Details', 40],
+  ['hearingType', 'Hearing Type', 30],
+  ['additionalInformation', 'Additional Information', 40],
+  ['partyNames', 'Party Names', 30],
+  ['agReference', "AG's Reference", 30],
+  ['appealType', 'Appeal Type', 12],
+  ['applicationTypes', 'Application Types', 20],
+  ['handDown', 'Hand Down', 10],
+  ['crownCourt', 'Crown Court', 25],
+  ['reportingRestriction', 'Reporting Restriction', 25],
+  ['reportingRestricted', 'Reporting Restricted', 10],
+  ['division', 'Division', 10],
+  ['court', 'Court', 30],
+  ['dataSourceName', 'Data Source', 20],
+  ['sourceUrl', 'Source URL', 40],
+  ['scrapedAt', 'Scraped At', 20],
+  ['removedAt', 'Removed At', 20],
+  ['removalReason', 'Removal Reason', 25]
+].map(([key, header, width]) => ({ key, header, width }));
+
+/**
+ * Read hearings matching the filters one row at a time
+ * @param {Object} filters - GET /hearings querystring values
+ * @param {boolean} canView - Whether the caller may see restricted party names
+ * @returns {AsyncGenerator<Object>} Hearings in the GET /hearings response format
+ */
+async function* readHearings(filters, canView) {
+  const { where, params } = buildHearingFilter(filters, canView);
+  const connection = await getConnection();
+  let finished = false;
+
+  try {
+    const rows = connection.connection
+      .query(`${HEARING_SELECT} ${where} ${buildHearingOrder(filters)}`, params)
+      .stream();
+
+    for await (const row of rows) {
+      yield toExportHearing(canView ? row : redactHearing(row));
+    }
+    finished = true;
+  } finally {
+    // A consumer that stops early leaves the query mid-stream, so the
+    // connection can't go back to the pool
+    if (finished) {
+      connection.release();
+    } else {
+      connection.destroy();
+    }
+  }
+}
+
+/**
+ * Format a hearing row for export, with the list date as YYYY-MM-DD
+ * @param {Object} row - Hearing row
+ * @returns {Object}
+ */
+function toExportHearing(row) {
+  const hearing = formatHearing(row);
+  if (hearing.listDate instanceof Date) {
+    hearing.listDate = format(hearing.listDate, 'yyyy-MM-dd');
+  }
+  return hearing;
+}
+
+/**
+ * Flatten a hearing value for a spreadsheet cell
+ * @param {*} value - Value from formatHearing()
+ * @returns {string|number|boolean|null}
+ */
+function toCell(value) {
+  if (value === null || value === undefined) return null;
+  if (Array.isArray(value)) return value.join('; ');
+  if (value instanceof Date) return value.toISOString();
+  return value;
+}
+
+/**
+ * Escape a value for CSV. Text starting with a formula character is prefixed
+ * with an apostrophe so spreadsheets don't evaluate it.
+ * @param {*} value - Cell value
+ * @returns {string}
+ */
+function escapeCsv(value) {
+  const cell = toCell(value);
+  if (cell === null) return '';
+
+  let text = String(cell);
+  if (typeof cell === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialise hearings as CSV, with a header row
+ * @param {AsyncIterable<Object>} hearings - Formatted hearings
+ * @returns {Readable}
+ */
+function toCsv(hearings) {
+  return Readable.from(
+    (async function* () {
+      yield EXPORT_COLUMNS.map((c) => escapeCsv(c.header)).join(',') + '\r\n';
+      for await (const hearing of hearings) {
+        yield EXPORT_COLUMNS.map((c) => escapeCsv(hearing[c.key])).join(',') + '\r\n';
+      }
+    })()
+  );
+}
+
+/**
+ * Serialise hearings as newline-delimited JSON, one hearing per line
+ * @param {AsyncIterable<Object>} hearings - Formatted hearings
+ * @returns {Readable}
+ */
+function toNdjson(hearings) {
+  return Readable.from(
+    (async function* () {
+      for await (const hearing of hearings) {
+        yield JSON.stringify(hearing) + '\n';
+      }
+    })()
+  );
+}
+
+/**
+ * Serialise hearings as an XLSX workbook with a single sheet
+ * @param {AsyncIterable<Object>} hearings - Formatted hearings
+ * @returns {Readable}
+ */
+function toXlsx(hearings) {
+  const output = new PassThrough();
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: output, useStyles: true });
+
+  (async () => {
+    const sheet = workbook.addWorksheet('Hearings', { views: [{ state: 'frozen', ySplit: 1 }] });
+    sheet.columns = EXPORT_COLUMNS;
+    sheet.getRow(1).font = { bold: true };
+
+    for await (const hearing of hearings) {
+      // Client went away: stop reading so the query is abandoned
+      if (output.destroyed) break;
+      const row = {};
+      for (const { key } of EXPORT_COLUMNS) {
+        row[key] = toCell(hearing[key]);
+      }
+      sheet.addRow(row).commit();
+    }
+
+    sheet.commit();
+    await workbook.commit();
+  })().catch((error) => output.destroy(error));
+
+  return output;
+}
+
+/**
+ * Stream hearings matching the GET /hearings filters in an export format
+ * @param {string} exportFormat - csv, ndjson or xlsx
+ * @param {Object} filters - GET /hearings querystring values (limit/offset are ignored)
+ * @param {boolean} canView - Whether the caller may see restricted party names
+ * @returns {Readable}
+ */
+function exportHearings(exportFormat, filters, canView) {
+  const hearings = readHearings(filters, canView);
+
+  switch (exportFormat) {
+    case 'csv':
+      return toCsv(hearings);
+    case 'ndjson':
+      return toNdjson(hearings);
+    case 'xlsx':
+      return toXlsx(hearings);
+    default:
+      throw new Error(`Unknown export format: ${exportFormat}`);
+  }
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_COLUMNS,
+  exportHearings,
+  toCsv,
+  toNdjson,
+  toXlsx,
+  escapeCsv
+};
@@ -0,0 +1,396 @@
+const crypto = require('crypto');
+const { format, subDays } = require('date-fns');
+const { formatInTimeZone } = require('date-fns-tz');
+const { query } = require('../config/database');
+const config = require('../config/config');
+const User = require('../models/User');
+const SavedSearch = require('../models/SavedSearch');
+const {
+  applyReportingRestrictions,
+  canViewRestricted
+} = require('./reporting-restriction-service');
+const { HEARING_SELECT, buildHearingFilter } = require('../utils/hearing-query');
+const { normaliseCaseNumber } = require('../utils/case-reference');
+const { buildCalendar } = require('../utils/icalendar');
+const { buildFeed } = require('../utils/atom');
+
+/**
+ * Feed Service
+ * Per-user iCalendar feeds of the hearings matching a saved search or
+ * listed for a case, and a public Atom feed of newly listed hearings.
+ * Calendar clients fetch feeds without cookies, so each calendar feed URL
+ * carries a token: the user ID and an HMAC of the feed path, keyed with the
+ * JWT secret and the user's feed key. A token only opens the feed it was
+ * issued for, and rotating the feed key revokes them all.
+ */
+
+// Hearings listed further back than this are left out of feeds
+const FEED_PAST_DAYS = 90;
+
+// Most hearings in one feed (the latest are kept)
+const FEED_LIMIT = 500;
+
+// Lists don't give an end time, so timed events are shown as an hour long
+const HEARING_DURATION = 'PT1H';
+
+// Suggested client polling interval, matching the default scrape interval
+const REFRESH_INTERVAL = 'PT2H';
+
+// Entries in the Atom feed (the most recently listed)
+const ATOM_LIMIT = 100;
+
+// Atom feed filters, in the order they appear in the feed URL
+const ATOM_FILTERS = ['search', 'dataSource', 'division'];
+
+/**
+ * Feed path for a saved search, relative to /api/v1/feeds
+ * @param {number} searchId - Saved search ID
+ * @returns {string}
+ */
+function searchFeedPath(searchId) {
+  return `searches/${searchId}`;
+}
+
+/**
+ * Feed path for a case, relative to /api/v1/feeds. Uses the normalised
+ * reference, so every listed form of it signs the same way.
+ * @param {string} caseNumber - Case number in any listed form
+ * @returns {string}
+ */
+function caseFeedPath(caseNumber) {
+  return `cases/${encodeURIComponent(normaliseCaseNumber(caseNumber))}`;
+}
+
+/**
+ * Sign a feed path for a user
+ * @param {number} userId - User ID
+ * @param {string} feedKey - The user's feed key
+ * @param {string} feedPath - e.g. 'searches/12'
+ * @returns {string} Token: "<userId>.<signature>"
+ */
+function signFeed(userId, feedKey, feedPath) {
+  const signature = crypto
+    .createHmac('sha256', config.auth.jwtSecret)
+    .update(`${userId}:${feedKey}:${feedPath}`)
+    .digest('base64url');
+  return `${userId}.${signature}`;
+}
+
+/**
+ * Check a feed token and load the user it was issued to
+ * @param {string} token - Token from the feed URL
+ * @param {string} feedPath - Path of the feed being requested
+ * @returns {Promise<Object|null>} Active user, or null if the token is invalid
+ */
+async function verifyFeedToken(token, feedPath) {
+  const match = /^(\d+)\.([\w-]+)$/.exec(String(token || ''));
+  if (!match) return null;
+
+  const userId = parseInt(match[1], 10);
+  const feedKey = await User.getFeedKey(userId);
+  if (!feedKey) return null;
+
+  const expected = Buffer.from(signFeed(userId, feedKey, feedPath));
+  const actual = Buffer.from(token);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  const user = await User.findById(userId);
+  return user && user.status.is_active ? user : null;
+}
+
+/**
+ * The user's feed key, issuing one if they don't have one yet
+ * @param {number} userId - User ID
+ * @returns {Promise<string>}
+ */
+async function getOrCreateFeedKey(userId) {
+  const feedKey = await User.getFeedKey(userId);
+  if (feedKey) return feedKey;
+  return await resetFeedKey(userId);
+}
+
+/**
+ * Issue the user a new feed key, revoking all their existing feed URLs
+ * @param {number} userId - User ID
+ * @returns {Promise<string>} New feed key
+ */
+async function resetFeedKey(userId) {
+  const feedKey = crypto.randomBytes(32).toString('hex');
+  await User.setFeedKey(userId, feedKey);
+  return feedKey;
+}
+
+/**
+ * Absolute URL of a signed feed
+ * @param {number} userId - User ID
+ * @param {string} feedKey - The user's feed key
+ * @param {string} feedPath - e.g. 'searches/12'
+ * @returns {string}
+ */
+function feedUrl(userId, feedKey, feedPath) {
+  const baseUrl = config.baseUrl || `http://localhost:${config.port}`;
+  const token = signFeed(userId, feedKey, feedPath);
+  return `${baseUrl}/api/v1/feeds/${feedPath}.ics?token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Feed URLs for each of the user's saved searches
+ * @param {number} userId - User ID
+ * @returns {Promise<Array<Object>>} [{ id, searchText, url }]
+ */
+async function getSearchFeedUrls(userId) {
+  const feedKey = await getOrCreateFeedKey(userId);
+  const searches = await SavedSearch.listByUser(userId);
+
+  return searches.map((search) => ({
+    id: search.id,
+    searchText: search.search_text,
+    url: feedUrl(userId, feedKey, searchFeedPath(search.id))
+  }));
+}
+
+/**
+ * Feed URL for a case
+ * @param {number} userId - User ID
+ * @param {string} caseNumber - Case number in any listed form
+ * @returns {Promise<string>}
+ */
+async function getCaseFeedUrl(userId, caseNumber) {
+  const feedKey = await getOrCreateFeedKey(userId);
+  return feedUrl(userId, feedKey, caseFeedPath(caseNumber));
+}
+
+/**
+ * Calendar of the hearings matching one of the user's saved searches
+ * @param {Object} user - Feed owner
+ * @param {number} searchId - Saved search ID
+ * @returns {Promise<string|null>} iCalendar text, or null if the search isn't the user's
+ */
+async function buildSearchCalendar(user, searchId) {
+  const search = await SavedSearch.findById(searchId, user.id);
+  if (!search) return null;
+
+  const hearings = await findFeedHearings({ search: search.search_text }, user);
+  return buildCalendar({
+    name: `CACD hearings: ${search.search_text}`,
+    events: toEvents(hearings),
+    refreshInterval: REFRESH_INTERVAL
+  });
+}
+
+/**
+ * Calendar of a case's hearings
+ * @param {Object} user - Feed owner
+ * @param {string} caseNumber - Case number in any listed form
+ * @returns {Promise<string>} iCalendar text
+ */
+async function buildCaseCalendar(user, caseNumber) {
+  const hearings = await findFeedHearings({ caseNumber }, user);
+  return buildCalendar({
+    name: `CACD case ${normaliseCaseNumber(caseNumber)}`,
+    events: toEvents(hearings),
+    refreshInterval: REFRESH_INTERVAL
+  });
+}
+
+/**
+ * Live hearings for a feed, applying the owner's reporting restriction policy
+ * @param {Object} filters - GET /hearings filters (search or caseNumber)
+ * @param {Object} user - Feed owner
+ * @returns {Promise<Array<Object>>} Hearing rows
+ */
+async function findFeedHearings(filters, user) {
+  const canView = await canViewRestricted(user);
+  const dateFrom = format(subDays(new Date(), FEED_PAST_DAYS), 'yyyy-MM-dd');
+  const { where, params } = buildHearingFilter({ ...filters, dateFrom }, canView);
+
+  const rows = await query(
+    `${HEARING_SELECT} ${where}
+     ORDER BY h.list_date DESC, h.hearing_datetime DESC, h.id DESC
+     LIMIT ?`,
+    [...params, FEED_LIMIT]
+  );
+  return applyReportingRestrictions(rows, canView);
+}
+
+/**
+ * Atom feed of the most recently listed hearings, newest first. Public, so
+ * reporting restrictions always apply.
+ * @param {Object} filters - { search, dataSource, division } as for GET /hearings
+ * @returns {Promise<Object>} { xml, etag, updated }
+ */
+async function buildHearingsAtom(filters = {}) {
+  const { where, params } = buildHearingFilter(pickAtomFilters(filters));
+  const rows = await query(
+    `${HEARING_SELECT} ${where}
+     ORDER BY h.created_at DESC, h.id DESC
+     LIMIT ?`,
+    [...params, ATOM_LIMIT]
+  );
+  const entries = applyReportingRestrictions(rows, false).map(toAtomEntry);
+
+  // The feed changes when an entry does; an empty feed never has
+  const updated = entries.reduce(
+    (latest, entry) => (entry.updated > latest ? entry.updated : latest),
+    new Date(0)
+  );
+
+  const selfUrl = atomFeedUrl(filters);
+  const xml = buildFeed({
+    id: selfUrl,
+    title: filters.search
+      ? `CACD Archive: hearings matching "${filters.search}"`
+      : 'CACD Archive: new hearings',
+    subtitle: 'Hearings in the Court of Appeal, newest listings first',
+    updated,
+    self: selfUrl,
+    entries
+  });
+
+  const etag = `"${crypto.createHash('sha256').update(xml).digest('base64url')}"`;
+  return { xml, etag, updated };
+}
+
+/**
+ * The Atom filters that were given
+ * @param {Object} filters - Querystring values
+ * @returns {Object}
+ */
+function pickAtomFilters(filters) {
+  const picked = {};
+  for (const name of ATOM_FILTERS) {
+    if (filters[name]) picked[name] = filters[name];
+  }
+  return picked;
+}
+
+/**
+ * Canonical URL of an Atom feed, which is also its ID
+ * @param {Object} filters - { search, dataSource, division }
+ * @returns {string}
+ */
+function atomFeedUrl(filters) {
+  const baseUrl = config.baseUrl || `http://localhost:${config.port}`;
+  const queryString = new URLSearchParams(pickAtomFilters(filters)).toString();
+  return `${baseUrl}/api/v1/feeds/hearings.atom${queryString ? `?${queryString}` : ''}`;
+}
+
+/**
+ * Build an Atom entry from a hearing row
+ * @param {Object} h - Hearing row (with data_source_name)
+ * @returns {Object} Entry for buildFeed()
+ */
+function toAtomEntry(h) {
+  const listDate = toDateString(h.list_date);
+  const listed = format(new Date(`${listDate}T12:00:00`), 'EEEE d MMMM yyyy');
+
+  return {
+    id: `urn:cacd-archive:hearing:${h.id}`,
+    title: [h.case_number, h.case_details].filter(Boolean).join(': ') || 'Hearing',
+    updated: new Date(h.updated_at || h.created_at),
+    published: h.created_at ? new Date(h.created_at) : null,
+    link: h.source_url,
+    categories: [h.data_source_name, h.division].filter(Boolean),
+    summary: [
+      `Listed: ${listed}${h.time ? ` at ${h.time}` : ''}`,
+      h.venue && `Venue: ${h.venue}`,
+      ...describeHearing(h)
+    ]
+      .filter(Boolean)
+      .join('\n')
+  };
+}
+
+/**
+ * Description lines shared by calendar events and Atom entries
+ * @param {Object} h - Hearing row (with data_source_name)
+ * @returns {Array<string>}
+ */
+function describeHearing(h) {
+  return [
+    h.judge && `Judge: ${h.judge}`,
+    h.hearing_type && `Hearing type: ${h.hearing_type}`,
+    h.additional_information && `Additional information: ${h.additional_information}`,
+    h.reporting_restricted && 'Reporting restrictions apply',
+    h.data_source_name && `Source: ${h.data_source_name}`
+  ].filter(Boolean);
+}
+
+/**
+ * Stable event UID for a hearing: its list date and case reference. The
+ * sync service replaces a hearing whose time changes with a new row, so row
+ * IDs would leave the old event behind; this UID moves it instead. Further
+ * hearings of the same case on the same day are numbered in time order.
+ * @param {string} listDate - List date (YYYY-MM-DD)
+ * @param {string} caseNumber - Case number as listed
+ * @param {number} occurrence - 1 for the case's first hearing that day
+ * @returns {string}
+ */
+function hearingUid(listDate, caseNumber, occurrence = 1) {
+  const reference = normaliseCaseNumber(caseNumber) || 'UNKNOWN';
+  const suffix = occurrence > 1 ? `-${occurrence}` : '';
+  return `${listDate}-${reference}${suffix}@cacd-archive`;
+}
+
+/**
+ * Build calendar events from hearing rows
+ * @param {Array<Object>} hearings - Hearing rows (with data_source_name)
+ * @returns {Array<Object>} Events for buildCalendar()
+ */
+function toEvents(hearings) {
+  const sorted = [...hearings].sort(
+    (a, b) =>
+      toDateString(a.list_date).localeCompare(toDateString(b.list_date)) ||
+      new Date(a.hearing_datetime || 0) - new Date(b.hearing_datetime || 0) ||
+      a.id - b.id
+  );
+
+  const occurrences = new Map();
+  return sorted.map((h) => {
+    const listDate = toDateString(h.list_date);
+    const key = `${listDate}|${normaliseCaseNumber(h.case_number)}`;
+    const occurrence = (occurrences.get(key) || 0) + 1;
+    occurrences.set(key, occurrence);
+
+    return {
+      uid: hearingUid(listDate, h.case_number, occurrence),
+      stamp: h.updated_at || h.scraped_at || new Date(),
+      start: h.hearing_datetime || null,
+      date: listDate,
+      duration: HEARING_DURATION,
+      summary: [h.case_number, h.case_details].filter(Boolean).join(': ') || 'Hearing',
+      location: h.venue,
+      description: describeHearing(h).join('\n'),
+      url: h.source_url
+    };
+  });
+}
+
+/**
+ * Format a list_date value (Date or string) as YYYY-MM-DD. The driver reads
+ * DATE columns as UTC midnight, which is the previous day in a timezone west
+ * of UTC, so a Date is formatted in UTC.
+ */
+function toDateString(value) {
+  return value instanceof Date
+    ? formatInTimeZone(value, 'UTC', 'yyyy-MM-dd')
+    : String(value).slice(0, 10);
+}
+
+module.exports = {
+  searchFeedPath,
+  caseFeedPath,
+  signFeed,
+  verifyFeedToken,
+  resetFeedKey,
+  getSearchFeedUrls,
+  getCaseFeedUrl,
+  buildSearchCalendar,
+  buildCaseCalendar,
+  buildHearingsAtom,
+  hearingUid,
+  toEvents,
+  toAtomEntry
+};
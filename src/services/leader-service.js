@@ -0,0 +1,83 @@
+const { query } = require('../config/database');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+/**
+ * Leader Service
+ * Elects one instance to run the scheduler, using a lease row in
+ * scheduler_leases (migration 028). The holder renews the lease while it
+ * runs; once it lapses, because the holder crashed or lost the database,
+ * the next instance to try takes it over.
+ */
+
+/**
+ * Take the lease if it is free or expired, or renew it if this instance
+ * already holds it
+ * @param {string} [name] - Lease name (default: 'scheduler')
+ * @returns {Promise<Object|null>} The lease as it now stands, whoever holds it
+ */
+async function acquireLease(name = 'scheduler') {
+  // acquired_at is assigned first, so it still sees the previous holder
+  await query(
+    `UPDATE scheduler_leases
+     SET acquired_at = IF(holder <=> ?, acquired_at, NOW()),
+       holder = ?,
+       renewed_at = NOW(),
+       expires_at = NOW() + INTERVAL ? SECOND
+     WHERE name = ? AND (holder <=> ? OR holder IS NULL OR expires_at < NOW())`,
+    [config.instanceId, config.instanceId, config.scheduler.leaseSeconds, name, config.instanceId]
+  );
+
+  return getLease(name);
+}
+
+/**
+ * Give up the lease, if this instance holds it, so another instance can
+ * take over without waiting for it to expire
+ * @param {string} [name] - Lease name (default: 'scheduler')
+ */
+async function releaseLease(name = 'scheduler') {
+  await query(
+    `UPDATE scheduler_leases
+     SET holder = NULL, expires_at = NOW()
+     WHERE name = ? AND holder = ?`,
+    [name, config.instanceId]
+  );
+
+  logger.info('Lease released', { name, instanceId: config.instanceId });
+}
+
+/**
+ * Look up who holds a lease
+ * @param {string} [name] - Lease name (default: 'scheduler')
+ * @returns {Promise<Object|null>} { name, holder, acquiredAt, renewedAt, expiresAt, active,
+ *   isMine }, or null if the lease does not exist
+ */
+async function getLease(name = 'scheduler') {
+  const rows = await query(
+    `SELECT name, holder, acquired_at, renewed_at, expires_at,
+      holder IS NOT NULL AND expires_at > NOW() AS active
+    FROM scheduler_leases
+    WHERE name = ?`,
+    [name]
+  );
+  if (rows.length === 0) return null;
+
+  const row = rows[0];
+  const active = Boolean(row.active);
+  return {
+    name: row.name,
+    holder: row.holder,
+    acquiredAt: row.acquired_at,
+    renewedAt: row.renewed_at,
+    expiresAt: row.expires_at,
+    active,
+    isMine: active && row.holder === config.instanceId
+  };
+}
+
+module.exports = {
+  acquireLease,
+  releaseLease,
+  getLease
+};
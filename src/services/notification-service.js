@@ -7,6 +7,11 @@ const { format } = require('date-fns');
 const SavedSearch = require('../models/SavedSearch');
 const db = require('../config/database');
 const emailService = require('./email-service');
+const PermissionService = require('./permission-service');
+const {
+  VIEW_RESTRICTED_CAPABILITY,
+  applyReportingRestrictions
+} = require('./reporting-restriction-service');
 const logger = require('../utils/logger');
 const config = require('../config/config');
 
@@ -99,8 +104,10 @@ class NotificationService {
       return;
     }
 
-    // Run all saved searches for this user
-    const searchResults = await this.runUserSearches(userData.searches);
+    // Run all saved searches for this user, withholding restricted names
+    // unless they may see them
+    const canView = await PermissionService.hasCapability(userId, VIEW_RESTRICTED_CAPABILITY);
+    const searchResults = await this.runUserSearches(userData.searches, canView);
 
     // Filter out searches with no matches
     const searchesWithMatches = searchResults.filter((result) => result.matches.length > 0);
@@ -151,12 +158,14 @@ class NotificationService {
 
   /**
    * Run all searches for a user and return matches
+   * @param {Array<Object>} searches - [{ id, text }]
+   * @param {boolean} canView - Whether the user may see restricted party names
    */
-  async runUserSearches(searches) {
+  async runUserSearches(searches, canView = false) {
     const results = [];
 
     for (const search of searches) {
-      const matches = await this.runSearch(search.text);
+      const matches = await this.runSearch(search.text, canView);
 
       results.push({
         searchText: search.text,
@@ -169,23 +178,28 @@ class NotificationService {
 
   /**
    * Run a single saved search query
-   * Searches cases with hearing dates TODAY or TOMORROW
+   * Searches cases with hearing dates TODAY or TOMORROW. Without canView,
+   * restricted hearings only match on case number and have names redacted.
+   * @param {string} searchText - Saved search text
+   * @param {boolean} canView - Whether the user may see restricted party names
    */
-  async runSearch(searchText) {
+  async runSearch(searchText, canView = false) {
     try {
       // Get today and tomorrow's dates
       const today = format(new Date(), 'yyyy-MM-dd');
       const tomorrow = format(new Date(Date.now() + 24 * 60 * 60 * 1000), 'yyyy-MM-dd');
 
       // Build query using same logic as hearings API endpoint
+      const restricted = canView ? '' : 'AND reporting_restricted = FALSE';
       const sql = `
         SELECT * 
         FROM hearings
         WHERE 
           list_date >= ? AND list_date <= ?
+          AND removed_at IS NULL
           AND (
-            MATCH(case_details, hearing_type, additional_information, judge, venue) 
-            AGAINST(? IN NATURAL LANGUAGE MODE) 
+            (MATCH(case_details, hearing_type, additional_information, judge, venue) 
+            AGAINST(? IN NATURAL LANGUAGE MODE) ${restricted})
             OR case_number LIKE ?
           )
         ORDER BY list_date ASC, hearing_datetime ASC
@@ -193,7 +207,7 @@ class NotificationService {
       `;
 
       const params = [today, tomorrow, searchText, `%${searchText}%`];
-      const hearings = await db.query(sql, params);
+      const hearings = applyReportingRestrictions(await db.query(sql, params), canView);
 
       // Format matches for email - map actual column names from hearings table
       const formattedMatches = hearings.map((hearing) => ({
@@ -204,7 +218,8 @@ class NotificationService {
         hearing_time: hearing.time || 'Not specified',
         court_room: hearing.venue || 'Not specified',
         hearing_type: hearing.hearing_type,
-        judge_names: hearing.judge
+        judge_names: hearing.judge,
+        reporting_restricted: Boolean(hearing.reporting_restricted)
       }));
 
       return formattedMatches;
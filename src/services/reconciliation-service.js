@@ -0,0 +1,208 @@
+const { format, subDays } = require('date-fns');
+const { formatInTimeZone } = require('date-fns-tz');
+const { query } = require('../config/database');
+const { REMOVAL_REASON_DROPPED } = require('./sync-service');
+const logger = require('../utils/logger');
+
+/**
+ * Reconciliation Service
+ * Matches Future Hearing List fixtures against the Daily Cause List on the
+ * day. Fixtures that never appeared were likely adjourned or vacated; DCL
+ * hearings with no fixture were listed without ever being fixed in the FHL.
+ *
+ * Matching is by case (cases.id) and list date, so a fixture that moves to a
+ * different time on the day still counts as matched.
+ */
+
+const FHL_SLUG = 'future_hearing_list';
+const DCL_SLUG = 'daily_cause_list';
+
+// Upper bound on the reconciliation window, to keep reports bounded
+const MAX_RANGE_DAYS = 366;
+
+/**
+ * Default date range: the 30 days up to and including today (UK time)
+ * @returns {{from: string, to: string}}
+ */
+function defaultRange() {
+  const to = formatInTimeZone(new Date(), 'Europe/London', 'yyyy-MM-dd');
+  const from = format(subDays(new Date(`${to}T12:00:00`), 29), 'yyyy-MM-dd');
+  return { from, to };
+}
+
+/**
+ * Build an error for invalid caller input (reported as HTTP 400 by routes)
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * Reconcile FHL fixtures against DCL listings over a range of list dates
+ * @param {Object} [options]
+ * @param {string} [options.from] - First list date (YYYY-MM-DD), default 30 days ago
+ * @param {string} [options.to] - Last list date (YYYY-MM-DD), default today
+ * @returns {Promise<Object>} Reconciliation report
+ */
+async function reconcile({ from, to } = {}) {
+  const defaults = defaultRange();
+  from = from || defaults.from;
+  to = to || defaults.to;
+
+  if (from > to) {
+    throw badRequest(`Invalid date range: ${from} is after ${to}`);
+  }
+
+  const rangeDays = (new Date(to) - new Date(from)) / (24 * 60 * 60 * 1000) + 1;
+  if (rangeDays > MAX_RANGE_DAYS) {
+    throw badRequest(`Date range too long: maximum is ${MAX_RANGE_DAYS} days`);
+  }
+
+  const [fhlRows, dclRows, dclFetchDates] = await Promise.all([
+    getHearingsForSource(FHL_SLUG, from, to),
+    getHearingsForSource(DCL_SLUG, from, to),
+    query(
+      `SELECT DISTINCT f.list_date
+       FROM upstream_snapshot_fetches f
+       JOIN data_sources ds ON ds.id = f.data_source_id
+       WHERE ds.slug = ? AND f.document_type = 'dcl_list' AND f.list_date BETWEEN ? AND ?`,
+      [DCL_SLUG, from, to]
+    )
+  ]);
+
+  const report = reconcileRows(
+    fhlRows,
+    dclRows,
+    dclFetchDates.map((r) => toDateString(r.list_date))
+  );
+
+  logger.info('FHL/DCL reconciliation complete', { from, to, ...report.summary });
+
+  return { from, to, ...report };
+}
+
+/**
+ * Compare FHL and DCL hearing rows. Only dates for which the DCL is known to
+ * have been scraped are compared; other dates are reported as unchecked.
+ * @param {Array<Object>} fhlRows - FHL hearing rows
+ * @param {Array<Object>} dclRows - DCL hearing rows
+ * @param {Array<string>} [extraDclDates] - Dates with an archived DCL fetch (YYYY-MM-DD)
+ * @returns {Object} { summary, fixturesNotListed, fixturesVacated, unfixedHearings, uncheckedDates }
+ */
+function reconcileRows(fhlRows, dclRows, extraDclDates = []) {
+  const dclDates = new Set([...dclRows.map((r) => toDateString(r.list_date)), ...extraDclDates]);
+  const dclCases = new Set(dclRows.map(caseDateKey));
+  const fhlCases = new Set(fhlRows.map(caseDateKey));
+
+  const fixturesNotListed = [];
+  const fixturesVacated = [];
+  const uncheckedDates = new Set();
+  let matched = 0;
+
+  for (const row of fhlRows) {
+    const listDate = toDateString(row.list_date);
+
+    // Taken out of the FHL before the day - not expected on the DCL
+    if (row.removal_reason === REMOVAL_REASON_DROPPED) {
+      fixturesVacated.push(formatRow(row));
+      continue;
+    }
+
+    if (!dclDates.has(listDate)) {
+      uncheckedDates.add(listDate);
+      continue;
+    }
+
+    if (dclCases.has(caseDateKey(row))) {
+      matched++;
+    } else {
+      fixturesNotListed.push(formatRow(row));
+    }
+  }
+
+  // A case may appear more than once on the day; report each DCL row once per case
+  const seen = new Set();
+  const unfixedHearings = [];
+  for (const row of dclRows) {
+    const key = caseDateKey(row);
+    if (fhlCases.has(key) || seen.has(key)) continue;
+    seen.add(key);
+    unfixedHearings.push(formatRow(row));
+  }
+
+  return {
+    summary: {
+      fixtures: fhlRows.length,
+      matched,
+      fixturesNotListed: fixturesNotListed.length,
+      fixturesVacated: fixturesVacated.length,
+      unfixedHearings: unfixedHearings.length,
+      datesCompared: dclDates.size,
+      uncheckedDates: uncheckedDates.size
+    },
+    fixturesNotListed,
+    fixturesVacated,
+    unfixedHearings,
+    uncheckedDates: Array.from(uncheckedDates).sort()
+  };
+}
+
+/**
+ * Get all hearings for a data source over a date range, including removed ones
+ * @param {string} slug - Data source slug
+ * @param {string} from - First list date
+ * @param {string} to - Last list date
+ * @returns {Promise<Array<Object>>}
+ */
+async function getHearingsForSource(slug, from, to) {
+  return query(
+    `SELECT h.id, h.list_date, h.case_number, h.case_id, h.time, h.venue,
+            h.case_details, h.hearing_type, h.removed_at, h.removal_reason
+     FROM hearings h
+     JOIN data_sources ds ON ds.id = h.data_source_id
+     WHERE ds.slug = ? AND h.list_date BETWEEN ? AND ?
+     ORDER BY h.list_date ASC, h.hearing_datetime ASC`,
+    [slug, from, to]
+  );
+}
+
+/**
+ * Key a hearing by case and list date
+ */
+function caseDateKey(row) {
+  return `${toDateString(row.list_date)}|${row.case_id || row.case_number}`;
+}
+
+/**
+ * Format a list_date value (Date or string) as YYYY-MM-DD
+ */
+function toDateString(value) {
+  return value instanceof Date ? format(value, 'yyyy-MM-dd') : String(value).slice(0, 10);
+}
+
+/**
+ * Format a hearing row for the report
+ */
+function formatRow(row) {
+  return {
+    hearingId: row.id,
+    listDate: toDateString(row.list_date),
+    caseNumber: row.case_number,
+    time: row.time,
+    venue: row.venue,
+    caseDetails: row.case_details,
+    hearingType: row.hearing_type,
+    removedAt: row.removed_at,
+    removalReason: row.removal_reason
+  };
+}
+
+module.exports = {
+  reconcile,
+  reconcileRows,
+  MAX_RANGE_DAYS
+};
@@ -0,0 +1,235 @@
+const { addDays, format, parseISO } = require('date-fns');
+const { resolveScraper } = require('../scrapers/registry');
+const { enrichRecords } = require('../scrapers/record-enricher');
+const { assignCourt } = require('./scraper-service');
+const { synchronizeRecords, fullReplaceSynchronize } = require('./sync-service');
+const {
+  findLatestFetchesByListDate,
+  findFetchesBefore,
+  getSnapshotContent
+} = require('./snapshot-service');
+const {
+  recordScrapeStart,
+  recordScrapeComplete,
+  recordScrapeError
+} = require('./scrape-history-service');
+const logger = require('../utils/logger');
+
+/**
+ * Reparse Service
+ * Rebuilds hearings from archived upstream snapshots by running the current
+ * parsers over them and pushing the results through the normal sync path.
+ * Used to correct history after a parser fix without waiting for a republish.
+ * The source's scraper plugin parses the snapshots (see fromSnapshot() in
+ * src/scrapers/registry.js), and its sync strategy decides how they are read.
+ */
+
+/**
+ * Re-parse archived snapshots for a data source over a range of list dates
+ * @param {Object} dataSource - Data source row from data_sources table
+ * @param {Object} options
+ * @param {string} options.from - First list date (YYYY-MM-DD)
+ * @param {string} options.to - Last list date (YYYY-MM-DD)
+ * @param {boolean} [options.dryRun] - Report changes without committing them
+ * @returns {Promise<Object>} { dryRun, scrapeId, dates: [...] } with one summary per list date
+ */
+async function reparse(dataSource, { from, to, dryRun = false }) {
+  if (from > to) {
+    throw new Error(`Invalid date range: ${from} is after ${to}`);
+  }
+
+  const plugin = resolveScraper(dataSource);
+  if (!plugin || !plugin.snapshotType) {
+    throw new Error(`No reparser implemented for source: ${dataSource.slug}`);
+  }
+
+  logger.info('Starting reparse from archived snapshots', {
+    source: dataSource.slug,
+    from,
+    to,
+    dryRun
+  });
+
+  const startTime = Date.now();
+  // Dry runs leave no trace, so they do not get a scrape_history row
+  const scrapeId = dryRun ? null : await recordScrapeStart('reparse', null, dataSource.id);
+
+  try {
+    const reparseRange = plugin.syncStrategy === 'full-replace' ? reparseByDay : reparseByListDate;
+    const dates = await reparseRange(plugin, dataSource, from, to, scrapeId, dryRun);
+
+    const duration = Date.now() - startTime;
+
+    if (scrapeId) {
+      await recordScrapeComplete(scrapeId, {
+        success: true,
+        linksProcessed: dates.length,
+        recordsAdded: sum(dates, 'added'),
+        recordsUpdated: sum(dates, 'updated'),
+        recordsDeleted: sum(dates, 'deleted'),
+        duration,
+        syncResults: dates
+      });
+    }
+
+    logger.info('Reparse completed', {
+      source: dataSource.slug,
+      scrapeId,
+      dates: dates.length,
+      added: sum(dates, 'added'),
+      updated: sum(dates, 'updated'),
+      deleted: sum(dates, 'deleted'),
+      dryRun,
+      duration: `${duration}ms`
+    });
+
+    return { dryRun, scrapeId, dates };
+  } catch (error) {
+    logger.error('Reparse failed', {
+      source: dataSource.slug,
+      error: error.message,
+      scrapeId
+    });
+    if (scrapeId) await recordScrapeError(scrapeId, error);
+    throw error;
+  }
+}
+
+/**
+ * Re-parse an incremental source: one archived page per list date (the latest fetch)
+ */
+async function reparseByListDate(plugin, dataSource, from, to, scrapeId, dryRun) {
+  const fetches = await findLatestFetchesByListDate(dataSource.id, plugin.snapshotType, from, to);
+  const dates = [];
+
+  for (const fetch of fetches) {
+    let listDate = null;
+
+    try {
+      const content = await getSnapshotContent(fetch.snapshot_id);
+      const { document, target } = plugin.fromSnapshot(content, fetch, dataSource);
+      listDate = target.listDate;
+      const records = await parseSnapshot(plugin, document, target, fetch, dataSource);
+
+      const syncResult = await synchronizeRecords(records, listDate, dataSource.id, scrapeId, {
+        dryRun
+      });
+      dates.push(summarise(listDate, fetch, records.length, syncResult));
+    } catch (error) {
+      logger.error('Failed to reparse list', {
+        source: dataSource.slug,
+        listDate,
+        error: error.message
+      });
+      dates.push({ date: listDate, sha256: fetch.sha256, success: false, error: error.message });
+    }
+  }
+
+  return dates;
+}
+
+/**
+ * Re-parse a full-replace source. Each document covers many dates, so for
+ * every date in the range the last document fetched on or before that day is
+ * taken as the final word on its fixtures.
+ */
+async function reparseByDay(plugin, dataSource, from, to, scrapeId, dryRun) {
+  const endOfRange = addDays(parseISO(to), 1);
+  const fetches = await findFetchesBefore(dataSource.id, plugin.snapshotType, endOfRange);
+  const parsedBySnapshot = new Map();
+  const dates = [];
+
+  for (let day = parseISO(from); day < endOfRange; day = addDays(day, 1)) {
+    const listDate = format(day, 'yyyy-MM-dd');
+    const dayEnd = addDays(day, 1);
+    const fetch = fetches.filter((f) => new Date(f.fetched_at) < dayEnd).pop();
+
+    // Nothing archived yet as of this date
+    if (!fetch) continue;
+
+    try {
+      if (!parsedBySnapshot.has(fetch.snapshot_id)) {
+        const content = await getSnapshotContent(fetch.snapshot_id);
+        const { document, target } = plugin.fromSnapshot(content, fetch, dataSource);
+        parsedBySnapshot.set(
+          fetch.snapshot_id,
+          await parseSnapshot(plugin, document, target, fetch, dataSource)
+        );
+      }
+      const records = parsedBySnapshot
+        .get(fetch.snapshot_id)
+        .filter((r) => r.listDate === listDate);
+
+      const syncResult = await fullReplaceSynchronize(records, dataSource.id, scrapeId, {
+        listDate,
+        dryRun
+      });
+      dates.push(summarise(listDate, fetch, records.length, syncResult));
+    } catch (error) {
+      logger.error('Failed to reparse date', {
+        source: dataSource.slug,
+        listDate,
+        error: error.message
+      });
+      dates.push({ date: listDate, sha256: fetch.sha256, success: false, error: error.message });
+    }
+  }
+
+  // Dates with nothing on the list and nothing to change are just noise
+  return dates.filter((d) => !d.success || d.recordsParsed > 0 || changed(d));
+}
+
+/**
+ * Parse an archived document with the plugin, as a scrape would
+ * @returns {Promise<Array<Object>>} Enriched records with their court assigned
+ */
+async function parseSnapshot(plugin, document, target, fetch, dataSource) {
+  const records = await plugin.parse(document, target);
+  stampScrapedAt(records, fetch.fetched_at);
+  return assignCourt(enrichRecords(records), dataSource);
+}
+
+/**
+ * Set scrapedAt to when the snapshot was fetched, rather than now
+ */
+function stampScrapedAt(records, fetchedAt) {
+  const scrapedAt = new Date(fetchedAt).toISOString();
+  for (const record of records) {
+    record.scrapedAt = scrapedAt;
+  }
+}
+
+/**
+ * Build the per-date summary from a sync result
+ */
+function summarise(listDate, fetch, recordsParsed, syncResult) {
+  return {
+    date: listDate,
+    sha256: fetch.sha256,
+    fetchedAt: fetch.fetched_at,
+    success: true,
+    recordsParsed,
+    added: syncResult.added,
+    updated: syncResult.updated,
+    restored: syncResult.restored || 0,
+    deleted: syncResult.deleted
+  };
+}
+
+/**
+ * Whether a per-date summary records any change
+ */
+function changed(summary) {
+  return summary.added + summary.updated + summary.deleted > 0;
+}
+
+/**
+ * Total a numeric field across per-date summaries
+ */
+function sum(dates, field) {
+  return dates.reduce((total, d) => total + (d[field] || 0), 0);
+}
+
+module.exports = {
+  reparse
+};
@@ -0,0 +1,150 @@
+const PermissionService = require('./permission-service');
+const { extractFields } = require('../scrapers/record-enricher');
+
+/**
+ * Reporting Restriction Service
+ * Withholds party names in hearings subject to a reporting restriction
+ * (hearings.reporting_restricted) from callers without the
+ * hearings:view-restricted capability. Names are reduced to initials, e.g.
+ * "R v John Smith" -> "R v J.S.", and case details that can't be matched to
+ * their parties are replaced outright.
+ */
+
+const VIEW_RESTRICTED_CAPABILITY = 'hearings:view-restricted';
+
+// Shown in place of case details whose parties couldn't be identified
+const WITHHELD = '[Restricted]';
+
+/**
+ * Whether a user may see party names in restricted hearings
+ * @param {Object|null} user - Authenticated user (request.user), or null
+ * @returns {Promise<boolean>}
+ */
+async function canViewRestricted(user) {
+  if (!user) return false;
+  return await PermissionService.hasCapability(user.id, VIEW_RESTRICTED_CAPABILITY);
+}
+
+/**
+ * Reduce a name to its initials: "John Smith" -> "J.S.", "Smith, John" -> "S.J."
+ * @param {string} name - Party name
+ * @returns {string}
+ */
+function initialise(name) {
+  const initials = String(name)
+    .split(/[\s,]+/)
+    .filter((word) => /^\p{L}/u.test(word))
+    .map((word) => `${word[0].toUpperCase()}.`);
+  return initials.length > 0 ? initials.join('') : WITHHELD;
+}
+
+/**
+ * Replace each party name in a piece of text with its initials
+ * @param {string} text - Free text
+ * @param {Array<string>} partyNames - Party names
+ * @returns {Object} { text, replaced } where replaced counts the parties found
+ */
+function replacePartyNames(text, partyNames) {
+  let result = text;
+  let replaced = 0;
+
+  // Longest first so "John Smith" is replaced before "Smith"
+  for (const name of [...partyNames].sort((a, b) => b.length - a.length)) {
+    const pattern = new RegExp(
+      name
+        .split(/\s+/)
+        .map((word) => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+        .join('\\s+'),
+      'gi'
+    );
+    if (pattern.test(result)) {
+      result = result.replace(pattern, initialise(name));
+      replaced++;
+    }
+  }
+
+  return { text: result, replaced };
+}
+
+/**
+ * Redact party names from a restricted hearing's case details
+ * @param {string|null} caseDetails - Case details as listed
+ * @param {Array<string>} partyNames - Parties extracted by the record enricher
+ * @returns {string|null}
+ */
+function redactCaseDetails(caseDetails, partyNames) {
+  if (!caseDetails) return caseDetails;
+  if (partyNames.length === 0) return WITHHELD;
+
+  const { text, replaced } = replacePartyNames(caseDetails, partyNames);
+  return replaced === partyNames.length ? text : WITHHELD;
+}
+
+/**
+ * Redact a restricted hearing row (snake_case columns, as selected from
+ * hearings). Unrestricted rows are returned unchanged.
+ * @param {Object} row - Hearing row
+ * @returns {Object} The row, or a redacted copy
+ */
+function redactHearing(row) {
+  if (!row.reporting_restricted) return row;
+
+  const partyNames = row.party_names ? row.party_names.split('; ') : [];
+  return {
+    ...row,
+    case_details: redactCaseDetails(row.case_details, partyNames),
+    party_names: partyNames.length > 0 ? partyNames.map(initialise).join('; ') : null,
+    additional_information: row.additional_information
+      ? replacePartyNames(row.additional_information, partyNames).text
+      : row.additional_information
+  };
+}
+
+/**
+ * Redact a revision snapshot (old_values / new_values) of a restricted
+ * hearing, using the parties named in that snapshot's own case details.
+ * Diffs without case details fall back to the hearing's current parties.
+ * @param {Object|null} values - Snapshot or diff values
+ * @param {Array<string>} [currentPartyNames] - The hearing's current parties
+ * @returns {Object|null}
+ */
+function redactSnapshot(values, currentPartyNames = []) {
+  if (!values || !('case_details' in values || 'additional_information' in values)) {
+    return values;
+  }
+
+  const partyNames = values.case_details
+    ? extractFields({ 'case details': values.case_details }).partyNames
+    : currentPartyNames;
+  const redacted = { ...values };
+  if ('case_details' in values) {
+    redacted.case_details = redactCaseDetails(values.case_details, partyNames);
+  }
+  if (values.additional_information) {
+    redacted.additional_information = replacePartyNames(
+      values.additional_information,
+      partyNames
+    ).text;
+  }
+  return redacted;
+}
+
+/**
+ * Apply the reporting restriction policy to hearing rows
+ * @param {Array<Object>} rows - Hearing rows
+ * @param {boolean} canView - Whether the caller may see restricted names
+ * @returns {Array<Object>} Rows safe to show the caller
+ */
+function applyReportingRestrictions(rows, canView) {
+  return canView ? rows : rows.map(redactHearing);
+}
+
+module.exports = {
+  VIEW_RESTRICTED_CAPABILITY,
+  canViewRestricted,
+  initialise,
+  redactCaseDetails,
+  redactHearing,
+  redactSnapshot,
+  applyReportingRestrictions
+};
@@ -0,0 +1,180 @@
+const { query } = require('../config/database');
+
+/**
+ * Revision Service
+ * Captures per-hearing change history (hearing_revisions) during sync
+ * and reads it back as a timeline.
+ */
+
+// Fields compared between scrapes to decide whether a hearing has changed
+const COMPARED_FIELDS = [
+  'hearing_datetime',
+  'venue',
+  'judge',
+  'case_details',
+  'hearing_type',
+  'additional_information',
+  'crown_court',
+  'reporting_restriction'
+];
+
+// Fields captured in revision snapshots for added/deleted hearings
+const SNAPSHOT_FIELDS = ['time', ...COMPARED_FIELDS, 'source_url'];
+
+/**
+ * Normalize a snapshot value so DB rows and scraped records compare cleanly
+ * @param {*} value - Raw value
+ * @returns {string|null}
+ */
+function normalizeSnapshotValue(value) {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return value.toISOString().slice(0, 19);
+  const str = String(value).trim();
+  return str.length > 0 ? str : null;
+}
+
+/**
+ * Build a snapshot from a newly scraped record
+ * @param {Object} record - Scraped record (space-delimited field names)
+ * @returns {Object} Snapshot keyed by column name
+ */
+function snapshotRecord(record) {
+  return {
+    time: normalizeSnapshotValue(record.time),
+    hearing_datetime: normalizeSnapshotValue(record.hearingDateTime),
+    venue: normalizeSnapshotValue(record.venue),
+    judge: normalizeSnapshotValue(record.judge),
+    case_details: normalizeSnapshotValue(record['case details']),
+    hearing_type: normalizeSnapshotValue(record['hearing type']),
+    additional_information: normalizeSnapshotValue(record['additional information']),
+    crown_court: normalizeSnapshotValue(record['crown court']),
+    reporting_restriction: normalizeSnapshotValue(record['reporting restriction']),
+    source_url: normalizeSnapshotValue(record.sourceUrl)
+  };
+}
+
+/**
+ * Build a snapshot from an existing hearings row
+ * @param {Object} row - Database row (snake_case columns)
+ * @returns {Object} Snapshot keyed by column name
+ */
+function snapshotRow(row) {
+  const snapshot = {};
+  for (const field of SNAPSHOT_FIELDS) {
+    snapshot[field] = normalizeSnapshotValue(row[field]);
+  }
+  return snapshot;
+}
+
+/**
+ * Compare two snapshots field by field
+ * @param {Object} oldSnapshot - Previous values
+ * @param {Object} newSnapshot - New values
+ * @param {Array<string>} [fields] - Fields to compare (default: COMPARED_FIELDS)
+ * @returns {Object} Map of field -> { old, new } for fields that differ
+ */
+function diffSnapshots(oldSnapshot, newSnapshot, fields = COMPARED_FIELDS) {
+  const diff = {};
+  for (const field of fields) {
+    const oldValue = oldSnapshot[field] ?? null;
+    const newValue = newSnapshot[field] ?? null;
+    if (oldValue !== newValue) {
+      diff[field] = { old: oldValue, new: newValue };
+    }
+  }
+  return diff;
+}
+
+/**
+ * Bulk insert revision rows within the caller's transaction
+ * @param {Object} connection - Database connection
+ * @param {Array<Object>} revisions - Revisions to insert
+ * @param {number|null} scrapeId - scrape_history ID that applied the changes
+ * @param {number} batchSize - Max rows per INSERT statement
+ */
+async function recordRevisions(connection, revisions, scrapeId, batchSize = 500) {
+  const columns = `(hearing_id, list_date, case_number, time, data_source_id,
+    scrape_history_id, change_type, old_values, new_values)`;
+  const placeholder = '(?, ?, ?, ?, ?, ?, ?, ?, ?)';
+
+  for (let i = 0; i < revisions.length; i += batchSize) {
+    const batch = revisions.slice(i, i + batchSize);
+    const placeholders = batch.map(() => placeholder).join(', ');
+    const params = [];
+
+    for (const revision of batch) {
+      params.push(
+        revision.hearingId || null,
+        revision.listDate,
+        revision.caseNumber,
+        revision.time,
+        revision.dataSourceId,
+        scrapeId || null,
+        revision.changeType,
+        revision.oldValues ? JSON.stringify(revision.oldValues) : null,
+        revision.newValues ? JSON.stringify(revision.newValues) : null
+      );
+    }
+
+    await connection.query(
+      `INSERT INTO hearing_revisions ${columns} VALUES ${placeholders}`,
+      params
+    );
+  }
+}
+
+/**
+ * Get the revision timeline for a hearing.
+ * Includes every revision for the same case on the same list date, so a
+ * change of listed time (which alters the hearing key) stays in one timeline.
+ * @param {number} hearingId - Hearing ID
+ * @returns {Promise<Object|null>} { hearing, revisions } or null if hearing not found
+ */
+async function getHearingHistory(hearingId) {
+  const hearings = await query(
+    `SELECT id, list_date, case_number, time, party_names, reporting_restricted
+     FROM hearings WHERE id = ?`,
+    [hearingId]
+  );
+
+  if (hearings.length === 0) {
+    return null;
+  }
+
+  const hearing = hearings[0];
+
+  const revisions = await query(
+    `SELECT hr.*, ds.display_name AS data_source_name, sh.started_at AS scrape_started_at
+     FROM hearing_revisions hr
+     JOIN data_sources ds ON ds.id = hr.data_source_id
+     LEFT JOIN scrape_history sh ON sh.id = hr.scrape_history_id
+     WHERE hr.list_date = ? AND hr.case_number = ?
+     ORDER BY hr.created_at ASC, hr.id ASC`,
+    [hearing.list_date, hearing.case_number]
+  );
+
+  return { hearing, revisions: revisions.map(parseRevisionRow) };
+}
+
+/**
+ * Parse JSON columns on a revision row (mysql2 may return strings or objects)
+ * @param {Object} row - hearing_revisions row
+ * @returns {Object}
+ */
+function parseRevisionRow(row) {
+  const parse = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+  return {
+    ...row,
+    old_values: parse(row.old_values),
+    new_values: parse(row.new_values)
+  };
+}
+
+module.exports = {
+  COMPARED_FIELDS,
+  snapshotRecord,
+  snapshotRow,
+  diffSnapshots,
+  recordRevisions,
+  getHearingHistory
+};
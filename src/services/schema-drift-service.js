@@ -0,0 +1,139 @@
+const { query } = require('../config/database');
+const { fingerprintHeaders, compareHeaders } = require('../scrapers/table-headers');
+const emailService = require('./email-service');
+const logger = require('../utils/logger');
+
+/**
+ * Schema Drift Service
+ * Records the fingerprint of each scrape's table headers in scrape_history
+ * and alerts when a source's headers differ from its previous scrape's. The
+ * parsers only fail when critical columns go missing, so this is how an
+ * upstream template change is noticed before the data quietly degrades.
+ */
+
+const parse = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+/**
+ * Record a scrape's table headers and check them against the source's
+ * previous fingerprint
+ * @param {number} scrapeId - scrape_history ID
+ * @param {Object} dataSource - Data source row
+ * @param {Array<Array<string>>} headerRows - Header rows seen in the scrape
+ * @param {Object} [context] - { url, date } for the alert
+ * @returns {Promise<Object|null>} { fingerprint, drift, changes? }, or null if
+ *   the scrape fetched no tables
+ */
+async function recordTableHeaders(scrapeId, dataSource, headerRows, context = {}) {
+  const fingerprint = fingerprintHeaders(headerRows);
+  if (!fingerprint) return null;
+
+  const rows = await query(
+    `SELECT id, header_fingerprint, table_headers
+     FROM scrape_history
+     WHERE data_source_id = ? AND id < ? AND header_fingerprint IS NOT NULL
+     ORDER BY id DESC
+     LIMIT 1`,
+    [dataSource.id, scrapeId]
+  );
+  const previous = rows[0];
+  const drift = Boolean(previous && previous.header_fingerprint !== fingerprint);
+
+  await query(
+    `UPDATE scrape_history
+     SET header_fingerprint = ?, table_headers = ?, schema_drift = ?
+     WHERE id = ?`,
+    [fingerprint, JSON.stringify(headerRows), drift, scrapeId]
+  );
+
+  if (!drift) return { fingerprint, drift: false };
+
+  const previousHeaders = parse(previous.table_headers);
+  const changes = compareHeaders(previousHeaders, headerRows);
+  logger.warn('Upstream table schema drift detected', {
+    source: dataSource.slug,
+    scrapeId,
+    previousScrapeId: previous.id,
+    ...changes
+  });
+
+  try {
+    await emailService.sendSchemaDrift({
+      source: dataSource.slug,
+      sourceName: dataSource.display_name || dataSource.slug,
+      scrapeId,
+      previousScrapeId: previous.id,
+      previousHeaders,
+      headers: headerRows,
+      changes,
+      url: context.url,
+      date: context.date
+    });
+  } catch (emailError) {
+    logger.error('Failed to send schema drift email', { error: emailError.message });
+  }
+
+  return { fingerprint, drift: true, changes };
+}
+
+/**
+ * Scrapes whose table headers differed from their source's previous scrape
+ * @param {Object} [options]
+ * @param {number} [options.dataSourceId] - Only this data source
+ * @param {number} [options.limit] - Maximum events (default: 50)
+ * @returns {Promise<Array<Object>>} Drift events, newest first
+ */
+async function getSchemaDriftHistory({ dataSourceId = null, limit = 50 } = {}) {
+  const params = [];
+  let where = 'sh.schema_drift = 1';
+  if (dataSourceId) {
+    where += ' AND sh.data_source_id = ?';
+    params.push(dataSourceId);
+  }
+  params.push(limit);
+
+  const rows = await query(
+    `SELECT
+      sh.id, sh.data_source_id, sh.started_at, sh.header_fingerprint, sh.table_headers,
+      ds.slug, ds.display_name,
+      prev.id AS previous_id, prev.started_at AS previous_started_at,
+      prev.header_fingerprint AS previous_fingerprint, prev.table_headers AS previous_headers
+    FROM scrape_history sh
+    JOIN data_sources ds ON ds.id = sh.data_source_id
+    LEFT JOIN scrape_history prev ON prev.id = (
+      SELECT MAX(p.id) FROM scrape_history p
+      WHERE p.data_source_id = sh.data_source_id
+        AND p.id < sh.id
+        AND p.header_fingerprint IS NOT NULL
+    )
+    WHERE ${where}
+    ORDER BY sh.id DESC
+    LIMIT ?`,
+    params
+  );
+
+  return rows.map((row) => {
+    const headers = parse(row.table_headers) || [];
+    const previousHeaders = parse(row.previous_headers) || [];
+    return {
+      scrapeId: row.id,
+      detectedAt: row.started_at,
+      dataSource: { id: row.data_source_id, slug: row.slug, name: row.display_name },
+      fingerprint: row.header_fingerprint,
+      headers,
+      previous: row.previous_id
+        ? {
+            scrapeId: row.previous_id,
+            scrapedAt: row.previous_started_at,
+            fingerprint: row.previous_fingerprint,
+            headers: previousHeaders
+          }
+        : null,
+      changes: compareHeaders(previousHeaders, headers)
+    };
+  });
+}
+
+module.exports = {
+  recordTableHeaders,
+  getSchemaDriftHistory
+};
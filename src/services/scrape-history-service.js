@@ -22,14 +22,15 @@ function toMySQLDatetime(isoString) {
  * @param {string} scrapeType - Type: 'scheduled', 'startup', 'manual'
  * @param {string} summaryPageUrl - URL of summary page
  * @param {number} dataSourceId - Data source ID
+ * @param {number} [scrapeJobId] - scrape_jobs ID, when run by the job worker
  * @returns {Promise<number>} Scrape history ID
  */
-async function recordScrapeStart(scrapeType, summaryPageUrl, dataSourceId) {
+async function recordScrapeStart(scrapeType, summaryPageUrl, dataSourceId, scrapeJobId = null) {
   const result = await query(
     `INSERT INTO scrape_history (
-      scrape_type, data_source_id, status, summary_page_url, started_at
-    ) VALUES (?, ?, ?, ?, NOW())`,
-    [scrapeType, dataSourceId, 'success', summaryPageUrl] // Optimistic, will update if fails
+      scrape_type, data_source_id, scrape_job_id, status, summary_page_url, started_at
+    ) VALUES (?, ?, ?, ?, ?, NOW())`,
+    [scrapeType, dataSourceId, scrapeJobId, 'success', summaryPageUrl] // Optimistic, will update if fails
   );
 
   return result.insertId;
@@ -111,14 +112,15 @@ async function recordScrapeError(scrapeId, error) {
 }
 
 /**
- * Get last successful scrape time, optionally filtered by data source
+ * Get last successful scrape time, optionally filtered by data source.
+ * Re-parse runs are ignored since they do not fetch from upstream.
  * @param {number} [dataSourceId] - Data source ID (if omitted, checks all sources)
  * @returns {Promise<Date|null>} Last scrape time or null
  */
 async function getLastSuccessfulScrape(dataSourceId) {
   let sql = `SELECT started_at
      FROM scrape_history
-     WHERE status = 'success'`;
+     WHERE status = 'success' AND scrape_type != 'reparse'`;
   const params = [];
 
   if (dataSourceId) {
@@ -0,0 +1,306 @@
+const { query } = require('../config/database');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+/**
+ * Scrape Job Service
+ * The queue behind every non-dry-run scrape (migration 027). Scheduled,
+ * startup and manual scrapes are enqueued here; the scrape worker claims
+ * them one at a time, and a failed attempt is retried with exponential
+ * backoff until the job runs out of attempts and is marked dead.
+ */
+
+const parse = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+/**
+ * Seconds to wait before retrying a job that has failed this many times
+ * @param {number} attempts - Attempts made so far (at least 1)
+ * @returns {number} Backoff in seconds: base, 2 × base, 4 × base, ...
+ */
+function backoffSeconds(attempts) {
+  return config.scraping.jobs.backoffBaseSeconds * 2 ** (attempts - 1);
+}
+
+/**
+ * Queue a scrape of a data source, unless one is already queued, running
+ * or waiting to be retried
+ * @param {Object} dataSource - Data source row
+ * @param {string} scrapeType - 'scheduled', 'startup' or 'manual'
+ * @param {Object} [options]
+ * @param {number} [options.requestedBy] - User who asked for the scrape
+ * @returns {Promise<Object>} { job, created }: the new job, or the one already active
+ */
+async function enqueueScrape(dataSource, scrapeType, { requestedBy = null } = {}) {
+  const active = await findActiveJobId(dataSource.id);
+  if (active) {
+    logger.debug('Scrape already queued', { source: dataSource.slug, jobId: active });
+    return { job: await getJob(active), created: false };
+  }
+
+  try {
+    const { insertId } = await query(
+      `INSERT INTO scrape_jobs (data_source_id, scrape_type, max_attempts, requested_by)
+       VALUES (?, ?, ?, ?)`,
+      [dataSource.id, scrapeType, config.scraping.jobs.maxAttempts, requestedBy]
+    );
+
+    logger.info('Scrape queued', { source: dataSource.slug, scrapeType, jobId: insertId });
+    return { job: await getJob(insertId), created: true };
+  } catch (error) {
+    // Another instance queued one since the check: the unique index on
+    // active_data_source_id (migration 027) allows one active job per source
+    if (error.code !== 'ER_DUP_ENTRY') throw error;
+    return enqueueScrape(dataSource, scrapeType, { requestedBy });
+  }
+}
+
+/**
+ * Find a data source's queued, running or failed job
+ * @param {number} dataSourceId - Data source ID
+ * @returns {Promise<number|null>} scrape_jobs ID
+ */
+async function findActiveJobId(dataSourceId) {
+  const rows = await query(
+    `SELECT id FROM scrape_jobs
+     WHERE data_source_id = ? AND status IN ('queued', 'running', 'failed')
+     ORDER BY id LIMIT 1`,
+    [dataSourceId]
+  );
+  return rows.length > 0 ? rows[0].id : null;
+}
+
+/**
+ * Claim the next job that is due, marking it running
+ * @param {string} workerId - Identifies the claiming worker
+ * @returns {Promise<Object|null>} { job, dataSource }, or null if nothing is due
+ */
+async function claimNextJob(workerId) {
+  // A single UPDATE claims the row atomically, so two workers cannot both get it
+  const { affectedRows } = await query(
+    `UPDATE scrape_jobs
+     SET status = 'running', attempts = attempts + 1,
+       locked_by = ?, locked_at = NOW(), started_at = NOW()
+     WHERE status IN ('queued', 'failed') AND run_after <= NOW()
+     ORDER BY run_after, id
+     LIMIT 1`,
+    [workerId]
+  );
+  if (affectedRows === 0) return null;
+
+  const [job] = await query(
+    `SELECT * FROM scrape_jobs
+     WHERE status = 'running' AND locked_by = ?
+     ORDER BY locked_at DESC, id DESC
+     LIMIT 1`,
+    [workerId]
+  );
+  const [dataSource] = await query('SELECT * FROM data_sources WHERE id = ?', [job.data_source_id]);
+
+  return { job, dataSource: dataSource || null };
+}
+
+/**
+ * Show that a running job's worker is still alive
+ * @param {number} jobId - scrape_jobs ID
+ * @param {string} workerId - Worker running the job
+ */
+async function touchJob(jobId, workerId) {
+  await query(
+    `UPDATE scrape_jobs SET locked_at = NOW()
+     WHERE id = ? AND status = 'running' AND locked_by = ?`,
+    [jobId, workerId]
+  );
+}
+
+/**
+ * Mark a job succeeded, keeping its scrape statistics
+ * @param {number} jobId - scrape_jobs ID
+ * @param {Object} result - Result from scrapeAll()
+ */
+async function completeJob(jobId, result) {
+  const summary = {
+    linksProcessed: result.linksProcessed,
+    recordsAdded: result.recordsAdded,
+    recordsUpdated: result.recordsUpdated,
+    recordsDeleted: result.recordsDeleted,
+    failedLists: (result.syncResults || []).filter((r) => r.success === false).length,
+    quarantined: result.quarantined || 0,
+    skippedReason: result.skippedReason || null,
+    duration: result.duration
+  };
+
+  await query(
+    `UPDATE scrape_jobs
+     SET status = 'succeeded', result = ?, last_error = NULL,
+       locked_by = NULL, locked_at = NULL, completed_at = NOW()
+     WHERE id = ?`,
+    [JSON.stringify(summary), jobId]
+  );
+}
+
+/**
+ * Record a failed attempt: schedule a retry with backoff, or give up once
+ * the job is out of attempts
+ * @param {Object} job - scrape_jobs row, as claimed
+ * @param {Error} error - Why the attempt failed
+ * @param {Object} [options]
+ * @param {boolean} [options.retry] - false if retrying cannot help
+ * @returns {Promise<Object>} { status, retryInSeconds }
+ */
+async function failJob(job, error, { retry = true } = {}) {
+  const dead = !retry || job.attempts >= job.max_attempts;
+  const status = dead ? 'dead' : 'failed';
+  const retryInSeconds = dead ? null : backoffSeconds(job.attempts);
+
+  if (dead) {
+    await query(
+      `UPDATE scrape_jobs
+       SET status = 'dead', last_error = ?, locked_by = NULL, locked_at = NULL,
+         completed_at = NOW()
+       WHERE id = ?`,
+      [error.message, job.id]
+    );
+  } else {
+    await query(
+      `UPDATE scrape_jobs
+       SET status = 'failed', last_error = ?, locked_by = NULL, locked_at = NULL,
+         run_after = NOW() + INTERVAL ? SECOND
+       WHERE id = ?`,
+      [error.message, retryInSeconds, job.id]
+    );
+  }
+
+  logger[dead ? 'error' : 'warn'](dead ? 'Scrape job dead' : 'Scrape job failed, will retry', {
+    jobId: job.id,
+    dataSourceId: job.data_source_id,
+    attempt: job.attempts,
+    maxAttempts: job.max_attempts,
+    retryInSeconds,
+    error: error.message
+  });
+
+  return { status, retryInSeconds };
+}
+
+/**
+ * Fail the running jobs whose worker has stopped refreshing them, e.g.
+ * because the process crashed mid-scrape. The scrape_history rows they
+ * left open are closed as failed, and each job is retried as usual.
+ * @returns {Promise<number>} Number of jobs recovered
+ */
+async function recoverStaleJobs() {
+  const stale = await query(
+    `SELECT * FROM scrape_jobs
+     WHERE status = 'running' AND locked_at < NOW() - INTERVAL ? MINUTE`,
+    [config.scraping.jobs.staleAfterMinutes]
+  );
+
+  for (const job of stale) {
+    const error = new Error(`Worker ${job.locked_by} stopped before the scrape finished`);
+
+    await query(
+      `UPDATE scrape_history
+       SET status = 'failed', error_message = ?, completed_at = NOW()
+       WHERE scrape_job_id = ? AND completed_at IS NULL`,
+      [error.message, job.id]
+    );
+    await failJob(job, error);
+  }
+
+  if (stale.length > 0) {
+    logger.warn('Recovered stale scrape jobs', { jobIds: stale.map((job) => job.id) });
+  }
+  return stale.length;
+}
+
+/**
+ * Load a job
+ * @param {number} id - scrape_jobs ID
+ * @returns {Promise<Object|null>} Job, or null if there is no such job
+ */
+async function getJob(id) {
+  const [job] = await listJobs({ id, status: null, limit: 1 });
+  return job || null;
+}
+
+/**
+ * The most recent job for a data source
+ * @param {number} dataSourceId - Data source ID
+ * @returns {Promise<Object|null>} Job, or null if the source has never been queued
+ */
+async function getLatestJob(dataSourceId) {
+  const [job] = await listJobs({ dataSourceId, limit: 1 });
+  return job || null;
+}
+
+/**
+ * List scrape jobs
+ * @param {Object} [options]
+ * @param {number} [options.id] - Only this job
+ * @param {string} [options.status] - Only this status
+ * @param {number} [options.dataSourceId] - Only this data source
+ * @param {number} [options.limit] - Maximum rows (default: 50)
+ * @returns {Promise<Array<Object>>} Jobs, newest first
+ */
+async function listJobs({ id = null, status = null, dataSourceId = null, limit = 50 } = {}) {
+  const conditions = [];
+  const params = [];
+  if (id) {
+    conditions.push('sj.id = ?');
+    params.push(id);
+  }
+  if (status) {
+    conditions.push('sj.status = ?');
+    params.push(status);
+  }
+  if (dataSourceId) {
+    conditions.push('sj.data_source_id = ?');
+    params.push(dataSourceId);
+  }
+  params.push(limit);
+
+  const rows = await query(
+    `SELECT
+      sj.id, sj.data_source_id, sj.scrape_type, sj.status, sj.attempts, sj.max_attempts,
+      sj.run_after, sj.locked_by, sj.last_error, sj.result,
+      sj.created_at, sj.started_at, sj.completed_at,
+      ds.slug, ds.display_name, u.email AS requested_by_email
+    FROM scrape_jobs sj
+    JOIN data_sources ds ON ds.id = sj.data_source_id
+    LEFT JOIN users u ON u.id = sj.requested_by
+    ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY sj.id DESC
+    LIMIT ?`,
+    params
+  );
+
+  return rows.map((row) => ({
+    id: row.id,
+    dataSource: { id: row.data_source_id, slug: row.slug, name: row.display_name },
+    scrapeType: row.scrape_type,
+    status: row.status,
+    attempts: row.attempts,
+    maxAttempts: row.max_attempts,
+    runAfter: row.run_after,
+    worker: row.locked_by,
+    lastError: row.last_error,
+    result: parse(row.result),
+    requestedBy: row.requested_by_email || null,
+    createdAt: row.created_at,
+    startedAt: row.started_at,
+    completedAt: row.completed_at
+  }));
+}
+
+module.exports = {
+  backoffSeconds,
+  enqueueScrape,
+  claimNextJob,
+  touchJob,
+  completeJob,
+  failJob,
+  recoverStaleJobs,
+  getJob,
+  getLatestJob,
+  listJobs
+};
@@ -1,110 +1,136 @@
-const { discoverLinks } = require('../scrapers/link-discovery');
-const { parseTable } = require('../scrapers/table-parser');
-const { discoverFHLLink } = require('../scrapers/fhl-link-discovery');
-const { parseFHLTable } = require('../scrapers/fhl-table-parser');
-const { synchronizeRecords, fullReplaceSynchronize } = require('./sync-service');
+const { resolveScraper } = require('../scrapers/registry');
+const { enrichRecords } = require('../scrapers/record-enricher');
+const { guardedSync } = require('./sync-guard-service');
 const {
   recordScrapeStart,
   recordScrapeComplete,
-  recordScrapeError,
-  getLastSourceUpdatedAt
+  recordScrapeError
 } = require('./scrape-history-service');
+const { archiveSnapshot } = require('./snapshot-service');
+const { saveValidators } = require('../scrapers/http-fetcher');
+const { extractTableHeaders, mergeTableHeaders } = require('../scrapers/table-headers');
+const { recordTableHeaders } = require('./schema-drift-service');
 const notificationService = require('./notification-service');
-const config = require('../config/config');
 const logger = require('../utils/logger');
 
 /**
  * Scraper Service
  * Orchestrates scraping workflows for all data sources.
- * Dispatches to source-specific scrapers based on the data source slug.
+ * Looks up the source's plugin in the scraper registry and runs it:
+ * discover → freshness check → fetch → parse → sync. The table headers of
+ * the fetched documents are fingerprinted to detect upstream schema drift.
  */
 
 /**
  * Run scraping workflow for a specific data source
  * @param {string} scrapeType - Type of scrape: 'scheduled', 'startup', 'manual'
  * @param {Object} dataSource - Data source row from data_sources table
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Discover, fetch and parse as normal, but only report
+ *   the changes each sync would make, field by field, without writing anything
+ * @param {number} [options.jobId] - scrape_jobs ID, when run by the job worker
  * @returns {Promise<Object>} Result with all scraped records
  */
-async function scrapeAll(scrapeType = 'manual', dataSource) {
-  const sourceSlug = dataSource?.slug || 'daily_cause_list';
-
-  switch (sourceSlug) {
-    case 'daily_cause_list':
-      return scrapeDCL(scrapeType, dataSource);
-    case 'future_hearing_list':
-      return scrapeFHL(scrapeType, dataSource);
-    default:
-      throw new Error(`No scraper implemented for source: ${sourceSlug}`);
+async function scrapeAll(scrapeType = 'manual', dataSource, options = {}) {
+  const plugin = resolveScraper(dataSource);
+  if (!plugin) {
+    throw new Error(`No scraper implemented for source: ${dataSource?.slug}`);
   }
+
+  return runScraper(plugin, scrapeType, dataSource, options);
 }
 
 /**
- * Scrape Daily Cause List (DCL)
- * Discovers today/tomorrow links → fetches each → parses tables → incremental sync
+ * Run a scraper plugin's pipeline for its data source
+ * @param {Object} plugin - Scraper plugin from the registry
+ * @param {string} scrapeType - Type of scrape
+ * @param {Object} dataSource - Data source row
+ * @param {Object} [options] - { dryRun, jobId }, see scrapeAll()
+ * @returns {Promise<Object>} Scrape result
  */
-async function scrapeDCL(scrapeType, dataSource) {
+async function runScraper(plugin, scrapeType, dataSource, { dryRun = false, jobId = null } = {}) {
   const dataSourceId = dataSource.id;
+  const source = plugin.slug;
 
-  logger.info('Starting DCL scraping workflow', { scrapeType });
+  logger.info('Starting scraping workflow', { source, scrapeType, dryRun });
   const startTime = Date.now();
-  let scrapeId;
+  let scrapeId = null;
 
   try {
-    scrapeId = await recordScrapeStart(scrapeType, dataSource.base_url, dataSourceId);
-    logger.info('Scrape history record created', { scrapeId, source: 'daily_cause_list' });
+    // Dry runs leave no trace, so they do not get a scrape_history row
+    if (!dryRun) {
+      scrapeId = await recordScrapeStart(scrapeType, dataSource.base_url, dataSourceId, jobId);
+      logger.info('Scrape history record created', { scrapeId, source });
+    }
+
+    // Step 1: Discover the lists to fetch
+    const discovery = await plugin.discover(dataSource);
+    const targets = discovery.targets || [];
 
-    // Step 1: Discover links for today and tomorrow
-    const linkResult = await discoverLinks('Criminal');
+    // Archive the raw discovery responses before anything else is decided
+    if (!dryRun) {
+      for (const document of discovery.documents || []) {
+        await archiveSnapshot({ ...document, dataSourceId, scrapeId });
+      }
+    }
 
-    if (!linkResult.success || linkResult.linksFound.length === 0) {
-      logger.info('No DCL links found, nothing to scrape');
+    if (targets.length === 0) {
+      logger.info('No lists found, nothing to scrape', { source });
       const result = buildResult(scrapeType, 0, 0, 0, 0, Date.now() - startTime, []);
+      if (dryRun) {
+        result.dryRun = true;
+      } else {
+        await recordScrapeComplete(scrapeId, result);
+      }
+      return result;
+    }
+
+    // Step 2: Freshness check — skip if upstream hasn't changed. A dry run
+    // carries on regardless, since it compares the parsers with the database
+    if (!dryRun && plugin.isUnchanged && (await plugin.isUnchanged(dataSource, discovery))) {
+      const duration = Date.now() - startTime;
+      logger.info('Upstream unchanged, skipping sync', { source, duration: `${duration}ms` });
+
+      const result = buildResult(scrapeType, targets.length, 0, 0, 0, duration, []);
+      result.skippedReason = 'upstream_unchanged';
+      result.sourceUpdatedAt = discovery.sourceUpdatedAt;
       await recordScrapeComplete(scrapeId, result);
       return result;
     }
 
-    // Step 2: Fetch, parse, and sync each discovered list
+    // Step 3: Fetch, parse, and sync each list
     const syncResults = [];
+    const fetchedTables = [];
 
-    for (const link of linkResult.linksFound) {
+    for (const target of targets) {
       try {
-        logger.info('Processing DCL list', { date: link.targetDate, url: link.url });
-
-        const html = await fetchListHtml(link.url);
-        const records = await parseTable(html, link.targetDate, link.url, link.division);
-
-        logger.info('Parsed records, starting sync', {
-          date: link.targetDate,
-          records: records.length
-        });
-
-        const syncResult = await synchronizeRecords(records, link.targetDate, dataSourceId);
-
-        syncResults.push({
-          date: link.targetDate,
-          url: link.url,
-          division: link.division,
-          ...syncResult
-        });
-
-        logger.info('DCL list synchronized', {
-          date: link.targetDate,
-          added: syncResult.added,
-          updated: syncResult.updated,
-          deleted: syncResult.deleted
-        });
+        syncResults.push(
+          await processTarget(
+            plugin,
+            target,
+            discovery,
+            dataSource,
+            scrapeId,
+            fetchedTables,
+            dryRun
+          )
+        );
       } catch (error) {
-        logger.error('Failed to process DCL list', {
-          date: link.targetDate,
-          url: link.url,
+        // A full-replace sync needs the whole source, so one failure fails the run
+        if (plugin.syncStrategy === 'full-replace') throw error;
+
+        logger.error('Failed to process list', {
+          source,
+          date: target.listDate,
+          url: target.url,
           error: { message: error.message, code: error.code, name: error.name }
         });
-        console.error('Failed to process DCL list - full error:');
+        console.error('Failed to process list - full error:');
         console.error(error);
 
         syncResults.push({
-          date: link.targetDate,
-          url: link.url,
+          date: target.listDate,
+          url: target.url,
           success: false,
           error: error.message
         });
@@ -118,27 +144,59 @@ async function scrapeDCL(scrapeType, dataSource) {
 
     const result = buildResult(
       scrapeType,
-      linkResult.linksFound.length,
+      targets.length,
       totalAdded,
       totalUpdated,
       totalDeleted,
       duration,
       syncResults
     );
+    const quarantined = syncResults.filter((r) => r.quarantined).length;
+    if (quarantined > 0) {
+      result.quarantined = quarantined;
+    }
+    // Like the validators, the upstream timestamp only becomes the freshness
+    // baseline once the data has synced: a quarantined sync must be looked at
+    // again on the next scrape, in case the pending one is rejected
+    if (discovery.sourceUpdatedAt && quarantined === 0) {
+      result.sourceUpdatedAt = discovery.sourceUpdatedAt;
+    }
+
+    if (dryRun) {
+      result.dryRun = true;
+      logger.info('Dry run completed, nothing written', {
+        source,
+        linksProcessed: result.linksProcessed,
+        totalAdded,
+        totalUpdated,
+        totalDeleted,
+        duration: `${duration}ms`
+      });
+      return result;
+    }
 
     await recordScrapeComplete(scrapeId, result);
 
-    logger.info('DCL scraping workflow completed', {
+    const drift = await checkSchemaDrift(scrapeId, dataSource, fetchedTables);
+    if (drift?.drift) {
+      result.schemaDrift = drift.changes;
+    }
+
+    logger.info('Scraping workflow completed', {
+      source,
       scrapeId,
       linksProcessed: result.linksProcessed,
       totalAdded,
       totalUpdated,
       totalDeleted,
+      quarantined,
       duration: `${duration}ms`
     });
 
-    // Process saved search notifications if new records were added
-    if (totalAdded > 0) {
+    // Process saved search notifications if new records were added. Only
+    // hearings new to the archive count: a restored hearing was already
+    // listed before it dropped off, so its return does not notify by itself.
+    if (plugin.notifySavedSearches && totalAdded > 0) {
       try {
         logger.info('Processing saved search notifications', { newRecords: totalAdded });
         const notificationStats = await notificationService.processSavedSearchNotifications();
@@ -155,7 +213,8 @@ async function scrapeDCL(scrapeType, dataSource) {
 
     return result;
   } catch (error) {
-    logger.error('DCL scraping workflow failed', {
+    logger.error('Scraping workflow failed', {
+      source,
       error: error.message,
       scrapeType,
       scrapeId
@@ -166,94 +225,151 @@ async function scrapeDCL(scrapeType, dataSource) {
 }
 
 /**
- * Scrape Future Hearing List (FHL)
- * Uses GOV.UK Content API to discover and fetch FHL data, then full-replace syncs.
- * Includes freshness check: skips sync if upstream data hasn't changed.
+ * Fetch, archive, parse and sync one discovered list. A list the server
+ * reports as not modified since its last sync is skipped, and a sync that
+ * trips the source's sync guard is quarantined for review.
+ * @param {Object} plugin - Scraper plugin
+ * @param {Object} target - Discovered list ({ url, listDate?, division? })
+ * @param {Object} discovery - Result of plugin.discover()
+ * @param {Object} dataSource - Data source row
+ * @param {number} scrapeId - Scrape history ID
+ * @param {Array<Object>} fetchedTables - Collects the table headers of each fetched document
+ * @param {boolean} [dryRun] - Fetch unconditionally, archive nothing and only report the sync
+ * @returns {Promise<Object>} Sync result for the list
  */
-async function scrapeFHL(scrapeType, dataSource) {
+async function processTarget(
+  plugin,
+  target,
+  discovery,
+  dataSource,
+  scrapeId,
+  fetchedTables,
+  dryRun = false
+) {
   const dataSourceId = dataSource.id;
+  logger.info('Processing list', { source: plugin.slug, date: target.listDate, url: target.url });
 
-  logger.info('Starting FHL scraping workflow', { scrapeType });
-  const startTime = Date.now();
-  let scrapeId;
-
-  try {
-    scrapeId = await recordScrapeStart(scrapeType, dataSource.base_url, dataSourceId);
-    logger.info('Scrape history record created', { scrapeId, source: 'future_hearing_list' });
-
-    // Step 1: Discover the FHL document via Content API (returns body HTML directly)
-    const discoveryResult = await discoverFHLLink(dataSource.base_url);
-    const documentLink = discoveryResult.link;
-    const publicUpdatedAt = discoveryResult.publicUpdatedAt;
-
-    logger.info('FHL document discovered via Content API', {
-      url: documentLink.url,
-      publicUpdatedAt
+  const document = await plugin.fetch(target, discovery, { conditional: !dryRun });
+  if (document.notModified) {
+    logger.info('List not modified since last sync, skipping', {
+      source: plugin.slug,
+      date: target.listDate
     });
+    return {
+      date: target.listDate,
+      url: target.url,
+      division: target.division,
+      added: 0,
+      updated: 0,
+      deleted: 0,
+      notModified: true
+    };
+  }
 
-    // Step 2: Freshness check — skip if upstream hasn't changed
-    if (publicUpdatedAt) {
-      const lastSourceUpdatedAt = await getLastSourceUpdatedAt(dataSourceId);
-      if (lastSourceUpdatedAt) {
-        const lastTimestamp = new Date(lastSourceUpdatedAt).getTime();
-        const currentTimestamp = new Date(publicUpdatedAt).getTime();
-
-        if (currentTimestamp <= lastTimestamp) {
-          const duration = Date.now() - startTime;
-          logger.info('FHL data unchanged, skipping sync', {
-            publicUpdatedAt,
-            lastSourceUpdatedAt: new Date(lastSourceUpdatedAt).toISOString(),
-            duration: `${duration}ms`
-          });
-
-          const result = buildResult(scrapeType, 1, 0, 0, 0, duration, []);
-          result.skippedReason = 'upstream_unchanged';
-          result.sourceUpdatedAt = publicUpdatedAt;
-          await recordScrapeComplete(scrapeId, result);
-          return result;
-        }
-      }
-    }
-
-    // Step 3: Parse the FHL table from the body HTML returned by the Content API
-    const records = await parseFHLTable(discoveryResult.body, documentLink.url, 'Criminal');
+  if (document.documentType && !dryRun) {
+    await archiveSnapshot({
+      content: document.content,
+      url: target.url,
+      documentType: document.documentType,
+      contentType: document.contentType,
+      listDate: target.listDate,
+      division: target.division,
+      dataSourceId,
+      scrapeId
+    });
+  }
 
-    logger.info('FHL records parsed', { recordCount: records.length });
+  if (!document.contentType || /html/i.test(document.contentType)) {
+    fetchedTables.push({
+      url: target.url,
+      date: target.listDate,
+      headers: extractTableHeaders(document.content)
+    });
+  }
 
-    // Step 4: Full-replace sync
-    const syncResult = await fullReplaceSynchronize(records, dataSourceId);
+  const records = assignCourt(enrichRecords(await plugin.parse(document, target)), dataSource);
+
+  logger.info('Parsed records, starting sync', {
+    source: plugin.slug,
+    date: target.listDate,
+    records: records.length
+  });
+
+  const syncResult = await guardedSync({
+    syncStrategy: plugin.syncStrategy,
+    records,
+    listDate: target.listDate,
+    url: target.url,
+    dataSource,
+    scrapeId,
+    dryRun
+  });
+
+  // Only now is the list's copy current, so only now may it be fetched conditionally
+  if (document.validators && !syncResult.quarantined && !dryRun) {
+    await saveValidators(target.url, document.validators);
+  }
 
-    const duration = Date.now() - startTime;
+  logger.info('List synchronized', {
+    source: plugin.slug,
+    date: target.listDate,
+    added: syncResult.added,
+    updated: syncResult.updated,
+    deleted: syncResult.deleted
+  });
 
-    const result = buildResult(scrapeType, 1, syncResult.added, 0, syncResult.deleted, duration, [
-      { url: documentLink.url, ...syncResult }
-    ]);
-    result.sourceUpdatedAt = publicUpdatedAt;
+  return {
+    date: target.listDate,
+    url: target.url,
+    division: target.division,
+    ...syncResult
+  };
+}
 
-    await recordScrapeComplete(scrapeId, result);
+/**
+ * Fingerprint the table headers seen in a scrape and alert on drift.
+ * Best-effort: a failure here never fails the scrape.
+ * @param {number} scrapeId - Scrape history ID
+ * @param {Object} dataSource - Data source row
+ * @param {Array<Object>} fetchedTables - { url, date, headers } per fetched document
+ * @returns {Promise<Object|null>} Result of recordTableHeaders(), or null
+ */
+async function checkSchemaDrift(scrapeId, dataSource, fetchedTables) {
+  const withTables = fetchedTables.filter((t) => t.headers.length > 0);
+  if (withTables.length === 0) return null;
 
-    logger.info('FHL scraping workflow completed', {
+  try {
+    return await recordTableHeaders(
       scrapeId,
-      recordsParsed: records.length,
-      added: syncResult.added,
-      deleted: syncResult.deleted,
-      skipped: syncResult.skipped,
-      publicUpdatedAt,
-      duration: `${duration}ms`
-    });
-
-    return result;
+      dataSource,
+      mergeTableHeaders(withTables.map((t) => t.headers)),
+      { url: withTables[0].url, date: withTables[0].date }
+    );
   } catch (error) {
-    logger.error('FHL scraping workflow failed', {
-      error: error.message,
-      scrapeType,
-      scrapeId
+    logger.error('Failed to record table headers', {
+      source: dataSource.slug,
+      scrapeId,
+      error: error.message
     });
-    if (scrapeId) await recordScrapeError(scrapeId, error);
-    throw error;
+    return null;
   }
 }
 
+/**
+ * Record the data source's court on records whose parser didn't set one
+ * @param {Array<Object>} records - Parsed records
+ * @param {Object} dataSource - Data source row
+ * @returns {Array<Object>} The same records
+ */
+function assignCourt(records, dataSource) {
+  for (const record of records) {
+    if (record.courtId === undefined) {
+      record.courtId = dataSource.court_id ?? null;
+    }
+  }
+  return records;
+}
+
 /**
  * Build a standard result object
  */
@@ -270,90 +386,7 @@ function buildResult(scrapeType, linksProcessed, added, updated, deleted, durati
   };
 }
 
-/**
- * Fetch HTML content from list URL
- * @param {string} url - List URL
- * @returns {Promise<string>} HTML content
- */
-async function fetchListHtml(url) {
-  const retryDelays = [5000, 10000, 20000];
-  let lastError;
-
-  for (let attempt = 0; attempt <= retryDelays.length; attempt++) {
-    try {
-      logger.info(`Fetching list HTML (attempt ${attempt + 1})`, { url });
-
-      const controller = new AbortController();
-      const timeout = setTimeout(() => controller.abort(), config.scraping.requestTimeout || 10000);
-
-      try {
-        const response = await fetch(url, {
-          signal: controller.signal,
-          headers: {
-            'User-Agent': config.scraping.userAgent || 'CACD-Archive-Bot/1.0'
-          }
-        });
-
-        clearTimeout(timeout);
-
-        if (response.ok) {
-          const html = await response.text();
-          logger.info('Successfully fetched list HTML', { url });
-          return html;
-        }
-
-        if (response.status === 404) {
-          throw new Error('List not found (404)');
-        }
-
-        if (response.status >= 500 && attempt < retryDelays.length) {
-          const delay = retryDelays[attempt];
-          logger.warn(`Server error (${response.status}), retrying in ${delay}ms`, {
-            attempt: attempt + 1,
-            url
-          });
-          await sleep(delay);
-          continue;
-        }
-
-        throw new Error(`HTTP error ${response.status}: ${response.statusText}`);
-      } catch (fetchError) {
-        clearTimeout(timeout);
-        throw fetchError;
-      }
-    } catch (error) {
-      lastError = error;
-
-      if (error.name === 'AbortError') {
-        if (attempt < retryDelays.length) {
-          const delay = retryDelays[attempt];
-          logger.warn(`Request timeout, retrying in ${delay}ms`, {
-            attempt: attempt + 1,
-            url
-          });
-          await sleep(delay);
-          continue;
-        }
-        throw new Error('Request timeout after all retry attempts');
-      }
-
-      throw error;
-    }
-  }
-
-  throw lastError;
-}
-
-/**
- * Sleep for specified milliseconds
- * @param {number} ms - Milliseconds
- * @returns {Promise<void>}
- */
-function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
-}
-
 module.exports = {
   scrapeAll,
-  fetchListHtml
+  assignCourt
 };
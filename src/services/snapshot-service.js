@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const { query } = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * Snapshot Service
+ * Archives the raw documents fetched from upstream (upstream_snapshots), so
+ * parser output can be audited and re-derived later. Content is stored once
+ * per SHA-256; each fetch is recorded separately against its scrape.
+ */
+
+/**
+ * Compute the SHA-256 hex digest of a document body
+ * @param {Buffer|string} content - Raw document body
+ * @returns {string} 64-character hex digest
+ */
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Store a fetched document and record the fetch
+ * @param {Object} snapshot - Fetched document details
+ * @param {Buffer|string} snapshot.content - Raw document body
+ * @param {string} snapshot.url - URL the document was fetched from
+ * @param {string} snapshot.documentType - e.g. 'dcl_list', 'fhl_publication', 'fhl_attachment'
+ * @param {number} snapshot.dataSourceId - Data source ID
+ * @param {number} [snapshot.scrapeId] - scrape_history ID
+ * @param {string} [snapshot.contentType] - Response Content-Type
+ * @param {string} [snapshot.listDate] - List date the document covers (YYYY-MM-DD)
+ * @param {string} [snapshot.division] - Court division
+ * @returns {Promise<Object>} { snapshotId, fetchId, sha256, deduplicated }
+ */
+async function storeSnapshot({
+  content,
+  url,
+  documentType,
+  dataSourceId,
+  scrapeId = null,
+  contentType = null,
+  listDate = null,
+  division = null
+}) {
+  const body = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+  const sha256 = hashContent(body);
+
+  // Identical content is stored once
+  const insertResult = await query(
+    `INSERT IGNORE INTO upstream_snapshots (sha256, content, content_type, byte_size)
+     VALUES (?, ?, ?, ?)`,
+    [sha256, body, contentType, body.length]
+  );
+  const deduplicated = insertResult.affectedRows === 0;
+
+  const rows = await query('SELECT id FROM upstream_snapshots WHERE sha256 = ?', [sha256]);
+  const snapshotId = rows[0].id;
+
+  const fetchResult = await query(
+    `INSERT INTO upstream_snapshot_fetches (
+      snapshot_id, scrape_history_id, data_source_id, url, document_type, list_date, division
+    ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [snapshotId, scrapeId, dataSourceId, url, documentType, listDate, division]
+  );
+
+  logger.debug('Upstream snapshot stored', {
+    snapshotId,
+    sha256,
+    url,
+    documentType,
+    bytes: body.length,
+    deduplicated
+  });
+
+  return { snapshotId, fetchId: fetchResult.insertId, sha256, deduplicated };
+}
+
+/**
+ * Store a snapshot without failing the caller.
+ * Archiving is best-effort: a storage error must not abort the scrape.
+ * @param {Object} snapshot - See storeSnapshot
+ * @returns {Promise<Object|null>} storeSnapshot result, or null on failure
+ */
+async function archiveSnapshot(snapshot) {
+  try {
+    return await storeSnapshot(snapshot);
+  } catch (error) {
+    logger.warn('Failed to archive upstream snapshot', {
+      url: snapshot.url,
+      documentType: snapshot.documentType,
+      error: error.message
+    });
+    return null;
+  }
+}
+
+/**
+ * Get a stored snapshot by SHA-256
+ * @param {string} sha256 - Content digest
+ * @returns {Promise<Object|null>} Snapshot row (content as Buffer) or null
+ */
+async function getSnapshotBySha256(sha256) {
+  const rows = await query('SELECT * FROM upstream_snapshots WHERE sha256 = ?', [sha256]);
+  return rows[0] || null;
+}
+
+/**
+ * Find the most recent fetch for each list date in a range
+ * @param {number} dataSourceId - Data source ID
+ * @param {string} documentType - Document type (e.g. 'dcl_list')
+ * @param {string} from - First list date (YYYY-MM-DD)
+ * @param {string} to - Last list date (YYYY-MM-DD)
+ * @returns {Promise<Array<Object>>} Fetch rows with sha256, oldest list date first
+ */
+async function findLatestFetchesByListDate(dataSourceId, documentType, from, to) {
+  return query(
+    `SELECT f.*, s.sha256
+     FROM upstream_snapshot_fetches f
+     JOIN upstream_snapshots s ON s.id = f.snapshot_id
+     WHERE f.data_source_id = ? AND f.document_type = ?
+       AND f.list_date BETWEEN ? AND ?
+       AND f.id = (
+         SELECT MAX(f2.id) FROM upstream_snapshot_fetches f2
+         WHERE f2.data_source_id = f.data_source_id
+           AND f2.document_type = f.document_type
+           AND f2.list_date = f.list_date
+       )
+     ORDER BY f.list_date ASC`,
+    [dataSourceId, documentType, from, to]
+  );
+}
+
+/**
+ * Find all fetches of a document type made before a point in time
+ * @param {number} dataSourceId - Data source ID
+ * @param {string} documentType - Document type (e.g. 'fhl_attachment')
+ * @param {Date} before - Exclusive upper bound on fetched_at
+ * @returns {Promise<Array<Object>>} Fetch rows with sha256, oldest first
+ */
+async function findFetchesBefore(dataSourceId, documentType, before) {
+  return query(
+    `SELECT f.*, s.sha256
+     FROM upstream_snapshot_fetches f
+     JOIN upstream_snapshots s ON s.id = f.snapshot_id
+     WHERE f.data_source_id = ? AND f.document_type = ? AND f.fetched_at < ?
+     ORDER BY f.fetched_at ASC, f.id ASC`,
+    [dataSourceId, documentType, before]
+  );
+}
+
+/**
+ * Load a snapshot's raw content
+ * @param {number} snapshotId - upstream_snapshots ID
+ * @returns {Promise<Buffer|null>} Content, or null if not found
+ */
+async function getSnapshotContent(snapshotId) {
+  const rows = await query('SELECT content FROM upstream_snapshots WHERE id = ?', [snapshotId]);
+  return rows[0]?.content || null;
+}
+
+module.exports = {
+  hashContent,
+  storeSnapshot,
+  archiveSnapshot,
+  getSnapshotBySha256,
+  findLatestFetchesByListDate,
+  findFetchesBefore,
+  getSnapshotContent
+};
@@ -0,0 +1,248 @@
+const {
+  addDays,
+  endOfISOWeek,
+  format,
+  getISOWeek,
+  getISOWeekYear,
+  startOfISOWeek,
+  subYears
+} = require('date-fns');
+const { formatInTimeZone } = require('date-fns-tz');
+const { query } = require('../config/database');
+const { legalTermFor } = require('../utils/legal-terms');
+
+/**
+ * Stats Service
+ * Aggregate hearing volumes over a date range, per day, ISO week, month or
+ * legal term, with breakdowns by data source, hearing type, venue and crown
+ * court. Counts live (non-removed) hearings by list date.
+ */
+
+const PERIODS = ['day', 'week', 'month', 'term'];
+
+// Breakdown dimensions and the column each groups by (aliases h and ds)
+const DIMENSIONS = {
+  dataSource: 'ds.display_name',
+  hearingType: 'h.hearing_type',
+  venue: 'h.venue',
+  crownCourt: 'h.crown_court'
+};
+
+// Upper bound on the date range, to keep the series bounded
+const MAX_RANGE_DAYS = 3660;
+
+/**
+ * The year up to and including a date
+ * @param {string} dateTo - Last date (YYYY-MM-DD)
+ * @returns {string} First date (YYYY-MM-DD)
+ */
+function yearBefore(dateTo) {
+  return format(addDays(subYears(toDate(dateTo), 1), 1), 'yyyy-MM-dd');
+}
+
+/**
+ * Build an error for invalid caller input (reported as HTTP 400 by routes)
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * Hearing statistics over a range of list dates
+ * @param {Object} [options]
+ * @param {string} [options.dateFrom] - First list date (YYYY-MM-DD), default a year before dateTo
+ * @param {string} [options.dateTo] - Last list date (YYYY-MM-DD), default today (UK time)
+ * @param {string} [options.period] - Series granularity: day, week, month (default) or term
+ * @param {string} [options.breakdown] - Dimension to split each period by (see DIMENSIONS)
+ * @param {string} [options.dataSource] - Comma-separated data source IDs
+ * @param {string} [options.division] - Division
+ * @param {number} [options.limit] - Max values per breakdown (default 50)
+ * @returns {Promise<Object>} { dateFrom, dateTo, period, breakdown, total, series, breakdowns }
+ */
+async function getStats(options = {}) {
+  const { period = 'month', breakdown = null, limit = 50 } = options;
+  const dateTo = options.dateTo || formatInTimeZone(new Date(), 'Europe/London', 'yyyy-MM-dd');
+  const dateFrom = options.dateFrom || yearBefore(dateTo);
+
+  if (dateFrom > dateTo) {
+    throw badRequest(`Invalid date range: ${dateFrom} is after ${dateTo}`);
+  }
+  if ((toDate(dateTo) - toDate(dateFrom)) / (24 * 60 * 60 * 1000) + 1 > MAX_RANGE_DAYS) {
+    throw badRequest(`Date range is limited to ${MAX_RANGE_DAYS} days`);
+  }
+  if (!PERIODS.includes(period)) {
+    throw badRequest(`Unknown period: ${period}`);
+  }
+  if (breakdown && !DIMENSIONS[breakdown]) {
+    throw badRequest(`Unknown breakdown: ${breakdown}`);
+  }
+
+  const { where, params } = buildFilter({ ...options, dateFrom, dateTo });
+  const splitBy = breakdown ? DIMENSIONS[breakdown] : 'NULL';
+
+  const dailyRows = await query(
+    `SELECT h.list_date, ${splitBy} AS value, COUNT(*) AS count
+     FROM hearings h
+     JOIN data_sources ds ON ds.id = h.data_source_id
+     ${where}
+     GROUP BY h.list_date, value`,
+    params
+  );
+
+  const breakdowns = {};
+  for (const [name, column] of Object.entries(DIMENSIONS)) {
+    const rows = await query(
+      `SELECT ${column} AS value, COUNT(*) AS count
+       FROM hearings h
+       JOIN data_sources ds ON ds.id = h.data_source_id
+       ${where}
+       GROUP BY value
+       ORDER BY count DESC, value ASC
+       LIMIT ?`,
+      [...params, limit]
+    );
+    breakdowns[name] = rows.map((r) => ({ value: r.value, count: Number(r.count) }));
+  }
+
+  const series = buildSeries(dailyRows, { dateFrom, dateTo, period, breakdown });
+
+  return {
+    dateFrom,
+    dateTo,
+    period,
+    breakdown,
+    total: series.reduce((sum, p) => sum + p.total, 0),
+    series,
+    breakdowns
+  };
+}
+
+/**
+ * Build the WHERE clause for the hearings counted (aliases h and ds)
+ * @param {Object} filters - { dateFrom, dateTo, dataSource, division }
+ * @returns {Object} { where, params }
+ */
+function buildFilter({ dateFrom, dateTo, dataSource, division }) {
+  let where = 'WHERE h.removed_at IS NULL AND h.list_date >= ? AND h.list_date <= ?';
+  const params = [dateFrom, dateTo];
+
+  if (dataSource) {
+    const sourceIds = dataSource
+      .split(',')
+      .map(Number)
+      .filter((n) => n > 0);
+    if (sourceIds.length > 0) {
+      where += ` AND h.data_source_id IN (${sourceIds.map(() => '?').join(',')})`;
+      params.push(...sourceIds);
+    }
+  }
+
+  if (division) {
+    where += ' AND h.division = ?';
+    params.push(division);
+  }
+
+  return { where, params };
+}
+
+/**
+ * The period a date falls in
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {string} period - day, week, month or term
+ * @returns {Object} { key, label, start, end }
+ */
+function periodFor(date, period) {
+  const day = toDate(date);
+
+  switch (period) {
+    case 'day':
+      return { key: date, label: format(day, 'EEE d MMM yyyy'), start: date, end: date };
+    case 'week': {
+      const week = String(getISOWeek(day)).padStart(2, '0');
+      return {
+        key: `${getISOWeekYear(day)}-W${week}`,
+        label: `Week ${week}, ${getISOWeekYear(day)}`,
+        start: format(startOfISOWeek(day), 'yyyy-MM-dd'),
+        end: format(endOfISOWeek(day), 'yyyy-MM-dd')
+      };
+    }
+    case 'month':
+      return {
+        key: date.slice(0, 7),
+        label: format(day, 'MMMM yyyy'),
+        start: `${date.slice(0, 7)}-01`,
+        end: format(addDays(new Date(day.getFullYear(), day.getMonth() + 1, 1), -1), 'yyyy-MM-dd')
+      };
+    case 'term': {
+      const term = legalTermFor(date);
+      return { key: term.key, label: term.name, start: term.start, end: term.end };
+    }
+    default:
+      throw badRequest(`Unknown period: ${period}`);
+  }
+}
+
+/**
+ * Roll daily counts up into periods, including empty periods in the range
+ * @param {Array<Object>} dailyRows - Rows of { list_date, value, count }
+ * @param {Object} options - { dateFrom, dateTo, period, breakdown }
+ * @returns {Array<Object>} [{ key, label, start, end, total, breakdown? }], oldest first;
+ *   breakdown is [{ value, count }], largest first, when a breakdown is requested
+ */
+function buildSeries(dailyRows, { dateFrom, dateTo, period, breakdown }) {
+  const periods = new Map();
+  const periodByDate = new Map();
+
+  for (let day = toDate(dateFrom); format(day, 'yyyy-MM-dd') <= dateTo; day = addDays(day, 1)) {
+    const date = format(day, 'yyyy-MM-dd');
+    const p = periodFor(date, period);
+    if (!periods.has(p.key)) {
+      periods.set(p.key, { ...p, total: 0, counts: new Map() });
+    }
+    periodByDate.set(date, periods.get(p.key));
+  }
+
+  for (const row of dailyRows) {
+    const entry = periodByDate.get(toDateString(row.list_date));
+    if (!entry) continue;
+    const count = Number(row.count);
+    entry.total += count;
+    entry.counts.set(row.value, (entry.counts.get(row.value) || 0) + count);
+  }
+
+  return Array.from(periods.values()).map(({ counts, ...p }) => {
+    if (!breakdown) return p;
+    return {
+      ...p,
+      breakdown: Array.from(counts, ([value, count]) => ({ value, count })).sort(
+        (a, b) => b.count - a.count
+      )
+    };
+  });
+}
+
+/**
+ * Parse a YYYY-MM-DD date at midday local time, so day arithmetic is safe across DST
+ */
+function toDate(date) {
+  return new Date(`${date}T12:00:00`);
+}
+
+/**
+ * Format a list_date value (Date or string) as YYYY-MM-DD
+ */
+function toDateString(value) {
+  return value instanceof Date ? format(value, 'yyyy-MM-dd') : String(value).slice(0, 10);
+}
+
+module.exports = {
+  PERIODS,
+  DIMENSIONS,
+  getStats,
+  buildSeries,
+  periodFor
+};
@@ -0,0 +1,287 @@
+const { query } = require('../config/database');
+const { synchronizeRecords, fullReplaceSynchronize } = require('./sync-service');
+const emailService = require('./email-service');
+const logger = require('../utils/logger');
+
+/**
+ * Sync Guard Service
+ * Stops an empty or truncated upstream list from wiping out the hearings
+ * already archived for it. Each data source has thresholds (migration 026);
+ * a sync that trips one is quarantined in pending_syncs instead of being
+ * applied, an administrator is emailed, and the sync waits for them to
+ * approve or reject it.
+ */
+
+const parse = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+/**
+ * Check a planned sync against a data source's thresholds
+ * @param {Object} dataSource - Data source row
+ * @param {Object} counts - { existing, incoming, deleting }: live hearings in scope,
+ *   records scraped, and hearings the sync would tombstone
+ * @returns {string|null} Why the sync should be held back, or null if it may go ahead
+ */
+function checkThresholds(dataSource, { existing, incoming, deleting }) {
+  const {
+    sync_guard_min_rows: minRows,
+    sync_max_delete_percent: maxDeletePercent,
+    sync_min_new_rows: minNewRows
+  } = dataSource;
+
+  if (minRows == null || existing < minRows) return null;
+
+  if (minNewRows != null && incoming < minNewRows) {
+    return `Would replace ${existing} hearings with ${incoming} (minimum ${minNewRows})`;
+  }
+
+  if (maxDeletePercent != null && (deleting / existing) * 100 > maxDeletePercent) {
+    const percent = Math.round((deleting / existing) * 100);
+    return `Would remove ${deleting} of ${existing} hearings (${percent}%, limit ${maxDeletePercent}%)`;
+  }
+
+  return null;
+}
+
+/**
+ * Sync a list's records, quarantining the sync if it trips the source's
+ * thresholds. Pending syncs for the same list are superseded either way.
+ * @param {Object} params
+ * @param {string} params.syncStrategy - 'incremental' or 'full-replace'
+ * @param {Array<Object>} params.records - Parsed records
+ * @param {string} [params.listDate] - List date (incremental sources)
+ * @param {string} [params.url] - Where the list was fetched from
+ * @param {Object} params.dataSource - Data source row
+ * @param {number|null} params.scrapeId - scrape_history ID
+ * @param {boolean} [params.dryRun] - Work out the changes without applying or guarding them
+ * @returns {Promise<Object>} Sync statistics; { quarantined, reason, pendingSyncId }
+ *   when held back
+ */
+async function guardedSync({
+  syncStrategy,
+  records,
+  listDate = null,
+  url,
+  dataSource,
+  scrapeId,
+  dryRun = false
+}) {
+  const listScope = syncStrategy === 'full-replace' ? null : listDate;
+  // A dry run changes nothing, so there is nothing to guard
+  const options = dryRun ? { dryRun } : { guard: (counts) => checkThresholds(dataSource, counts) };
+
+  const result =
+    syncStrategy === 'full-replace'
+      ? await fullReplaceSynchronize(records, dataSource.id, scrapeId, options)
+      : await synchronizeRecords(records, listDate, dataSource.id, scrapeId, options);
+  if (dryRun) return result;
+
+  await supersedePendingSyncs(dataSource.id, listScope);
+  if (!result.quarantined) return result;
+
+  const { insertId } = await query(
+    `INSERT INTO pending_syncs
+      (data_source_id, scrape_history_id, list_date, url, records,
+       existing_count, incoming_count, delete_count, reason)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      dataSource.id,
+      scrapeId,
+      listScope,
+      url || null,
+      JSON.stringify(records),
+      result.existing,
+      result.incoming,
+      result.deleting,
+      result.reason
+    ]
+  );
+
+  logger.warn('Sync quarantined pending review', {
+    source: dataSource.slug,
+    listDate: listScope,
+    pendingSyncId: insertId,
+    reason: result.reason
+  });
+
+  try {
+    await emailService.sendSyncQuarantined({
+      source: dataSource.slug,
+      sourceName: dataSource.display_name || dataSource.slug,
+      pendingSyncId: insertId,
+      scrapeId,
+      date: listScope,
+      url,
+      reason: result.reason,
+      existing: result.existing,
+      incoming: result.incoming,
+      deleting: result.deleting
+    });
+  } catch (emailError) {
+    logger.error('Failed to send sync quarantine email', { error: emailError.message });
+  }
+
+  return { ...result, pendingSyncId: insertId };
+}
+
+/**
+ * Mark a list's pending syncs as superseded by a later scrape
+ * @param {number} dataSourceId - Data source ID
+ * @param {string|null} listDate - List date, or null for a full-replace source
+ */
+async function supersedePendingSyncs(dataSourceId, listDate) {
+  await query(
+    `UPDATE pending_syncs
+     SET status = 'superseded'
+     WHERE status = 'pending' AND data_source_id = ? AND list_date <=> ?`,
+    [dataSourceId, listDate]
+  );
+}
+
+/**
+ * List quarantined syncs, without their records
+ * @param {Object} [options]
+ * @param {string} [options.status] - Only this status (default: 'pending')
+ * @param {number} [options.dataSourceId] - Only this data source
+ * @param {number} [options.limit] - Maximum rows (default: 50)
+ * @returns {Promise<Array<Object>>} Pending syncs, newest first
+ */
+async function listPendingSyncs({ status = 'pending', dataSourceId = null, limit = 50 } = {}) {
+  const conditions = [];
+  const params = [];
+  if (status) {
+    conditions.push('ps.status = ?');
+    params.push(status);
+  }
+  if (dataSourceId) {
+    conditions.push('ps.data_source_id = ?');
+    params.push(dataSourceId);
+  }
+  params.push(limit);
+
+  const rows = await query(
+    `SELECT
+      ps.id, ps.data_source_id, ps.scrape_history_id,
+      DATE_FORMAT(ps.list_date, '%Y-%m-%d') AS list_date, ps.url,
+      ps.existing_count, ps.incoming_count, ps.delete_count, ps.reason,
+      ps.status, ps.reviewed_at, ps.result, ps.created_at,
+      ds.slug, ds.display_name, u.email AS reviewed_by_email
+    FROM pending_syncs ps
+    JOIN data_sources ds ON ds.id = ps.data_source_id
+    LEFT JOIN users u ON u.id = ps.reviewed_by
+    ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY ps.id DESC
+    LIMIT ?`,
+    params
+  );
+
+  return rows.map((row) => ({
+    id: row.id,
+    dataSource: { id: row.data_source_id, slug: row.slug, name: row.display_name },
+    scrapeId: row.scrape_history_id,
+    listDate: row.list_date,
+    url: row.url,
+    existing: row.existing_count,
+    incoming: row.incoming_count,
+    deleting: row.delete_count,
+    reason: row.reason,
+    status: row.status,
+    createdAt: row.created_at,
+    reviewedAt: row.reviewed_at,
+    reviewedBy: row.reviewed_by_email || null,
+    result: parse(row.result)
+  }));
+}
+
+/**
+ * Apply a quarantined sync as it was scraped
+ * @param {number} id - pending_syncs ID
+ * @param {number} userId - Approving administrator
+ * @returns {Promise<Object>} Sync statistics
+ */
+async function approvePendingSync(id, userId) {
+  // Claimed before syncing, so two approvals can't both apply it
+  await claimPendingSync(id, userId, 'approved');
+
+  const [pending] = await query(
+    `SELECT data_source_id, scrape_history_id,
+      DATE_FORMAT(list_date, '%Y-%m-%d') AS list_date, records
+    FROM pending_syncs
+    WHERE id = ?`,
+    [id]
+  );
+
+  let result;
+  try {
+    const records = parse(pending.records);
+    result = pending.list_date
+      ? await synchronizeRecords(
+          records,
+          pending.list_date,
+          pending.data_source_id,
+          pending.scrape_history_id
+        )
+      : await fullReplaceSynchronize(records, pending.data_source_id, pending.scrape_history_id);
+  } catch (error) {
+    // The sync rolled back, so hand it back for review
+    await query(
+      `UPDATE pending_syncs
+       SET status = 'pending', reviewed_by = NULL, reviewed_at = NULL
+       WHERE id = ?`,
+      [id]
+    );
+    throw error;
+  }
+
+  await query('UPDATE pending_syncs SET result = ? WHERE id = ?', [JSON.stringify(result), id]);
+
+  logger.info('Quarantined sync approved', { pendingSyncId: id, approvedBy: userId, ...result });
+  return result;
+}
+
+/**
+ * Discard a quarantined sync, leaving the archived hearings as they are
+ * @param {number} id - pending_syncs ID
+ * @param {number} userId - Rejecting administrator
+ */
+async function rejectPendingSync(id, userId) {
+  await claimPendingSync(id, userId, 'rejected');
+
+  logger.info('Quarantined sync rejected', { pendingSyncId: id, rejectedBy: userId });
+}
+
+/**
+ * Record the review of a pending sync, if it is still awaiting review. The
+ * status check is part of the update, so of two concurrent reviews only one
+ * gets the row.
+ * @param {number} id - pending_syncs ID
+ * @param {number} userId - Reviewing administrator
+ * @param {string} status - 'approved' or 'rejected'
+ * @throws {Error} 404 if there is no such sync, 409 if it has already been reviewed
+ */
+async function claimPendingSync(id, userId, status) {
+  const { affectedRows } = await query(
+    `UPDATE pending_syncs
+     SET status = ?, reviewed_by = ?, reviewed_at = NOW()
+     WHERE id = ? AND status = 'pending'`,
+    [status, userId, id]
+  );
+  if (affectedRows > 0) return;
+
+  const rows = await query('SELECT status FROM pending_syncs WHERE id = ?', [id]);
+  if (rows.length === 0) {
+    const error = new Error('Pending sync not found');
+    error.statusCode = 404;
+    throw error;
+  }
+  const error = new Error(`Pending sync has already been ${rows[0].status}`);
+  error.statusCode = 409;
+  throw error;
+}
+
+module.exports = {
+  checkThresholds,
+  guardedSync,
+  listPendingSyncs,
+  approvePendingSync,
+  rejectPendingSync
+};
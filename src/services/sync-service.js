@@ -1,20 +1,48 @@
 const { getConnection } = require('../config/database');
 const { createRecordKey } = require('../scrapers/table-parser');
+const { toColumnValues } = require('../scrapers/record-enricher');
+const {
+  snapshotRecord,
+  snapshotRow,
+  diffSnapshots,
+  recordRevisions
+} = require('./revision-service');
+const { formatInTimeZone } = require('date-fns-tz');
+const Case = require('../models/Case');
+const Judge = require('../models/Judge');
+const { caseReferencesForCell } = require('../utils/case-reference');
 const logger = require('../utils/logger');
 
 /**
  * Sync Service
- * Synchronizes scraped records with database using add/update/delete logic
+ * Synchronizes scraped records with database using add/update/delete logic.
+ * Hearings that leave a list are tombstoned (removed_at/removal_reason) rather
+ * than deleted, and restored if they reappear.
  */
 
+const REMOVAL_REASON_DROPPED = 'dropped from list';
+
 /**
  * Synchronize records for a specific list date and data source
  * @param {Array<Object>} newRecords - Newly scraped records
  * @param {string} listDate - Date of the list (YYYY-MM-DD)
  * @param {number} dataSourceId - Data source ID to scope operations
+ * @param {number} [scrapeId] - scrape_history ID, recorded against each revision
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Work out the changes, then roll back instead of committing.
+ *   The result then lists the changes field by field (see describeRevision())
+ * @param {Function} [options.guard] - Checks the planned changes before they are applied
+ *   (see holdBack())
  * @returns {Promise<Object>} Sync statistics
  */
-async function synchronizeRecords(newRecords, listDate, dataSourceId) {
+async function synchronizeRecords(
+  newRecords,
+  listDate,
+  dataSourceId,
+  scrapeId = null,
+  options = {}
+) {
+  const { dryRun = false, guard = null } = options;
   const connection = await getConnection();
 
   try {
@@ -24,32 +52,18 @@ async function synchronizeRecords(newRecords, listDate, dataSourceId) {
       newRecordCount: newRecords.length
     });
 
-    // Deduplicate new records (keep last occurrence)
-    const deduplicatedMap = {};
-    for (const record of newRecords) {
-      const key = createRecordKey(record);
-      deduplicatedMap[key] = record;
-    }
-    const deduplicatedRecords = Object.values(deduplicatedMap);
-
-    if (deduplicatedRecords.length < newRecords.length) {
-      logger.warn('Duplicate records found in scraped data', {
-        listDate,
-        original: newRecords.length,
-        deduplicated: deduplicatedRecords.length,
-        duplicates: newRecords.length - deduplicatedRecords.length
-      });
-    }
+    const deduplicatedRecords = deduplicateRecords(newRecords, { listDate, dataSourceId });
 
     await connection.beginTransaction();
 
     // Define operation arrays that will be accessible in catch block
     let toAdd = [];
     let toUpdate = [];
+    let toRestore = [];
     let toDelete = [];
 
     try {
-      // Get existing records for this date and source
+      // Get existing records for this date and source (including tombstoned ones)
       const [existingRows] = await connection.query(
         'SELECT * FROM hearings WHERE list_date = ? AND data_source_id = ?',
         [listDate, dataSourceId]
@@ -65,27 +79,12 @@ async function synchronizeRecords(newRecords, listDate, dataSourceId) {
       const existingRecordMap = createKeyMap(existingRows);
 
       // Determine operations
-      toAdd = [];
-      toUpdate = [];
+      ({ toAdd, toUpdate, toRestore } = classifyRecords(newRecordMap, existingRecordMap));
       toDelete = [];
 
-      // Find additions and updates
-      for (const [key, newRecord] of Object.entries(newRecordMap)) {
-        if (!existingRecordMap[key]) {
-          // New record - add
-          toAdd.push(newRecord);
-        } else {
-          // Existing record - check if changed
-          const existingRecord = existingRecordMap[key];
-          if (hasChanged(newRecord, existingRecord)) {
-            toUpdate.push({ new: newRecord, existing: existingRecord });
-          }
-        }
-      }
-
-      // Find deletions (records in DB but not in new scrape)
+      // Find deletions (live records in DB but not in new scrape)
       for (const [key, existingRecord] of Object.entries(existingRecordMap)) {
-        if (!newRecordMap[key]) {
+        if (!newRecordMap[key] && !existingRecord.removed_at) {
           toDelete.push(existingRecord);
         }
       }
@@ -94,102 +93,135 @@ async function synchronizeRecords(newRecords, listDate, dataSourceId) {
         listDate,
         toAdd: toAdd.length,
         toUpdate: toUpdate.length,
+        toRestore: toRestore.length,
         toDelete: toDelete.length
       });
 
+      const held = await holdBack(connection, guard, {
+        existing: existingRows.filter((row) => !row.removed_at).length,
+        incoming: deduplicatedRecords.length,
+        deleting: toDelete.length
+      });
+      if (held) {
+        logger.warn('Synchronization held back by sync guard', { listDate, ...held });
+        return { success: true, listDate, dryRun, ...held };
+      }
+
       // Execute operations
       let addedCount = 0;
       let updatedCount = 0;
       let deletedCount = 0;
-
-      // Before inserting, handle cross-source conflicts (e.g. FHL records
-      // that will clash with incoming DCL records on the unique_hearing key).
-      // Carry forward crown_court from the conflicting record if the new one lacks it.
-      if (toAdd.length > 0) {
-        const conflictKeys = toAdd.map((r) => [r.listDate, r['case number'], r.time]);
-        const conflictPlaceholders = conflictKeys.map(() => '(?, ?, ?)').join(', ');
-        const conflictParams = conflictKeys.flat();
-
-        const [conflictingRows] = await connection.query(
-          `SELECT id, list_date, case_number, time, crown_court, data_source_id
-           FROM hearings
-           WHERE (list_date, case_number, time) IN (${conflictPlaceholders})
-             AND data_source_id != ?`,
-          [...conflictParams, dataSourceId]
+      const revisions = [];
+
+      // Before inserting, tombstone live records from other sources for the same
+      // hearing (e.g. FHL fixtures now listed on the DCL). Carry forward
+      // crown_court from the superseded record if the new one lacks it.
+      const incoming = [...toAdd, ...toRestore.map((r) => r.new)];
+      if (incoming.length > 0) {
+        const conflictingRows = await findLiveRowsInOtherSources(
+          connection,
+          incoming,
+          dataSourceId
         );
 
         if (conflictingRows.length > 0) {
           // Build lookup of crown_court values from conflicting records
           const crownCourtLookup = {};
-          const idsToRemove = [];
           for (const row of conflictingRows) {
             const key = createRecordKey(row);
             if (row.crown_court) {
               crownCourtLookup[key] = row.crown_court;
             }
-            idsToRemove.push(row.id);
           }
 
           // Carry forward crown_court to new records that lack it
-          for (const record of toAdd) {
+          for (const record of incoming) {
             const key = createRecordKey(record);
             if (!record['crown court'] && crownCourtLookup[key]) {
               record['crown court'] = crownCourtLookup[key];
             }
           }
 
-          // Delete the conflicting records so the insert succeeds
-          await connection.query(
-            `DELETE FROM hearings WHERE id IN (${idsToRemove.map(() => '?').join(',')})`,
-            idsToRemove
-          );
+          const sourceName = await getDataSourceName(connection, dataSourceId);
+          const reason = supersededReason(sourceName);
+          await markRemoved(connection, conflictingRows, reason);
+          for (const row of conflictingRows) {
+            revisions.push(buildRemovalRevision(row, reason));
+          }
 
-          logger.info('Removed cross-source conflicting records', {
+          logger.info('Tombstoned cross-source superseded records', {
             listDate,
-            removedCount: idsToRemove.length,
+            removedCount: conflictingRows.length,
             crownCourtCarriedForward: Object.keys(crownCourtLookup).length
           });
         }
       }
 
       // Bulk insert new records
+      let insertedRows = [];
       if (toAdd.length > 0) {
+        await attachCaseIds(connection, toAdd);
         await bulkInsertRecords(connection, toAdd, dataSourceId);
         addedCount = toAdd.length;
+
+        // Look up the generated IDs so revisions can reference them
+        [insertedRows] = await connection.query(
+          'SELECT id, list_date, case_number, time FROM hearings WHERE list_date = ? AND data_source_id = ?',
+          [listDate, dataSourceId]
+        );
+        revisions.push(...buildAddedRevisions(toAdd, insertedRows, dataSourceId));
+      }
+
+      // Restore tombstoned records that are back on the list
+      for (const { new: newRecord, existing: existingRecord } of toRestore) {
+        await updateRecord(connection, newRecord, existingRecord.id);
+        revisions.push(buildRestoreRevision(existingRecord, newRecord));
       }
 
       // Update changed records (still individual — each has different values)
-      for (const { new: newRecord, existing: existingRecord } of toUpdate) {
+      for (const { new: newRecord, existing: existingRecord, changes } of toUpdate) {
         await updateRecord(connection, newRecord, existingRecord.id);
         updatedCount++;
+        revisions.push(buildRevisionFromChanges(existingRecord, changes));
       }
 
-      // Bulk delete removed records
+      await linkHearings(connection, toAdd, insertedRows, [...toRestore, ...toUpdate]);
+
+      // Tombstone records that have dropped off the list
       if (toDelete.length > 0) {
-        const idsToDelete = toDelete.map((r) => r.id);
-        await connection.query(
-          `DELETE FROM hearings WHERE id IN (${idsToDelete.map(() => '?').join(',')})`,
-          idsToDelete
-        );
+        await markRemoved(connection, toDelete, REMOVAL_REASON_DROPPED);
         deletedCount = toDelete.length;
+
+        for (const row of toDelete) {
+          revisions.push(buildRemovalRevision(row, REMOVAL_REASON_DROPPED));
+        }
+      }
+
+      if (revisions.length > 0) {
+        await recordRevisions(connection, revisions, scrapeId);
       }
 
-      await connection.commit();
+      await finishTransaction(connection, dryRun);
 
       logger.info('Synchronization completed successfully', {
         listDate,
+        dryRun,
         added: addedCount,
         updated: updatedCount,
+        restored: toRestore.length,
         deleted: deletedCount
       });
 
       return {
         success: true,
         listDate,
+        dryRun,
         added: addedCount,
         updated: updatedCount,
+        restored: toRestore.length,
         deleted: deletedCount,
-        total: deduplicatedRecords.length
+        total: deduplicatedRecords.length,
+        ...(dryRun && { changes: revisions.map(describeRevision) })
       };
     } catch (error) {
       await connection.rollback();
@@ -207,6 +239,7 @@ async function synchronizeRecords(newRecords, listDate, dataSourceId) {
           newRecordCount: deduplicatedRecords.length,
           toAddCount: toAdd?.length || 0,
           toUpdateCount: toUpdate?.length || 0,
+          toRestoreCount: toRestore?.length || 0,
           toDeleteCount: toDelete?.length || 0
         }
       });
@@ -219,6 +252,222 @@ async function synchronizeRecords(newRecords, listDate, dataSourceId) {
   }
 }
 
+/**
+ * Ask the caller's guard whether the planned changes may be applied. If it
+ * objects, the transaction is rolled back untouched.
+ * @param {Object} connection - Database connection, inside the sync transaction
+ * @param {Function|null} guard - (counts) => reason string to hold back, or null to proceed
+ * @param {Object} counts - { existing, incoming, deleting }: live hearings in scope,
+ *   records scraped, and hearings the sync would tombstone
+ * @returns {Promise<Object|null>} Quarantined result, or null to go ahead
+ */
+async function holdBack(connection, guard, counts) {
+  const reason = guard ? guard(counts) : null;
+  if (!reason) return null;
+
+  await connection.rollback();
+  return { quarantined: true, reason, ...counts, added: 0, updated: 0, restored: 0, deleted: 0 };
+}
+
+/**
+ * Commit the sync transaction, or roll it back for a dry run
+ * @param {Object} connection - Database connection
+ * @param {boolean} dryRun - Roll back instead of committing
+ */
+async function finishTransaction(connection, dryRun) {
+  if (dryRun) {
+    await connection.rollback();
+  } else {
+    await connection.commit();
+  }
+}
+
+/**
+ * Deduplicate scraped records by composite key (keeps last occurrence)
+ * @param {Array<Object>} records - Scraped records
+ * @param {Object} context - Extra fields for the duplicate warning log
+ * @returns {Array<Object>} Deduplicated records
+ */
+function deduplicateRecords(records, context) {
+  const deduplicatedRecords = Object.values(createKeyMap(records));
+
+  if (deduplicatedRecords.length < records.length) {
+    logger.warn('Duplicate records found in scraped data', {
+      ...context,
+      original: records.length,
+      deduplicated: deduplicatedRecords.length,
+      duplicates: records.length - deduplicatedRecords.length
+    });
+  }
+
+  return deduplicatedRecords;
+}
+
+/**
+ * Split incoming records into additions, updates and restorations
+ * @param {Object} newRecordMap - Map of key -> scraped record
+ * @param {Object} existingRecordMap - Map of key -> DB row (live or tombstoned)
+ * @returns {{toAdd: Array, toUpdate: Array, toRestore: Array}}
+ */
+function classifyRecords(newRecordMap, existingRecordMap) {
+  const toAdd = [];
+  const toUpdate = [];
+  const toRestore = [];
+
+  for (const [key, newRecord] of Object.entries(newRecordMap)) {
+    const existingRecord = existingRecordMap[key];
+
+    // The DCL has no crown court column: keep one carried forward from the FHL
+    if (existingRecord && !newRecord['crown court'] && existingRecord.crown_court) {
+      newRecord['crown court'] = existingRecord.crown_court;
+    }
+
+    if (!existingRecord) {
+      toAdd.push(newRecord);
+    } else if (existingRecord.removed_at) {
+      // Previously tombstoned - back on the list
+      toRestore.push({ new: newRecord, existing: existingRecord });
+    } else {
+      const changes = diffSnapshots(snapshotRow(existingRecord), snapshotRecord(newRecord));
+      // A restriction the enricher finds must reach the row even if no compared
+      // field changed, e.g. on rows synced before it recognised the wording.
+      // The flag is never cleared here, as it may have been spread from another
+      // hearing of the case.
+      if (newRecord.reportingRestricted && !existingRecord.reporting_restricted) {
+        changes.reporting_restricted = { old: 0, new: 1 };
+      }
+      if (Object.keys(changes).length > 0) {
+        toUpdate.push({ new: newRecord, existing: existingRecord, changes });
+      }
+    }
+  }
+
+  return { toAdd, toUpdate, toRestore };
+}
+
+/**
+ * Link records to their cases (creating cases as needed) by setting
+ * record.caseIds, and record.caseId to the first listed reference
+ * @param {Object} connection - Database connection
+ * @param {Array<Object>} records - Scraped records about to be inserted
+ */
+async function attachCaseIds(connection, records) {
+  const referencesByRecord = records.map((r) => caseReferencesForCell(r['case number']));
+  const caseIds = await Case.resolveIds(connection, referencesByRecord.flat());
+
+  records.forEach((record, i) => {
+    record.caseIds = referencesByRecord[i].map((ref) => caseIds.get(ref.reference)).filter(Boolean);
+    record.caseId = record.caseIds[0] || null;
+  });
+}
+
+/**
+ * Link hearings to their cases and judges. Newly inserted hearings are linked
+ * to every case in their case number cell and to any judges; restored hearings
+ * and updated hearings whose judge column changed are relinked to judges.
+ * Reporting restrictions are then spread across the cases touched.
+ * @param {Object} connection - Database connection
+ * @param {Array<Object>} added - Inserted scraped records (with caseIds from attachCaseIds)
+ * @param {Array<Object>} insertedRows - Rows re-selected after insert (id + key columns)
+ * @param {Array<Object>} changed - Restore/update entries ({ new, existing, changes })
+ */
+async function linkHearings(connection, added, insertedRows, changed) {
+  const insertedIds = createIdMap(insertedRows);
+  const addedHearings = added.map((record) => ({
+    id: insertedIds[createRecordKey(record)],
+    caseIds: record.caseIds,
+    judge: record.judge
+  }));
+
+  if (addedHearings.length > 0) {
+    await Case.linkHearings(connection, addedHearings);
+  }
+
+  const judgeHearings = [
+    ...addedHearings.filter((h) => h.judge),
+    ...changed
+      .filter(({ changes }) => !changes || changes.judge)
+      .map(({ new: record, existing }) => ({ id: existing.id, judge: record.judge }))
+  ];
+
+  if (judgeHearings.length > 0) {
+    await Judge.linkHearings(connection, judgeHearings);
+  }
+
+  await Case.propagateReportingRestrictions(connection, [
+    ...addedHearings.map((h) => h.id),
+    ...changed.map(({ existing }) => existing.id)
+  ]);
+}
+
+/**
+ * Find live (non-tombstoned) rows from other data sources sharing a hearing key
+ * @param {Object} connection - Database connection
+ * @param {Array<Object>} records - Scraped records to match
+ * @param {number} dataSourceId - Data source to exclude
+ * @param {number} batchSize - Max keys per query
+ * @returns {Promise<Array<Object>>} Matching rows, with data_source_name
+ */
+async function findLiveRowsInOtherSources(connection, records, dataSourceId, batchSize = 500) {
+  const rows = [];
+
+  for (let i = 0; i < records.length; i += batchSize) {
+    const batch = records.slice(i, i + batchSize);
+    const placeholders = batch.map(() => '(?, ?, ?)').join(', ');
+    const params = batch.flatMap((r) => [r.listDate, r['case number'], r.time]);
+
+    const [batchRows] = await connection.query(
+      `SELECT h.*, ds.display_name AS data_source_name
+       FROM hearings h
+       JOIN data_sources ds ON ds.id = h.data_source_id
+       WHERE (h.list_date, h.case_number, h.time) IN (${placeholders})
+         AND h.data_source_id != ?
+         AND h.removed_at IS NULL`,
+      [...params, dataSourceId]
+    );
+    rows.push(...batchRows);
+  }
+
+  return rows;
+}
+
+/**
+ * Look up a data source's display name
+ * @param {Object} connection - Database connection
+ * @param {number} dataSourceId - Data source ID
+ * @returns {Promise<string>}
+ */
+async function getDataSourceName(connection, dataSourceId) {
+  const [rows] = await connection.query('SELECT display_name FROM data_sources WHERE id = ?', [
+    dataSourceId
+  ]);
+  return rows[0]?.display_name || `data source ${dataSourceId}`;
+}
+
+/**
+ * Removal reason for a hearing superseded by another source's listing
+ * @param {string} sourceName - Display name of the superseding source
+ * @returns {string}
+ */
+function supersededReason(sourceName) {
+  return `superseded by ${sourceName}`;
+}
+
+/**
+ * Tombstone hearings rather than deleting them
+ * @param {Object} connection - Database connection
+ * @param {Array<Object>} rows - Rows to mark as removed
+ * @param {string} reason - Removal reason
+ */
+async function markRemoved(connection, rows, reason) {
+  const ids = rows.map((r) => r.id);
+  await connection.query(
+    `UPDATE hearings SET removed_at = CURRENT_TIMESTAMP, removal_reason = ?
+     WHERE id IN (${ids.map(() => '?').join(',')})`,
+    [reason, ...ids]
+  );
+}
+
 /**
  * Create a map of records keyed by composite key
  * @param {Array<Object>} records - Array of records
@@ -234,58 +483,122 @@ function createKeyMap(records) {
 }
 
 /**
- * Check if record has changed (compare relevant fields)
- * @param {Object} newRecord - New record
- * @param {Object} existingRecord - Existing record
- * @returns {boolean}
+ * Create a map of row IDs keyed by composite key
+ * @param {Array<Object>} rows - DB rows with id and key columns
+ * @returns {Object} Map of key -> id
  */
-function hasChanged(newRecord, existingRecord) {
-  // Compare key fields that might change
-  const fieldsToCompare = [
-    'venue',
-    'judge',
-    'caseDetails',
-    'hearingType',
-    'additionalInformation',
-    'hearingDateTime'
-  ];
+function createIdMap(rows) {
+  const map = {};
+  for (const row of rows) {
+    map[createRecordKey(row)] = row.id;
+  }
+  return map;
+}
 
-  for (const field of fieldsToCompare) {
-    const newValue = normalizeValue(newRecord[field]);
-    const existingValue = normalizeValue(
-      field === 'caseDetails'
-        ? existingRecord.case_details
-        : field === 'hearingType'
-          ? existingRecord.hearing_type
-          : field === 'additionalInformation'
-            ? existingRecord.additional_information
-            : field === 'hearingDateTime'
-              ? existingRecord.hearing_datetime
-              : existingRecord[field]
-    );
+/**
+ * Build a revision entry for a hearing
+ * @param {string} changeType - 'added', 'updated', 'deleted' or 'restored'
+ * @param {Object} source - Scraped record or DB row identifying the hearing
+ * @param {Object|null} oldValues - Snapshot before the change
+ * @param {Object|null} newValues - Snapshot after the change
+ * @returns {Object} Revision entry
+ */
+function buildRevision(changeType, source, oldValues, newValues) {
+  return {
+    hearingId: source.id || null,
+    listDate: source.listDate || source.list_date,
+    caseNumber: source['case number'] || source.case_number,
+    time: source.time,
+    dataSourceId: source.data_source_id,
+    changeType,
+    oldValues,
+    newValues
+  };
+}
 
-    if (newValue !== existingValue) {
-      logger.debug('Field changed', {
-        field,
-        old: existingValue,
-        new: newValue
-      });
-      return true;
-    }
+/**
+ * Build an 'updated' revision entry from a field diff
+ * @param {Object} existingRow - DB row being updated
+ * @param {Object} changes - Map of field -> { old, new }
+ * @returns {Object} Revision entry
+ */
+function buildRevisionFromChanges(existingRow, changes) {
+  const oldValues = {};
+  const newValues = {};
+  for (const [field, change] of Object.entries(changes)) {
+    oldValues[field] = change.old;
+    newValues[field] = change.new;
   }
+  return buildRevision('updated', existingRow, oldValues, newValues);
+}
 
-  return false;
+/**
+ * Build a 'deleted' revision entry for a tombstoned hearing
+ * @param {Object} row - DB row being tombstoned
+ * @param {string} reason - Removal reason
+ * @returns {Object} Revision entry
+ */
+function buildRemovalRevision(row, reason) {
+  return buildRevision('deleted', row, snapshotRow(row), { removal_reason: reason });
 }
 
 /**
- * Normalize value for comparison
- * @param {*} value - Value to normalize
- * @returns {string}
+ * Build a 'restored' revision entry for a tombstoned hearing that reappeared
+ * @param {Object} existingRow - Tombstoned DB row
+ * @param {Object} newRecord - Scraped record bringing it back
+ * @returns {Object} Revision entry
+ */
+function buildRestoreRevision(existingRow, newRecord) {
+  return buildRevision(
+    'restored',
+    existingRow,
+    { ...snapshotRow(existingRow), removal_reason: existingRow.removal_reason },
+    snapshotRecord(newRecord)
+  );
+}
+
+/**
+ * Describe a revision field by field, for a dry run's report
+ * @param {Object} revision - Revision entry
+ * @returns {Object} { changeType, hearingId, listDate, caseNumber, time, fields }, where
+ *   fields maps each changed field to { old, new }. Added hearings have no ID yet.
+ */
+function describeRevision(revision) {
+  const oldValues = revision.oldValues || {};
+  const newValues = revision.newValues || {};
+  const fields = [...new Set([...Object.keys(oldValues), ...Object.keys(newValues)])];
+
+  return {
+    changeType: revision.changeType,
+    hearingId: revision.changeType === 'added' ? null : revision.hearingId,
+    listDate:
+      revision.listDate instanceof Date
+        ? revision.listDate.toISOString().slice(0, 10)
+        : revision.listDate,
+    caseNumber: revision.caseNumber,
+    time: revision.time,
+    fields: diffSnapshots(oldValues, newValues, fields)
+  };
+}
+
+/**
+ * Build 'added' revision entries, resolving generated IDs from re-selected rows
+ * @param {Array<Object>} records - Inserted scraped records
+ * @param {Array<Object>} insertedRows - Rows re-selected after insert (id + key columns)
+ * @param {number} dataSourceId - Data source ID
+ * @returns {Array<Object>} Revision entries
  */
-function normalizeValue(value) {
-  if (value === null || value === undefined) return '';
-  if (value instanceof Date) return value.toISOString();
-  return String(value).trim();
+function buildAddedRevisions(records, insertedRows, dataSourceId) {
+  const insertedIds = createIdMap(insertedRows);
+
+  return records.map((record) =>
+    buildRevision(
+      'added',
+      { id: insertedIds[createRecordKey(record)], ...record, data_source_id: dataSourceId },
+      null,
+      snapshotRecord(record)
+    )
+  );
 }
 
 /**
@@ -313,11 +626,12 @@ function formatDateTimeForMySQL(date) {
  * @param {number} batchSize - Max records per INSERT statement
  */
 async function bulkInsertRecords(connection, records, dataSourceId, batchSize = 500) {
-  const columns = `(list_date, case_number, time, hearing_datetime,
+  const columns = `(list_date, case_number, case_id, time, hearing_datetime,
     venue, judge, case_details, hearing_type, additional_information,
+    party_names, ag_reference, appeal_type, application_types, hand_down, reporting_restricted,
     crown_court, reporting_restriction,
-    division, data_source_id, source_url, scraped_at)`;
-  const placeholder = '(?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)';
+    division, data_source_id, court_id, source_url, scraped_at)`;
+  const placeholder = '(?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)';
 
   for (let i = 0; i < records.length; i += batchSize) {
     const batch = records.slice(i, i + batchSize);
@@ -328,6 +642,7 @@ async function bulkInsertRecords(connection, records, dataSourceId, batchSize =
       params.push(
         record.listDate,
         record['case number'],
+        record.caseId || null,
         record.time,
         record.hearingDateTime,
         record.venue || null,
@@ -335,10 +650,12 @@ async function bulkInsertRecords(connection, records, dataSourceId, batchSize =
         record['case details'] || null,
         record['hearing type'] || null,
         record['additional information'] || null,
+        ...toColumnValues(record),
         record['crown court'] || null,
         record['reporting restriction'] || null,
         record.division,
         dataSourceId,
+        record.courtId || null,
         record.sourceUrl,
         formatDateTimeForMySQL(record.scrapedAt)
       );
@@ -349,7 +666,7 @@ async function bulkInsertRecords(connection, records, dataSourceId, batchSize =
 }
 
 /**
- * Update existing hearing record
+ * Update existing hearing record (clears any tombstone)
  * @param {Object} connection - Database connection
  * @param {Object} record - New record data
  * @param {number} id - Record ID to update
@@ -363,8 +680,19 @@ async function updateRecord(connection, record, id) {
       case_details = ?,
       hearing_type = ?,
       additional_information = ?,
+      party_names = ?,
+      ag_reference = ?,
+      appeal_type = ?,
+      application_types = ?,
+      hand_down = ?,
+      reporting_restricted = ?,
+      crown_court = ?,
+      reporting_restriction = ?,
+      court_id = COALESCE(?, court_id),
       source_url = ?,
-      scraped_at = ?
+      scraped_at = ?,
+      removed_at = NULL,
+      removal_reason = NULL
     WHERE id = ?`,
     [
       record.hearingDateTime,
@@ -373,6 +701,10 @@ async function updateRecord(connection, record, id) {
       record['case details'] || null,
       record['hearing type'] || null,
       record['additional information'] || null,
+      ...toColumnValues(record),
+      record['crown court'] || null,
+      record['reporting restriction'] || null,
+      record.courtId || null,
       record.sourceUrl,
       formatDateTimeForMySQL(record.scrapedAt),
       id
@@ -382,84 +714,173 @@ async function updateRecord(connection, record, id) {
 
 /**
  * Full-replace synchronization for volatile sources (e.g. Future Hearing List).
- * Deletes all existing records for the given data source, then bulk inserts
- * new records using INSERT IGNORE to skip any that conflict with records
- * from a higher-precedence source (e.g. Daily Cause List).
+ * The scraped list is treated as the complete current state of the source:
+ * hearings missing from it are tombstoned, and records that clash with a live
+ * hearing from a higher-precedence source (e.g. Daily Cause List) are skipped.
+ *
+ * Hearings on dates that have already passed are left as they are when they
+ * fall off the list, since they have elapsed rather than been vacated.
+ *
+ * With options.listDate the sync is scoped to that single date, and the records
+ * are treated as the final word for it (used when re-parsing archived lists).
  *
  * @param {Array<Object>} newRecords - Newly scraped records
  * @param {number} dataSourceId - Data source ID
+ * @param {number} [scrapeId] - scrape_history ID, recorded against each revision
+ * @param {Object} [options]
+ * @param {string} [options.listDate] - Only sync this date (YYYY-MM-DD)
+ * @param {boolean} [options.dryRun] - Work out the changes, then roll back instead of committing.
+ *   The result then lists the changes field by field (see describeRevision())
+ * @param {Function} [options.guard] - Checks the planned changes before they are applied
+ *   (see holdBack())
  * @returns {Promise<Object>} Sync statistics
  */
-async function fullReplaceSynchronize(newRecords, dataSourceId) {
+async function fullReplaceSynchronize(newRecords, dataSourceId, scrapeId = null, options = {}) {
+  const { listDate = null, dryRun = false, guard = null } = options;
   const connection = await getConnection();
 
   try {
     logger.info('Starting full-replace synchronization', {
       dataSourceId,
+      listDate,
       newRecordCount: newRecords.length
     });
 
-    // Deduplicate new records (keep last occurrence)
-    const deduplicatedMap = {};
-    for (const record of newRecords) {
-      const key = createRecordKey(record);
-      deduplicatedMap[key] = record;
-    }
-    const deduplicatedRecords = Object.values(deduplicatedMap);
-
-    if (deduplicatedRecords.length < newRecords.length) {
-      logger.warn('Duplicate records found in scraped data', {
-        dataSourceId,
-        original: newRecords.length,
-        deduplicated: deduplicatedRecords.length,
-        duplicates: newRecords.length - deduplicatedRecords.length
-      });
-    }
+    const deduplicatedRecords = deduplicateRecords(newRecords, { dataSourceId });
 
     await connection.beginTransaction();
 
     try {
-      // Count existing records before delete
-      const [countResult] = await connection.query(
-        'SELECT COUNT(*) as cnt FROM hearings WHERE data_source_id = ?',
-        [dataSourceId]
+      const scopeSql = listDate ? ' AND list_date = ?' : '';
+      const scopeParams = listDate ? [listDate] : [];
+
+      const [existingRows] = await connection.query(
+        `SELECT * FROM hearings WHERE data_source_id = ?${scopeSql}`,
+        [dataSourceId, ...scopeParams]
+      );
+      const existingRecordMap = createKeyMap(existingRows);
+
+      // Skip records already listed live by another source
+      const coveringRows = await findLiveRowsInOtherSources(
+        connection,
+        deduplicatedRecords,
+        dataSourceId
       );
-      const previousCount = countResult[0].cnt;
+      const coveringMap = createKeyMap(coveringRows);
+
+      const newRecordMap = {};
+      const toSupersede = [];
+      for (const record of deduplicatedRecords) {
+        const key = createRecordKey(record);
+        if (!coveringMap[key]) {
+          newRecordMap[key] = record;
+        } else if (existingRecordMap[key] && !existingRecordMap[key].removed_at) {
+          toSupersede.push({ row: existingRecordMap[key], coveredBy: coveringMap[key] });
+        }
+      }
+      const skippedCount = deduplicatedRecords.length - Object.keys(newRecordMap).length;
 
-      // Delete all existing records for this source
-      await connection.query('DELETE FROM hearings WHERE data_source_id = ?', [dataSourceId]);
+      const { toAdd, toUpdate, toRestore } = classifyRecords(newRecordMap, existingRecordMap);
 
-      logger.info('Deleted existing records for full replace', {
-        dataSourceId,
-        deletedCount: previousCount
+      // Tombstone upcoming hearings that have dropped off the list
+      const today = formatInTimeZone(new Date(), 'Europe/London', 'yyyy-MM-dd');
+      const toDelete = [];
+      for (const [key, existingRecord] of Object.entries(existingRecordMap)) {
+        if (existingRecord.removed_at || newRecordMap[key] || coveringMap[key]) continue;
+        if (listDate || key.split('|')[0] >= today) {
+          toDelete.push(existingRecord);
+        }
+      }
+
+      const held = await holdBack(connection, guard, {
+        existing: existingRows.filter(
+          (row) => !row.removed_at && (listDate || createRecordKey(row).split('|')[0] >= today)
+        ).length,
+        incoming: deduplicatedRecords.length,
+        deleting: toDelete.length
       });
+      if (held) {
+        logger.warn('Full-replace synchronization held back by sync guard', {
+          dataSourceId,
+          listDate,
+          ...held
+        });
+        return { success: true, dataSourceId, dryRun, ...held };
+      }
 
-      // Bulk insert with INSERT IGNORE to skip conflicts with other sources
-      let addedCount = 0;
-      if (deduplicatedRecords.length > 0) {
-        addedCount = await bulkInsertIgnoreRecords(connection, deduplicatedRecords, dataSourceId);
+      const revisions = [];
+
+      for (const { row, coveredBy } of toSupersede) {
+        const reason = supersededReason(coveredBy.data_source_name);
+        await markRemoved(connection, [row], reason);
+        revisions.push(buildRemovalRevision(row, reason));
       }
 
-      const skippedCount = deduplicatedRecords.length - addedCount;
+      if (toDelete.length > 0) {
+        await markRemoved(connection, toDelete, REMOVAL_REASON_DROPPED);
+        for (const row of toDelete) {
+          revisions.push(buildRemovalRevision(row, REMOVAL_REASON_DROPPED));
+        }
+      }
 
-      await connection.commit();
+      let insertedRows = [];
+      if (toAdd.length > 0) {
+        await attachCaseIds(connection, toAdd);
+        await bulkInsertRecords(connection, toAdd, dataSourceId);
+
+        [insertedRows] = await connection.query(
+          `SELECT id, list_date, case_number, time FROM hearings WHERE data_source_id = ?${scopeSql}`,
+          [dataSourceId, ...scopeParams]
+        );
+        revisions.push(...buildAddedRevisions(toAdd, insertedRows, dataSourceId));
+      }
+
+      for (const { new: newRecord, existing: existingRecord } of toRestore) {
+        await updateRecord(connection, newRecord, existingRecord.id);
+        revisions.push(buildRestoreRevision(existingRecord, newRecord));
+      }
+
+      for (const { new: newRecord, existing: existingRecord, changes } of toUpdate) {
+        await updateRecord(connection, newRecord, existingRecord.id);
+        revisions.push(buildRevisionFromChanges(existingRecord, changes));
+      }
+
+      await linkHearings(connection, toAdd, insertedRows, [...toRestore, ...toUpdate]);
+
+      if (revisions.length > 0) {
+        await recordRevisions(connection, revisions, scrapeId);
+      }
+
+      await finishTransaction(connection, dryRun);
+
+      const addedCount = toAdd.length;
+      const deletedCount = toDelete.length + toSupersede.length;
 
       logger.info('Full-replace synchronization completed', {
         dataSourceId,
-        previousCount,
+        listDate,
+        dryRun,
+        previousCount: existingRows.length,
         newRecordCount: deduplicatedRecords.length,
         added: addedCount,
-        skipped: skippedCount
+        updated: toUpdate.length,
+        restored: toRestore.length,
+        deleted: deletedCount,
+        skipped: skippedCount,
+        revisions: revisions.length
       });
 
       return {
         success: true,
         dataSourceId,
+        dryRun,
         added: addedCount,
-        updated: 0,
-        deleted: previousCount,
+        updated: toUpdate.length,
+        restored: toRestore.length,
+        deleted: deletedCount,
         skipped: skippedCount,
-        total: deduplicatedRecords.length
+        total: deduplicatedRecords.length,
+        ...(dryRun && { changes: revisions.map(describeRevision) })
       };
     } catch (error) {
       await connection.rollback();
@@ -478,61 +899,9 @@ async function fullReplaceSynchronize(newRecords, dataSourceId) {
   }
 }
 
-/**
- * Bulk insert with INSERT IGNORE (skips rows that violate unique constraints)
- * @param {Object} connection - Database connection
- * @param {Array<Object>} records - Records to insert
- * @param {number} dataSourceId - Data source ID
- * @param {number} batchSize - Max records per INSERT statement
- * @returns {Promise<number>} Number of rows actually inserted
- */
-async function bulkInsertIgnoreRecords(connection, records, dataSourceId, batchSize = 500) {
-  const columns = `(list_date, case_number, time, hearing_datetime,
-    venue, judge, case_details, hearing_type, additional_information,
-    crown_court, reporting_restriction,
-    division, data_source_id, source_url, scraped_at)`;
-  const placeholder = '(?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)';
-
-  let totalInserted = 0;
-
-  for (let i = 0; i < records.length; i += batchSize) {
-    const batch = records.slice(i, i + batchSize);
-    const placeholders = batch.map(() => placeholder).join(', ');
-    const params = [];
-
-    for (const record of batch) {
-      params.push(
-        record.listDate,
-        record['case number'],
-        record.time,
-        record.hearingDateTime,
-        record.venue || null,
-        record.judge || null,
-        record['case details'] || null,
-        record['hearing type'] || null,
-        record['additional information'] || null,
-        record['crown court'] || null,
-        record['reporting restriction'] || null,
-        record.division,
-        dataSourceId,
-        record.sourceUrl,
-        formatDateTimeForMySQL(record.scrapedAt)
-      );
-    }
-
-    const [result] = await connection.query(
-      `INSERT IGNORE INTO hearings ${columns} VALUES ${placeholders}`,
-      params
-    );
-    totalInserted += result.affectedRows;
-  }
-
-  return totalInserted;
-}
-
 module.exports = {
+  REMOVAL_REASON_DROPPED,
   synchronizeRecords,
   fullReplaceSynchronize,
-  hasChanged,
   createKeyMap
 };
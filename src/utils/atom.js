@@ -0,0 +1,114 @@
+/**
+ * Atom (RFC 4287) helpers
+ * Serialises a feed of text entries. Callers pass plain text; everything is
+ * escaped here.
+ */
+
+/**
+ * Escape text for XML content and attribute values
+ * @param {*} value - Text
+ * @returns {string}
+ */
+function escapeXml(value) {
+  return (
+    String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;')
+      // Control characters aren't allowed in XML 1.0
+      // eslint-disable-next-line no-control-regex
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+  );
+}
+
+/**
+ * Format a timestamp as an RFC 3339 date-time
+ * @param {Date|string} date - Timestamp
+ * @returns {string}
+ */
+function formatTimestamp(date) {
+  return new Date(date).toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+/**
+ * Serialise an entry
+ * @param {Object} entry
+ * @param {string} entry.id - Permanent IRI
+ * @param {string} entry.title - Title
+ * @param {Date} entry.updated - Last significant change
+ * @param {Date} [entry.published] - First published
+ * @param {string} [entry.link] - Alternate link
+ * @param {string} [entry.summary] - Plain text summary
+ * @param {Array<string>} [entry.categories] - Category terms
+ * @returns {string}
+ */
+function buildEntry(entry) {
+  const parts = [
+    '  <entry>',
+    `    <id>${escapeXml(entry.id)}</id>`,
+    `    <title type="text">${escapeXml(entry.title)}</title>`,
+    `    <updated>${formatTimestamp(entry.updated)}</updated>`
+  ];
+
+  if (entry.published) {
+    parts.push(`    <published>${formatTimestamp(entry.published)}</published>`);
+  }
+  if (entry.link) {
+    parts.push(`    <link rel="alternate" href="${escapeXml(entry.link)}"/>`);
+  }
+  for (const term of entry.categories || []) {
+    parts.push(`    <category term="${escapeXml(term)}"/>`);
+  }
+  if (entry.summary) {
+    parts.push(`    <summary type="text">${escapeXml(entry.summary)}</summary>`);
+  }
+  parts.push('  </entry>');
+
+  return parts.join('\n');
+}
+
+/**
+ * Serialise a feed
+ * @param {Object} feed
+ * @param {string} feed.id - Permanent IRI
+ * @param {string} feed.title - Title
+ * @param {string} [feed.subtitle] - Subtitle
+ * @param {Date} feed.updated - Latest entry update
+ * @param {string} feed.self - URL of the feed itself
+ * @param {string} [feed.author] - Author name (entries inherit it)
+ * @param {Array<Object>} feed.entries - Entries (see buildEntry)
+ * @returns {string}
+ */
+function buildFeed(feed) {
+  const parts = [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${escapeXml(feed.id)}</id>`,
+    `  <title type="text">${escapeXml(feed.title)}</title>`
+  ];
+
+  if (feed.subtitle) {
+    parts.push(`  <subtitle type="text">${escapeXml(feed.subtitle)}</subtitle>`);
+  }
+  parts.push(
+    `  <updated>${formatTimestamp(feed.updated)}</updated>`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.self)}"/>`,
+    `  <author><name>${escapeXml(feed.author || 'CACD Archive')}</name></author>`
+  );
+
+  for (const entry of feed.entries) {
+    parts.push(buildEntry(entry));
+  }
+  parts.push('</feed>');
+
+  return parts.join('\n') + '\n';
+}
+
+module.exports = {
+  escapeXml,
+  formatTimestamp,
+  buildEntry,
+  buildFeed
+};
@@ -0,0 +1,145 @@
+/**
+ * CAO case reference helpers
+ * Criminal Appeal Office references are a four-digit year, a five-digit
+ * sequence number and a suffix code (letter + digits), e.g. "202301234 A1".
+ * They are written inconsistently across lists ("202301234 A1",
+ * "202301234A1", "2023/01234/A1", "202301234 a1"), and one cell sometimes
+ * holds several references ("202301234 A1, 202301235 A1" or
+ * "202301234 A1 & B2"). The normalised form ("202301234A1") is used to key
+ * cases.
+ */
+
+// One full reference: year, sequence, suffix
+const REFERENCE = /^(\d{4})[\s/-]*(\d{5})[\s/-]*([A-Z]\d{1,2})$/i;
+
+// Full references, or a bare suffix sharing the previous reference's number
+const REFERENCE_TOKEN = /(?<!\d)(\d{4})[\s/-]*(\d{5})[\s/-]*([A-Z]\d{1,2})\b|\b([A-Z]\d{1,2})\b/gi;
+
+// Text allowed between references in a multi-reference cell
+const SEPARATORS = /^(?:[\s,;&+/]|\band\b)*$/i;
+
+/**
+ * Build a parsed reference from its parts
+ * @param {string} year - Four-digit year
+ * @param {string} sequence - Five-digit sequence number
+ * @param {string} suffix - Suffix code, e.g. 'A1'
+ * @returns {Object} { reference, display, year, sequence, suffix }
+ */
+function buildReference(year, sequence, suffix) {
+  const code = suffix.toUpperCase();
+  return {
+    reference: `${year}${sequence}${code}`,
+    display: `${year}${sequence} ${code}`,
+    year: parseInt(year, 10),
+    sequence,
+    suffix: code
+  };
+}
+
+/**
+ * Scan a case number cell for references
+ * @param {string} cell - Case number cell as listed
+ * @returns {Object} { references, leftover } where leftover is any unrecognised text
+ */
+function scanCell(cell) {
+  const text = String(cell);
+  const references = [];
+  const seen = new Set();
+  let base = null;
+  let leftover = '';
+  let lastIndex = 0;
+
+  for (const match of text.matchAll(REFERENCE_TOKEN)) {
+    leftover += text.slice(lastIndex, match.index);
+    lastIndex = match.index + match[0].length;
+
+    let parsed = null;
+    if (match[1]) {
+      base = { year: match[1], sequence: match[2] };
+      parsed = buildReference(match[1], match[2], match[3]);
+    } else if (base) {
+      parsed = buildReference(base.year, base.sequence, match[4]);
+    } else {
+      leftover += match[0];
+      continue;
+    }
+
+    if (!seen.has(parsed.reference)) {
+      seen.add(parsed.reference);
+      references.push(parsed);
+    }
+  }
+
+  leftover += text.slice(lastIndex);
+  return { references, leftover };
+}
+
+/**
+ * Parse a single CAO reference
+ * @param {string} caseNumber - Reference as listed
+ * @returns {Object|null} { reference, display, year, sequence, suffix }, or null if not a CAO reference
+ */
+function parseCaseReference(caseNumber) {
+  if (caseNumber === null || caseNumber === undefined) return null;
+  const match = String(caseNumber).trim().match(REFERENCE);
+  return match ? buildReference(match[1], match[2], match[3]) : null;
+}
+
+/**
+ * Split a case number cell into its CAO references, in listed order
+ * @param {string} cell - Case number cell as listed
+ * @returns {Array<Object>} Parsed references (empty if none are recognised)
+ */
+function splitCaseReferences(cell) {
+  if (cell === null || cell === undefined) return [];
+  return scanCell(cell).references;
+}
+
+/**
+ * Whether a case number cell consists only of well-formed CAO references
+ * @param {string} cell - Case number cell as listed
+ * @returns {boolean}
+ */
+function isValidCaseNumber(cell) {
+  if (cell === null || cell === undefined) return false;
+  const { references, leftover } = scanCell(cell);
+  return references.length > 0 && SEPARATORS.test(leftover);
+}
+
+/**
+ * Normalise a CAO reference for matching: "2023/01234/a1" -> "202301234A1".
+ * Values that are not CAO references have whitespace stripped and are uppercased.
+ * @param {string} caseNumber - Reference as listed
+ * @returns {string|null} Normalised reference, or null if empty
+ */
+function normaliseCaseNumber(caseNumber) {
+  if (caseNumber === null || caseNumber === undefined) return null;
+  const parsed = parseCaseReference(caseNumber);
+  if (parsed) return parsed.reference;
+
+  const normalised = String(caseNumber).replace(/\s+/g, '').toUpperCase();
+  return normalised.length > 0 ? normalised : null;
+}
+
+/**
+ * The cases a case number cell belongs to. Cells with no recognisable
+ * reference are kept as a single case keyed by their normalised text.
+ * @param {string} cell - Case number cell as listed
+ * @returns {Array<Object>} [{ reference, display, year, sequence, suffix }]
+ */
+function caseReferencesForCell(cell) {
+  const references = splitCaseReferences(cell);
+  if (references.length > 0) return references;
+
+  const reference = normaliseCaseNumber(cell);
+  if (!reference) return [];
+  return [{ reference, display: String(cell).trim(), year: null, sequence: null, suffix: null }];
+}
+
+module.exports = {
+  normaliseCaseNumber,
+  parseCaseReference,
+  splitCaseReferences,
+  isValidCaseNumber,
+  caseReferencesForCell
+};
@@ -0,0 +1,129 @@
+const { easterSunday, springBankHoliday, legalTermFor } = require('./legal-terms');
+
+/**
+ * Court calendar
+ * Whether the Court of Appeal sits on a given day. It does not sit at
+ * weekends or on England and Wales bank holidays, and in the vacations
+ * between legal terms (see legal-terms.js) it sits only for vacation
+ * business. Bank holidays added or moved by royal proclamation (such as
+ * for a coronation) are not included.
+ * All dates are YYYY-MM-DD strings.
+ */
+
+/**
+ * A UTC date, with days past the end of the month rolling over
+ * @param {number} year - Year
+ * @param {number} month - Month (0-11)
+ * @param {number} day - Day of month
+ * @returns {Date} At UTC midnight
+ */
+function utcDate(year, month, day) {
+  return new Date(Date.UTC(year, month, day));
+}
+
+/**
+ * Add days to a UTC date
+ * @param {Date} date - Date at UTC midnight
+ * @param {number} days - Days to add (may be negative)
+ * @returns {Date}
+ */
+function addDays(date, days) {
+  return utcDate(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + days);
+}
+
+/**
+ * @param {Date} date - Date at UTC midnight
+ * @returns {boolean} Whether the date is a Saturday or Sunday
+ */
+function isWeekend(date) {
+  return date.getUTCDay() === 0 || date.getUTCDay() === 6;
+}
+
+/**
+ * Fixed-date holidays, each moved to the next free weekday if it falls at a
+ * weekend. Holidays already on a weekday keep their day, so when Christmas
+ * Day is a Sunday, Boxing Day stays on the Monday and Christmas moves to the
+ * Tuesday.
+ * @param {number} year - Year
+ * @param {number} month - Month (0-11)
+ * @param {Array<Array>} days - [[dayOfMonth, name]]
+ * @returns {Array<Object>} [{ date, name }]
+ */
+function withSubstituteDays(year, month, days) {
+  const holidays = days.map(([day, name]) => ({ date: utcDate(year, month, day), name }));
+  const taken = new Set(holidays.filter((h) => !isWeekend(h.date)).map((h) => h.date.getTime()));
+
+  return holidays.map((holiday) => {
+    if (!isWeekend(holiday.date)) return holiday;
+
+    let date = holiday.date;
+    while (isWeekend(date) || taken.has(date.getTime())) {
+      date = addDays(date, 1);
+    }
+    taken.add(date.getTime());
+    return { date, name: `${holiday.name} (substitute day)` };
+  });
+}
+
+/**
+ * England and Wales bank holidays of a year, in date order
+ * @param {number} year - Year
+ * @returns {Array<Object>} [{ date, name }]
+ */
+function bankHolidaysForYear(year) {
+  const easter = easterSunday(year);
+  const may1 = utcDate(year, 4, 1);
+  const aug31 = utcDate(year, 7, 31);
+
+  const holidays = [
+    ...withSubstituteDays(year, 0, [[1, "New Year's Day"]]),
+    { date: addDays(easter, -2), name: 'Good Friday' },
+    { date: addDays(easter, 1), name: 'Easter Monday' },
+    // First Monday in May
+    { date: addDays(may1, (8 - may1.getUTCDay()) % 7), name: 'Early May bank holiday' },
+    { date: springBankHoliday(year), name: 'Spring bank holiday' },
+    // Last Monday in August
+    { date: addDays(aug31, -((aug31.getUTCDay() + 6) % 7)), name: 'Summer bank holiday' },
+    ...withSubstituteDays(year, 11, [
+      [25, 'Christmas Day'],
+      [26, 'Boxing Day']
+    ])
+  ];
+
+  return holidays
+    .sort((a, b) => a.date - b.date)
+    .map((h) => ({ date: h.date.toISOString().slice(0, 10), name: h.name }));
+}
+
+/**
+ * Whether the court sits on a day, and if not, why
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {Object} { date, type, reason, term }, where type is 'sitting',
+ *   'closed' (a weekend or bank holiday) or 'vacation', e.g.
+ *   { date: '2026-12-25', type: 'closed', reason: 'Christmas Day', term: 'Christmas vacation 2026' }
+ */
+function courtDay(date) {
+  const term = legalTermFor(date);
+  const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+  const holiday = bankHolidaysForYear(parseInt(date.slice(0, 4), 10)).find((h) => h.date === date);
+
+  let type = 'sitting';
+  let reason = null;
+  if (weekday === 0 || weekday === 6) {
+    type = 'closed';
+    reason = weekday === 0 ? 'Sunday' : 'Saturday';
+  } else if (holiday) {
+    type = 'closed';
+    reason = holiday.name;
+  } else if (term.vacation) {
+    type = 'vacation';
+    reason = term.name;
+  }
+
+  return { date, type, reason, term: term.name };
+}
+
+module.exports = {
+  bankHolidaysForYear,
+  courtDay
+};
@@ -0,0 +1,193 @@
+const { formatInTimeZone } = require('date-fns-tz');
+
+/**
+ * Cron schedule helpers
+ * Data sources can be scheduled with a standard five-field cron expression
+ * (minute, hour, day of month, month, day of week), evaluated in the
+ * source's timezone. Fields take *, numbers, ranges (1-5), steps (8-18/2,
+ * 0/15), lists (1,15) and, for months and weekdays, three-letter names
+ * (jan, mon). As in Vixie cron, when both the day of month and the day of
+ * week are restricted, a day matching either is due.
+ */
+
+const MONTH_NAMES = [
+  'jan',
+  'feb',
+  'mar',
+  'apr',
+  'may',
+  'jun',
+  'jul',
+  'aug',
+  'sep',
+  'oct',
+  'nov',
+  'dec'
+];
+const WEEKDAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, firstName: 1 },
+  // 7 is also Sunday
+  { name: 'day of week', min: 0, max: 7, names: WEEKDAY_NAMES, firstName: 0 }
+];
+
+/**
+ * Parse a single value of a cron field
+ * @param {string} text - Number or name
+ * @param {Object} field - Entry of FIELDS
+ * @returns {number}
+ */
+function parseValue(text, field) {
+  if (field.names) {
+    const index = field.names.indexOf(text.toLowerCase());
+    if (index !== -1) return index + field.firstName;
+  }
+
+  if (!/^\d+$/.test(text)) {
+    throw new Error(`"${text}" is not a valid ${field.name}`);
+  }
+  const value = parseInt(text, 10);
+  if (value < field.min || value > field.max) {
+    throw new Error(`${field.name} ${value} is outside ${field.min}-${field.max}`);
+  }
+  return value;
+}
+
+/**
+ * Parse a cron field into the set of values it matches
+ * @param {string} text - Field text, e.g. '8-18/2'
+ * @param {Object} field - Entry of FIELDS
+ * @returns {Set<number>}
+ */
+function parseField(text, field) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [range, stepText, extra] = part.split('/');
+    if (extra !== undefined || (stepText !== undefined && !/^[1-9]\d*$/.test(stepText))) {
+      throw new Error(`"${part}" is not a valid ${field.name} step`);
+    }
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+
+    let start = field.min;
+    let end = field.max;
+    if (range !== '*') {
+      const [from, to, more] = range.split('-');
+      if (more !== undefined) {
+        throw new Error(`"${range}" is not a valid ${field.name} range`);
+      }
+      start = parseValue(from, field);
+      // A step without a range, e.g. 5/15, runs to the end of the field
+      end = to !== undefined ? parseValue(to, field) : stepText !== undefined ? field.max : start;
+    }
+    if (start > end) {
+      throw new Error(`${field.name} range ${range} runs backwards`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - Five-field cron expression
+ * @returns {Object} { minutes, hours, daysOfMonth, months, daysOfWeek, anyDayOfMonth, anyDayOfWeek }
+ * @throws {Error} Describing what is wrong with the expression
+ */
+function parseCron(expression) {
+  const parts = String(expression).trim().split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`expected ${FIELDS.length} fields, found ${parts.length}`);
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, i) =>
+    parseField(part, FIELDS[i])
+  );
+  if (daysOfWeek.has(7)) daysOfWeek.add(0);
+
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    anyDayOfMonth: parts[2].startsWith('*'),
+    anyDayOfWeek: parts[4].startsWith('*')
+  };
+}
+
+/**
+ * Check whether a timezone is a valid IANA name
+ * @param {string} timezone - e.g. 'Europe/London'
+ * @returns {boolean}
+ */
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check whether a parsed cron expression matches the minute a time falls in
+ * @param {Object} schedule - Result of parseCron()
+ * @param {Date} date - Time to check
+ * @param {string} timezone - Timezone the expression is evaluated in
+ * @returns {boolean}
+ */
+function cronMatches(schedule, date, timezone) {
+  // ISO weekday (1 = Monday ... 7 = Sunday) is mapped back to cron's 0 = Sunday
+  const [minute, hour, day, month, isoWeekday] = formatInTimeZone(date, timezone, 'm H d M i')
+    .split(' ')
+    .map((part) => parseInt(part, 10));
+  const weekday = isoWeekday % 7;
+
+  if (!schedule.minutes.has(minute) || !schedule.hours.has(hour) || !schedule.months.has(month)) {
+    return false;
+  }
+
+  const dayOfMonthMatches = schedule.daysOfMonth.has(day);
+  const dayOfWeekMatches = schedule.daysOfWeek.has(weekday);
+  if (!schedule.anyDayOfMonth && !schedule.anyDayOfWeek) {
+    return dayOfMonthMatches || dayOfWeekMatches;
+  }
+  return dayOfMonthMatches && dayOfWeekMatches;
+}
+
+/**
+ * Find the most recent minute, up to and including the current one, that a
+ * cron expression matched
+ * @param {string} expression - Five-field cron expression
+ * @param {string} timezone - Timezone the expression is evaluated in
+ * @param {Date} now - Current time
+ * @param {number} lookbackMinutes - How far back to look
+ * @returns {Date|null} Start of the matching minute, or null if none matched
+ */
+function lastCronMatch(expression, timezone, now, lookbackMinutes) {
+  const schedule = parseCron(expression);
+  const minute = new Date(now);
+  minute.setUTCSeconds(0, 0);
+
+  for (let i = 0; i <= lookbackMinutes; i++) {
+    if (cronMatches(schedule, minute, timezone)) return minute;
+    minute.setUTCMinutes(minute.getUTCMinutes() - 1);
+  }
+  return null;
+}
+
+module.exports = {
+  parseCron,
+  isValidTimezone,
+  cronMatches,
+  lastCronMatch
+};
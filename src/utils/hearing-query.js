@@ -0,0 +1,244 @@
+/**
+ * Hearing query helpers
+ * The filters, sort order and response format of GET /api/v1/hearings, shared
+ * with the endpoints that serve the same results in other forms (export).
+ * Queries select from hearings h JOIN data_sources ds LEFT JOIN courts ct.
+ */
+
+const { APPEAL_TYPES, APPLICATION_TYPES } = require('../scrapers/record-enricher');
+const { normaliseCaseNumber } = require('./case-reference');
+
+// Querystring schema properties for the hearing filters
+const HEARING_FILTERS = {
+  date: { type: 'string', format: 'date' },
+  dateFrom: { type: 'string', format: 'date' },
+  dateTo: { type: 'string', format: 'date' },
+  caseNumber: { type: 'string' },
+  search: { type: 'string' },
+  division: { type: 'string' },
+  dataSource: { type: 'string' },
+  court: { type: 'string', maxLength: 500 },
+  includeRemoved: { type: 'boolean', default: false },
+  party: { type: 'string', maxLength: 100 },
+  agReference: { type: 'boolean' },
+  appealType: { type: 'string', enum: APPEAL_TYPES },
+  applicationType: { type: 'string', enum: APPLICATION_TYPES },
+  handDown: { type: 'boolean' },
+  sortBy: {
+    type: 'string',
+    enum: ['hearing_datetime', 'case_number', 'created_at'],
+    default: 'hearing_datetime'
+  },
+  sortOrder: { type: 'string', enum: ['asc', 'desc'], default: 'desc' }
+};
+
+// Sort whitelist (prevents SQL injection through sortBy/sortOrder)
+const SORT_COLUMNS = {
+  hearing_datetime: 'h.hearing_datetime',
+  case_number: 'h.case_number',
+  created_at: 'h.created_at'
+};
+const SORT_ORDERS = { asc: 'ASC', desc: 'DESC' };
+
+const HEARING_SELECT = `SELECT h.*, ds.display_name AS data_source_name, ct.name AS court_name
+  FROM hearings h
+  JOIN data_sources ds ON ds.id = h.data_source_id
+  LEFT JOIN courts ct ON ct.id = h.court_id`;
+
+/**
+ * Build the WHERE clause for the hearing filters
+ * @param {Object} filters - Querystring values (see HEARING_FILTERS)
+ * @param {boolean} canViewRestricted - Whether the caller may see restricted
+ *   party names; if not, name searches don't match restricted hearings
+ * @returns {Object} { where, params }
+ */
+function buildHearingFilter(filters, canViewRestricted = false) {
+  const {
+    date,
+    dateFrom,
+    dateTo,
+    caseNumber,
+    search,
+    division,
+    dataSource,
+    court,
+    includeRemoved = false,
+    party,
+    agReference,
+    appealType,
+    applicationType,
+    handDown
+  } = filters;
+
+  let where = 'WHERE 1=1';
+  const params = [];
+
+  if (!includeRemoved) {
+    where += ' AND h.removed_at IS NULL';
+  }
+
+  if (date) {
+    where += ' AND h.list_date = ?';
+    params.push(date);
+  }
+
+  if (dateFrom) {
+    where += ' AND h.list_date >= ?';
+    params.push(dateFrom);
+  }
+
+  if (dateTo) {
+    where += ' AND h.list_date <= ?';
+    params.push(dateTo);
+  }
+
+  // Match any listed form of the reference ("202301234 A1", "202301234A1"),
+  // including hearings that list it alongside other references
+  if (caseNumber) {
+    where += ` AND (h.case_number = ? OR EXISTS (
+      SELECT 1 FROM hearing_cases hc
+      JOIN cases c ON c.id = hc.case_id
+      WHERE hc.hearing_id = h.id AND c.case_reference = ?))`;
+    params.push(caseNumber, normaliseCaseNumber(caseNumber));
+  }
+
+  if (division) {
+    where += ' AND h.division = ?';
+    params.push(division);
+  }
+
+  if (dataSource) {
+    if (dataSource === 'none') {
+      where += ' AND 1=0';
+    } else {
+      const sourceIds = dataSource
+        .split(',')
+        .map(Number)
+        .filter((n) => n > 0);
+      if (sourceIds.length === 1) {
+        where += ' AND h.data_source_id = ?';
+        params.push(sourceIds[0]);
+      } else if (sourceIds.length > 1) {
+        where += ` AND h.data_source_id IN (${sourceIds.map(() => '?').join(',')})`;
+        params.push(...sourceIds);
+      }
+    }
+  }
+
+  // Court slugs, comma-separated
+  if (court) {
+    const slugs = court
+      .split(',')
+      .map((slug) => slug.trim())
+      .filter(Boolean);
+    if (slugs.length > 0) {
+      where += ` AND h.court_id IN (SELECT id FROM courts WHERE slug IN (${slugs.map(() => '?').join(',')}))`;
+      params.push(...slugs);
+    }
+  }
+
+  // Restricted hearings can't be found by party name without the capability
+  if (party) {
+    where += canViewRestricted
+      ? ' AND h.party_names LIKE ?'
+      : ' AND h.party_names LIKE ? AND h.reporting_restricted = FALSE';
+    params.push(`%${party}%`);
+  }
+
+  if (agReference !== undefined) {
+    where += agReference ? ' AND h.ag_reference IS NOT NULL' : ' AND h.ag_reference IS NULL';
+  }
+
+  // An appeal against conviction and sentence matches either filter
+  if (appealType === 'both') {
+    where += " AND h.appeal_type = 'both'";
+  } else if (appealType) {
+    where += " AND h.appeal_type IN (?, 'both')";
+    params.push(appealType);
+  }
+
+  if (applicationType) {
+    where += ' AND FIND_IN_SET(?, h.application_types) > 0';
+    params.push(applicationType);
+  }
+
+  if (handDown !== undefined) {
+    where += ' AND h.hand_down = ?';
+    params.push(handDown);
+  }
+
+  // ...nor by free-text search, other than on the case number
+  if (search) {
+    const restricted = canViewRestricted ? '' : ' AND h.reporting_restricted = FALSE';
+    where += ` AND ((MATCH(h.case_details, h.hearing_type, h.additional_information, h.judge, h.venue) AGAINST(? IN NATURAL LANGUAGE MODE)${restricted}) OR h.case_number LIKE ?)`;
+    params.push(search, `%${search}%`);
+  }
+
+  return { where, params };
+}
+
+/**
+ * Build the ORDER BY clause for sortBy/sortOrder
+ * @param {Object} filters - { sortBy, sortOrder }
+ * @returns {string}
+ */
+function buildHearingOrder({ sortBy, sortOrder } = {}) {
+  const safeSort = SORT_COLUMNS[sortBy] || 'h.hearing_datetime';
+  const safeOrder = SORT_ORDERS[sortOrder] || 'DESC';
+  return `ORDER BY ${safeSort} ${safeOrder}`;
+}
+
+/**
+ * Structured fields extracted from a hearing's free text, for API responses
+ * @param {Object} h - Hearing row
+ * @returns {Object} { partyNames, agReference, appealType, applicationTypes, handDown }
+ */
+function formatEnrichedFields(h) {
+  return {
+    partyNames: h.party_names ? h.party_names.split('; ') : [],
+    agReference: h.ag_reference,
+    appealType: h.appeal_type,
+    applicationTypes: h.application_types ? String(h.application_types).split(',') : [],
+    handDown: Boolean(h.hand_down)
+  };
+}
+
+/**
+ * Format a hearing row (with data_source_name and court_name) as returned by GET /hearings
+ * @param {Object} h - Hearing row
+ * @returns {Object}
+ */
+function formatHearing(h) {
+  return {
+    id: h.id,
+    listDate: h.list_date,
+    caseNumber: h.case_number,
+    time: h.time,
+    hearingDateTime: h.hearing_datetime,
+    venue: h.venue,
+    judge: h.judge,
+    caseDetails: h.case_details,
+    hearingType: h.hearing_type,
+    additionalInformation: h.additional_information,
+    ...formatEnrichedFields(h),
+    crownCourt: h.crown_court,
+    reportingRestriction: h.reporting_restriction,
+    reportingRestricted: Boolean(h.reporting_restricted),
+    division: h.division,
+    court: h.court_name ?? null,
+    dataSourceName: h.data_source_name,
+    sourceUrl: h.source_url,
+    scrapedAt: h.scraped_at,
+    removedAt: h.removed_at,
+    removalReason: h.removal_reason
+  };
+}
+
+module.exports = {
+  HEARING_FILTERS,
+  HEARING_SELECT,
+  buildHearingFilter,
+  buildHearingOrder,
+  formatEnrichedFields,
+  formatHearing
+};
@@ -0,0 +1,149 @@
+/**
+ * iCalendar (RFC 5545) helpers
+ * Just enough of the format to publish hearings as a subscribable VCALENDAR:
+ * text escaping, 75-octet line folding, CRLF line endings and UTC date-times.
+ */
+
+const PRODUCT_ID = '-//CACD Archive//Hearings Calendar//EN';
+
+/**
+ * Escape a TEXT property value
+ * @param {*} value - Property value
+ * @returns {string}
+ */
+function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line into lines of at most 75 octets, continuation lines
+ * starting with a space. Never splits a multi-byte character.
+ * @param {string} line - Content line
+ * @returns {string}
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines lose one octet to the leading space
+    const limit = parts.length === 0 ? 75 : 74;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+/**
+ * Format a date-time as UTC: 20251020T093000Z
+ * @param {Date|string} date - Date-time
+ * @returns {string}
+ */
+function formatDateTime(date) {
+  return new Date(date)
+    .toISOString()
+    .replace(/[-:]/g, '')
+    .replace(/\.\d{3}/, '');
+}
+
+/**
+ * Format a date as a DATE value: 20251020
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {string}
+ */
+function formatDate(date) {
+  return date.replace(/-/g, '');
+}
+
+/**
+ * Serialise a VEVENT
+ * @param {Object} event
+ * @param {string} event.uid - Stable unique ID
+ * @param {Date} event.stamp - When the event was last changed
+ * @param {Date} [event.start] - Start date-time
+ * @param {string} [event.date] - All-day date (YYYY-MM-DD), when there is no start time
+ * @param {string} [event.duration] - Duration for timed events, e.g. 'PT1H'
+ * @param {string} event.summary - Title
+ * @param {string} [event.location] - Location
+ * @param {string} [event.description] - Description
+ * @param {string} [event.url] - Link
+ * @returns {Array<string>} Content lines
+ */
+function buildEvent(event) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${escapeText(event.uid)}`,
+    `DTSTAMP:${formatDateTime(event.stamp)}`,
+    `LAST-MODIFIED:${formatDateTime(event.stamp)}`
+  ];
+
+  if (event.start) {
+    lines.push(`DTSTART:${formatDateTime(event.start)}`);
+    if (event.duration) lines.push(`DURATION:${event.duration}`);
+  } else {
+    lines.push(`DTSTART;VALUE=DATE:${formatDate(event.date)}`);
+  }
+
+  lines.push(`SUMMARY:${escapeText(event.summary)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.url) lines.push(`URL:${event.url}`);
+  lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+
+  return lines;
+}
+
+/**
+ * Serialise a VCALENDAR
+ * @param {Object} calendar
+ * @param {string} calendar.name - Calendar name shown by clients
+ * @param {Array<Object>} calendar.events - Events (see buildEvent)
+ * @param {string} [calendar.refreshInterval] - Suggested polling interval, e.g. 'PT2H'
+ * @returns {string}
+ */
+function buildCalendar({ name, events, refreshInterval = null }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    'X-WR-TIMEZONE:Europe/London'
+  ];
+
+  if (refreshInterval) {
+    lines.push(
+      `REFRESH-INTERVAL;VALUE=DURATION:${refreshInterval}`,
+      `X-PUBLISHED-TTL:${refreshInterval}`
+    );
+  }
+
+  for (const event of events) {
+    lines.push(...buildEvent(event));
+  }
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  escapeText,
+  foldLine,
+  formatDateTime,
+  buildEvent,
+  buildCalendar
+};
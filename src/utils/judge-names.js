@@ -0,0 +1,109 @@
+/**
+ * Judge name helpers
+ * The DCL judge column is free text naming the whole constitution, e.g.
+ * "Lord Justice Males, Mr Justice Pepperall and Her Honour Judge Munro KC".
+ * These helpers split it into individual judicial office holders and give
+ * each a stable slug, e.g. 'males-lj', 'pepperall-j', 'munro-hhj'.
+ */
+
+// Judicial titles, most specific first. `rank` is the slug suffix; titles
+// without one (Sir/Dame) are keyed by name alone.
+const TITLES = [
+  { pattern: /^(?:the\s+)?(lord|lady)\s+chief\s+justice\b/i, rank: 'lcj' },
+  { pattern: /^(lord|lady)\s+justice\b/i, rank: 'lj' },
+  { pattern: /^(mr|mrs|ms|miss)\s+justice\b/i, rank: 'j' },
+  { pattern: /^(his|her)\s+honour\s+judge\b/i, rank: 'hhj' },
+  { pattern: /^hhj\b/i, rank: 'hhj' },
+  { pattern: /^(?:the\s+)?recorder\s+of\b/i, rank: 'recorder-of', prefix: true },
+  { pattern: /^(?:district\s+)?judge\b/i, rank: 'judge' },
+  { pattern: /^(sir|dame)\b/i, rank: null }
+];
+
+// Citation forms such as "Holroyde LJ" or "Cutts J"
+const SUFFIX_TITLE = /^(.+?)\s+(LCJ|LJ|J)$/;
+
+const POST_NOMINALS = /(?:,?\s+(?:KC|QC|CBE|OBE|MBE|DBE|KBE)\.?)+$/i;
+
+/**
+ * Build a URL-safe slug
+ * @param {string} value - Text to slugify
+ * @returns {string}
+ */
+function slugify(value) {
+  return value
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/['’]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Parse a single judge as listed, e.g. "Mr Justice Pepperall"
+ * @param {string} text - One judge's name and title
+ * @returns {Object|null} { slug, title, name, displayName }, or null if nothing usable
+ */
+function parseJudge(text) {
+  const displayName = text.replace(POST_NOMINALS, '').trim();
+  if (!displayName || POST_NOMINALS.test(` ${displayName}`)) return null;
+
+  for (const { pattern, rank, prefix } of TITLES) {
+    const match = displayName.match(pattern);
+    if (!match) continue;
+
+    const title = match[0].replace(/^the\s+/i, '').trim();
+    const name = displayName.slice(match[0].length).trim() || null;
+
+    // Office named without a holder, e.g. "The Lord Chief Justice"
+    if (!name) {
+      return { slug: slugify(title), title, name: null, displayName };
+    }
+
+    const slug = prefix
+      ? `${rank}-${slugify(name)}`
+      : [slugify(name), rank].filter(Boolean).join('-');
+    return { slug, title, name, displayName };
+  }
+
+  const suffixMatch = displayName.match(SUFFIX_TITLE);
+  if (suffixMatch) {
+    const [, name, title] = suffixMatch;
+    return { slug: `${slugify(name)}-${title.toLowerCase()}`, title, name, displayName };
+  }
+
+  // No recognised title - keep the name as listed
+  return { slug: slugify(displayName), title: null, name: displayName, displayName };
+}
+
+/**
+ * Split a judge column into individual judges, in listed order
+ * @param {string|null} judgeText - Free-text judge column
+ * @returns {Array<Object>} [{ slug, title, name, displayName }], de-duplicated by slug
+ */
+function parseJudges(judgeText) {
+  if (!judgeText) return [];
+
+  const cleaned = String(judgeText)
+    .replace(/\([^)]*\)/g, ' ')
+    .replace(/\s+of\s+England\s+and\s+Wales\b/gi, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  const judges = [];
+  const seen = new Set();
+  for (const part of cleaned.split(/\s*[,;&]\s*|\s+and\s+/i)) {
+    const judge = parseJudge(part);
+    if (!judge || !judge.slug || seen.has(judge.slug)) continue;
+    seen.add(judge.slug);
+    judges.push(judge);
+  }
+
+  return judges;
+}
+
+module.exports = {
+  parseJudges,
+  parseJudge,
+  slugify
+};
@@ -0,0 +1,140 @@
+/**
+ * Legal year helpers
+ * The Court of Appeal sits in four terms ("sittings"), set by CPR PD 39B:
+ * - Michaelmas: 1 October to 21 December
+ * - Hilary: 11 January to the Wednesday before Easter Sunday
+ * - Easter: the second Tuesday after Easter Sunday to the Friday before the
+ *   spring bank holiday (last Monday in May)
+ * - Trinity: the second Tuesday after the spring bank holiday to 31 July
+ * Dates between terms fall in the Christmas, Easter, Whitsun or Long vacation.
+ * All dates are YYYY-MM-DD strings.
+ */
+
+/**
+ * Format a UTC date as YYYY-MM-DD
+ * @param {Date} date - Date at UTC midnight
+ * @returns {string}
+ */
+function toDateString(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Add days to a UTC date
+ * @param {Date} date - Date at UTC midnight
+ * @param {number} days - Days to add (may be negative)
+ * @returns {Date}
+ */
+function addDays(date, days) {
+  const result = new Date(date);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result;
+}
+
+/**
+ * Easter Sunday for a year (Anonymous Gregorian algorithm)
+ * @param {number} year - Year
+ * @returns {Date} Easter Sunday at UTC midnight
+ */
+function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+/**
+ * Spring bank holiday (last Monday in May) for a year
+ * @param {number} year - Year
+ * @returns {Date} At UTC midnight
+ */
+function springBankHoliday(year) {
+  const may31 = new Date(Date.UTC(year, 4, 31));
+  return addDays(may31, -((may31.getUTCDay() + 6) % 7));
+}
+
+/**
+ * Build a term or vacation period
+ * @param {string} name - e.g. 'hilary', 'long'
+ * @param {number} year - Year the period is named after
+ * @param {boolean} vacation - Whether this is a vacation
+ * @param {Date|string} start - First day
+ * @param {Date|string} end - Last day
+ * @returns {Object} { key, name, start, end, vacation }
+ */
+function period(name, year, vacation, start, end) {
+  const label = name.charAt(0).toUpperCase() + name.slice(1);
+  return {
+    key: vacation ? `${name}-vacation-${year}` : `${name}-${year}`,
+    name: vacation ? `${label} vacation ${year}` : `${label} ${year}`,
+    start: start instanceof Date ? toDateString(start) : start,
+    end: end instanceof Date ? toDateString(end) : end,
+    vacation
+  };
+}
+
+/**
+ * The terms and vacations of a calendar year, in date order, covering
+ * 1 January to 31 December
+ * @param {number} year - Calendar year
+ * @returns {Array<Object>} [{ key, name, start, end, vacation }]
+ */
+function periodsForYear(year) {
+  const easter = easterSunday(year);
+  const spring = springBankHoliday(year);
+
+  const hilaryEnd = addDays(easter, -4);
+  const easterStart = addDays(easter, 9);
+  const easterEnd = addDays(spring, -3);
+  const trinityStart = addDays(spring, 8);
+
+  return [
+    period('christmas', year - 1, true, `${year}-01-01`, `${year}-01-10`),
+    period('hilary', year, false, `${year}-01-11`, hilaryEnd),
+    period('easter', year, true, addDays(hilaryEnd, 1), addDays(easterStart, -1)),
+    period('easter', year, false, easterStart, easterEnd),
+    period('whitsun', year, true, addDays(easterEnd, 1), addDays(trinityStart, -1)),
+    period('trinity', year, false, trinityStart, `${year}-07-31`),
+    period('long', year, true, `${year}-08-01`, `${year}-09-30`),
+    period('michaelmas', year, false, `${year}-10-01`, `${year}-12-21`),
+    period('christmas', year, true, `${year}-12-22`, `${year}-12-31`)
+  ];
+}
+
+/**
+ * The term or vacation a date falls in. The Christmas vacation spans two
+ * calendar years and is named after the year it starts in.
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {Object} { key, name, start, end, vacation }, e.g.
+ *   { key: 'michaelmas-2025', name: 'Michaelmas 2025', start: '2025-10-01', end: '2025-12-21', vacation: false }
+ */
+function legalTermFor(date) {
+  const year = parseInt(date.slice(0, 4), 10);
+  const match = periodsForYear(year).find((p) => date >= p.start && date <= p.end);
+
+  // Join the two halves of the Christmas vacation
+  if (match.key.startsWith('christmas-vacation-')) {
+    const startYear = date.slice(5) <= '01-10' ? year - 1 : year;
+    return { ...match, start: `${startYear}-12-22`, end: `${startYear + 1}-01-10` };
+  }
+
+  return match;
+}
+
+module.exports = {
+  easterSunday,
+  springBankHoliday,
+  periodsForYear,
+  legalTermFor
+};
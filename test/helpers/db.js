@@ -17,10 +17,17 @@ async function truncateTables(tables) {
 }
 
 /**
- * Truncate the hearings table
+ * Truncate the hearings table, its revision history and derived cases and judges
  */
 async function clearHearings() {
-  await truncateTables(['hearings']);
+  await truncateTables([
+    'hearings',
+    'hearing_revisions',
+    'cases',
+    'hearing_cases',
+    'hearing_judges',
+    'judges'
+  ]);
 }
 
 module.exports = {
@@ -1,4 +1,6 @@
-const { synchronizeRecords } = require('../../src/services/sync-service');
+const { synchronizeRecords, fullReplaceSynchronize } = require('../../src/services/sync-service');
+const { enrichRecords } = require('../../src/scrapers/record-enricher');
+const { redactHearing } = require('../../src/services/reporting-restriction-service');
 const { query, closePool, clearHearings } = require('../helpers/db');
 
 let dclSourceId;
@@ -71,7 +73,7 @@ describe('sync-service', () => {
     expect(rows[0].judge).toBe('Lady Justice Carr');
   });
 
-  test('deletes records not in new scrape', async () => {
+  test('tombstones records not in new scrape', async () => {
     const records = [makeRecord(), makeRecord({ 'case number': '202503277 A5' })];
     await synchronizeRecords(records, '2025-12-11', dclSourceId);
 
@@ -81,8 +83,40 @@ describe('sync-service', () => {
     expect(result.deleted).toBe(1);
     expect(result.added).toBe(0);
 
-    const rows = await query('SELECT * FROM hearings WHERE list_date = ?', ['2025-12-11']);
-    expect(rows.length).toBe(1);
+    const live = await query('SELECT * FROM hearings WHERE list_date = ? AND removed_at IS NULL', [
+      '2025-12-11'
+    ]);
+    expect(live.length).toBe(1);
+
+    const removed = await query(
+      'SELECT case_number, removal_reason FROM hearings WHERE removed_at IS NOT NULL'
+    );
+    expect(removed.length).toBe(1);
+    expect(removed[0].case_number).toBe('202503277 A5');
+    expect(removed[0].removal_reason).toBe('dropped from list');
+  });
+
+  test('does not tombstone the same record twice', async () => {
+    const records = [makeRecord(), makeRecord({ 'case number': '202503277 A5' })];
+    await synchronizeRecords(records, '2025-12-11', dclSourceId);
+    await synchronizeRecords([makeRecord()], '2025-12-11', dclSourceId);
+
+    const result = await synchronizeRecords([makeRecord()], '2025-12-11', dclSourceId);
+    expect(result.deleted).toBe(0);
+  });
+
+  test('restores a tombstoned record that reappears', async () => {
+    const records = [makeRecord(), makeRecord({ 'case number': '202503277 A5' })];
+    await synchronizeRecords(records, '2025-12-11', dclSourceId);
+    await synchronizeRecords([makeRecord()], '2025-12-11', dclSourceId);
+
+    const result = await synchronizeRecords(records, '2025-12-11', dclSourceId);
+    expect(result.added).toBe(0);
+    expect(result.restored).toBe(1);
+
+    const rows = await query('SELECT removed_at, removal_reason FROM hearings');
+    expect(rows.length).toBe(2);
+    expect(rows.every((r) => r.removed_at === null && r.removal_reason === null)).toBe(true);
   });
 
   test('handles empty input gracefully', async () => {
@@ -107,7 +141,7 @@ describe('sync-service', () => {
     expect(rows[0].case_details).toBe('Second version');
   });
 
-  test('replaces cross-source records and carries forward crown_court', async () => {
+  test('supersedes cross-source records and carries forward crown_court', async () => {
     // Insert an FHL record with crown_court set
     await query(
       `INSERT INTO hearings (list_date, case_number, time, hearing_datetime,
@@ -133,7 +167,7 @@ describe('sync-service', () => {
       ]
     );
 
-    // Now DCL sync should replace the FHL record and carry forward crown_court
+    // Now DCL sync should supersede the FHL record and carry forward crown_court
     const dclRecords = [makeRecord({ 'case details': 'R v ZDX (updated by DCL)' })];
     const result = await synchronizeRecords(dclRecords, '2025-12-11', dclSourceId);
 
@@ -141,13 +175,22 @@ describe('sync-service', () => {
     expect(result.added).toBe(1);
 
     const rows = await query(
-      'SELECT case_details, crown_court, data_source_id FROM hearings WHERE list_date = ?',
+      `SELECT case_details, crown_court, data_source_id FROM hearings
+       WHERE list_date = ? AND removed_at IS NULL`,
       ['2025-12-11']
     );
     expect(rows.length).toBe(1);
     expect(rows[0].case_details).toBe('R v ZDX (updated by DCL)');
     expect(rows[0].crown_court).toBe('Snaresbrook Crown Court');
     expect(rows[0].data_source_id).toBe(dclSourceId);
+
+    // The FHL fixture is kept as a tombstone
+    const superseded = await query(
+      'SELECT removal_reason FROM hearings WHERE data_source_id = ? AND removed_at IS NOT NULL',
+      [fhlSourceId]
+    );
+    expect(superseded.length).toBe(1);
+    expect(superseded[0].removal_reason).toBe('superseded by Daily Cause List');
   });
 
   test('cross-source replace does not overwrite existing crown_court on new record', async () => {
@@ -179,12 +222,433 @@ describe('sync-service', () => {
 
     expect(result.added).toBe(1);
 
-    const rows = await query('SELECT crown_court FROM hearings WHERE list_date = ?', [
-      '2025-12-11'
-    ]);
+    const rows = await query(
+      'SELECT crown_court FROM hearings WHERE list_date = ? AND data_source_id = ?',
+      ['2025-12-11', dclSourceId]
+    );
     expect(rows[0].crown_court).toBe('Inner London Crown Court');
   });
 
+  test('links hearings from every source to one case', async () => {
+    await synchronizeRecords([makeRecord()], '2025-12-11', dclSourceId);
+    await fullReplaceSynchronize(
+      [
+        makeRecord({
+          'case number': '202403891A1',
+          listDate: '2099-04-01',
+          hearingDateTime: '2099-04-01T10:30:00'
+        })
+      ],
+      fhlSourceId
+    );
+
+    const cases = await query('SELECT * FROM cases');
+    expect(cases.length).toBe(1);
+    expect(cases[0].case_reference).toBe('202403891A1');
+    expect(cases[0].display_reference).toBe('202403891 A1');
+
+    const hearings = await query('SELECT DISTINCT case_id FROM hearings');
+    expect(hearings).toEqual([{ case_id: cases[0].id }]);
+  });
+
+  test('links a hearing listing several references to each case', async () => {
+    await synchronizeRecords(
+      [makeRecord({ 'case number': '202403891 A1 & B2' })],
+      '2025-12-11',
+      dclSourceId
+    );
+
+    const cases = await query(
+      'SELECT id, case_reference, year, sequence, suffix FROM cases ORDER BY case_reference'
+    );
+    expect(cases.map((c) => c.case_reference)).toEqual(['202403891A1', '202403891B2']);
+    expect(cases[1]).toMatchObject({ year: 2024, sequence: '03891', suffix: 'B2' });
+
+    const hearings = await query('SELECT id, case_id FROM hearings');
+    expect(hearings[0].case_id).toBe(cases[0].id);
+
+    const links = await query('SELECT case_id FROM hearing_cases ORDER BY case_id');
+    expect(links.map((l) => l.case_id)).toEqual(cases.map((c) => c.id));
+  });
+
+  test('links hearings to each judge in the constitution', async () => {
+    await synchronizeRecords(
+      [
+        makeRecord({ judge: 'Lord Justice Males, Mr Justice Pepperall and HHJ Munro KC' }),
+        makeRecord({ 'case number': '202503277 A5', judge: 'Lord Justice Males' })
+      ],
+      '2025-12-11',
+      dclSourceId
+    );
+
+    const judges = await query('SELECT slug FROM judges ORDER BY slug');
+    expect(judges.map((j) => j.slug)).toEqual(['males-lj', 'munro-hhj', 'pepperall-j']);
+
+    const links = await query(
+      `SELECT h.case_number, j.slug, hj.position
+       FROM hearing_judges hj
+       JOIN hearings h ON h.id = hj.hearing_id
+       JOIN judges j ON j.id = hj.judge_id
+       ORDER BY h.case_number, hj.position`
+    );
+    expect(links).toEqual([
+      { case_number: '202403891 A1', slug: 'males-lj', position: 0 },
+      { case_number: '202403891 A1', slug: 'pepperall-j', position: 1 },
+      { case_number: '202403891 A1', slug: 'munro-hhj', position: 2 },
+      { case_number: '202503277 A5', slug: 'males-lj', position: 0 }
+    ]);
+  });
+
+  test('relinks judges when the constitution changes', async () => {
+    await synchronizeRecords([makeRecord()], '2025-12-11', dclSourceId);
+    await synchronizeRecords(
+      [makeRecord({ judge: 'Lady Justice Carr and Mrs Justice Cutts' })],
+      '2025-12-11',
+      dclSourceId
+    );
+
+    const links = await query(
+      `SELECT j.slug FROM hearing_judges hj
+       JOIN judges j ON j.id = hj.judge_id
+       ORDER BY hj.position`
+    );
+    expect(links.map((l) => l.slug)).toEqual(['carr-lj', 'cutts-j']);
+  });
+
+  test('stores fields extracted by the record enricher', async () => {
+    const records = enrichRecords([
+      makeRecord({
+        'case details': 'R v Smith, Jones',
+        'hearing type': 'Renewed Application Conviction',
+        'additional information': 'Judgment to be handed down'
+      })
+    ]);
+    await synchronizeRecords(records, '2025-12-11', dclSourceId);
+
+    const rows = await query(
+      'SELECT party_names, ag_reference, appeal_type, application_types, hand_down FROM hearings'
+    );
+    expect(rows[0]).toEqual({
+      party_names: 'Smith; Jones',
+      ag_reference: null,
+      appeal_type: 'conviction',
+      application_types: 'renewal,leave',
+      hand_down: 1
+    });
+  });
+
+  test('spreads a reporting restriction to every hearing of the case', async () => {
+    await synchronizeRecords(enrichRecords([makeRecord()]), '2025-12-11', dclSourceId);
+    await fullReplaceSynchronize(
+      enrichRecords([
+        makeRecord({
+          listDate: '2099-04-01',
+          hearingDateTime: '2099-04-01T10:30:00',
+          'reporting restriction': 'Sexual Offences (Amendment) Act 1992'
+        })
+      ]),
+      fhlSourceId
+    );
+
+    const rows = await query(
+      'SELECT data_source_id, reporting_restricted FROM hearings ORDER BY data_source_id'
+    );
+    expect(rows).toHaveLength(2);
+    expect(rows.every((r) => r.reporting_restricted === 1)).toBe(true);
+  });
+
+  test('redacts a hearing once a reporting restriction is added upstream', async () => {
+    const fixture = (overrides = {}) =>
+      makeRecord({
+        listDate: '2099-04-01',
+        hearingDateTime: '2099-04-01T10:30:00',
+        'case details': 'R v John Smith',
+        ...overrides
+      });
+    await fullReplaceSynchronize(enrichRecords([fixture()]), fhlSourceId);
+
+    const result = await fullReplaceSynchronize(
+      enrichRecords([fixture({ 'reporting restriction': 'Sexual Offences (Amendment) Act 1992' })]),
+      fhlSourceId
+    );
+
+    expect(result.updated).toBe(1);
+    const rows = await query('SELECT * FROM hearings');
+    expect(rows[0].reporting_restricted).toBe(1);
+    const redacted = redactHearing(rows[0]);
+    expect(redacted.case_details).not.toContain('John Smith');
+    expect(redacted.party_names).toBe('J.S.');
+  });
+
+  test('flags a restricted hearing even when no compared field changed', async () => {
+    const record = makeRecord({
+      'case details': 'R v John Smith',
+      'additional information': 'Reporting restrictions apply'
+    });
+    await synchronizeRecords([record], '2025-12-11', dclSourceId);
+    // As synced before the enricher ran
+    expect((await query('SELECT reporting_restricted FROM hearings'))[0]).toEqual({
+      reporting_restricted: 0
+    });
+
+    const result = await synchronizeRecords(enrichRecords([record]), '2025-12-11', dclSourceId);
+
+    expect(result.updated).toBe(1);
+    const rows = await query('SELECT * FROM hearings');
+    expect(rows[0].reporting_restricted).toBe(1);
+    expect(redactHearing(rows[0]).case_details).not.toContain('John Smith');
+  });
+
+  test('dry run reports changes without writing them', async () => {
+    await synchronizeRecords([makeRecord()], '2025-12-11', dclSourceId);
+
+    const result = await synchronizeRecords(
+      [makeRecord({ judge: 'Lady Justice Carr' }), makeRecord({ 'case number': '202503277 A5' })],
+      '2025-12-11',
+      dclSourceId,
+      null,
+      { dryRun: true }
+    );
+
+    expect(result.dryRun).toBe(true);
+    expect(result.added).toBe(1);
+    expect(result.updated).toBe(1);
+
+    const rows = await query('SELECT judge FROM hearings');
+    expect(rows.length).toBe(1);
+    expect(rows[0].judge).toBe('Lord Justice Males');
+    const revisions = await query('SELECT * FROM hearing_revisions');
+    expect(revisions.length).toBe(1);
+  });
+
+  describe('full-replace sync', () => {
+    const fhlRecord = (overrides = {}) =>
+      makeRecord({
+        listDate: '2099-04-01',
+        hearingDateTime: '2099-04-01T10:30:00',
+        ...overrides
+      });
+
+    test('tombstones upcoming fixtures that drop off the list', async () => {
+      await fullReplaceSynchronize(
+        [fhlRecord(), fhlRecord({ 'case number': '202503277 A5' })],
+        fhlSourceId
+      );
+      const result = await fullReplaceSynchronize([fhlRecord()], fhlSourceId);
+
+      expect(result.added).toBe(0);
+      expect(result.deleted).toBe(1);
+
+      const rows = await query(
+        'SELECT case_number, removal_reason FROM hearings WHERE removed_at IS NOT NULL'
+      );
+      expect(rows.length).toBe(1);
+      expect(rows[0].case_number).toBe('202503277 A5');
+      expect(rows[0].removal_reason).toBe('dropped from list');
+    });
+
+    test('counts a fixture back on the list as restored, not added', async () => {
+      const records = [fhlRecord(), fhlRecord({ 'case number': '202503277 A5' })];
+      await fullReplaceSynchronize(records, fhlSourceId);
+      await fullReplaceSynchronize([fhlRecord()], fhlSourceId);
+
+      const result = await fullReplaceSynchronize(records, fhlSourceId);
+
+      expect(result.added).toBe(0);
+      expect(result.restored).toBe(1);
+    });
+
+    test('leaves elapsed fixtures untouched', async () => {
+      const elapsed = fhlRecord({ listDate: '2020-01-06', hearingDateTime: '2020-01-06T10:30:00' });
+      await fullReplaceSynchronize([elapsed, fhlRecord()], fhlSourceId);
+      const result = await fullReplaceSynchronize([fhlRecord()], fhlSourceId);
+
+      expect(result.deleted).toBe(0);
+      const rows = await query('SELECT * FROM hearings WHERE removed_at IS NOT NULL');
+      expect(rows.length).toBe(0);
+    });
+
+    test('scopes the sync to a single date when listDate is given', async () => {
+      const otherDate = fhlRecord({
+        listDate: '2099-04-02',
+        hearingDateTime: '2099-04-02T10:30:00'
+      });
+      await fullReplaceSynchronize([fhlRecord(), otherDate], fhlSourceId);
+
+      const result = await fullReplaceSynchronize([], fhlSourceId, null, {
+        listDate: '2099-04-01'
+      });
+
+      expect(result.deleted).toBe(1);
+      const live = await query('SELECT list_date FROM hearings WHERE removed_at IS NULL');
+      expect(live.length).toBe(1);
+    });
+
+    test('updates a fixture when only its crown court changes', async () => {
+      await fullReplaceSynchronize(
+        [fhlRecord({ 'crown court': 'Snaresbrook Crown Court' })],
+        fhlSourceId
+      );
+      const result = await fullReplaceSynchronize(
+        [fhlRecord({ 'crown court': 'Inner London Crown Court' })],
+        fhlSourceId
+      );
+
+      expect(result.updated).toBe(1);
+      const rows = await query('SELECT crown_court FROM hearings');
+      expect(rows[0].crown_court).toBe('Inner London Crown Court');
+
+      const revisions = await query(
+        "SELECT old_values, new_values FROM hearing_revisions WHERE change_type = 'updated'"
+      );
+      expect(revisions.length).toBe(1);
+      const parse = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+      expect(parse(revisions[0].old_values)).toEqual({ crown_court: 'Snaresbrook Crown Court' });
+      expect(parse(revisions[0].new_values)).toEqual({ crown_court: 'Inner London Crown Court' });
+    });
+
+    test('keeps a crown court carried forward onto a DCL hearing', async () => {
+      await fullReplaceSynchronize(
+        [fhlRecord({ 'crown court': 'Snaresbrook Crown Court' })],
+        fhlSourceId
+      );
+      await synchronizeRecords([fhlRecord()], '2099-04-01', dclSourceId);
+      const result = await synchronizeRecords([fhlRecord()], '2099-04-01', dclSourceId);
+
+      expect(result.updated).toBe(0);
+      const rows = await query('SELECT crown_court FROM hearings WHERE data_source_id = ?', [
+        dclSourceId
+      ]);
+      expect(rows[0].crown_court).toBe('Snaresbrook Crown Court');
+    });
+
+    test('skips records already listed by another source', async () => {
+      await synchronizeRecords([fhlRecord()], '2099-04-01', dclSourceId);
+      const result = await fullReplaceSynchronize(
+        [fhlRecord(), fhlRecord({ 'case number': '202503277 A5' })],
+        fhlSourceId
+      );
+
+      expect(result.added).toBe(1);
+      expect(result.skipped).toBe(1);
+
+      const rows = await query('SELECT case_number FROM hearings WHERE data_source_id = ?', [
+        fhlSourceId
+      ]);
+      expect(rows.map((r) => r.case_number)).toEqual(['202503277 A5']);
+    });
+  });
+
+  describe('revision history', () => {
+    function parseJson(value) {
+      return typeof value === 'string' ? JSON.parse(value) : value;
+    }
+
+    test('records an added revision for new hearings', async () => {
+      await synchronizeRecords([makeRecord()], '2025-12-11', dclSourceId);
+
+      const revisions = await query('SELECT * FROM hearing_revisions');
+      const hearings = await query('SELECT id FROM hearings');
+      expect(revisions.length).toBe(1);
+      expect(revisions[0].change_type).toBe('added');
+      expect(revisions[0].hearing_id).toBe(hearings[0].id);
+      expect(revisions[0].old_values).toBeNull();
+      expect(parseJson(revisions[0].new_values).judge).toBe('Lord Justice Males');
+    });
+
+    test('records only the changed fields on update', async () => {
+      await synchronizeRecords([makeRecord()], '2025-12-11', dclSourceId);
+      await synchronizeRecords(
+        [makeRecord({ judge: 'Lady Justice Carr' })],
+        '2025-12-11',
+        dclSourceId
+      );
+
+      const revisions = await query(
+        "SELECT * FROM hearing_revisions WHERE change_type = 'updated'"
+      );
+      expect(revisions.length).toBe(1);
+      expect(parseJson(revisions[0].old_values)).toEqual({ judge: 'Lord Justice Males' });
+      expect(parseJson(revisions[0].new_values)).toEqual({ judge: 'Lady Justice Carr' });
+    });
+
+    test('does not record a revision or update when nothing changed', async () => {
+      await synchronizeRecords([makeRecord()], '2025-12-11', dclSourceId);
+      const result = await synchronizeRecords([makeRecord()], '2025-12-11', dclSourceId);
+
+      expect(result.updated).toBe(0);
+      const revisions = await query('SELECT * FROM hearing_revisions');
+      expect(revisions.length).toBe(1);
+    });
+
+    test('records a deleted revision with the previous values', async () => {
+      await synchronizeRecords(
+        [makeRecord(), makeRecord({ 'case number': '202503277 A5' })],
+        '2025-12-11',
+        dclSourceId
+      );
+      await synchronizeRecords([makeRecord()], '2025-12-11', dclSourceId);
+
+      const revisions = await query(
+        "SELECT * FROM hearing_revisions WHERE change_type = 'deleted'"
+      );
+      expect(revisions.length).toBe(1);
+      expect(revisions[0].case_number).toBe('202503277 A5');
+      expect(parseJson(revisions[0].old_values).time).toBe('10:30am');
+      expect(parseJson(revisions[0].new_values)).toEqual({ removal_reason: 'dropped from list' });
+    });
+
+    test('records a restored revision when a tombstoned hearing reappears', async () => {
+      const records = [makeRecord(), makeRecord({ 'case number': '202503277 A5' })];
+      await synchronizeRecords(records, '2025-12-11', dclSourceId);
+      await synchronizeRecords([makeRecord()], '2025-12-11', dclSourceId);
+      await synchronizeRecords(records, '2025-12-11', dclSourceId);
+
+      const revisions = await query(
+        "SELECT * FROM hearing_revisions WHERE change_type = 'restored'"
+      );
+      expect(revisions.length).toBe(1);
+      expect(parseJson(revisions[0].old_values).removal_reason).toBe('dropped from list');
+    });
+
+    test('links revisions to the scrape that applied them', async () => {
+      const scrape = await query(
+        `INSERT INTO scrape_history (scrape_type, data_source_id, status, started_at)
+         VALUES ('manual', ?, 'success', NOW())`,
+        [dclSourceId]
+      );
+
+      await synchronizeRecords([makeRecord()], '2025-12-11', dclSourceId, scrape.insertId);
+
+      const revisions = await query('SELECT scrape_history_id FROM hearing_revisions');
+      expect(revisions[0].scrape_history_id).toBe(scrape.insertId);
+    });
+
+    test('full-replace sync records only the net difference', async () => {
+      const fhlRecord = (overrides) =>
+        makeRecord({
+          listDate: '2099-04-01',
+          hearingDateTime: '2099-04-01T10:30:00',
+          ...overrides
+        });
+
+      await fullReplaceSynchronize(
+        [fhlRecord(), fhlRecord({ 'case number': '202503277 A5' })],
+        fhlSourceId
+      );
+      await fullReplaceSynchronize(
+        [fhlRecord({ venue: 'RCJ - Court 7' }), fhlRecord({ 'case number': '202503277 A5' })],
+        fhlSourceId
+      );
+
+      const revisions = await query(
+        'SELECT change_type, case_number FROM hearing_revisions ORDER BY id'
+      );
+      expect(revisions.map((r) => r.change_type)).toEqual(['added', 'added', 'updated']);
+      expect(revisions[2].case_number).toBe('202403891 A1');
+    });
+  });
+
   test('bulk insert handles multiple records efficiently', async () => {
     // Generate 50 records with unique case numbers
     const records = [];
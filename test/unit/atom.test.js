@@ -0,0 +1,45 @@
+const { escapeXml, formatTimestamp, buildFeed } = require('../../src/utils/atom');
+
+describe('atom', () => {
+  test('escapeXml escapes markup and drops control characters', () => {
+    expect(escapeXml('R v <Smith> & "Jones"\u0007')).toBe(
+      'R v &lt;Smith&gt; &amp; &quot;Jones&quot;'
+    );
+  });
+
+  test('formatTimestamp drops milliseconds', () => {
+    expect(formatTimestamp(new Date('2025-10-20T09:30:00.123Z'))).toBe('2025-10-20T09:30:00Z');
+  });
+
+  test('buildFeed serialises the feed and its entries', () => {
+    const xml = buildFeed({
+      id: 'http://localhost:3000/api/v1/feeds/hearings.atom',
+      title: 'CACD Archive: new hearings',
+      updated: new Date('2025-10-18T12:00:00Z'),
+      self: 'http://localhost:3000/api/v1/feeds/hearings.atom?search=a&division=b',
+      entries: [
+        {
+          id: 'urn:cacd-archive:hearing:1',
+          title: '202301234 A1: R v Smith',
+          updated: new Date('2025-10-18T12:00:00Z'),
+          published: new Date('2025-10-17T08:00:00Z'),
+          link: 'https://example.com/list',
+          categories: ['Daily Cause List'],
+          summary: 'Venue: Court 4'
+        }
+      ]
+    });
+
+    expect(xml).toMatch(
+      /^<\?xml version="1.0" encoding="utf-8"\?>\n<feed xmlns="http:\/\/www.w3.org\/2005\/Atom">/
+    );
+    expect(xml).toContain('<updated>2025-10-18T12:00:00Z</updated>');
+    expect(xml).toContain(
+      'href="http://localhost:3000/api/v1/feeds/hearings.atom?search=a&amp;division=b"'
+    );
+    expect(xml).toContain('<published>2025-10-17T08:00:00Z</published>');
+    expect(xml).toContain('<category term="Daily Cause List"/>');
+    expect(xml).toContain('<summary type="text">Venue: Court 4</summary>');
+    expect(xml.trim().endsWith('</feed>')).toBe(true);
+  });
+});
@@ -0,0 +1,100 @@
+const {
+  normaliseCaseNumber,
+  parseCaseReference,
+  splitCaseReferences,
+  isValidCaseNumber,
+  caseReferencesForCell
+} = require('../../src/utils/case-reference');
+
+describe('case-reference', () => {
+  describe('normaliseCaseNumber', () => {
+    test('removes spaces between the number and suffix', () => {
+      expect(normaliseCaseNumber('202301234 A1')).toBe('202301234A1');
+    });
+
+    test('treats spaced and unspaced forms as equal', () => {
+      expect(normaliseCaseNumber('202301234 A1')).toBe(normaliseCaseNumber('202301234A1'));
+    });
+
+    test('uppercases the suffix and trims surrounding whitespace', () => {
+      expect(normaliseCaseNumber('  202301234 a1 ')).toBe('202301234A1');
+    });
+
+    test('returns null for empty input', () => {
+      expect(normaliseCaseNumber('')).toBeNull();
+      expect(normaliseCaseNumber('   ')).toBeNull();
+      expect(normaliseCaseNumber(null)).toBeNull();
+      expect(normaliseCaseNumber(undefined)).toBeNull();
+    });
+
+    test('normalises slash-separated references', () => {
+      expect(normaliseCaseNumber('2023/01234/a1')).toBe('202301234A1');
+    });
+  });
+
+  describe('parseCaseReference', () => {
+    test('splits a reference into year, sequence and suffix', () => {
+      expect(parseCaseReference('202301234 A1')).toEqual({
+        reference: '202301234A1',
+        display: '202301234 A1',
+        year: 2023,
+        sequence: '01234',
+        suffix: 'A1'
+      });
+    });
+
+    test('returns null for values that are not CAO references', () => {
+      expect(parseCaseReference('T20247001')).toBeNull();
+      expect(parseCaseReference('202301234 A1, 202301235 A1')).toBeNull();
+      expect(parseCaseReference(null)).toBeNull();
+    });
+  });
+
+  describe('splitCaseReferences', () => {
+    test('splits cells listing several references', () => {
+      expect(
+        splitCaseReferences('202301234 A1, 202301235 A1 and 202301236B2').map((r) => r.display)
+      ).toEqual(['202301234 A1', '202301235 A1', '202301236 B2']);
+    });
+
+    test('expands bare suffixes using the previous reference number', () => {
+      expect(splitCaseReferences('202301234 A1 & B2').map((r) => r.reference)).toEqual([
+        '202301234A1',
+        '202301234B2'
+      ]);
+    });
+
+    test('does not match inside longer numbers', () => {
+      expect(splitCaseReferences('2023012345 A1')).toEqual([]);
+    });
+
+    test('returns each reference once', () => {
+      expect(splitCaseReferences('202301234 A1 / 202301234A1')).toHaveLength(1);
+    });
+  });
+
+  describe('isValidCaseNumber', () => {
+    test('accepts single and multi-reference cells', () => {
+      expect(isValidCaseNumber('202301234 A1')).toBe(true);
+      expect(isValidCaseNumber('202301234 A1; 202301235 B5')).toBe(true);
+    });
+
+    test('rejects cells with unrecognised text', () => {
+      expect(isValidCaseNumber('202301234 A1 (linked)')).toBe(false);
+      expect(isValidCaseNumber('T20247001')).toBe(false);
+      expect(isValidCaseNumber('')).toBe(false);
+    });
+  });
+
+  describe('caseReferencesForCell', () => {
+    test('keeps unrecognised cells as a single case', () => {
+      expect(caseReferencesForCell('T2024 7001')).toEqual([
+        { reference: 'T20247001', display: 'T2024 7001', year: null, sequence: null, suffix: null }
+      ]);
+    });
+
+    test('returns nothing for an empty cell', () => {
+      expect(caseReferencesForCell('  ')).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,133 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  parseCivilTable,
+  mapCivilHeaders,
+  normaliseCivilTime
+} = require('../../src/scrapers/civil-table-parser');
+
+const FIXTURES = path.join(__dirname, '../fixtures');
+
+describe('civil-table-parser', () => {
+  describe('normaliseCivilTime', () => {
+    test('normalises dotted, 24-hour and bare-hour times', () => {
+      expect(normaliseCivilTime('10.30am')).toEqual({ time: '10:30am', notBefore: false });
+      expect(normaliseCivilTime('10:30 a.m.')).toEqual({ time: '10:30am', notBefore: false });
+      expect(normaliseCivilTime('14:00')).toEqual({ time: '2:00pm', notBefore: false });
+      expect(normaliseCivilTime('12:15')).toEqual({ time: '12:15pm', notBefore: false });
+      expect(normaliseCivilTime('10:30')).toEqual({ time: '10:30am', notBefore: false });
+      expect(normaliseCivilTime('2')).toEqual({ time: '2pm', notBefore: false });
+    });
+
+    test('flags "not before" times', () => {
+      expect(normaliseCivilTime('Not before 2pm')).toEqual({ time: '2pm', notBefore: true });
+    });
+
+    test('rejects text without a time', () => {
+      expect(normaliseCivilTime('To be fixed')).toBeNull();
+      expect(normaliseCivilTime('')).toBeNull();
+      expect(normaliseCivilTime('25:00')).toBeNull();
+    });
+  });
+
+  describe('mapCivilHeaders', () => {
+    test('maps Civil header variants to record fields', () => {
+      expect(
+        mapCivilHeaders([
+          'court',
+          'before',
+          'time',
+          'case no.',
+          'case name',
+          'type of hearing',
+          'appeal from',
+          'notes'
+        ])
+      ).toEqual({
+        venue: 0,
+        judge: 1,
+        time: 2,
+        'case number': 3,
+        'case details': 4,
+        'hearing type': 5,
+        'lower court': 6,
+        'additional information': 7
+      });
+    });
+
+    test('accepts the Criminal list headers too', () => {
+      expect(
+        mapCivilHeaders([
+          'venue',
+          'judge',
+          'time',
+          'case number',
+          'case details',
+          'hearing type',
+          'additional information'
+        ])
+      ).toEqual({
+        venue: 0,
+        judge: 1,
+        time: 2,
+        'case number': 3,
+        'case details': 4,
+        'hearing type': 5,
+        'additional information': 6
+      });
+    });
+  });
+
+  describe('parseCivilTable', () => {
+    test('parses every court table in the Civil fixture', async () => {
+      const html = fs.readFileSync(path.join(FIXTURES, 'civil-daily-cause-list.html'), 'utf8');
+      const records = await parseCivilTable(html, '2025-12-11', 'http://test.example.com');
+
+      // The heading row and the unfixed hearing are skipped
+      expect(records.map((r) => r['case number'])).toEqual([
+        'CA-2025-001234',
+        'A2/2024/0456',
+        'CA-2025-002468'
+      ]);
+
+      expect(records[0]).toMatchObject({
+        venue: 'RCJ - Court 71',
+        judge: 'Lord Justice Bean, Lady Justice Andrews and Lord Justice Zacaroli',
+        time: '10:30am',
+        'case details': 'Smith v Jones Holdings Ltd',
+        'hearing type': 'Appeal',
+        'additional information': "Appeal from: High Court, King's Bench Division",
+        listDate: '2025-12-11',
+        division: 'Civil',
+        hearingDateTime: '2025-12-11T10:30:00'
+      });
+
+      // Inherits venue and judge; lower court and "not before" kept as notes
+      expect(records[1]).toMatchObject({
+        venue: 'RCJ - Court 71',
+        judge: 'Lord Justice Bean, Lady Justice Andrews and Lord Justice Zacaroli',
+        time: '2pm',
+        'additional information': 'Hybrid hearing; Appeal from: Family Court; Not before 2pm',
+        hearingDateTime: '2025-12-11T14:00:00'
+      });
+
+      expect(records[2]).toMatchObject({
+        venue: 'RCJ - Court 73',
+        judge: 'Lord Justice Arnold',
+        time: '2:00pm',
+        'case details': 'Secretary of State for the Home Department v AB',
+        'additional information': ''
+      });
+    });
+
+    test('throws when no table has time and case number columns', async () => {
+      await expect(
+        parseCivilTable(
+          '<table><thead><tr><th>Court</th><th>Judge</th></tr></thead><tbody></tbody></table>',
+          '2025-12-11',
+          'http://test.example.com'
+        )
+      ).rejects.toThrow('Critical columns missing');
+    });
+  });
+});
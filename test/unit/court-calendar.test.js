@@ -0,0 +1,53 @@
+const { bankHolidaysForYear, courtDay } = require('../../src/utils/court-calendar');
+
+describe('court-calendar', () => {
+  test('lists the England and Wales bank holidays', () => {
+    expect(bankHolidaysForYear(2026)).toEqual([
+      { date: '2026-01-01', name: "New Year's Day" },
+      { date: '2026-04-03', name: 'Good Friday' },
+      { date: '2026-04-06', name: 'Easter Monday' },
+      { date: '2026-05-04', name: 'Early May bank holiday' },
+      { date: '2026-05-25', name: 'Spring bank holiday' },
+      { date: '2026-08-31', name: 'Summer bank holiday' },
+      { date: '2026-12-25', name: 'Christmas Day' },
+      { date: '2026-12-28', name: 'Boxing Day (substitute day)' }
+    ]);
+  });
+
+  test('moves holidays that fall at a weekend to the next free weekday', () => {
+    // New Year's Day 2022 was a Saturday, Christmas Day a Sunday
+    expect(bankHolidaysForYear(2022).map((h) => h.date)).toEqual(
+      expect.arrayContaining(['2022-01-03', '2022-12-26', '2022-12-27'])
+    );
+    // Christmas Day 2027 is a Saturday
+    const christmas2027 = bankHolidaysForYear(2027).slice(-2);
+    expect(christmas2027).toEqual([
+      { date: '2027-12-27', name: 'Christmas Day (substitute day)' },
+      { date: '2027-12-28', name: 'Boxing Day (substitute day)' }
+    ]);
+  });
+
+  test('tells sitting days from weekends, bank holidays and vacations', () => {
+    expect(courtDay('2026-10-19')).toEqual({
+      date: '2026-10-19',
+      type: 'sitting',
+      reason: null,
+      term: 'Michaelmas 2026'
+    });
+    expect(courtDay('2026-10-17')).toMatchObject({ type: 'closed', reason: 'Saturday' });
+    expect(courtDay('2026-05-25')).toMatchObject({
+      type: 'closed',
+      reason: 'Spring bank holiday'
+    });
+    expect(courtDay('2026-08-12')).toMatchObject({
+      type: 'vacation',
+      reason: 'Long vacation 2026'
+    });
+    // A bank holiday in a vacation is closed
+    expect(courtDay('2026-08-31')).toMatchObject({
+      type: 'closed',
+      reason: 'Summer bank holiday',
+      term: 'Long vacation 2026'
+    });
+  });
+});
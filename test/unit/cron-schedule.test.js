@@ -0,0 +1,46 @@
+const { parseCron, isValidTimezone, lastCronMatch } = require('../../src/utils/cron-schedule');
+
+describe('cron-schedule', () => {
+  test('parses ranges, steps, lists and names', () => {
+    const schedule = parseCron('0,30 8-18/2 * * mon-fri');
+
+    expect([...schedule.minutes]).toEqual([0, 30]);
+    expect([...schedule.hours]).toEqual([8, 10, 12, 14, 16, 18]);
+    expect([...schedule.daysOfWeek]).toEqual([1, 2, 3, 4, 5]);
+    expect(schedule.months.size).toBe(12);
+    expect(parseCron('0 9 * * 7').daysOfWeek.has(0)).toBe(true);
+  });
+
+  test('explains what is wrong with an invalid expression', () => {
+    expect(() => parseCron('0 9 * *')).toThrow('expected 5 fields, found 4');
+    expect(() => parseCron('0 25 * * *')).toThrow('hour 25 is outside 0-23');
+    expect(() => parseCron('0 18-8 * * *')).toThrow('runs backwards');
+    expect(() => parseCron('*/0 * * * *')).toThrow('not a valid minute step');
+    expect(() => parseCron('0 9 * * someday')).toThrow('"someday" is not a valid day of week');
+  });
+
+  test('validates timezone names', () => {
+    expect(isValidTimezone('Europe/London')).toBe(true);
+    expect(isValidTimezone('Europe/Atlantis')).toBe(false);
+  });
+
+  test('finds the last matching minute in the given timezone', () => {
+    // 10:30 BST on a Monday
+    const now = new Date('2026-10-19T09:30:45Z');
+
+    expect(lastCronMatch('0 8-18/2 * * 1-5', 'Europe/London', now, 60)).toEqual(
+      new Date('2026-10-19T09:00:00Z')
+    );
+    expect(lastCronMatch('0 8-18/2 * * 1-5', 'UTC', now, 60)).toBeNull();
+    expect(lastCronMatch('30 10 * * *', 'Europe/London', now, 0)).toEqual(
+      new Date('2026-10-19T09:30:00Z')
+    );
+  });
+
+  test('matches either restricted day field, as in Vixie cron', () => {
+    // The 1st of the month, or any Monday; 2026-10-19 is a Monday
+    const now = new Date('2026-10-19T09:00:00Z');
+    expect(lastCronMatch('0 9 1 * mon', 'UTC', now, 0)).toEqual(now);
+    expect(lastCronMatch('0 9 1 * *', 'UTC', now, 0)).toBeNull();
+  });
+});
@@ -0,0 +1,144 @@
+jest.mock('../../src/config/database', () => ({
+  getConnection: jest.fn()
+}));
+jest.mock('../../src/services/permission-service', () => ({
+  hasCapability: jest.fn()
+}));
+
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+const { getConnection } = require('../../src/config/database');
+const { exportHearings, escapeCsv } = require('../../src/services/export-service');
+
+function hearing(overrides) {
+  return {
+    id: 1,
+    list_date: new Date(2026, 2, 10),
+    case_number: '202403891 A1',
+    time: '10:30am',
+    hearing_datetime: new Date('2026-03-10T10:30:00Z'),
+    venue: 'RCJ - Court 5',
+    judge: 'Lord Justice Males',
+    case_details: 'R v Smith, Jones',
+    party_names: 'Smith; Jones',
+    hearing_type: 'Appeal against Conviction',
+    additional_information: null,
+    reporting_restricted: 0,
+    data_source_name: 'Daily Cause List',
+    ...overrides
+  };
+}
+
+function mockConnection(rows) {
+  const connection = {
+    connection: {
+      query: jest.fn(() => ({ stream: () => Readable.from(rows) }))
+    },
+    release: jest.fn(),
+    destroy: jest.fn()
+  };
+  getConnection.mockResolvedValue(connection);
+  return connection;
+}
+
+async function collect(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+}
+
+describe('export-service', () => {
+  describe('escapeCsv', () => {
+    test('quotes values containing commas, quotes or newlines', () => {
+      expect(escapeCsv('R v Smith, Jones')).toBe('"R v Smith, Jones"');
+      expect(escapeCsv('The "Crown"')).toBe('"The ""Crown"""');
+      expect(escapeCsv('line 1\nline 2')).toBe('"line 1\nline 2"');
+      expect(escapeCsv(null)).toBe('');
+      expect(escapeCsv(['Smith', 'Jones'])).toBe('Smith; Jones');
+    });
+
+    test('stops spreadsheets evaluating text as a formula', () => {
+      expect(escapeCsv('=HYPERLINK("x")')).toBe('"\'=HYPERLINK(""x"")"');
+      expect(escapeCsv('-1')).toBe("'-1");
+      expect(escapeCsv(42)).toBe('42');
+    });
+  });
+
+  describe('exportHearings', () => {
+    test('streams CSV with a header row and releases the connection', async () => {
+      const connection = mockConnection([
+        hearing(),
+        hearing({ id: 2, case_number: '202500054 A4' })
+      ]);
+
+      const csv = (await collect(exportHearings('csv', { date: '2026-03-10' }, true))).toString();
+      const lines = csv.trim().split('\r\n');
+
+      expect(lines).toHaveLength(3);
+      expect(lines[0]).toMatch(/^ID,List Date,Case Number,Time,/);
+      expect(lines[1]).toMatch(/^1,2026-03-10,202403891 A1,10:30am,/);
+      expect(lines[1]).toContain('"R v Smith, Jones"');
+      expect(connection.connection.query.mock.calls[0][1]).toEqual(['2026-03-10']);
+      expect(connection.release).toHaveBeenCalled();
+      expect(connection.destroy).not.toHaveBeenCalled();
+    });
+
+    test('streams NDJSON with one hearing per line', async () => {
+      mockConnection([hearing(), hearing({ id: 2 })]);
+
+      const lines = (await collect(exportHearings('ndjson', {}, true)))
+        .toString()
+        .trim()
+        .split('\n')
+        .map((line) => JSON.parse(line));
+
+      expect(lines.map((h) => h.id)).toEqual([1, 2]);
+      expect(lines[0]).toMatchObject({
+        listDate: '2026-03-10',
+        partyNames: ['Smith', 'Jones'],
+        reportingRestricted: false
+      });
+    });
+
+    test('redacts restricted hearings for callers without the capability', async () => {
+      mockConnection([hearing({ reporting_restricted: 1 })]);
+
+      const [line] = (await collect(exportHearings('ndjson', {}, false))).toString().split('\n');
+
+      expect(JSON.parse(line)).toMatchObject({
+        caseDetails: 'R v S., J.',
+        partyNames: ['S.', 'J.']
+      });
+    });
+
+    test('writes an XLSX workbook', async () => {
+      mockConnection([hearing()]);
+
+      const workbook = new ExcelJS.Workbook();
+      await workbook.xlsx.load(await collect(exportHearings('xlsx', {}, true)));
+      const sheet = workbook.getWorksheet('Hearings');
+
+      expect(sheet.getRow(1).getCell(3).value).toBe('Case Number');
+      expect(sheet.getRow(2).getCell(3).value).toBe('202403891 A1');
+      expect(sheet.getRow(2).getCell(11).value).toBe('Smith; Jones');
+    });
+
+    test('discards the connection when the download is abandoned', async () => {
+      const connection = mockConnection(
+        Array.from({ length: 100 }, (_, i) => hearing({ id: i + 1 }))
+      );
+
+      const stream = exportHearings('ndjson', {}, true);
+      for await (const chunk of stream) {
+        expect(chunk).toBeDefined();
+        break;
+      }
+      await new Promise((resolve) => setImmediate(resolve));
+
+      expect(connection.destroy).toHaveBeenCalled();
+      expect(connection.release).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,253 @@
+jest.mock('../../src/config/database', () => ({
+  query: jest.fn()
+}));
+jest.mock('../../src/models/User', () => ({
+  getFeedKey: jest.fn(),
+  setFeedKey: jest.fn(),
+  findById: jest.fn()
+}));
+jest.mock('../../src/models/SavedSearch', () => ({
+  findById: jest.fn(),
+  listByUser: jest.fn()
+}));
+jest.mock('../../src/services/permission-service', () => ({
+  hasCapability: jest.fn()
+}));
+
+const { query } = require('../../src/config/database');
+const User = require('../../src/models/User');
+const SavedSearch = require('../../src/models/SavedSearch');
+const PermissionService = require('../../src/services/permission-service');
+const {
+  searchFeedPath,
+  caseFeedPath,
+  signFeed,
+  verifyFeedToken,
+  getSearchFeedUrls,
+  buildSearchCalendar,
+  buildHearingsAtom,
+  hearingUid,
+  toEvents
+} = require('../../src/services/feed-service');
+
+const FEED_KEY = 'a'.repeat(64);
+const activeUser = { id: 7, status: { is_active: true } };
+
+function hearing(overrides) {
+  return {
+    id: 1,
+    list_date: '2025-10-20',
+    case_number: '202301234 A1',
+    hearing_datetime: new Date('2025-10-20T09:30:00Z'),
+    venue: 'Court 4',
+    judge: 'Lord Justice Holroyde',
+    case_details: 'R v Smith',
+    hearing_type: 'Appeal against sentence',
+    additional_information: null,
+    reporting_restricted: 0,
+    data_source_name: 'Daily Cause List',
+    source_url: 'https://example.com/list',
+    updated_at: new Date('2025-10-18T12:00:00Z'),
+    ...overrides
+  };
+}
+
+describe('feed-service', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+  });
+
+  describe('feed paths', () => {
+    test('normalise the case reference', () => {
+      expect(caseFeedPath('202301234 a1')).toBe('cases/202301234A1');
+      expect(caseFeedPath('2023/01234/A1')).toBe('cases/202301234A1');
+      expect(searchFeedPath(12)).toBe('searches/12');
+    });
+  });
+
+  describe('verifyFeedToken', () => {
+    test('accepts a token signed for the feed and returns the user', async () => {
+      User.getFeedKey.mockResolvedValue(FEED_KEY);
+      User.findById.mockResolvedValue(activeUser);
+
+      const token = signFeed(7, FEED_KEY, 'searches/12');
+      expect(await verifyFeedToken(token, 'searches/12')).toBe(activeUser);
+      expect(User.getFeedKey).toHaveBeenCalledWith(7);
+    });
+
+    test('rejects a token signed for another feed', async () => {
+      User.getFeedKey.mockResolvedValue(FEED_KEY);
+      const token = signFeed(7, FEED_KEY, 'searches/12');
+      expect(await verifyFeedToken(token, 'searches/13')).toBeNull();
+    });
+
+    test('rejects a token after the feed key is reset', async () => {
+      User.getFeedKey.mockResolvedValue('b'.repeat(64));
+      const token = signFeed(7, FEED_KEY, 'searches/12');
+      expect(await verifyFeedToken(token, 'searches/12')).toBeNull();
+    });
+
+    test('rejects a token moved to another user', async () => {
+      User.getFeedKey.mockResolvedValue(FEED_KEY);
+      const signature = signFeed(7, FEED_KEY, 'searches/12').split('.')[1];
+      expect(await verifyFeedToken(`8.${signature}`, 'searches/12')).toBeNull();
+    });
+
+    test('rejects malformed tokens without a lookup', async () => {
+      expect(await verifyFeedToken('not-a-token', 'searches/12')).toBeNull();
+      expect(await verifyFeedToken(undefined, 'searches/12')).toBeNull();
+      expect(User.getFeedKey).not.toHaveBeenCalled();
+    });
+
+    test('rejects inactive users', async () => {
+      User.getFeedKey.mockResolvedValue(FEED_KEY);
+      User.findById.mockResolvedValue({ id: 7, status: { is_active: false } });
+      const token = signFeed(7, FEED_KEY, 'searches/12');
+      expect(await verifyFeedToken(token, 'searches/12')).toBeNull();
+    });
+  });
+
+  describe('getSearchFeedUrls', () => {
+    test('issues a feed key on first use and signs each search', async () => {
+      User.getFeedKey.mockResolvedValue(null);
+      SavedSearch.listByUser.mockResolvedValue([{ id: 12, search_text: 'Smith' }]);
+
+      const [feed] = await getSearchFeedUrls(7);
+      const [feedKey] = User.setFeedKey.mock.calls[0].slice(1);
+
+      expect(User.setFeedKey).toHaveBeenCalledWith(7, expect.stringMatching(/^[0-9a-f]{64}$/));
+      expect(feed).toEqual({
+        id: 12,
+        searchText: 'Smith',
+        url: `http://localhost:3000/api/v1/feeds/searches/12.ics?token=${encodeURIComponent(
+          signFeed(7, feedKey, 'searches/12')
+        )}`
+      });
+    });
+  });
+
+  describe('buildSearchCalendar', () => {
+    test("returns null for another user's search", async () => {
+      SavedSearch.findById.mockResolvedValue(null);
+      expect(await buildSearchCalendar(activeUser, 12)).toBeNull();
+      expect(SavedSearch.findById).toHaveBeenCalledWith(12, 7);
+    });
+
+    test('redacts restricted hearings for users without the capability', async () => {
+      SavedSearch.findById.mockResolvedValue({ id: 12, search_text: 'Smith' });
+      PermissionService.hasCapability.mockResolvedValue(false);
+      query.mockResolvedValue([
+        hearing({
+          case_details: 'R v John Smith',
+          party_names: 'John Smith',
+          reporting_restricted: 1
+        })
+      ]);
+
+      const ics = await buildSearchCalendar(activeUser, 12);
+
+      expect(query.mock.calls[0][0]).toContain('h.reporting_restricted = FALSE');
+      expect(ics).toContain('SUMMARY:202301234 A1: R v J.S.');
+      expect(ics).not.toContain('John Smith');
+      expect(ics).toContain('Reporting restrictions apply');
+    });
+  });
+
+  describe('buildHearingsAtom', () => {
+    test('lists hearings newest first with the GET /hearings filters', async () => {
+      query.mockResolvedValue([]);
+
+      await buildHearingsAtom({ search: 'Smith', division: 'Criminal', dataSource: '1' });
+
+      const [sql, params] = query.mock.calls[0];
+      expect(sql).toContain('ORDER BY h.created_at DESC');
+      expect(sql).toContain('h.removed_at IS NULL');
+      expect(sql).toContain('h.reporting_restricted = FALSE');
+      expect(params).toEqual(['Criminal', 1, 'Smith', '%Smith%', 100]);
+    });
+
+    test('takes updated from the latest entry and an ETag from the content', async () => {
+      const rows = [
+        hearing({ id: 2, created_at: new Date('2025-10-18T08:00:00Z') }),
+        hearing({
+          id: 1,
+          created_at: new Date('2025-10-17T08:00:00Z'),
+          updated_at: new Date('2025-10-19T08:00:00Z')
+        })
+      ];
+      query.mockResolvedValue(rows);
+
+      const first = await buildHearingsAtom({ search: 'Smith' });
+      const second = await buildHearingsAtom({ search: 'Smith' });
+
+      expect(first.updated).toEqual(new Date('2025-10-19T08:00:00Z'));
+      expect(first.xml).toContain('<updated>2025-10-19T08:00:00Z</updated>');
+      expect(first.xml).toContain(
+        '<id>http://localhost:3000/api/v1/feeds/hearings.atom?search=Smith</id>'
+      );
+      expect(first.xml.indexOf('hearing:2')).toBeLessThan(first.xml.indexOf('hearing:1'));
+      expect(second.etag).toBe(first.etag);
+
+      query.mockResolvedValue(rows.slice(1));
+      expect((await buildHearingsAtom({ search: 'Smith' })).etag).not.toBe(first.etag);
+    });
+
+    test('redacts restricted hearings', async () => {
+      query.mockResolvedValue([
+        hearing({
+          case_details: 'R v John Smith',
+          party_names: 'John Smith',
+          reporting_restricted: 1
+        })
+      ]);
+
+      const { xml } = await buildHearingsAtom();
+
+      expect(xml).toContain('R v J.S.');
+      expect(xml).not.toContain('John Smith');
+      expect(PermissionService.hasCapability).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('toEvents', () => {
+    test('keys UIDs on list date and case reference, not row ID', () => {
+      const before = toEvents([hearing({ id: 1 })]);
+      const moved = toEvents([
+        hearing({
+          id: 99,
+          case_number: '202301234A1',
+          hearing_datetime: new Date('2025-10-20T13:00:00Z')
+        })
+      ]);
+
+      expect(before[0].uid).toBe('2025-10-20-202301234A1@cacd-archive');
+      expect(moved[0].uid).toBe(before[0].uid);
+    });
+
+    test('numbers further hearings of a case on the same day in time order', () => {
+      const events = toEvents([
+        hearing({ id: 5, hearing_datetime: new Date('2025-10-20T14:00:00Z') }),
+        hearing({ id: 4, hearing_datetime: new Date('2025-10-20T10:00:00Z') })
+      ]);
+
+      expect(events.map((e) => [e.uid, e.start.toISOString()])).toEqual([
+        [hearingUid('2025-10-20', '202301234 A1'), '2025-10-20T10:00:00.000Z'],
+        [hearingUid('2025-10-20', '202301234 A1', 2), '2025-10-20T14:00:00.000Z']
+      ]);
+    });
+
+    test('builds the event from hearing fields', () => {
+      const [event] = toEvents([hearing({ hearing_datetime: null })]);
+
+      expect(event).toMatchObject({
+        start: null,
+        date: '2025-10-20',
+        summary: '202301234 A1: R v Smith',
+        location: 'Court 4',
+        description:
+          'Judge: Lord Justice Holroyde\nHearing type: Appeal against sentence\nSource: Daily Cause List',
+        url: 'https://example.com/list'
+      });
+    });
+  });
+});
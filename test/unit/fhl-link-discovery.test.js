@@ -1,4 +1,8 @@
-const { discoverFHLLink, toContentApiUrl } = require('../../src/scrapers/fhl-link-discovery');
+const {
+  discoverFHLLink,
+  toContentApiUrl,
+  fromContentApiUrl
+} = require('../../src/scrapers/fhl-link-discovery');
 
 // Mock fetch globally
 const mockFetch = jest.fn();
@@ -19,7 +23,8 @@ jest.mock('../../src/services/email-service', () => ({
 jest.mock('../../src/config/config', () => ({
   scraping: {
     requestTimeout: 5000,
-    userAgent: 'Test-Agent/1.0'
+    userAgent: 'Test-Agent/1.0',
+    crawlDelayMs: 0
   }
 }));
 
@@ -30,12 +35,11 @@ const ATTACHMENT_PATH =
   '/government/publications/court-of-appeal-cases-fixed-for-hearing-criminal-division/court-of-appeal-cases-fixed-for-hearing-criminal-division--3';
 
 function mockJsonResponse(body, status = 200) {
-  return {
-    ok: status >= 200 && status < 300,
+  return new Response(JSON.stringify(body), {
     status,
     statusText: status === 200 ? 'OK' : 'Error',
-    json: jest.fn().mockResolvedValue(body)
-  };
+    headers: { 'content-type': 'application/json' }
+  });
 }
 
 describe('fhl-link-discovery', () => {
@@ -57,6 +61,12 @@ describe('fhl-link-discovery', () => {
     });
   });
 
+  describe('fromContentApiUrl', () => {
+    test('converts a Content API URL back to the page URL', () => {
+      expect(fromContentApiUrl(toContentApiUrl(BASE_URL))).toBe(BASE_URL);
+    });
+  });
+
   describe('discoverFHLLink', () => {
     const publicationResponse = {
       public_updated_at: '2026-03-20T16:30:02+00:00',
@@ -95,6 +105,22 @@ describe('fhl-link-discovery', () => {
       expect(result.body).toContain('Smith');
     });
 
+    test('returns the raw API responses for archiving', async () => {
+      mockFetch
+        .mockResolvedValueOnce(mockJsonResponse(publicationResponse))
+        .mockResolvedValueOnce(mockJsonResponse(attachmentResponse));
+
+      const result = await discoverFHLLink(BASE_URL);
+
+      expect(result.documents.map((d) => d.documentType)).toEqual([
+        'fhl_publication',
+        'fhl_attachment'
+      ]);
+      expect(result.documents[0].url).toContain('/api/content/government/publications/');
+      expect(JSON.parse(result.documents[1].content)).toEqual(attachmentResponse);
+      expect(result.documents[1].contentType).toBe('application/json');
+    });
+
     test('makes two API calls: publication then attachment', async () => {
       mockFetch
         .mockResolvedValueOnce(mockJsonResponse(publicationResponse))
@@ -149,11 +175,7 @@ describe('fhl-link-discovery', () => {
     });
 
     test('throws on 404 response', async () => {
-      mockFetch.mockResolvedValueOnce({
-        ok: false,
-        status: 404,
-        statusText: 'Not Found'
-      });
+      mockFetch.mockResolvedValueOnce(new Response(null, { status: 404, statusText: 'Not Found' }));
 
       await expect(discoverFHLLink(BASE_URL)).rejects.toThrow('not found (404)');
     });
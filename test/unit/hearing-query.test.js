@@ -0,0 +1,28 @@
+const { buildHearingFilter, formatHearing } = require('../../src/utils/hearing-query');
+
+describe('hearing-query', () => {
+  describe('buildHearingFilter', () => {
+    test('filters by court slugs', () => {
+      const { where, params } = buildHearingFilter({
+        court: 'court-of-appeal-criminal, court-of-appeal-civil'
+      });
+      expect(where).toContain('h.court_id IN (SELECT id FROM courts WHERE slug IN (?,?))');
+      expect(params).toEqual(['court-of-appeal-criminal', 'court-of-appeal-civil']);
+    });
+
+    test('ignores an empty court filter', () => {
+      const { where, params } = buildHearingFilter({ court: ' , ' });
+      expect(where).not.toContain('courts');
+      expect(params).toEqual([]);
+    });
+  });
+
+  describe('formatHearing', () => {
+    test('includes the court name', () => {
+      expect(formatHearing({ id: 1, court_name: 'Central Criminal Court' }).court).toBe(
+        'Central Criminal Court'
+      );
+      expect(formatHearing({ id: 2 }).court).toBeNull();
+    });
+  });
+});
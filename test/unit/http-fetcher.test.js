@@ -0,0 +1,148 @@
+const mockFetch = jest.fn();
+global.fetch = mockFetch;
+
+const mockQuery = jest.fn();
+const mockScraping = {
+  userAgent: 'Test-Agent/1.0',
+  requestTimeout: 5000,
+  maxRetries: 2,
+  retryBaseDelayMs: 1,
+  crawlDelayMs: 0,
+  maxResponseBytes: 1024
+};
+
+jest.mock('../../src/config/config', () => ({ scraping: mockScraping }));
+jest.mock('../../src/config/database', () => ({ query: mockQuery }));
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const { fetchUrl, saveValidators, parseRetryAfter } = require('../../src/scrapers/http-fetcher');
+
+const URL_A = 'https://www.court-tribunal-hearings.service.gov.uk/list/1';
+
+function htmlResponse(body, status = 200, headers = {}) {
+  return new Response(body, {
+    status,
+    headers: { 'content-type': 'text/html', ...headers }
+  });
+}
+
+describe('http-fetcher', () => {
+  beforeEach(() => {
+    mockFetch.mockReset();
+    mockQuery.mockReset();
+    mockScraping.crawlDelayMs = 0;
+  });
+
+  test('sends the User-Agent and returns the body with its validators', async () => {
+    mockFetch.mockResolvedValueOnce(
+      htmlResponse('<table></table>', 200, { etag: '"abc"', 'last-modified': 'Mon, 09 Mar 2026' })
+    );
+
+    const response = await fetchUrl(URL_A, { label: 'List', accept: 'text/html' });
+
+    expect(mockFetch.mock.calls[0][1].headers).toEqual({
+      'User-Agent': 'Test-Agent/1.0',
+      Accept: 'text/html'
+    });
+    expect(response.body.toString('utf8')).toBe('<table></table>');
+    expect(response.contentType).toBe('text/html');
+    expect(response.notModified).toBe(false);
+    expect(response.validators).toEqual({ etag: '"abc"', lastModified: 'Mon, 09 Mar 2026' });
+    expect(mockQuery).not.toHaveBeenCalled();
+  });
+
+  test('retries server errors, rate limiting and network errors up to maxRetries', async () => {
+    mockFetch
+      .mockResolvedValueOnce(htmlResponse('busy', 503))
+      .mockRejectedValueOnce(new TypeError('fetch failed'))
+      .mockResolvedValueOnce(htmlResponse('ok'));
+
+    const response = await fetchUrl(URL_A);
+    expect(response.body.toString('utf8')).toBe('ok');
+    expect(mockFetch).toHaveBeenCalledTimes(3);
+
+    mockFetch.mockReset();
+    mockFetch.mockResolvedValue(htmlResponse('slow down', 429));
+    await expect(fetchUrl(URL_A)).rejects.toThrow('HTTP error 429');
+    expect(mockFetch).toHaveBeenCalledTimes(3);
+  });
+
+  test('does not retry a 404 or other client errors', async () => {
+    mockFetch.mockResolvedValueOnce(htmlResponse('', 404));
+    await expect(fetchUrl(URL_A, { label: 'List' })).rejects.toThrow(
+      `List not found (404): ${URL_A}`
+    );
+
+    mockFetch.mockResolvedValueOnce(htmlResponse('', 403));
+    await expect(fetchUrl(URL_A)).rejects.toMatchObject({ status: 403 });
+    expect(mockFetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('sends stored validators and reports a 304 as not modified', async () => {
+    mockQuery.mockResolvedValueOnce([{ etag: '"abc"', last_modified: 'Mon, 09 Mar 2026' }]);
+    mockFetch.mockResolvedValueOnce(new Response(null, { status: 304 }));
+
+    const response = await fetchUrl(URL_A, { conditional: true });
+
+    expect(mockFetch.mock.calls[0][1].headers).toMatchObject({
+      'If-None-Match': '"abc"',
+      'If-Modified-Since': 'Mon, 09 Mar 2026'
+    });
+    expect(response.notModified).toBe(true);
+    expect(response.body).toBeNull();
+  });
+
+  test('refuses responses over the size limit', async () => {
+    mockFetch.mockResolvedValueOnce(htmlResponse('x', 200, { 'content-length': '4096' }));
+    await expect(fetchUrl(URL_A)).rejects.toThrow('exceeds 1024 bytes');
+
+    mockFetch.mockResolvedValueOnce(htmlResponse('x'.repeat(2048)));
+    await expect(fetchUrl(URL_A)).rejects.toThrow('exceeds 1024 bytes');
+    expect(mockFetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('spaces requests to the same host by the crawl delay', async () => {
+    mockScraping.crawlDelayMs = 50;
+    const started = [];
+    mockFetch.mockImplementation(async () => {
+      started.push(Date.now());
+      return htmlResponse('ok');
+    });
+
+    await Promise.all([fetchUrl(URL_A), fetchUrl(`${URL_A}?page=2`)]);
+
+    expect(started).toHaveLength(2);
+    expect(started[1] - started[0]).toBeGreaterThanOrEqual(45);
+  });
+
+  describe('saveValidators', () => {
+    test('upserts validators keyed by URL hash', async () => {
+      await saveValidators(URL_A, { etag: '"abc"', lastModified: null });
+
+      expect(mockQuery).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO http_validators'),
+        [expect.stringMatching(/^[0-9a-f]{64}$/), URL_A, '"abc"', null]
+      );
+    });
+
+    test('stores nothing when the response had no validators', async () => {
+      await saveValidators(URL_A, { etag: null, lastModified: null });
+      expect(mockQuery).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('parseRetryAfter', () => {
+    test('parses seconds and HTTP dates, capped at five minutes', () => {
+      expect(parseRetryAfter('30')).toBe(30000);
+      expect(parseRetryAfter('86400')).toBe(300000);
+      expect(parseRetryAfter(new Date(Date.now() - 1000).toUTCString())).toBe(0);
+      expect(parseRetryAfter('soon')).toBeNull();
+      expect(parseRetryAfter(null)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,92 @@
+const {
+  escapeText,
+  foldLine,
+  formatDateTime,
+  buildCalendar
+} = require('../../src/utils/icalendar');
+
+describe('icalendar', () => {
+  describe('escapeText', () => {
+    test('escapes backslashes, separators and newlines', () => {
+      expect(escapeText('R v Smith; Jones, Brown\\Green\nLine 2')).toBe(
+        'R v Smith\\; Jones\\, Brown\\\\Green\\nLine 2'
+      );
+    });
+
+    test('treats null as empty', () => {
+      expect(escapeText(null)).toBe('');
+    });
+  });
+
+  describe('foldLine', () => {
+    test('leaves short lines alone', () => {
+      expect(foldLine('SUMMARY:Short')).toBe('SUMMARY:Short');
+    });
+
+    test('folds at 75 octets with a leading space on continuation lines', () => {
+      const folded = foldLine(`DESCRIPTION:${'x'.repeat(200)}`);
+      const lines = folded.split('\r\n');
+      expect(lines.length).toBe(3);
+      expect(Buffer.byteLength(lines[0])).toBe(75);
+      expect(lines.slice(1).every((l) => l.startsWith(' ') && Buffer.byteLength(l) <= 75)).toBe(
+        true
+      );
+      expect(lines.map((l, i) => (i === 0 ? l : l.slice(1))).join('')).toBe(
+        `DESCRIPTION:${'x'.repeat(200)}`
+      );
+    });
+
+    test('never splits a multi-byte character', () => {
+      const folded = foldLine(`SUMMARY:${'é'.repeat(60)}`);
+      for (const line of folded.split('\r\n')) {
+        expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75);
+        expect(line).not.toContain('�');
+      }
+    });
+  });
+
+  describe('formatDateTime', () => {
+    test('formats as UTC', () => {
+      expect(formatDateTime(new Date('2025-10-20T09:30:00.000Z'))).toBe('20251020T093000Z');
+    });
+  });
+
+  describe('buildCalendar', () => {
+    const stamp = new Date('2025-10-18T12:00:00Z');
+
+    test('serialises timed and all-day events with CRLF line endings', () => {
+      const ics = buildCalendar({
+        name: 'CACD hearings',
+        refreshInterval: 'PT2H',
+        events: [
+          {
+            uid: '2025-10-20-202301234A1@cacd-archive',
+            stamp,
+            start: new Date('2025-10-20T09:30:00Z'),
+            date: '2025-10-20',
+            duration: 'PT1H',
+            summary: '202301234 A1: R v Smith',
+            location: 'Court 4',
+            description: 'Judge: Lord Justice Holroyde'
+          },
+          {
+            uid: '2025-10-21-202301235A1@cacd-archive',
+            stamp,
+            start: null,
+            date: '2025-10-21',
+            duration: 'PT1H',
+            summary: '202301235 A1'
+          }
+        ]
+      });
+
+      expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+      expect(ics.split('\r\n').every((line) => !line.includes('\n'))).toBe(true);
+      expect(ics).toContain('REFRESH-INTERVAL;VALUE=DURATION:PT2H\r\n');
+      expect(ics).toContain('DTSTART:20251020T093000Z\r\nDURATION:PT1H\r\n');
+      expect(ics).toContain('DTSTART;VALUE=DATE:20251021\r\nSUMMARY:202301235 A1\r\n');
+      expect(ics).toContain('LOCATION:Court 4\r\n');
+      expect(ics.match(/BEGIN:VEVENT/g)).toHaveLength(2);
+    });
+  });
+});
@@ -0,0 +1,81 @@
+const { parseJudges, parseJudge, slugify } = require('../../src/utils/judge-names');
+
+describe('judge-names', () => {
+  describe('parseJudges', () => {
+    test('splits a constitution into individual judges in listed order', () => {
+      const judges = parseJudges(
+        'Lord Justice Males, Mr Justice Pepperall and Her Honour Judge Munro KC'
+      );
+
+      expect(judges).toEqual([
+        {
+          slug: 'males-lj',
+          title: 'Lord Justice',
+          name: 'Males',
+          displayName: 'Lord Justice Males'
+        },
+        {
+          slug: 'pepperall-j',
+          title: 'Mr Justice',
+          name: 'Pepperall',
+          displayName: 'Mr Justice Pepperall'
+        },
+        {
+          slug: 'munro-hhj',
+          title: 'Her Honour Judge',
+          name: 'Munro',
+          displayName: 'Her Honour Judge Munro'
+        }
+      ]);
+    });
+
+    test('keeps multi-word surnames together', () => {
+      const judges = parseJudges('Lord Justice Holroyde and His Honour Judge Griffith Jones');
+      expect(judges.map((j) => j.slug)).toEqual(['holroyde-lj', 'griffith-jones-hhj']);
+    });
+
+    test('gives long and short forms of a title the same slug', () => {
+      expect(parseJudge('His Honour Judge Munro').slug).toBe(parseJudge('HHJ Munro').slug);
+      expect(parseJudge('Lord Justice Holroyde').slug).toBe(parseJudge('Holroyde LJ').slug);
+      expect(parseJudge('Mrs Justice Cutts').slug).toBe(parseJudge('Cutts J').slug);
+    });
+
+    test('handles offices named without a holder', () => {
+      const judges = parseJudges(
+        'The Lord Chief Justice of England and Wales & the Recorder of Newcastle upon Tyne'
+      );
+      expect(judges.map((j) => j.slug)).toEqual([
+        'lord-chief-justice',
+        'recorder-of-newcastle-upon-tyne'
+      ]);
+    });
+
+    test('ignores parenthetical notes and stray post-nominals', () => {
+      const judges = parseJudges('Mr Justice Hilliard (sitting remotely), HHJ Munro, KC');
+      expect(judges.map((j) => j.slug)).toEqual(['hilliard-j', 'munro-hhj']);
+    });
+
+    test('de-duplicates a judge named twice', () => {
+      expect(parseJudges('Lord Justice Males and Males LJ')).toHaveLength(1);
+    });
+
+    test('keeps names without a recognised title', () => {
+      expect(parseJudges('Dame Victoria Sharp')[0]).toMatchObject({
+        slug: 'victoria-sharp',
+        title: 'Dame'
+      });
+    });
+
+    test('returns an empty array for empty input', () => {
+      expect(parseJudges(null)).toEqual([]);
+      expect(parseJudges('')).toEqual([]);
+    });
+  });
+
+  describe('slugify', () => {
+    test('strips accents and apostrophes', () => {
+      expect(slugify("O'Brien")).toBe('obrien');
+      expect(slugify('Émile Lévy')).toBe('emile-levy');
+    });
+  });
+});
@@ -0,0 +1,165 @@
+const mockQuery = jest.fn();
+const mockCron = { schedule: jest.fn() };
+const mockWorker = {
+  startWorker: jest.fn(),
+  stopWorker: jest.fn(),
+  getWorkerStatus: jest.fn(() => ({ running: false, currentJob: null }))
+};
+
+jest.mock('../../src/config/database', () => ({ query: mockQuery }));
+jest.mock('node-cron', () => mockCron);
+jest.mock('../../src/scrapers/scrape-worker', () => mockWorker);
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const config = require('../../src/config/config');
+const { acquireLease, releaseLease, getLease } = require('../../src/services/leader-service');
+const {
+  startScheduler,
+  stopScheduler,
+  getSchedulerStatus
+} = require('../../src/scrapers/scheduler');
+
+const leaseRow = (holder, active = 1) => ({
+  name: 'scheduler',
+  holder,
+  acquired_at: '2026-03-10T08:00:00.000Z',
+  renewed_at: '2026-03-10T08:05:00.000Z',
+  expires_at: '2026-03-10T08:06:00.000Z',
+  active
+});
+
+describe('leader-service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockQuery.mockResolvedValue([]);
+  });
+
+  test('takes or renews the lease for this instance', async () => {
+    mockQuery.mockResolvedValueOnce({ affectedRows: 1 });
+    mockQuery.mockResolvedValueOnce([leaseRow(config.instanceId)]);
+
+    const lease = await acquireLease();
+
+    const [sql, params] = mockQuery.mock.calls[0];
+    expect(sql).toContain('holder IS NULL OR expires_at < NOW()');
+    expect(params).toEqual([
+      config.instanceId,
+      config.instanceId,
+      config.scheduler.leaseSeconds,
+      'scheduler',
+      config.instanceId
+    ]);
+    expect(lease).toMatchObject({ holder: config.instanceId, active: true, isMine: true });
+  });
+
+  test('reports the holder when another instance has the lease', async () => {
+    mockQuery.mockResolvedValueOnce({ affectedRows: 0 });
+    mockQuery.mockResolvedValueOnce([leaseRow('other-host:42')]);
+
+    expect(await acquireLease()).toMatchObject({
+      holder: 'other-host:42',
+      active: true,
+      isMine: false
+    });
+  });
+
+  test('an expired lease has no active holder', async () => {
+    mockQuery.mockResolvedValueOnce([leaseRow(config.instanceId, 0)]);
+
+    expect(await getLease()).toMatchObject({ active: false, isMine: false });
+  });
+
+  test('releases only a lease this instance holds', async () => {
+    await releaseLease();
+
+    const [sql, params] = mockQuery.mock.calls[0];
+    expect(sql).toContain('SET holder = NULL');
+    expect(params).toEqual(['scheduler', config.instanceId]);
+  });
+});
+
+describe('scheduler leader election', () => {
+  let holder;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers();
+    holder = 'other-host:42';
+    mockCron.schedule.mockReturnValue({ stop: jest.fn() });
+    mockQuery.mockImplementation(async (sql) => {
+      if (sql.includes('FROM scheduler_leases')) return [leaseRow(holder)];
+      return { affectedRows: 0 };
+    });
+  });
+
+  afterEach(async () => {
+    await stopScheduler();
+    jest.useRealTimers();
+  });
+
+  test('stands by while another instance leads, and takes over when it goes', async () => {
+    await startScheduler();
+
+    expect(mockCron.schedule).not.toHaveBeenCalled();
+    expect(mockWorker.startWorker).not.toHaveBeenCalled();
+    expect(getSchedulerStatus()).toMatchObject({
+      running: false,
+      isLeader: false,
+      leader: { holder: 'other-host:42' }
+    });
+
+    // The leader's lease lapses and the next election goes to this instance
+    holder = config.instanceId;
+    await jest.advanceTimersByTimeAsync(config.scheduler.renewIntervalSeconds * 1000);
+
+    expect(mockCron.schedule).toHaveBeenCalledWith('* * * * *', expect.any(Function));
+    expect(mockWorker.startWorker).toHaveBeenCalledTimes(1);
+    expect(getSchedulerStatus()).toMatchObject({
+      running: true,
+      isLeader: true,
+      instanceId: config.instanceId,
+      leader: { holder: config.instanceId }
+    });
+  });
+
+  test('steps down when the lease is lost, and releases it on shutdown', async () => {
+    holder = config.instanceId;
+    await startScheduler();
+    expect(getSchedulerStatus().isLeader).toBe(true);
+
+    // Another instance took over after this one failed to renew in time
+    holder = 'other-host:42';
+    await jest.advanceTimersByTimeAsync(config.scheduler.renewIntervalSeconds * 1000);
+
+    expect(mockWorker.stopWorker).toHaveBeenCalledTimes(1);
+    expect(getSchedulerStatus()).toMatchObject({ running: false, isLeader: false });
+
+    holder = config.instanceId;
+    await jest.advanceTimersByTimeAsync(config.scheduler.renewIntervalSeconds * 1000);
+    expect(getSchedulerStatus().isLeader).toBe(true);
+
+    await stopScheduler();
+
+    expect(getSchedulerStatus().running).toBe(false);
+    expect(mockQuery).toHaveBeenLastCalledWith(expect.stringContaining('SET holder = NULL'), [
+      'scheduler',
+      config.instanceId
+    ]);
+  });
+
+  test('stops scheduling when the database cannot confirm the lease', async () => {
+    holder = config.instanceId;
+    await startScheduler();
+
+    mockQuery.mockRejectedValueOnce(new Error('ECONNREFUSED'));
+    await jest.advanceTimersByTimeAsync(config.scheduler.renewIntervalSeconds * 1000);
+
+    expect(getSchedulerStatus()).toMatchObject({ isLeader: false, leader: null });
+    expect(mockWorker.stopWorker).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,57 @@
+const {
+  easterSunday,
+  springBankHoliday,
+  periodsForYear,
+  legalTermFor
+} = require('../../src/utils/legal-terms');
+
+describe('legal-terms', () => {
+  test('computes Easter Sunday', () => {
+    expect(easterSunday(2024).toISOString().slice(0, 10)).toBe('2024-03-31');
+    expect(easterSunday(2025).toISOString().slice(0, 10)).toBe('2025-04-20');
+    expect(easterSunday(2026).toISOString().slice(0, 10)).toBe('2026-04-05');
+  });
+
+  test('computes the spring bank holiday', () => {
+    expect(springBankHoliday(2024).toISOString().slice(0, 10)).toBe('2024-05-27');
+    expect(springBankHoliday(2026).toISOString().slice(0, 10)).toBe('2026-05-25');
+  });
+
+  test('sets the 2024 terms by the CPR rules', () => {
+    const terms = periodsForYear(2024).filter((p) => !p.vacation);
+    expect(terms.map((t) => [t.key, t.start, t.end])).toEqual([
+      ['hilary-2024', '2024-01-11', '2024-03-27'],
+      ['easter-2024', '2024-04-09', '2024-05-24'],
+      ['trinity-2024', '2024-06-04', '2024-07-31'],
+      ['michaelmas-2024', '2024-10-01', '2024-12-21']
+    ]);
+  });
+
+  test('covers every day of the year without gaps', () => {
+    const periods = periodsForYear(2025);
+    expect(periods[0].start).toBe('2025-01-01');
+    expect(periods[periods.length - 1].end).toBe('2025-12-31');
+    for (let i = 1; i < periods.length; i++) {
+      const dayAfter = new Date(`${periods[i - 1].end}T00:00:00Z`);
+      dayAfter.setUTCDate(dayAfter.getUTCDate() + 1);
+      expect(periods[i].start).toBe(dayAfter.toISOString().slice(0, 10));
+    }
+  });
+
+  test('finds the term or vacation for a date', () => {
+    expect(legalTermFor('2025-11-03')).toMatchObject({ key: 'michaelmas-2025', vacation: false });
+    expect(legalTermFor('2024-06-03')).toMatchObject({ key: 'whitsun-vacation-2024' });
+    expect(legalTermFor('2024-08-15')).toMatchObject({ name: 'Long vacation 2024' });
+  });
+
+  test('treats the Christmas vacation as one period across the new year', () => {
+    const before = legalTermFor('2025-12-24');
+    const after = legalTermFor('2026-01-05');
+    expect(before).toEqual(after);
+    expect(before).toMatchObject({
+      key: 'christmas-vacation-2025',
+      start: '2025-12-22',
+      end: '2026-01-10'
+    });
+  });
+});
@@ -3,6 +3,9 @@ const path = require('path');
 const {
   findCACDLinks,
   findLinkForDate,
+  matchesDivisionTitle,
+  summaryPageUrl,
+  toTitlePattern,
   containsCaseInsensitive,
   containsWord
 } = require('../../src/scrapers/link-discovery');
@@ -33,6 +36,23 @@ describe('link-discovery', () => {
     });
   });
 
+  describe('matchesDivisionTitle', () => {
+    test('matches each division to its own list title', () => {
+      const civil = 'Court of Appeal (Civil Division) Daily Cause List 11 December 2025';
+      expect(matchesDivisionTitle(civil, 'Civil')).toBe(true);
+      expect(matchesDivisionTitle(civil, 'Criminal')).toBe(false);
+      expect(matchesDivisionTitle('Court of Appeal - Criminal Division List', 'Criminal')).toBe(
+        true
+      );
+    });
+
+    test('does not match a division named elsewhere in the title', () => {
+      expect(
+        matchesDivisionTitle('Court of Appeal (Criminal Division) Civil Restraint Orders', 'Civil')
+      ).toBe(false);
+    });
+  });
+
   describe('findLinkForDate', () => {
     const links = [
       {
@@ -78,6 +98,44 @@ describe('link-discovery', () => {
     });
   });
 
+  describe('configured locations', () => {
+    test('builds the summary page URL for a locationId', () => {
+      const url = new URL(summaryPageUrl(417));
+      expect(url.pathname).toBe('/summary-of-publications');
+      expect(url.searchParams.get('locationId')).toBe('417');
+    });
+
+    test('keeps the configured summary page without a locationId', () => {
+      expect(new URL(summaryPageUrl(null)).searchParams.get('locationId')).toBe('109');
+    });
+
+    test('compiles title patterns case-insensitively', () => {
+      expect(toTitlePattern('central criminal court').test('CENTRAL CRIMINAL COURT')).toBe(true);
+      expect(toTitlePattern(null)).toBeNull();
+    });
+
+    test('finds a list by title pattern instead of the division title', () => {
+      const links = [
+        {
+          href: '/list?id=7',
+          text: 'Central Criminal Court Daily List 11 December 2025 - English'
+        },
+        {
+          href: '/list?id=8',
+          text: 'Central Criminal Court Warned List 11 December 2025 - English'
+        }
+      ];
+      const result = findLinkForDate(
+        links,
+        new Date(2025, 11, 11),
+        'Criminal',
+        toTitlePattern('central criminal court daily list')
+      );
+      expect(result.url).toContain('/list?id=7');
+      expect(result.division).toBe('Criminal');
+    });
+  });
+
   describe('findCACDLinks', () => {
     // findCACDLinks uses getCurrentDateUK internally, so we test with the fixture
     // which contains links for 11 and 12 December 2025
@@ -0,0 +1,118 @@
+jest.mock('../../src/config/database', () => ({
+  query: jest.fn()
+}));
+jest.mock('../../src/services/sync-service', () => ({
+  REMOVAL_REASON_DROPPED: 'dropped from list'
+}));
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const { reconcile, reconcileRows } = require('../../src/services/reconciliation-service');
+const { query } = require('../../src/config/database');
+
+function hearing(overrides) {
+  return {
+    id: 1,
+    list_date: '2026-03-10',
+    case_number: '202403891 A1',
+    case_id: 10,
+    time: '10:30am',
+    removed_at: null,
+    removal_reason: null,
+    ...overrides
+  };
+}
+
+describe('reconcileRows', () => {
+  test('matches fixtures to DCL hearings by case and date, ignoring time', () => {
+    const report = reconcileRows(
+      [hearing({ id: 1 })],
+      [hearing({ id: 2, time: '2:00pm', removed_at: null })]
+    );
+
+    expect(report.summary.matched).toBe(1);
+    expect(report.fixturesNotListed).toEqual([]);
+    expect(report.unfixedHearings).toEqual([]);
+  });
+
+  test('flags fixtures that never appeared on the DCL on the day', () => {
+    const report = reconcileRows(
+      [hearing({ id: 1 }), hearing({ id: 3, case_id: 11, case_number: '202500054 A4' })],
+      [hearing({ id: 2 })]
+    );
+
+    expect(report.summary.matched).toBe(1);
+    expect(report.fixturesNotListed).toHaveLength(1);
+    expect(report.fixturesNotListed[0]).toMatchObject({
+      hearingId: 3,
+      listDate: '2026-03-10',
+      caseNumber: '202500054 A4'
+    });
+  });
+
+  test('reports fixtures dropped from the FHL as vacated, not missing', () => {
+    const report = reconcileRows(
+      [hearing({ id: 1, removed_at: new Date(), removal_reason: 'dropped from list' })],
+      [hearing({ id: 2, case_id: 11, case_number: '202500054 A4' })]
+    );
+
+    expect(report.fixturesVacated).toHaveLength(1);
+    expect(report.fixturesNotListed).toEqual([]);
+  });
+
+  test('flags DCL hearings never fixed in the FHL, once per case', () => {
+    const report = reconcileRows(
+      [],
+      [hearing({ id: 2 }), hearing({ id: 4, time: '2:00pm' }), hearing({ id: 5, case_id: 11 })]
+    );
+
+    expect(report.unfixedHearings.map((h) => h.hearingId)).toEqual([2, 5]);
+  });
+
+  test('leaves fixtures on dates without a DCL scrape unchecked', () => {
+    const report = reconcileRows(
+      [hearing({ id: 1, list_date: '2026-03-11' }), hearing({ id: 3, list_date: '2026-03-12' })],
+      [],
+      ['2026-03-12']
+    );
+
+    expect(report.uncheckedDates).toEqual(['2026-03-11']);
+    expect(report.fixturesNotListed.map((h) => h.hearingId)).toEqual([3]);
+  });
+});
+
+describe('reconcile', () => {
+  beforeEach(() => {
+    query.mockReset();
+  });
+
+  test('rejects an inverted date range as a bad request', async () => {
+    await expect(reconcile({ from: '2026-03-12', to: '2026-03-10' })).rejects.toMatchObject({
+      statusCode: 400
+    });
+    expect(query).not.toHaveBeenCalled();
+  });
+
+  test('rejects ranges longer than a year', async () => {
+    await expect(reconcile({ from: '2024-01-01', to: '2026-01-01' })).rejects.toMatchObject({
+      statusCode: 400
+    });
+  });
+
+  test('builds the report from both sources and archived DCL fetches', async () => {
+    query
+      .mockResolvedValueOnce([hearing({ id: 1 })])
+      .mockResolvedValueOnce([])
+      .mockResolvedValueOnce([{ list_date: '2026-03-10' }]);
+
+    const report = await reconcile({ from: '2026-03-10', to: '2026-03-10' });
+
+    expect(report.from).toBe('2026-03-10');
+    expect(report.summary.fixturesNotListed).toBe(1);
+    expect(report.uncheckedDates).toEqual([]);
+  });
+});
@@ -0,0 +1,148 @@
+const {
+  enrichRecords,
+  extractFields,
+  toColumnValues,
+  isReportingRestricted
+} = require('../../src/scrapers/record-enricher');
+
+function fields(caseDetails, hearingType = '', additionalInformation = '') {
+  return extractFields({
+    'case details': caseDetails,
+    'hearing type': hearingType,
+    'additional information': additionalInformation
+  });
+}
+
+describe('record-enricher', () => {
+  describe('party names', () => {
+    test('drops the Crown from "R v" case titles', () => {
+      expect(fields('R v Smith').partyNames).toEqual(['Smith']);
+      expect(fields('R V OFM').partyNames).toEqual(['OFM']);
+      expect(fields('Regina v. White').partyNames).toEqual(['White']);
+      expect(fields('R -v- Green').partyNames).toEqual(['Green']);
+    });
+
+    test('splits several defendants and drops "others"', () => {
+      expect(fields('R v Smith, Jones and Brown').partyNames).toEqual(['Smith', 'Jones', 'Brown']);
+      expect(fields('R v Smith & Ors').partyNames).toEqual(['Smith']);
+    });
+
+    test('keeps FHL "surname, forenames" as one party', () => {
+      expect(fields('Smith, John').partyNames).toEqual(['Smith, John']);
+    });
+
+    test('returns no parties for empty case details', () => {
+      expect(fields('').partyNames).toEqual([]);
+      expect(extractFields({}).partyNames).toEqual([]);
+    });
+  });
+
+  describe("Attorney General's References", () => {
+    test('extracts the reference number and the parties in brackets', () => {
+      const result = fields("Attorney General's Reference No 12 of 2024 (R v Jones)");
+      expect(result.agReference).toBe("Attorney General's Reference No 12 of 2024");
+      expect(result.partyNames).toEqual(['Jones']);
+    });
+
+    test('recognises abbreviated forms', () => {
+      expect(fields("AG's Ref (No. 3 of 2025) R v Brown").agReference).toBe(
+        "Attorney General's Reference No 3 of 2025"
+      );
+      expect(fields("A-G's Reference (R v Brown)").agReference).toBe(
+        "Attorney General's Reference"
+      );
+    });
+
+    test('is null for ordinary appeals', () => {
+      expect(fields('R v Smith').agReference).toBeNull();
+    });
+  });
+
+  describe('appeal type', () => {
+    test('detects conviction, sentence and both', () => {
+      expect(fields('', 'Appeal against Conviction').appealType).toBe('conviction');
+      expect(fields('', 'FC Application Sentence').appealType).toBe('sentence');
+      expect(fields('', 'Appeal Conviction and Sentence').appealType).toBe('both');
+      expect(fields('', 'Renewed Application Conv & Sent').appealType).toBe('both');
+    });
+
+    test('is null when the hearing type does not say', () => {
+      expect(fields('', 'Reference').appealType).toBeNull();
+    });
+  });
+
+  describe('application types', () => {
+    test('detects renewal, leave and extension of time', () => {
+      expect(
+        fields('', 'Renewed Application Conviction', 'Extension of time').applicationTypes
+      ).toEqual(['renewal', 'leave', 'extension_of_time']);
+    });
+
+    test('treats a full court application as an application for leave', () => {
+      expect(fields('', 'FC Application Sentence').applicationTypes).toEqual(['leave']);
+    });
+
+    test('is empty for appeals', () => {
+      expect(fields('', 'Appeal against Conviction').applicationTypes).toEqual([]);
+    });
+  });
+
+  describe('hand-down markers', () => {
+    test('detects judgments to be handed down', () => {
+      expect(fields('', 'Judgment', 'Judgment to be handed down').handDown).toBe(true);
+      expect(fields('', 'Hand Down').handDown).toBe(true);
+      expect(fields('', 'Appeal against Conviction', 'Pre-con in Booth 2').handDown).toBe(false);
+    });
+  });
+
+  describe('reporting restrictions', () => {
+    test('treats any listed restriction as restricted', () => {
+      expect(isReportingRestricted({ 'reporting restriction': 'Yes' })).toBe(true);
+      expect(
+        isReportingRestricted({ 'reporting restriction': 'Sexual Offences (Amendment) Act 1992' })
+      ).toBe(true);
+      expect(fields('R v Smith').reportingRestricted).toBe(false);
+    });
+
+    test('ignores placeholder values in the restriction column', () => {
+      for (const value of ['', ' ', 'No', 'none', 'N/A', 'Nil', '-', null]) {
+        expect(isReportingRestricted({ 'reporting restriction': value })).toBe(false);
+      }
+    });
+
+    test('detects restrictions noted in the additional information', () => {
+      expect(fields('R v Smith', '', 'Sexual Offences case').reportingRestricted).toBe(true);
+      expect(fields('R v Smith', '', 'Section 45 YJCEA 1999').reportingRestricted).toBe(true);
+      expect(fields('R v Smith', '', 'Anonymity order in place').reportingRestricted).toBe(true);
+      expect(fields('R v Smith', '', 'Section 451 of the Act').reportingRestricted).toBe(false);
+    });
+  });
+
+  describe('enrichRecords', () => {
+    test('adds the extracted fields to each record in place', () => {
+      const records = [
+        { 'case details': 'R v Smith', 'hearing type': 'Appeal against Conviction' }
+      ];
+      expect(enrichRecords(records)).toBe(records);
+      expect(records[0]).toMatchObject({
+        'case details': 'R v Smith',
+        partyNames: ['Smith'],
+        appealType: 'conviction'
+      });
+    });
+  });
+
+  describe('toColumnValues', () => {
+    test('serialises fields for the hearings columns', () => {
+      expect(toColumnValues(fields('R v Smith, Jones', 'Renewed Application Sentence'))).toEqual([
+        'Smith; Jones',
+        null,
+        'sentence',
+        'renewal,leave',
+        0,
+        0
+      ]);
+      expect(toColumnValues({})).toEqual([null, null, null, null, 0, 0]);
+    });
+  });
+});
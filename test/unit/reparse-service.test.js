@@ -0,0 +1,179 @@
+const mockSnapshots = {
+  findLatestFetchesByListDate: jest.fn(),
+  findFetchesBefore: jest.fn(),
+  getSnapshotContent: jest.fn()
+};
+const mockSync = {
+  synchronizeRecords: jest.fn(),
+  fullReplaceSynchronize: jest.fn()
+};
+const mockHistory = {
+  recordScrapeStart: jest.fn(),
+  recordScrapeComplete: jest.fn(),
+  recordScrapeError: jest.fn()
+};
+
+jest.mock('../../src/services/snapshot-service', () => mockSnapshots);
+jest.mock('../../src/services/sync-service', () => mockSync);
+jest.mock('../../src/services/scrape-history-service', () => mockHistory);
+jest.mock('../../src/scrapers/table-parser', () => ({
+  parseTable: jest.fn().mockResolvedValue([{ 'case number': '202403891 A1', time: '10:30am' }])
+}));
+jest.mock('../../src/scrapers/civil-table-parser', () => ({
+  parseCivilTable: jest
+    .fn()
+    .mockResolvedValue([{ 'case number': 'CA-2026-000123', time: '10:30am' }])
+}));
+jest.mock('../../src/scrapers/fhl-table-parser', () => ({
+  parseFHLTable: jest.fn().mockResolvedValue([
+    { listDate: '2026-03-10', 'case number': '202500054 A4', time: '10:30am' },
+    { listDate: '2026-03-11', 'case number': '202500055 A4', time: '10:30am' }
+  ])
+}));
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+jest.mock('../../src/services/email-service', () => ({
+  sendDataError: jest.fn()
+}));
+
+const { reparse } = require('../../src/services/reparse-service');
+const { parseTable } = require('../../src/scrapers/table-parser');
+const { parseCivilTable } = require('../../src/scrapers/civil-table-parser');
+
+const DCL = { id: 1, slug: 'daily_cause_list' };
+const FHL = { id: 2, slug: 'future_hearing_list' };
+// No registered plugin: scraped by the generic court list plugin
+const GENERIC = {
+  id: 3,
+  slug: 'kings_bench_appeals',
+  location_id: 1234,
+  list_title_pattern: "King's Bench Appeals",
+  division: 'Civil',
+  court_id: 7
+};
+
+const syncResult = { added: 0, updated: 1, restored: 0, deleted: 0 };
+
+describe('reparse-service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockHistory.recordScrapeStart.mockResolvedValue(55);
+    mockSync.synchronizeRecords.mockResolvedValue(syncResult);
+    mockSync.fullReplaceSynchronize.mockResolvedValue(syncResult);
+  });
+
+  test('re-parses the latest DCL snapshot for each date and syncs it', async () => {
+    mockSnapshots.findLatestFetchesByListDate.mockResolvedValue([
+      {
+        snapshot_id: 3,
+        sha256: 'abc',
+        url: 'https://example.com/list',
+        list_date: new Date('2026-03-10T00:00:00Z'),
+        division: 'Criminal',
+        fetched_at: new Date('2026-03-10T08:00:00Z')
+      }
+    ]);
+    mockSnapshots.getSnapshotContent.mockResolvedValue(Buffer.from('<table></table>'));
+
+    const result = await reparse(DCL, { from: '2026-03-01', to: '2026-03-31' });
+
+    expect(parseTable).toHaveBeenCalledWith(
+      '<table></table>',
+      '2026-03-10',
+      'https://example.com/list',
+      'Criminal'
+    );
+    const [records, listDate, dataSourceId, scrapeId, options] =
+      mockSync.synchronizeRecords.mock.calls[0];
+    expect(records[0].scrapedAt).toBe('2026-03-10T08:00:00.000Z');
+    expect([listDate, dataSourceId, scrapeId, options]).toEqual([
+      '2026-03-10',
+      1,
+      55,
+      { dryRun: false }
+    ]);
+    expect(result.dates).toEqual([expect.objectContaining({ date: '2026-03-10', updated: 1 })]);
+    expect(mockHistory.recordScrapeComplete).toHaveBeenCalled();
+  });
+
+  test('dry run does not create a scrape history row', async () => {
+    mockSnapshots.findLatestFetchesByListDate.mockResolvedValue([]);
+
+    const result = await reparse(DCL, { from: '2026-03-01', to: '2026-03-31', dryRun: true });
+
+    expect(result.scrapeId).toBeNull();
+    expect(mockHistory.recordScrapeStart).not.toHaveBeenCalled();
+  });
+
+  test('rebuilds each FHL date from the last document fetched by that day', async () => {
+    mockSnapshots.findFetchesBefore.mockResolvedValue([
+      {
+        snapshot_id: 8,
+        sha256: 'def',
+        url: 'https://www.gov.uk/api/content/government/publications/fhl/attachment',
+        fetched_at: new Date('2026-03-09T12:00:00Z')
+      }
+    ]);
+    mockSnapshots.getSnapshotContent.mockResolvedValue(
+      Buffer.from(JSON.stringify({ details: { body: '<table></table>' } }))
+    );
+
+    const result = await reparse(FHL, { from: '2026-03-10', to: '2026-03-11' });
+
+    expect(mockSnapshots.getSnapshotContent).toHaveBeenCalledTimes(1);
+    expect(mockSync.fullReplaceSynchronize).toHaveBeenCalledTimes(2);
+    const [records, , , options] = mockSync.fullReplaceSynchronize.mock.calls[0];
+    expect(records.map((r) => r['case number'])).toEqual(['202500054 A4']);
+    expect(options).toEqual({ listDate: '2026-03-10', dryRun: false });
+    expect(result.dates.map((d) => d.date)).toEqual(['2026-03-10', '2026-03-11']);
+  });
+
+  test('re-parses a source scraped by the generic court list plugin', async () => {
+    mockSnapshots.findLatestFetchesByListDate.mockResolvedValue([
+      {
+        snapshot_id: 4,
+        sha256: 'ghi',
+        url: 'https://example.com/kb-list',
+        list_date: new Date('2026-03-12T00:00:00Z'),
+        division: null,
+        fetched_at: new Date('2026-03-12T07:00:00Z')
+      }
+    ]);
+    mockSnapshots.getSnapshotContent.mockResolvedValue(Buffer.from('<table></table>'));
+
+    const result = await reparse(GENERIC, { from: '2026-03-01', to: '2026-03-31' });
+
+    expect(mockSnapshots.findLatestFetchesByListDate).toHaveBeenCalledWith(
+      3,
+      'dcl_list',
+      '2026-03-01',
+      '2026-03-31'
+    );
+    expect(parseCivilTable).toHaveBeenCalledWith(
+      '<table></table>',
+      '2026-03-12',
+      'https://example.com/kb-list',
+      'Civil'
+    );
+    const [records, listDate, dataSourceId] = mockSync.synchronizeRecords.mock.calls[0];
+    expect(records[0].courtId).toBe(7);
+    expect([listDate, dataSourceId]).toEqual(['2026-03-12', 3]);
+    expect(result.dates).toEqual([expect.objectContaining({ date: '2026-03-12', success: true })]);
+  });
+
+  test('rejects a source with no plugin', async () => {
+    await expect(
+      reparse({ id: 4, slug: 'unknown_source' }, { from: '2026-03-01', to: '2026-03-31' })
+    ).rejects.toThrow('No reparser implemented for source: unknown_source');
+  });
+
+  test('rejects an inverted date range', async () => {
+    await expect(reparse(DCL, { from: '2026-03-31', to: '2026-03-01' })).rejects.toThrow(
+      'Invalid date range'
+    );
+  });
+});
@@ -0,0 +1,115 @@
+jest.mock('../../src/services/permission-service', () => ({
+  hasCapability: jest.fn()
+}));
+
+const PermissionService = require('../../src/services/permission-service');
+const {
+  canViewRestricted,
+  initialise,
+  redactCaseDetails,
+  redactHearing,
+  redactSnapshot,
+  applyReportingRestrictions
+} = require('../../src/services/reporting-restriction-service');
+
+function hearing(overrides) {
+  return {
+    id: 1,
+    case_number: '202403891 A1',
+    case_details: 'R v John Smith',
+    party_names: 'John Smith',
+    additional_information: null,
+    reporting_restriction: 'Sexual Offences (Amendment) Act 1992',
+    reporting_restricted: 1,
+    ...overrides
+  };
+}
+
+describe('reporting-restriction-service', () => {
+  describe('canViewRestricted', () => {
+    test('denies anonymous callers without checking capabilities', async () => {
+      expect(await canViewRestricted(null)).toBe(false);
+      expect(PermissionService.hasCapability).not.toHaveBeenCalled();
+    });
+
+    test('checks the hearings:view-restricted capability', async () => {
+      PermissionService.hasCapability.mockResolvedValueOnce(true);
+      expect(await canViewRestricted({ id: 7 })).toBe(true);
+      expect(PermissionService.hasCapability).toHaveBeenCalledWith(7, 'hearings:view-restricted');
+    });
+  });
+
+  describe('initialise', () => {
+    test('reduces names to initials', () => {
+      expect(initialise('John Smith')).toBe('J.S.');
+      expect(initialise('Smith, John Paul')).toBe('S.J.P.');
+      expect(initialise('smith')).toBe('S.');
+    });
+  });
+
+  describe('redactCaseDetails', () => {
+    test('replaces each party with their initials', () => {
+      expect(redactCaseDetails('R v John Smith and Jane Brown', ['John Smith', 'Jane Brown'])).toBe(
+        'R v J.S. and J.B.'
+      );
+      expect(redactCaseDetails('R  v  JOHN   SMITH', ['John Smith'])).toBe('R  v  J.S.');
+    });
+
+    test('withholds case details whose parties cannot be matched', () => {
+      expect(redactCaseDetails('R v Smith', [])).toBe('[Restricted]');
+      expect(redactCaseDetails('R v Smith', ['Jones'])).toBe('[Restricted]');
+      expect(redactCaseDetails(null, ['Smith'])).toBeNull();
+    });
+  });
+
+  describe('redactHearing', () => {
+    test('redacts case details, party names and additional information', () => {
+      const redacted = redactHearing(
+        hearing({ additional_information: 'John Smith to attend by video link' })
+      );
+      expect(redacted).toMatchObject({
+        case_number: '202403891 A1',
+        case_details: 'R v J.S.',
+        party_names: 'J.S.',
+        additional_information: 'J.S. to attend by video link'
+      });
+    });
+
+    test('leaves unrestricted hearings unchanged', () => {
+      const row = hearing({ reporting_restricted: 0 });
+      expect(redactHearing(row)).toBe(row);
+    });
+  });
+
+  describe('redactSnapshot', () => {
+    test("uses the parties named in the snapshot's own case details", () => {
+      expect(redactSnapshot({ case_details: 'R v Jane Brown', venue: 'Court 4' })).toEqual({
+        case_details: 'R v J.B.',
+        venue: 'Court 4'
+      });
+    });
+
+    test('falls back to the current parties for diffs without case details', () => {
+      expect(
+        redactSnapshot({ additional_information: 'John Smith in custody' }, ['John Smith'])
+      ).toEqual({ additional_information: 'J.S. in custody' });
+      expect(redactSnapshot({ judge: 'Males LJ' })).toEqual({ judge: 'Males LJ' });
+      expect(redactSnapshot(null)).toBeNull();
+    });
+  });
+
+  describe('applyReportingRestrictions', () => {
+    test('returns rows untouched for callers who may view them', () => {
+      const rows = [hearing()];
+      expect(applyReportingRestrictions(rows, true)).toBe(rows);
+    });
+
+    test('redacts only restricted rows', () => {
+      const rows = applyReportingRestrictions(
+        [hearing(), hearing({ id: 2, reporting_restricted: 0, case_details: 'R v Jones' })],
+        false
+      );
+      expect(rows.map((r) => r.case_details)).toEqual(['R v J.S.', 'R v Jones']);
+    });
+  });
+});
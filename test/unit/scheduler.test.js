@@ -0,0 +1,114 @@
+const mockHistory = { shouldScrape: jest.fn(), getLastSuccessfulScrape: jest.fn() };
+const mockJobs = { enqueueScrape: jest.fn(), getLatestJob: jest.fn() };
+const mockSources = { getEnabledSources: jest.fn() };
+
+jest.mock('../../src/services/scrape-history-service', () => mockHistory);
+jest.mock('../../src/services/scrape-job-service', () => mockJobs);
+jest.mock('../../src/services/data-source-service', () => mockSources);
+jest.mock('../../src/services/leader-service', () => ({}));
+jest.mock('../../src/scrapers/registry', () => ({ hasScraper: () => true }));
+jest.mock('../../src/scrapers/scrape-worker', () => ({}));
+jest.mock('node-cron', () => ({}));
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const { performScheduledScrape } = require('../../src/scrapers/scheduler');
+
+const dcl = (overrides = {}) => ({
+  id: 1,
+  slug: 'daily_cause_list',
+  scrape_interval_minutes: 120,
+  scrape_window_start_hour: 8,
+  scrape_window_end_hour: 18,
+  scrape_cron: null,
+  scrape_timezone: 'Europe/London',
+  closed_day_policy: 'thin',
+  vacation_policy: 'thin',
+  thinned_interval_minutes: 360,
+  ...overrides
+});
+
+/**
+ * Run the scheduler's check at a time, returning whether the source was queued
+ */
+async function queuedAt(time, source) {
+  jest.setSystemTime(new Date(time));
+  mockSources.getEnabledSources.mockResolvedValue([source]);
+  mockJobs.enqueueScrape.mockClear();
+  await performScheduledScrape();
+  return mockJobs.enqueueScrape.mock.calls.length === 1;
+}
+
+describe('scheduler', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers();
+    mockHistory.shouldScrape.mockResolvedValue(true);
+    mockHistory.getLastSuccessfulScrape.mockResolvedValue(null);
+    mockJobs.getLatestJob.mockResolvedValue(null);
+    mockJobs.enqueueScrape.mockResolvedValue({ job: { id: 9 }, created: true });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('reads the scraping window in the source timezone', async () => {
+    // 07:30 UTC is 08:30 BST, inside the 08:00-18:00 window
+    expect(await queuedAt('2026-10-19T07:30:00Z', dcl())).toBe(true);
+    // 17:30 UTC is 18:30 BST, outside it
+    expect(await queuedAt('2026-10-19T17:30:00Z', dcl())).toBe(false);
+    expect(await queuedAt('2026-10-19T17:30:00Z', dcl({ scrape_timezone: 'UTC' }))).toBe(true);
+  });
+
+  test('uses the interval on sitting days and thins out on non-sitting days', async () => {
+    // Monday
+    await queuedAt('2026-10-19T10:00:00Z', dcl());
+    expect(mockHistory.shouldScrape).toHaveBeenLastCalledWith(2, 1);
+
+    // Saturday
+    await queuedAt('2026-10-17T10:00:00Z', dcl());
+    expect(mockHistory.shouldScrape).toHaveBeenLastCalledWith(6, 1);
+
+    // Christmas Day, in the Christmas vacation
+    await queuedAt('2026-12-25T10:00:00Z', dcl({ closed_day_policy: 'scrape' }));
+    expect(mockHistory.shouldScrape).toHaveBeenLastCalledWith(2, 1);
+    await queuedAt('2026-12-23T10:00:00Z', dcl());
+    expect(mockHistory.shouldScrape).toHaveBeenLastCalledWith(6, 1);
+  });
+
+  test('does not scrape on days the source skips', async () => {
+    expect(await queuedAt('2026-10-17T10:00:00Z', dcl({ closed_day_policy: 'skip' }))).toBe(false);
+    expect(mockHistory.shouldScrape).not.toHaveBeenCalled();
+    expect(await queuedAt('2026-10-19T10:00:00Z', dcl({ closed_day_policy: 'skip' }))).toBe(true);
+  });
+
+  test('scrapes a cron source once per matching run', async () => {
+    const source = dcl({ scrape_cron: '0 9,15 * * mon-fri', closed_day_policy: 'skip' });
+
+    // 09:00 BST has passed and nothing has been scraped since
+    expect(await queuedAt('2026-10-19T08:10:00Z', source)).toBe(true);
+    expect(mockHistory.shouldScrape).not.toHaveBeenCalled();
+
+    // The 09:00 run has been scraped
+    mockHistory.getLastSuccessfulScrape.mockResolvedValue(new Date('2026-10-19T08:01:00Z'));
+    expect(await queuedAt('2026-10-19T08:10:00Z', source)).toBe(false);
+
+    // Not a run time
+    expect(await queuedAt('2026-10-19T11:00:00Z', source)).toBe(false);
+  });
+
+  test('waits for the next cron run after a job runs out of attempts', async () => {
+    const source = dcl({ scrape_cron: '0 9 * * *' });
+    mockJobs.getLatestJob.mockResolvedValue({
+      status: 'dead',
+      completedAt: new Date('2026-10-19T08:20:00Z')
+    });
+
+    expect(await queuedAt('2026-10-19T08:30:00Z', source)).toBe(false);
+  });
+});
@@ -0,0 +1,183 @@
+const fs = require('fs');
+const path = require('path');
+
+const mockQuery = jest.fn();
+const mockEmail = { sendSchemaDrift: jest.fn() };
+
+jest.mock('../../src/config/database', () => ({ query: mockQuery }));
+jest.mock('../../src/services/email-service', () => mockEmail);
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const {
+  extractTableHeaders,
+  mergeTableHeaders,
+  fingerprintHeaders,
+  compareHeaders
+} = require('../../src/scrapers/table-headers');
+const {
+  recordTableHeaders,
+  getSchemaDriftHistory
+} = require('../../src/services/schema-drift-service');
+
+const FIXTURES = path.join(__dirname, '../fixtures');
+
+const DCL_HEADERS = [
+  'venue',
+  'judge',
+  'time',
+  'case number',
+  'case details',
+  'hearing type',
+  'additional information'
+];
+
+describe('table-headers', () => {
+  test('extracts header rows in column order', () => {
+    const html = fs.readFileSync(path.join(FIXTURES, 'daily-cause-list.html'));
+    expect(extractTableHeaders(html)).toEqual([DCL_HEADERS]);
+  });
+
+  test('deduplicates tables that share headers', () => {
+    const table = '<table><thead><tr><th>Time</th><th> Case\n  number </th></tr></thead></table>';
+    const other = '<table><tr><th>Court</th></tr></table>';
+    expect(extractTableHeaders(table + table + other)).toEqual([
+      ['court'],
+      ['time', 'case number']
+    ]);
+    expect(extractTableHeaders('<p>No tables</p>')).toEqual([]);
+  });
+
+  test('fingerprints are stable, and change with column order', () => {
+    const rows = [['time', 'case number']];
+    expect(fingerprintHeaders(rows)).toMatch(/^[0-9a-f]{64}$/);
+    expect(fingerprintHeaders(mergeTableHeaders([rows, rows]))).toBe(fingerprintHeaders(rows));
+    expect(fingerprintHeaders([['case number', 'time']])).not.toBe(fingerprintHeaders(rows));
+    expect(fingerprintHeaders([])).toBeNull();
+  });
+
+  test('describes added, removed and reordered columns', () => {
+    expect(
+      compareHeaders([['venue', 'time', 'case number']], [['time', 'venue', 'case reference']])
+    ).toEqual({ added: ['case reference'], removed: ['case number'], reordered: true });
+    expect(compareHeaders([['time']], [['time', 'notes']])).toEqual({
+      added: ['notes'],
+      removed: [],
+      reordered: false
+    });
+  });
+});
+
+describe('schema-drift-service', () => {
+  const dataSource = { id: 1, slug: 'daily_cause_list', display_name: 'Daily Cause List' };
+  const previousHeaders = [DCL_HEADERS];
+  const newHeaders = [[...DCL_HEADERS.slice(0, 6), 'notes']];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockQuery.mockResolvedValue([]);
+  });
+
+  test('records the first fingerprint for a source without alerting', async () => {
+    const result = await recordTableHeaders(50, dataSource, previousHeaders);
+
+    expect(result).toEqual({ fingerprint: fingerprintHeaders(previousHeaders), drift: false });
+    expect(mockQuery).toHaveBeenLastCalledWith(expect.stringContaining('UPDATE scrape_history'), [
+      fingerprintHeaders(previousHeaders),
+      JSON.stringify(previousHeaders),
+      false,
+      50
+    ]);
+    expect(mockEmail.sendSchemaDrift).not.toHaveBeenCalled();
+  });
+
+  test('does not alert when the headers are unchanged', async () => {
+    mockQuery.mockResolvedValueOnce([
+      {
+        id: 49,
+        header_fingerprint: fingerprintHeaders(previousHeaders),
+        table_headers: JSON.stringify(previousHeaders)
+      }
+    ]);
+
+    const result = await recordTableHeaders(50, dataSource, previousHeaders);
+
+    expect(result.drift).toBe(false);
+    expect(mockEmail.sendSchemaDrift).not.toHaveBeenCalled();
+  });
+
+  test('flags drift and emails the old and new headers', async () => {
+    mockQuery.mockResolvedValueOnce([
+      {
+        id: 49,
+        header_fingerprint: fingerprintHeaders(previousHeaders),
+        table_headers: JSON.stringify(previousHeaders)
+      }
+    ]);
+    mockEmail.sendSchemaDrift.mockRejectedValueOnce(new Error('SMTP down'));
+
+    const result = await recordTableHeaders(50, dataSource, newHeaders, {
+      url: 'https://example.com/list',
+      date: '2026-03-10'
+    });
+
+    expect(result).toMatchObject({
+      drift: true,
+      changes: { added: ['notes'], removed: ['additional information'], reordered: false }
+    });
+    expect(mockQuery.mock.calls[1][1][2]).toBe(true);
+    expect(mockEmail.sendSchemaDrift).toHaveBeenCalledWith(
+      expect.objectContaining({
+        source: 'daily_cause_list',
+        scrapeId: 50,
+        previousScrapeId: 49,
+        previousHeaders,
+        headers: newHeaders,
+        url: 'https://example.com/list'
+      })
+    );
+  });
+
+  test('records nothing for a scrape without tables', async () => {
+    expect(await recordTableHeaders(50, dataSource, [])).toBeNull();
+    expect(mockQuery).not.toHaveBeenCalled();
+  });
+
+  test('lists drift events with the headers before and after', async () => {
+    mockQuery.mockResolvedValueOnce([
+      {
+        id: 50,
+        data_source_id: 1,
+        started_at: '2026-03-10T08:00:00.000Z',
+        header_fingerprint: 'b'.repeat(64),
+        table_headers: JSON.stringify(newHeaders),
+        slug: 'daily_cause_list',
+        display_name: 'Daily Cause List',
+        previous_id: 49,
+        previous_started_at: '2026-03-09T16:00:00.000Z',
+        previous_fingerprint: 'a'.repeat(64),
+        previous_headers: JSON.stringify(previousHeaders)
+      }
+    ]);
+
+    const events = await getSchemaDriftHistory({ dataSourceId: 1, limit: 10 });
+
+    expect(mockQuery).toHaveBeenCalledWith(
+      expect.stringContaining('sh.data_source_id = ?'),
+      [1, 10]
+    );
+    expect(events).toEqual([
+      expect.objectContaining({
+        scrapeId: 50,
+        dataSource: { id: 1, slug: 'daily_cause_list', name: 'Daily Cause List' },
+        headers: newHeaders,
+        previous: expect.objectContaining({ scrapeId: 49, headers: previousHeaders }),
+        changes: { added: ['notes'], removed: ['additional information'], reordered: false }
+      })
+    ]);
+  });
+});
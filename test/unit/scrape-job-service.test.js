@@ -0,0 +1,283 @@
+const mockQuery = jest.fn();
+const mockScraper = { scrapeAll: jest.fn() };
+
+jest.mock('../../src/config/database', () => ({ query: mockQuery }));
+jest.mock('../../src/services/scraper-service', () => mockScraper);
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const config = require('../../src/config/config');
+const {
+  backoffSeconds,
+  enqueueScrape,
+  claimNextJob,
+  completeJob,
+  failJob,
+  recoverStaleJobs
+} = require('../../src/services/scrape-job-service');
+const { runDueJobs, startWorker, stopWorker } = require('../../src/scrapers/scrape-worker');
+
+const dataSource = { id: 1, slug: 'daily_cause_list', display_name: 'Daily Cause List' };
+
+const jobRow = (overrides = {}) => ({
+  id: 9,
+  data_source_id: 1,
+  scrape_type: 'scheduled',
+  status: 'running',
+  attempts: 1,
+  max_attempts: 5,
+  locked_by: 'host:123',
+  ...overrides
+});
+
+const listedJob = (overrides = {}) => ({
+  id: 9,
+  data_source_id: 1,
+  scrape_type: 'manual',
+  status: 'queued',
+  attempts: 0,
+  max_attempts: 5,
+  result: null,
+  slug: 'daily_cause_list',
+  display_name: 'Daily Cause List',
+  requested_by_email: 'admin@example.com',
+  ...overrides
+});
+
+describe('scrape-job-service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockQuery.mockResolvedValue([]);
+  });
+
+  test('backs off exponentially from the configured base', () => {
+    const base = config.scraping.jobs.backoffBaseSeconds;
+    expect([1, 2, 3, 4].map(backoffSeconds)).toEqual([base, 2 * base, 4 * base, 8 * base]);
+  });
+
+  test('queues a scrape and returns the new job', async () => {
+    mockQuery
+      .mockResolvedValueOnce([])
+      .mockResolvedValueOnce({ insertId: 9 })
+      .mockResolvedValueOnce([listedJob()]);
+
+    const { job, created } = await enqueueScrape(dataSource, 'manual', { requestedBy: 3 });
+
+    expect(created).toBe(true);
+    expect(mockQuery.mock.calls[1][1]).toEqual([1, 'manual', config.scraping.jobs.maxAttempts, 3]);
+    expect(job).toMatchObject({
+      id: 9,
+      dataSource: { id: 1, slug: 'daily_cause_list', name: 'Daily Cause List' },
+      scrapeType: 'manual',
+      status: 'queued',
+      requestedBy: 'admin@example.com'
+    });
+  });
+
+  test('does not queue a second job while one is active', async () => {
+    mockQuery
+      .mockResolvedValueOnce([{ id: 8 }])
+      .mockResolvedValueOnce([listedJob({ id: 8, status: 'failed', attempts: 2 })]);
+
+    const { job, created } = await enqueueScrape(dataSource, 'scheduled');
+
+    expect(created).toBe(false);
+    expect(job).toMatchObject({ id: 8, status: 'failed', attempts: 2 });
+    expect(mockQuery.mock.calls[0][0]).toContain("status IN ('queued', 'running', 'failed')");
+    expect(mockQuery).not.toHaveBeenCalledWith(
+      expect.stringContaining('INSERT INTO scrape_jobs'),
+      expect.anything()
+    );
+  });
+
+  test('returns the job another instance queued first', async () => {
+    const duplicate = Object.assign(new Error('Duplicate entry'), { code: 'ER_DUP_ENTRY' });
+    mockQuery
+      .mockResolvedValueOnce([])
+      .mockRejectedValueOnce(duplicate)
+      .mockResolvedValueOnce([{ id: 10 }])
+      .mockResolvedValueOnce([listedJob({ id: 10, scrape_type: 'scheduled' })]);
+
+    const { job, created } = await enqueueScrape(dataSource, 'manual', { requestedBy: 3 });
+
+    expect(created).toBe(false);
+    expect(job).toMatchObject({ id: 10, scrapeType: 'scheduled' });
+  });
+
+  test('claims nothing when no job is due', async () => {
+    mockQuery.mockResolvedValueOnce({ affectedRows: 0 });
+
+    expect(await claimNextJob('host:123')).toBeNull();
+    expect(mockQuery.mock.calls[0][0]).toContain('run_after <= NOW()');
+    expect(mockQuery).toHaveBeenCalledTimes(1);
+  });
+
+  test('keeps the statistics of a successful scrape', async () => {
+    await completeJob(9, {
+      success: true,
+      linksProcessed: 2,
+      recordsAdded: 5,
+      recordsUpdated: 1,
+      recordsDeleted: 0,
+      duration: 1200,
+      syncResults: [{ success: true }, { success: false, error: 'timeout' }]
+    });
+
+    const [sql, params] = mockQuery.mock.calls[0];
+    expect(sql).toContain("status = 'succeeded'");
+    expect(JSON.parse(params[0])).toEqual({
+      linksProcessed: 2,
+      recordsAdded: 5,
+      recordsUpdated: 1,
+      recordsDeleted: 0,
+      failedLists: 1,
+      quarantined: 0,
+      skippedReason: null,
+      duration: 1200
+    });
+  });
+
+  test('retries a failed attempt after a backoff', async () => {
+    const outcome = await failJob(jobRow({ attempts: 2 }), new Error('ETIMEDOUT'));
+
+    expect(outcome).toEqual({ status: 'failed', retryInSeconds: backoffSeconds(2) });
+    const [sql, params] = mockQuery.mock.calls[0];
+    expect(sql).toContain("status = 'failed'");
+    expect(sql).toContain('run_after = NOW() + INTERVAL ? SECOND');
+    expect(params).toEqual(['ETIMEDOUT', backoffSeconds(2), 9]);
+  });
+
+  test('gives up once the job is out of attempts, or cannot succeed', async () => {
+    expect(await failJob(jobRow({ attempts: 5 }), new Error('ETIMEDOUT'))).toEqual({
+      status: 'dead',
+      retryInSeconds: null
+    });
+    expect(mockQuery.mock.calls[0][0]).toContain("status = 'dead'");
+
+    expect(await failJob(jobRow(), new Error('No scraper'), { retry: false })).toMatchObject({
+      status: 'dead'
+    });
+  });
+
+  test('recovers jobs left running by a dead worker', async () => {
+    mockQuery.mockResolvedValueOnce([jobRow({ locked_by: 'old-host:99' })]);
+
+    expect(await recoverStaleJobs()).toBe(1);
+
+    expect(mockQuery.mock.calls[0][1]).toEqual([config.scraping.jobs.staleAfterMinutes]);
+    // The scrape the worker was running is closed as failed...
+    expect(mockQuery.mock.calls[1][0]).toContain('UPDATE scrape_history');
+    expect(mockQuery.mock.calls[1][1]).toEqual([
+      'Worker old-host:99 stopped before the scrape finished',
+      9
+    ]);
+    // ...and the job is retried like any other failure
+    expect(mockQuery.mock.calls[2][0]).toContain("status = 'failed'");
+  });
+});
+
+describe('scrape-worker', () => {
+  const sourceRow = { ...dataSource, base_url: 'https://example.com/summary' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockQuery.mockImplementation(async (sql) => {
+      if (sql.includes("SET status = 'running'")) {
+        const due = mockQuery.mock.calls.filter(([s]) => s.includes("SET status = 'running'"));
+        return { affectedRows: due.length === 1 ? 1 : 0 };
+      }
+      if (sql.includes("WHERE status = 'running' AND locked_by = ?")) return [jobRow()];
+      if (sql.includes('FROM data_sources')) return [sourceRow];
+      return [];
+    });
+  });
+
+  test('runs due jobs and records their results', async () => {
+    mockScraper.scrapeAll.mockResolvedValueOnce({
+      success: true,
+      linksProcessed: 1,
+      recordsAdded: 3,
+      recordsUpdated: 0,
+      recordsDeleted: 0,
+      duration: 500,
+      syncResults: []
+    });
+
+    expect(await runDueJobs()).toBe(1);
+
+    expect(mockScraper.scrapeAll).toHaveBeenCalledWith('scheduled', sourceRow, { jobId: 9 });
+    expect(mockQuery).toHaveBeenCalledWith(expect.stringContaining("status = 'succeeded'"), [
+      expect.stringContaining('"recordsAdded":3'),
+      9
+    ]);
+  });
+
+  test('schedules a retry when the scrape throws', async () => {
+    mockScraper.scrapeAll.mockRejectedValueOnce(new Error('Summary page returned 503'));
+
+    await runDueJobs();
+
+    expect(mockQuery).toHaveBeenCalledWith(expect.stringContaining("status = 'failed'"), [
+      'Summary page returned 503',
+      backoffSeconds(1),
+      9
+    ]);
+  });
+
+  test('a restart waits for a job the last stop gave up on, and its loop stops', async () => {
+    jest.useFakeTimers();
+    // Two jobs are due
+    mockQuery.mockImplementation(async (sql) => {
+      if (sql.includes("SET status = 'running'")) {
+        const due = mockQuery.mock.calls.filter(([s]) => s.includes("SET status = 'running'"));
+        return { affectedRows: due.length <= 2 ? 1 : 0 };
+      }
+      if (sql.includes("WHERE status = 'running' AND locked_by = ?")) return [jobRow()];
+      if (sql.includes('FROM data_sources')) return [sourceRow];
+      return [];
+    });
+    let finishSlowJob;
+    let running = 0;
+    let mostAtOnce = 0;
+    mockScraper.scrapeAll.mockImplementation(async () => {
+      mostAtOnce = Math.max(mostAtOnce, ++running);
+      if (mockScraper.scrapeAll.mock.calls.length === 1) {
+        await new Promise((resolve) => {
+          finishSlowJob = resolve;
+        });
+      }
+      running--;
+      return { success: true, syncResults: [] };
+    });
+
+    try {
+      startWorker();
+      await jest.advanceTimersByTimeAsync(0);
+      expect(mockScraper.scrapeAll).toHaveBeenCalledTimes(1);
+
+      // Lose the lease: the stop gives up waiting for the slow job
+      const stopped = stopWorker();
+      await jest.advanceTimersByTimeAsync(61000);
+      await stopped;
+
+      // Win it back while the slow job is still running
+      startWorker();
+      await jest.advanceTimersByTimeAsync(0);
+      expect(mockScraper.scrapeAll).toHaveBeenCalledTimes(1);
+
+      finishSlowJob();
+      await jest.advanceTimersByTimeAsync(0);
+
+      // Only the new loop went on to the second job
+      expect(mockScraper.scrapeAll).toHaveBeenCalledTimes(2);
+      expect(mostAtOnce).toBe(1);
+    } finally {
+      await stopWorker();
+      jest.useRealTimers();
+    }
+  });
+});
@@ -0,0 +1,151 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Replay the recordings in test/fixtures/replay; set before config is loaded
+process.env.SCRAPE_REPLAY_DIR = path.join(__dirname, '../fixtures/replay');
+
+const mockFetch = jest.fn();
+global.fetch = mockFetch;
+
+const mockQuery = jest.fn();
+const mockSync = {
+  synchronizeRecords: jest.fn(),
+  fullReplaceSynchronize: jest.fn()
+};
+const mockHistory = {
+  recordScrapeStart: jest.fn(),
+  recordScrapeComplete: jest.fn(),
+  recordScrapeError: jest.fn(),
+  getLastSourceUpdatedAt: jest.fn()
+};
+
+jest.mock('../../src/config/database', () => ({ query: mockQuery }));
+jest.mock('../../src/services/sync-service', () => mockSync);
+jest.mock('../../src/services/scrape-history-service', () => mockHistory);
+jest.mock('../../src/services/snapshot-service', () => ({ archiveSnapshot: jest.fn() }));
+jest.mock('../../src/services/notification-service', () => ({
+  processSavedSearchNotifications: jest.fn().mockResolvedValue({})
+}));
+jest.mock('../../src/services/email-service', () => ({
+  sendDataError: jest.fn()
+}));
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const config = require('../../src/config/config');
+const { scrapeAll } = require('../../src/services/scraper-service');
+const { fetchUrl } = require('../../src/scrapers/http-fetcher');
+const { replayDate } = require('../../src/scrapers/replay');
+
+const criminalDCL = {
+  id: 1,
+  slug: 'daily_cause_list',
+  base_url: config.scraping.summaryPageUrl,
+  court_id: 1,
+  location_id: 109,
+  list_title_pattern: 'court of appeal[^a-z]+criminal division',
+  division: 'Criminal'
+};
+
+const futureHearingList = {
+  id: 3,
+  slug: 'future_hearing_list',
+  base_url:
+    'https://www.gov.uk/government/publications/court-of-appeal-cases-fixed-for-hearing-criminal-division',
+  court_id: 1
+};
+
+describe('scrape replay', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockQuery.mockResolvedValue([]);
+    mockHistory.recordScrapeStart.mockResolvedValue(42);
+    mockHistory.getLastSourceUpdatedAt.mockResolvedValue(null);
+    mockSync.synchronizeRecords.mockResolvedValue({ added: 1, updated: 0, deleted: 0 });
+    mockSync.fullReplaceSynchronize.mockResolvedValue({ added: 2, updated: 0, deleted: 0 });
+  });
+
+  test('runs as of the latest recorded date', () => {
+    expect(replayDate()).toBe('2025-12-11');
+  });
+
+  test('replays a daily cause list scrape end to end without going upstream', async () => {
+    const result = await scrapeAll('manual', criminalDCL);
+
+    expect(mockFetch).not.toHaveBeenCalled();
+    expect(result.linksProcessed).toBe(2);
+    expect(mockSync.synchronizeRecords.mock.calls.map((call) => call[1])).toEqual([
+      '2025-12-11',
+      '2025-12-12'
+    ]);
+
+    const [records] = mockSync.synchronizeRecords.mock.calls[0];
+    expect(records.length).toBeGreaterThan(0);
+    expect(records[0]).toMatchObject({ 'case number': '202403891 A1', courtId: 1 });
+
+    // The recorded ETag is kept, as after a live fetch
+    expect(mockQuery).toHaveBeenCalledWith(
+      expect.stringContaining('INSERT INTO http_validators'),
+      expect.arrayContaining(['W/"dcl-2025-12-11"'])
+    );
+  });
+
+  test('replays a Future Hearing List scrape end to end', async () => {
+    const result = await scrapeAll('manual', futureHearingList);
+
+    expect(mockFetch).not.toHaveBeenCalled();
+    expect(result.sourceUpdatedAt).toBe('2025-12-10T16:30:02+00:00');
+
+    const [records] = mockSync.fullReplaceSynchronize.mock.calls[0];
+    expect(records.map((r) => r['case number'])).toEqual(['202500054 A4', '202501207 B1']);
+  });
+
+  test('fails requests that were never recorded', async () => {
+    await expect(fetchUrl('https://www.gov.uk/unrecorded')).rejects.toThrow(
+      'No recording for https://www.gov.uk/unrecorded on 2025-12-11'
+    );
+  });
+
+  describe('record mode', () => {
+    const replay = config.scraping.replay;
+    let recordDir;
+
+    beforeEach(() => {
+      recordDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cacd-replay-'));
+      config.scraping.replay = { dir: recordDir, mode: 'record', date: null };
+    });
+
+    afterEach(() => {
+      config.scraping.replay = replay;
+      fs.rmSync(recordDir, { recursive: true, force: true });
+    });
+
+    test('records live responses that replay identically', async () => {
+      const url = 'https://www.gov.uk/api/content/some/publication';
+      mockFetch.mockResolvedValueOnce(
+        new Response('{"title":"Recorded"}', {
+          status: 200,
+          headers: { 'content-type': 'application/json', etag: '"r1"' }
+        })
+      );
+
+      const live = await fetchUrl(url, { accept: 'application/json' });
+      expect(mockFetch).toHaveBeenCalledTimes(1);
+
+      const [recordedDate] = fs.readdirSync(recordDir);
+      config.scraping.replay = { dir: recordDir, mode: 'replay', date: null };
+      expect(replayDate()).toBe(recordedDate);
+
+      const replayed = await fetchUrl(url, { accept: 'application/json' });
+      expect(mockFetch).toHaveBeenCalledTimes(1);
+      expect(replayed.body.toString('utf8')).toBe(live.body.toString('utf8'));
+      expect(replayed.contentType).toBe('application/json');
+      expect(replayed.validators.etag).toBe('"r1"');
+    });
+  });
+});
@@ -0,0 +1,415 @@
+const mockSync = {
+  synchronizeRecords: jest.fn(),
+  fullReplaceSynchronize: jest.fn()
+};
+const mockHistory = {
+  recordScrapeStart: jest.fn(),
+  recordScrapeComplete: jest.fn(),
+  recordScrapeError: jest.fn(),
+  getLastSourceUpdatedAt: jest.fn()
+};
+const mockSnapshots = {
+  archiveSnapshot: jest.fn()
+};
+const mockNotifications = {
+  processSavedSearchNotifications: jest.fn()
+};
+const mockFetcher = {
+  saveValidators: jest.fn()
+};
+const mockDrift = {
+  recordTableHeaders: jest.fn()
+};
+const mockQuery = jest.fn();
+
+jest.mock('../../src/config/database', () => ({ query: mockQuery }));
+jest.mock('../../src/services/sync-service', () => mockSync);
+jest.mock('../../src/services/scrape-history-service', () => mockHistory);
+jest.mock('../../src/services/snapshot-service', () => mockSnapshots);
+jest.mock('../../src/services/notification-service', () => mockNotifications);
+jest.mock('../../src/scrapers/http-fetcher', () => mockFetcher);
+jest.mock('../../src/services/schema-drift-service', () => mockDrift);
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+jest.mock('../../src/services/email-service', () => ({
+  sendDataError: jest.fn(),
+  sendSyncQuarantined: jest.fn()
+}));
+
+const { scrapeAll, assignCourt } = require('../../src/services/scraper-service');
+const {
+  registerScraper,
+  getScraper,
+  resolveScraper,
+  hasScraper,
+  listScrapers
+} = require('../../src/scrapers/registry');
+
+const syncResult = { added: 2, updated: 1, restored: 0, deleted: 0 };
+
+/**
+ * Register a test plugin; slugs must be unique across the file
+ */
+function testPlugin(slug, overrides = {}) {
+  return registerScraper({
+    slug,
+    syncStrategy: 'incremental',
+    notifySavedSearches: false,
+    discover: jest.fn().mockResolvedValue({
+      targets: [
+        { url: 'https://example.com/a', listDate: '2026-03-10', division: 'Criminal' },
+        { url: 'https://example.com/b', listDate: '2026-03-11', division: 'Criminal' }
+      ]
+    }),
+    fetch: jest.fn().mockResolvedValue({
+      content: Buffer.from('<table></table>'),
+      contentType: 'text/html',
+      documentType: 'test_list'
+    }),
+    parse: jest.fn().mockResolvedValue([{ 'case number': '202403891 A1', time: '10:30am' }]),
+    ...overrides
+  });
+}
+
+describe('scraper registry', () => {
+  test('registers the built-in sources', () => {
+    expect(listScrapers()).toEqual(
+      expect.arrayContaining(['daily_cause_list', 'civil_daily_cause_list', 'future_hearing_list'])
+    );
+    expect(getScraper('future_hearing_list').syncStrategy).toBe('full-replace');
+    expect(hasScraper({ slug: 'no_such_source' })).toBe(false);
+    expect(hasScraper({ slug: 'daily_cause_list' })).toBe(true);
+  });
+
+  test('scrapes configured court list sources with the generic plugin', () => {
+    const oldBailey = {
+      slug: 'old_bailey_daily_list',
+      location_id: 417,
+      list_title_pattern: 'central criminal court daily list'
+    };
+    const plugin = resolveScraper(oldBailey);
+    expect(plugin.slug).toBe('old_bailey_daily_list');
+    expect(plugin.syncStrategy).toBe('incremental');
+
+    expect(resolveScraper({ slug: 'old_bailey_daily_list', location_id: 417 })).toBeNull();
+    expect(hasScraper({ ...oldBailey, list_title_pattern: null })).toBe(false);
+  });
+
+  test('rejects incomplete and duplicate plugins', () => {
+    expect(() => registerScraper({ slug: 'broken', syncStrategy: 'incremental' })).toThrow(
+      'must implement discover()'
+    );
+    expect(() => testPlugin('bad_strategy', { syncStrategy: 'append' })).toThrow(
+      'unknown sync strategy'
+    );
+    expect(() => testPlugin('daily_cause_list')).toThrow('already registered');
+  });
+});
+
+describe('scraper-service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockHistory.recordScrapeStart.mockResolvedValue(77);
+    mockQuery.mockResolvedValue({ affectedRows: 0 });
+    mockSync.synchronizeRecords.mockResolvedValue(syncResult);
+    mockSync.fullReplaceSynchronize.mockResolvedValue(syncResult);
+  });
+
+  test('throws for a source without a scraper', async () => {
+    await expect(scrapeAll('manual', { id: 9, slug: 'no_such_source' })).rejects.toThrow(
+      'No scraper implemented for source: no_such_source'
+    );
+  });
+
+  test('fetches, archives, parses and syncs each target by list date', async () => {
+    const plugin = testPlugin('incremental_source');
+
+    const result = await scrapeAll('manual', { id: 5, slug: 'incremental_source', court_id: 4 });
+
+    expect(plugin.fetch).toHaveBeenCalledTimes(2);
+    expect(mockSnapshots.archiveSnapshot).toHaveBeenCalledWith(
+      expect.objectContaining({
+        url: 'https://example.com/a',
+        documentType: 'test_list',
+        listDate: '2026-03-10',
+        dataSourceId: 5,
+        scrapeId: 77
+      })
+    );
+    expect(mockSync.synchronizeRecords).toHaveBeenCalledWith(
+      [expect.objectContaining({ courtId: 4 })],
+      '2026-03-11',
+      5,
+      77,
+      { guard: expect.any(Function) }
+    );
+    expect(result).toMatchObject({ linksProcessed: 2, recordsAdded: 4, recordsUpdated: 2 });
+    expect(mockHistory.recordScrapeComplete).toHaveBeenCalledWith(77, result);
+    expect(mockNotifications.processSavedSearchNotifications).not.toHaveBeenCalled();
+  });
+
+  test('keeps going when one incremental target fails', async () => {
+    testPlugin('partial_source', {
+      fetch: jest
+        .fn()
+        .mockRejectedValueOnce(new Error('List not found (404)'))
+        .mockResolvedValue({ content: Buffer.from('<table></table>') }),
+      notifySavedSearches: true
+    });
+    mockNotifications.processSavedSearchNotifications.mockResolvedValue({ sent: 1 });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const result = await scrapeAll('scheduled', { id: 6, slug: 'partial_source' });
+
+    expect(result.syncResults[0]).toMatchObject({ success: false, error: 'List not found (404)' });
+    expect(result.recordsAdded).toBe(2);
+    // No documentType, so nothing to archive
+    expect(mockSnapshots.archiveSnapshot).not.toHaveBeenCalled();
+    expect(result.notifications).toEqual({ sent: 1 });
+  });
+
+  test('skips the sync when the freshness check says upstream is unchanged', async () => {
+    const plugin = testPlugin('fresh_source', {
+      discover: jest.fn().mockResolvedValue({
+        targets: [{ url: 'https://example.com/fhl' }],
+        documents: [{ url: 'https://example.com/api', documentType: 'raw', content: '{}' }],
+        sourceUpdatedAt: '2026-03-01T10:00:00Z'
+      }),
+      isUnchanged: jest.fn().mockResolvedValue(true)
+    });
+
+    const result = await scrapeAll('manual', { id: 7, slug: 'fresh_source' });
+
+    expect(mockSnapshots.archiveSnapshot).toHaveBeenCalledTimes(1);
+    expect(plugin.fetch).not.toHaveBeenCalled();
+    expect(result).toMatchObject({
+      skippedReason: 'upstream_unchanged',
+      sourceUpdatedAt: '2026-03-01T10:00:00Z',
+      linksProcessed: 1
+    });
+  });
+
+  test('skips lists not modified since their last sync, and saves validators after sync', async () => {
+    const validators = { etag: '"v2"', lastModified: null };
+    testPlugin('conditional_source', {
+      fetch: jest
+        .fn()
+        .mockResolvedValueOnce({ notModified: true })
+        .mockResolvedValue({ content: Buffer.from('<table></table>'), validators })
+    });
+
+    const result = await scrapeAll('scheduled', { id: 10, slug: 'conditional_source' });
+
+    expect(result.syncResults[0]).toMatchObject({
+      date: '2026-03-10',
+      notModified: true,
+      added: 0
+    });
+    expect(mockSync.synchronizeRecords).toHaveBeenCalledTimes(1);
+    expect(mockFetcher.saveValidators).toHaveBeenCalledTimes(1);
+    expect(mockFetcher.saveValidators).toHaveBeenCalledWith('https://example.com/b', validators);
+    expect(result.recordsAdded).toBe(2);
+  });
+
+  test('does not save validators for a list that failed to sync', async () => {
+    testPlugin('unsynced_source', {
+      fetch: jest.fn().mockResolvedValue({
+        content: Buffer.from('<table></table>'),
+        validators: { etag: '"v1"' }
+      })
+    });
+    mockSync.synchronizeRecords.mockRejectedValue(new Error('Deadlock found'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await scrapeAll('scheduled', { id: 11, slug: 'unsynced_source' });
+
+    expect(mockFetcher.saveValidators).not.toHaveBeenCalled();
+  });
+
+  test('quarantines a sync that trips the sync guard, without saving validators', async () => {
+    testPlugin('guarded_source', {
+      fetch: jest.fn().mockResolvedValue({
+        content: Buffer.from('<table></table>'),
+        validators: { etag: '"v3"' }
+      })
+    });
+    mockSync.synchronizeRecords.mockImplementation(
+      async (records, listDate, id, scrapeId, options) => {
+        const reason = options.guard({ existing: 40, incoming: records.length, deleting: 39 });
+        return reason
+          ? { quarantined: true, reason, existing: 40, incoming: 1, deleting: 39, added: 0 }
+          : syncResult;
+      }
+    );
+    mockQuery.mockResolvedValue({ insertId: 5 });
+
+    const result = await scrapeAll('scheduled', {
+      id: 14,
+      slug: 'guarded_source',
+      sync_guard_min_rows: 10,
+      sync_max_delete_percent: 50,
+      sync_min_new_rows: 1
+    });
+
+    expect(result.syncResults[0]).toMatchObject({
+      date: '2026-03-10',
+      quarantined: true,
+      pendingSyncId: 5,
+      reason: 'Would remove 39 of 40 hearings (98%, limit 50%)'
+    });
+    expect(result).toMatchObject({ recordsDeleted: 0, quarantined: 2 });
+    expect(mockFetcher.saveValidators).not.toHaveBeenCalled();
+  });
+
+  test('re-evaluates a quarantined sync on the next scrape of an unchanged source', async () => {
+    // The FHL's freshness check, against the source_updated_at last recorded
+    let lastSourceUpdatedAt = null;
+    mockHistory.recordScrapeComplete.mockImplementation(async (scrapeId, result) => {
+      if (result.sourceUpdatedAt) lastSourceUpdatedAt = result.sourceUpdatedAt;
+    });
+    mockHistory.getLastSourceUpdatedAt.mockImplementation(async () => lastSourceUpdatedAt);
+    testPlugin('quarantined_feed', {
+      syncStrategy: 'full-replace',
+      discover: jest.fn().mockResolvedValue({
+        targets: [{ url: 'https://example.com/fhl' }],
+        sourceUpdatedAt: '2026-03-01T10:00:00Z'
+      }),
+      isUnchanged: getScraper('future_hearing_list').isUnchanged
+    });
+    mockSync.fullReplaceSynchronize.mockImplementation(async (records, id, scrapeId, options) => {
+      const reason = options.guard({ existing: 120, incoming: 1, deleting: 119 });
+      return reason ? { quarantined: true, reason, added: 0, updated: 0, deleted: 0 } : syncResult;
+    });
+    mockQuery.mockResolvedValue({ insertId: 6 });
+    const dataSource = {
+      id: 16,
+      slug: 'quarantined_feed',
+      sync_guard_min_rows: 10,
+      sync_max_delete_percent: 50,
+      sync_min_new_rows: 1
+    };
+
+    const first = await scrapeAll('scheduled', dataSource);
+    const second = await scrapeAll('scheduled', dataSource);
+
+    expect(first).toMatchObject({ quarantined: 1 });
+    expect(first).not.toHaveProperty('sourceUpdatedAt');
+    expect(second.skippedReason).toBeUndefined();
+    expect(mockSync.fullReplaceSynchronize).toHaveBeenCalledTimes(2);
+  });
+
+  test('dry runs fetch unconditionally and report the changes without writing', async () => {
+    const changes = [
+      {
+        changeType: 'updated',
+        hearingId: 12,
+        listDate: '2026-03-10',
+        caseNumber: '202403891 A1',
+        time: '10:30am',
+        fields: { venue: { old: 'Court 4', new: 'Court 5' } }
+      }
+    ];
+    const plugin = testPlugin('dry_run_source', {
+      fetch: jest.fn().mockResolvedValue({
+        content: Buffer.from('<table><tr><th>Time</th></tr></table>'),
+        contentType: 'text/html',
+        documentType: 'test_list',
+        validators: { etag: '"v4"' }
+      }),
+      isUnchanged: jest.fn().mockResolvedValue(true),
+      notifySavedSearches: true
+    });
+    mockSync.synchronizeRecords.mockResolvedValue({ ...syncResult, dryRun: true, changes });
+
+    const result = await scrapeAll('manual', { id: 15, slug: 'dry_run_source' }, { dryRun: true });
+
+    expect(plugin.isUnchanged).not.toHaveBeenCalled();
+    expect(plugin.fetch).toHaveBeenCalledWith(expect.any(Object), expect.any(Object), {
+      conditional: false
+    });
+    expect(mockSync.synchronizeRecords).toHaveBeenCalledWith(
+      expect.any(Array),
+      '2026-03-10',
+      15,
+      null,
+      { dryRun: true }
+    );
+    expect(result).toMatchObject({ dryRun: true, recordsAdded: 4 });
+    expect(result.syncResults[0].changes).toEqual(changes);
+
+    expect(mockHistory.recordScrapeStart).not.toHaveBeenCalled();
+    expect(mockHistory.recordScrapeComplete).not.toHaveBeenCalled();
+    expect(mockSnapshots.archiveSnapshot).not.toHaveBeenCalled();
+    expect(mockFetcher.saveValidators).not.toHaveBeenCalled();
+    expect(mockDrift.recordTableHeaders).not.toHaveBeenCalled();
+    expect(mockNotifications.processSavedSearchNotifications).not.toHaveBeenCalled();
+    expect(mockQuery).not.toHaveBeenCalled();
+  });
+
+  test('fingerprints the table headers of the fetched lists and reports drift', async () => {
+    const html = '<table><thead><tr><th>Time</th><th>Case number</th></tr></thead></table>';
+    testPlugin('drifting_source', {
+      fetch: jest.fn().mockResolvedValue({ content: Buffer.from(html), contentType: 'text/html' })
+    });
+    const changes = { added: ['case number'], removed: ['case no'], reordered: false };
+    mockDrift.recordTableHeaders.mockResolvedValueOnce({ drift: true, changes });
+    const dataSource = { id: 12, slug: 'drifting_source' };
+
+    const result = await scrapeAll('scheduled', dataSource);
+
+    expect(mockDrift.recordTableHeaders).toHaveBeenCalledWith(
+      77,
+      dataSource,
+      [['time', 'case number']],
+      { url: 'https://example.com/a', date: '2026-03-10' }
+    );
+    expect(result.schemaDrift).toEqual(changes);
+  });
+
+  test('does not fail the scrape when the drift check fails', async () => {
+    testPlugin('drift_error_source', {
+      fetch: jest.fn().mockResolvedValue({ content: '<table><tr><th>Time</th></tr></table>' })
+    });
+    mockDrift.recordTableHeaders.mockRejectedValueOnce(new Error('Unknown column'));
+
+    const result = await scrapeAll('scheduled', { id: 13, slug: 'drift_error_source' });
+
+    expect(result.success).toBe(true);
+    expect(result.schemaDrift).toBeUndefined();
+  });
+
+  test('fails the run when a full-replace target fails', async () => {
+    testPlugin('full_source', {
+      syncStrategy: 'full-replace',
+      discover: jest.fn().mockResolvedValue({ targets: [{ url: 'https://example.com/fhl' }] }),
+      parse: jest.fn().mockRejectedValue(new Error('No table found'))
+    });
+
+    await expect(scrapeAll('manual', { id: 8, slug: 'full_source' })).rejects.toThrow(
+      'No table found'
+    );
+    expect(mockSync.fullReplaceSynchronize).not.toHaveBeenCalled();
+    expect(mockHistory.recordScrapeError).toHaveBeenCalledWith(77, expect.any(Error));
+  });
+
+  test("records the data source's court unless the parser set one", () => {
+    const records = assignCourt([{}, { courtId: 9 }], { id: 1, court_id: 3 });
+    expect(records.map((r) => r.courtId)).toEqual([3, 9]);
+    expect(assignCourt([{}], { id: 1 })[0].courtId).toBeNull();
+  });
+
+  test('records an empty run when nothing is discovered', async () => {
+    const plugin = testPlugin('empty_source', {
+      discover: jest.fn().mockResolvedValue({ targets: [] })
+    });
+
+    const result = await scrapeAll('manual', { id: 9, slug: 'empty_source' });
+
+    expect(plugin.fetch).not.toHaveBeenCalled();
+    expect(result).toMatchObject({ success: true, linksProcessed: 0, recordsAdded: 0 });
+  });
+});
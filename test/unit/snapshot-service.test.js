@@ -0,0 +1,95 @@
+const mockQuery = jest.fn();
+
+jest.mock('../../src/config/database', () => ({
+  query: (...args) => mockQuery(...args)
+}));
+
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const {
+  hashContent,
+  storeSnapshot,
+  archiveSnapshot
+} = require('../../src/services/snapshot-service');
+
+const SNAPSHOT = {
+  content: '<html><body>list</body></html>',
+  url: 'https://example.com/list',
+  documentType: 'dcl_list',
+  dataSourceId: 1,
+  scrapeId: 42,
+  listDate: '2026-03-10',
+  division: 'Criminal'
+};
+
+describe('snapshot-service', () => {
+  beforeEach(() => {
+    mockQuery.mockReset();
+  });
+
+  describe('hashContent', () => {
+    test('returns the SHA-256 hex digest', () => {
+      expect(hashContent('abc')).toBe(
+        'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad'
+      );
+    });
+
+    test('hashes strings and equivalent buffers identically', () => {
+      expect(hashContent('£10')).toBe(hashContent(Buffer.from('£10', 'utf8')));
+    });
+  });
+
+  describe('storeSnapshot', () => {
+    test('stores new content and records the fetch', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ affectedRows: 1 })
+        .mockResolvedValueOnce([{ id: 7 }])
+        .mockResolvedValueOnce({ insertId: 99 });
+
+      const result = await storeSnapshot(SNAPSHOT);
+
+      expect(result).toEqual({
+        snapshotId: 7,
+        fetchId: 99,
+        sha256: hashContent(SNAPSHOT.content),
+        deduplicated: false
+      });
+
+      const [, fetchParams] = mockQuery.mock.calls[2];
+      expect(fetchParams).toEqual([
+        7,
+        42,
+        1,
+        'https://example.com/list',
+        'dcl_list',
+        '2026-03-10',
+        'Criminal'
+      ]);
+    });
+
+    test('reports identical content as deduplicated', async () => {
+      mockQuery
+        .mockResolvedValueOnce({ affectedRows: 0 })
+        .mockResolvedValueOnce([{ id: 7 }])
+        .mockResolvedValueOnce({ insertId: 100 });
+
+      const result = await storeSnapshot(SNAPSHOT);
+
+      expect(result.deduplicated).toBe(true);
+      expect(result.snapshotId).toBe(7);
+    });
+  });
+
+  describe('archiveSnapshot', () => {
+    test('returns null instead of throwing when storage fails', async () => {
+      mockQuery.mockRejectedValueOnce(new Error('connection lost'));
+
+      await expect(archiveSnapshot(SNAPSHOT)).resolves.toBeNull();
+    });
+  });
+});
@@ -0,0 +1,116 @@
+jest.mock('../../src/config/database', () => ({
+  query: jest.fn()
+}));
+
+const { getStats, buildSeries, periodFor } = require('../../src/services/stats-service');
+const { query } = require('../../src/config/database');
+
+describe('stats-service', () => {
+  describe('periodFor', () => {
+    test('groups by ISO week, starting on Monday', () => {
+      expect(periodFor('2026-01-01', 'week')).toEqual({
+        key: '2026-W01',
+        label: 'Week 01, 2026',
+        start: '2025-12-29',
+        end: '2026-01-04'
+      });
+    });
+
+    test('groups by calendar month', () => {
+      expect(periodFor('2024-02-10', 'month')).toEqual({
+        key: '2024-02',
+        label: 'February 2024',
+        start: '2024-02-01',
+        end: '2024-02-29'
+      });
+    });
+
+    test('groups by legal term', () => {
+      expect(periodFor('2025-11-03', 'term')).toMatchObject({
+        key: 'michaelmas-2025',
+        label: 'Michaelmas 2025'
+      });
+    });
+  });
+
+  describe('buildSeries', () => {
+    const rows = [
+      { list_date: '2026-03-02', value: 'Daily Cause List', count: 10 },
+      { list_date: '2026-03-02', value: 'Future Hearing List', count: 4 },
+      { list_date: '2026-03-31', value: 'Daily Cause List', count: 6 },
+      { list_date: '2026-05-01', value: 'Daily Cause List', count: 3 }
+    ];
+
+    test('rolls daily counts up into periods, keeping empty periods', () => {
+      const series = buildSeries(rows, {
+        dateFrom: '2026-03-01',
+        dateTo: '2026-05-31',
+        period: 'month'
+      });
+      expect(series.map((p) => [p.key, p.total])).toEqual([
+        ['2026-03', 20],
+        ['2026-04', 0],
+        ['2026-05', 3]
+      ]);
+      expect(series[0].breakdown).toBeUndefined();
+    });
+
+    test('splits each period by the requested breakdown, largest first', () => {
+      const series = buildSeries(rows, {
+        dateFrom: '2026-03-01',
+        dateTo: '2026-03-31',
+        period: 'month',
+        breakdown: 'dataSource'
+      });
+      expect(series[0].breakdown).toEqual([
+        { value: 'Daily Cause List', count: 16 },
+        { value: 'Future Hearing List', count: 4 }
+      ]);
+    });
+
+    test('accepts list dates returned as Date objects', () => {
+      const series = buildSeries([{ list_date: new Date(2026, 2, 2), value: null, count: '5' }], {
+        dateFrom: '2026-03-02',
+        dateTo: '2026-03-03',
+        period: 'day'
+      });
+      expect(series.map((p) => p.total)).toEqual([5, 0]);
+    });
+  });
+
+  describe('getStats', () => {
+    beforeEach(() => {
+      query.mockReset();
+      query.mockResolvedValue([]);
+    });
+
+    test('rejects an inverted date range', async () => {
+      await expect(
+        getStats({ dateFrom: '2026-03-10', dateTo: '2026-03-01' })
+      ).rejects.toMatchObject({ statusCode: 400 });
+      expect(query).not.toHaveBeenCalled();
+    });
+
+    test('rejects an unknown breakdown', async () => {
+      await expect(getStats({ breakdown: 'judge' })).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    test('defaults to the year up to dateTo and filters by source and division', async () => {
+      const stats = await getStats({
+        dateTo: '2026-03-31',
+        dataSource: '1,2',
+        division: 'Criminal'
+      });
+
+      expect(stats).toMatchObject({ dateFrom: '2025-04-01', dateTo: '2026-03-31', total: 0 });
+      expect(stats.series).toHaveLength(12);
+      expect(Object.keys(stats.breakdowns)).toEqual([
+        'dataSource',
+        'hearingType',
+        'venue',
+        'crownCourt'
+      ]);
+      expect(query.mock.calls[0][1]).toEqual(['2025-04-01', '2026-03-31', 1, 2, 'Criminal']);
+    });
+  });
+});
@@ -0,0 +1,288 @@
+const mockQuery = jest.fn();
+const mockSync = {
+  synchronizeRecords: jest.fn(),
+  fullReplaceSynchronize: jest.fn()
+};
+const mockEmail = { sendSyncQuarantined: jest.fn() };
+
+jest.mock('../../src/config/database', () => ({ query: mockQuery }));
+jest.mock('../../src/services/sync-service', () => mockSync);
+jest.mock('../../src/services/email-service', () => mockEmail);
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const {
+  checkThresholds,
+  guardedSync,
+  listPendingSyncs,
+  approvePendingSync,
+  rejectPendingSync
+} = require('../../src/services/sync-guard-service');
+
+const dataSource = {
+  id: 1,
+  slug: 'daily_cause_list',
+  display_name: 'Daily Cause List',
+  sync_guard_min_rows: 10,
+  sync_max_delete_percent: 50,
+  sync_min_new_rows: 1
+};
+
+const records = [{ 'case number': '202403891 A1', time: '10:30am', courtId: 1 }];
+
+describe('checkThresholds', () => {
+  test('lets ordinary churn through', () => {
+    expect(checkThresholds(dataSource, { existing: 20, incoming: 18, deleting: 5 })).toBeNull();
+  });
+
+  test('holds back an empty list', () => {
+    expect(checkThresholds(dataSource, { existing: 20, incoming: 0, deleting: 20 })).toBe(
+      'Would replace 20 hearings with 0 (minimum 1)'
+    );
+  });
+
+  test('holds back a sync that removes too large a share', () => {
+    expect(checkThresholds(dataSource, { existing: 20, incoming: 8, deleting: 12 })).toBe(
+      'Would remove 12 of 20 hearings (60%, limit 50%)'
+    );
+  });
+
+  test('ignores small lists, and checks that are switched off', () => {
+    expect(checkThresholds(dataSource, { existing: 4, incoming: 0, deleting: 4 })).toBeNull();
+    expect(
+      checkThresholds(
+        { ...dataSource, sync_max_delete_percent: null, sync_min_new_rows: null },
+        { existing: 20, incoming: 0, deleting: 20 }
+      )
+    ).toBeNull();
+    expect(
+      checkThresholds(
+        { ...dataSource, sync_guard_min_rows: null },
+        { existing: 20, incoming: 0, deleting: 20 }
+      )
+    ).toBeNull();
+  });
+});
+
+describe('guardedSync', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockQuery.mockResolvedValue({ affectedRows: 0 });
+  });
+
+  test('applies a sync within the thresholds and supersedes older pending syncs', async () => {
+    mockSync.synchronizeRecords.mockResolvedValueOnce({ added: 1, updated: 0, deleted: 0 });
+
+    const result = await guardedSync({
+      syncStrategy: 'incremental',
+      records,
+      listDate: '2026-03-10',
+      dataSource,
+      scrapeId: 42
+    });
+
+    expect(result).toEqual({ added: 1, updated: 0, deleted: 0 });
+    const [, , , , options] = mockSync.synchronizeRecords.mock.calls[0];
+    expect(options.guard({ existing: 20, incoming: 0, deleting: 20 })).toMatch(/^Would replace/);
+    expect(mockQuery).toHaveBeenCalledTimes(1);
+    expect(mockQuery).toHaveBeenCalledWith(expect.stringContaining("SET status = 'superseded'"), [
+      1,
+      '2026-03-10'
+    ]);
+    expect(mockEmail.sendSyncQuarantined).not.toHaveBeenCalled();
+  });
+
+  test('passes dry runs straight through, unguarded and unrecorded', async () => {
+    mockSync.synchronizeRecords.mockResolvedValueOnce({ dryRun: true, deleted: 20, changes: [] });
+
+    const result = await guardedSync({
+      syncStrategy: 'incremental',
+      records: [],
+      listDate: '2026-03-10',
+      dataSource,
+      scrapeId: null,
+      dryRun: true
+    });
+
+    expect(result).toMatchObject({ dryRun: true, deleted: 20 });
+    expect(mockSync.synchronizeRecords).toHaveBeenCalledWith([], '2026-03-10', 1, null, {
+      dryRun: true
+    });
+    expect(mockQuery).not.toHaveBeenCalled();
+  });
+
+  test('quarantines a sync the guard held back and emails an admin', async () => {
+    mockSync.fullReplaceSynchronize.mockResolvedValueOnce({
+      success: true,
+      quarantined: true,
+      reason: 'Would replace 120 hearings with 1 (minimum 5)',
+      existing: 120,
+      incoming: 1,
+      deleting: 119,
+      added: 0,
+      deleted: 0
+    });
+    mockQuery.mockResolvedValueOnce({ affectedRows: 1 }).mockResolvedValueOnce({ insertId: 7 });
+    mockEmail.sendSyncQuarantined.mockRejectedValueOnce(new Error('SMTP down'));
+
+    const result = await guardedSync({
+      syncStrategy: 'full-replace',
+      records,
+      listDate: '2026-03-10',
+      url: 'https://example.com/fhl',
+      dataSource: { ...dataSource, id: 3, slug: 'future_hearing_list' },
+      scrapeId: 42
+    });
+
+    expect(result).toMatchObject({ quarantined: true, pendingSyncId: 7, deleted: 0 });
+    // A full replace covers the whole source, not a list date
+    expect(mockQuery.mock.calls[0][1]).toEqual([3, null]);
+    expect(mockQuery.mock.calls[1][0]).toContain('INSERT INTO pending_syncs');
+    expect(mockQuery.mock.calls[1][1]).toEqual([
+      3,
+      42,
+      null,
+      'https://example.com/fhl',
+      JSON.stringify(records),
+      120,
+      1,
+      119,
+      'Would replace 120 hearings with 1 (minimum 5)'
+    ]);
+    expect(mockEmail.sendSyncQuarantined).toHaveBeenCalledWith(
+      expect.objectContaining({ source: 'future_hearing_list', pendingSyncId: 7, deleting: 119 })
+    );
+  });
+});
+
+describe('pending sync review', () => {
+  const pendingRow = {
+    id: 7,
+    data_source_id: 1,
+    scrape_history_id: 42,
+    list_date: '2026-03-10',
+    records: JSON.stringify(records),
+    status: 'pending'
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockQuery.mockResolvedValue({ affectedRows: 1 });
+  });
+
+  test('lists pending syncs without their records', async () => {
+    mockQuery.mockResolvedValueOnce([
+      {
+        id: 7,
+        data_source_id: 1,
+        scrape_history_id: 42,
+        list_date: '2026-03-10',
+        url: 'https://example.com/list',
+        existing_count: 20,
+        incoming_count: 0,
+        delete_count: 20,
+        reason: 'Would replace 20 hearings with 0 (minimum 1)',
+        status: 'pending',
+        reviewed_at: null,
+        result: null,
+        created_at: '2026-03-10T08:00:00.000Z',
+        slug: 'daily_cause_list',
+        display_name: 'Daily Cause List',
+        reviewed_by_email: null
+      }
+    ]);
+
+    const pendingSyncs = await listPendingSyncs({ dataSourceId: 1, limit: 10 });
+
+    expect(mockQuery).toHaveBeenCalledWith(
+      expect.stringContaining('ps.status = ? AND ps.data_source_id = ?'),
+      ['pending', 1, 10]
+    );
+    expect(pendingSyncs).toEqual([
+      expect.objectContaining({
+        id: 7,
+        dataSource: { id: 1, slug: 'daily_cause_list', name: 'Daily Cause List' },
+        listDate: '2026-03-10',
+        existing: 20,
+        incoming: 0,
+        deleting: 20,
+        result: null
+      })
+    ]);
+    expect(pendingSyncs[0]).not.toHaveProperty('records');
+  });
+
+  test('approving claims the sync, then applies the stored records without the guard', async () => {
+    const synced = { added: 0, updated: 0, deleted: 20 };
+    mockQuery.mockResolvedValueOnce({ affectedRows: 1 }).mockResolvedValueOnce([pendingRow]);
+    mockSync.synchronizeRecords.mockResolvedValueOnce(synced);
+
+    expect(await approvePendingSync(7, 3)).toEqual(synced);
+
+    expect(mockQuery).toHaveBeenNthCalledWith(
+      1,
+      expect.stringContaining("WHERE id = ? AND status = 'pending'"),
+      ['approved', 3, 7]
+    );
+    expect(mockSync.synchronizeRecords).toHaveBeenCalledWith(records, '2026-03-10', 1, 42);
+    expect(mockQuery).toHaveBeenLastCalledWith(expect.stringContaining('SET result = ?'), [
+      JSON.stringify(synced),
+      7
+    ]);
+  });
+
+  test('approving a full-replace sync replaces the whole source', async () => {
+    mockQuery
+      .mockResolvedValueOnce({ affectedRows: 1 })
+      .mockResolvedValueOnce([{ ...pendingRow, list_date: null }]);
+    mockSync.fullReplaceSynchronize.mockResolvedValueOnce({ deleted: 119 });
+
+    await approvePendingSync(7, 3);
+
+    expect(mockSync.fullReplaceSynchronize).toHaveBeenCalledWith(records, 1, 42);
+    expect(mockSync.synchronizeRecords).not.toHaveBeenCalled();
+  });
+
+  test('a sync that fails to apply goes back for review', async () => {
+    mockQuery.mockResolvedValueOnce({ affectedRows: 1 }).mockResolvedValueOnce([pendingRow]);
+    mockSync.synchronizeRecords.mockRejectedValueOnce(new Error('Deadlock found'));
+
+    await expect(approvePendingSync(7, 3)).rejects.toThrow('Deadlock found');
+
+    expect(mockQuery).toHaveBeenLastCalledWith(expect.stringContaining("status = 'pending'"), [7]);
+  });
+
+  test('rejecting leaves the archive untouched', async () => {
+    await rejectPendingSync(7, 3);
+
+    expect(mockQuery).toHaveBeenCalledTimes(1);
+    expect(mockQuery).toHaveBeenCalledWith(
+      expect.stringContaining("WHERE id = ? AND status = 'pending'"),
+      ['rejected', 3, 7]
+    );
+    expect(mockSync.synchronizeRecords).not.toHaveBeenCalled();
+    expect(mockSync.fullReplaceSynchronize).not.toHaveBeenCalled();
+  });
+
+  test('refuses unknown syncs and syncs already reviewed', async () => {
+    mockQuery.mockResolvedValueOnce({ affectedRows: 0 }).mockResolvedValueOnce([]);
+    await expect(rejectPendingSync(99, 3)).rejects.toMatchObject({
+      statusCode: 404,
+      message: 'Pending sync not found'
+    });
+
+    // Lost the race to another review, or a later scrape superseded it
+    mockQuery
+      .mockResolvedValueOnce({ affectedRows: 0 })
+      .mockResolvedValueOnce([{ status: 'superseded' }]);
+    await expect(approvePendingSync(7, 3)).rejects.toMatchObject({
+      statusCode: 409,
+      message: 'Pending sync has already been superseded'
+    });
+    expect(mockSync.synchronizeRecords).not.toHaveBeenCalled();
+  });
+});